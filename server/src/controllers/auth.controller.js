@@ -1,10 +1,23 @@
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const { User } = require('../models');
+const { Op } = require('sequelize');
+const { User, PasswordResetToken, sequelize } = require('../models');
 const logger = require('../utils/logger');
+const { hashToken } = require('../utils/secrets');
+const emailService = require('../services/email.service');
+const sessionService = require('../services/session.service');
+const invitationService = require('../services/invitation.service');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'rehearsal-scheduler-secret';
-const JWT_EXPIRY = process.env.JWT_EXPIRY || '24h';
+const RESET_TOKEN_EXPIRY_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Client details stored with a new session
+ * @param {Object} req - Express request object
+ * @returns {Object} { userAgent, ipAddress }
+ */
+const sessionContext = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
 
 /**
  * Register a new user
@@ -13,7 +26,7 @@ const JWT_EXPIRY = process.env.JWT_EXPIRY || '24h';
  */
 exports.register = async (req, res) => {
   try {
-    const { firstName, lastName, email, password, phone, timezone } = req.body;
+    const { firstName, lastName, email, password, phone, timezone, invitationToken } = req.body;
     
     // Check if user already exists
     const existingUser = await User.findOne({ where: { email } });
@@ -31,19 +44,29 @@ exports.register = async (req, res) => {
       timezone
     });
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRY }
-    );
+    // Registering from an invitation link joins the band straight away
+    let joinedBand;
+    if (invitationToken) {
+      const invitation = await invitationService.findByToken(invitationToken);
+      if (invitation && invitation.email === user.email.toLowerCase() &&
+          await invitationService.acceptInvitation(invitation, user)) {
+        joinedBand = invitation.Band;
+        logger.info(`User ${user.id} joined band ${invitation.Band.name} from invitation ${invitation.id}`);
+      }
+    }
+    
+    // Start a session with an access token and a rotating refresh token
+    const { accessToken, refreshToken, refreshTokenExpiresAt } = await sessionService.createSession(user, sessionContext(req));
     
     logger.info(`User registered successfully: ${user.email}`);
     
     res.status(201).json({
       message: 'User registered successfully',
       user: user.toJSON(),
-      token
+      token: accessToken,
+      refreshToken,
+      refreshTokenExpiresAt,
+      joinedBand
     });
   } catch (error) {
     logger.error(`Registration error: ${error.message}`);
@@ -80,19 +103,17 @@ exports.login = async (req, res) => {
     // Update last login timestamp
     await user.update({ lastLogin: new Date() });
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRY }
-    );
+    // Start a session with an access token and a rotating refresh token
+    const { accessToken, refreshToken, refreshTokenExpiresAt } = await sessionService.createSession(user, sessionContext(req));
     
     logger.info(`User logged in: ${user.email}`);
     
     res.json({
       message: 'Login successful',
       user: user.toJSON(),
-      token
+      token: accessToken,
+      refreshToken,
+      refreshTokenExpiresAt
     });
   } catch (error) {
     logger.error(`Login error: ${error.message}`);
@@ -101,11 +122,11 @@ exports.login = async (req, res) => {
 };
 
 /**
- * Verify JWT token
+ * Verify JWT token and the session it belongs to
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-exports.verifyToken = (req, res) => {
+exports.verifyToken = async (req, res) => {
   const token = req.headers.authorization?.split(' ')[1];
   
   if (!token) {
@@ -113,7 +134,7 @@ exports.verifyToken = (req, res) => {
   }
   
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const { decoded } = await sessionService.verifyAccessToken(token);
     res.json({ valid: true, user: decoded });
   } catch (error) {
     res.status(401).json({ valid: false, message: 'Invalid token' });
@@ -121,40 +142,28 @@ exports.verifyToken = (req, res) => {
 };
 
 /**
- * Refresh JWT token
+ * Exchange a refresh token for a new access token and refresh token.
+ * The presented refresh token stops working; reusing it revokes the session.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 exports.refreshToken = async (req, res) => {
-  const token = req.body.token;
-  
-  if (!token) {
-    return res.status(400).json({ message: 'Token is required' });
-  }
-  
   try {
-    // Verify the existing token
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    // Check if user still exists and is active
-    const user = await User.findByPk(decoded.id);
-    if (!user || !user.isActive) {
-      return res.status(401).json({ message: 'User not found or inactive' });
-    }
-    
-    // Generate a new token
-    const newToken = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRY }
-    );
+    const { accessToken, refreshToken, refreshTokenExpiresAt } = await sessionService.rotateRefreshToken(req.body.refreshToken);
     
     res.json({
       message: 'Token refreshed',
-      token: newToken
+      token: accessToken,
+      refreshToken,
+      refreshTokenExpiresAt
     });
   } catch (error) {
-    res.status(401).json({ message: 'Token refresh failed', error: error.message });
+    if (error.name === 'SessionError') {
+      return res.status(401).json({ message: 'Token refresh failed', error: error.message });
+    }
+    
+    logger.error(`Token refresh error: ${error.message}`);
+    res.status(500).json({ message: 'Token refresh failed', error: error.message });
   }
 };
 
@@ -166,34 +175,38 @@ exports.refreshToken = async (req, res) => {
 exports.forgotPassword = async (req, res) => {
   try {
     const { email } = req.body;
+    const response = { message: 'If your account exists, a password reset link has been sent to your email' };
     
     // Find user by email
     const user = await User.findOne({ where: { email } });
-    if (!user) {
+    if (!user || !user.isActive) {
       // Don't reveal user existence, just return success regardless
-      return res.json({ message: 'If your account exists, a password reset link has been sent to your email' });
+      return res.json(response);
     }
     
-    // Generate reset token
+    // Only the newest link works; earlier unused ones are retired
+    await PasswordResetToken.update(
+      { usedAt: new Date() },
+      { where: { userId: user.id, usedAt: null } }
+    );
+    
+    // Generate reset token; only its hash is stored
     const resetToken = crypto.randomBytes(32).toString('hex');
-    const resetTokenExpiry = new Date(Date.now() + 3600000); // 1 hour from now
+    const resetTokenExpiry = new Date(Date.now() + RESET_TOKEN_EXPIRY_MS);
     
-    // Update user with reset token info (this would typically be stored in a separate table or redis)
-    // For this example, we'll just return the token in the response
+    await PasswordResetToken.create({
+      userId: user.id,
+      tokenHash: hashToken(resetToken),
+      expiresAt: resetTokenExpiry
+    });
     
-    // In a real app, send email with reset link
-    // sendResetEmail(user.email, resetToken);
+    const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
+    emailService.sendTemplate('passwordReset', user, { resetUrl, expiresAt: resetTokenExpiry })
+      .catch(() => {}); // Failures are logged by the email service
     
     logger.info(`Password reset requested for: ${user.email}`);
     
-    res.json({
-      message: 'If your account exists, a password reset link has been sent to your email',
-      // Only for development purposes, remove in production
-      debug: process.env.NODE_ENV === 'development' ? {
-        resetToken,
-        resetTokenExpiry
-      } : undefined
-    });
+    res.json(response);
   } catch (error) {
     logger.error(`Forgot password error: ${error.message}`);
     res.status(500).json({ message: 'Error processing password reset request', error: error.message });
@@ -201,7 +214,8 @@ exports.forgotPassword = async (req, res) => {
 };
 
 /**
- * Reset password with token
+ * Reset password with token. The token is consumed even if it is presented
+ * twice at the same time, and tokens issued before the reset stop working.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -209,23 +223,75 @@ exports.resetPassword = async (req, res) => {
   try {
     const { token, password } = req.body;
     
-    // In a real app, find the user with the valid token
-    // For this example, we'll just return success
+    const resetToken = await PasswordResetToken.findOne({
+      where: {
+        tokenHash: hashToken(token),
+        usedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      include: [User]
+    });
+    
+    if (!resetToken || !resetToken.User || !resetToken.User.isActive) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+    
+    const user = resetToken.User;
+    const reset = await sequelize.transaction(async (transaction) => {
+      // Claim the token; a concurrent request using it gets no rows back
+      const [claimed] = await PasswordResetToken.update(
+        { usedAt: new Date() },
+        { where: { id: resetToken.id, usedAt: null }, transaction }
+      );
+      
+      if (claimed === 0) {
+        return false;
+      }
+      
+      // Hashed by the model hook, which also records passwordChangedAt
+      user.password = password;
+      await user.save({ transaction });
+      
+      await PasswordResetToken.update(
+        { usedAt: new Date() },
+        { where: { userId: user.id, usedAt: null }, transaction }
+      );
+      await sessionService.revokeAllSessions(user.id, 'password-reset', transaction);
+      
+      return true;
+    });
+    
+    if (!reset) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
     
-    logger.info('Password reset successful');
+    logger.info(`Password reset successful for: ${user.email}`);
     
     res.json({ message: 'Password reset successful' });
   } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
     logger.error(`Reset password error: ${error.message}`);
     res.status(500).json({ message: 'Error resetting password', error: error.message });
   }
 };
 
 /**
- * Logout (client-side only, server just returns success)
+ * Logout: revoke the current session so its access and refresh tokens stop working
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-exports.logout = (req, res) => {
-  res.json({ message: 'Logout successful' });
+exports.logout = async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.authSession.id, 'logout');
+    
+    logger.info(`User logged out: ${req.user.email}`);
+    
+    res.json({ message: 'Logout successful' });
+  } catch (error) {
+    logger.error(`Logout error: ${error.message}`);
+    res.status(500).json({ message: 'Logout failed', error: error.message });
+  }
 };
\ No newline at end of file
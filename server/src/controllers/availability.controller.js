@@ -0,0 +1,421 @@
+const { Availability, Blackout, BusyBlock, User } = require('../models');
+const logger = require('../utils/logger');
+const scheduling = require('../services/scheduling.service');
+const permission = require('../services/permission.service');
+const { presentInZone, displayZone } = require('../utils/timezone');
+const { tierPriority } = require('../utils/availabilityTiers');
+
+/**
+ * Format hour/minute request fields as a TIME column value
+ * @param {Number|String} hour
+ * @param {Number|String} minute
+ * @returns {String} Time in HH:mm:ss format
+ */
+const toTime = (hour, minute) => {
+  const pad = (value) => String(parseInt(value, 10) || 0).padStart(2, '0');
+  return `${pad(hour)}:${pad(minute)}:00`;
+};
+
+/**
+ * Map request body fields onto Availability columns for the given type
+ * @param {String} type - 'one-time' or 'recurring'
+ * @param {Object} body - Request body
+ * @param {Object} current - Existing availability values (for partial updates)
+ * @returns {Object} Attributes to save
+ */
+const buildAttributes = (type, body, current = {}) => {
+  const attributes = {};
+  
+  if (type === 'one-time') {
+    if (body.startTime !== undefined) attributes.startsAt = new Date(body.startTime);
+    if (body.endTime !== undefined) attributes.endsAt = new Date(body.endTime);
+  } else {
+    const [currentStartHour, currentStartMinute] = String(current.startTime || '0:0').split(':');
+    const [currentEndHour, currentEndMinute] = String(current.endTime || '0:0').split(':');
+    
+    if (body.dayOfWeek !== undefined) attributes.dayOfWeek = parseInt(body.dayOfWeek, 10);
+    if (body.startHour !== undefined || body.startMinute !== undefined) {
+      attributes.startTime = toTime(
+        body.startHour !== undefined ? body.startHour : currentStartHour,
+        body.startMinute !== undefined ? body.startMinute : currentStartMinute
+      );
+    }
+    if (body.endHour !== undefined || body.endMinute !== undefined) {
+      attributes.endTime = toTime(
+        body.endHour !== undefined ? body.endHour : currentEndHour,
+        body.endMinute !== undefined ? body.endMinute : currentEndMinute
+      );
+    }
+    if (body.effectiveDate !== undefined) attributes.effectiveDate = new Date(body.effectiveDate);
+    if (body.expiryDate !== undefined) attributes.expiryDate = body.expiryDate ? new Date(body.expiryDate) : null;
+  }
+  
+  if (body.priority !== undefined) attributes.priority = parseInt(body.priority, 10);
+  if (body.tier !== undefined) attributes.priority = tierPriority(body.tier);
+  if (body.note !== undefined) attributes.notes = body.note;
+  
+  return attributes;
+};
+
+/**
+ * Check whether the current user may view another user's availability.
+ * App admins can view anyone; band admins can view members of their bands.
+ * @param {Object} currentUser - Authenticated user
+ * @param {String} userId - ID of the user whose availability is requested
+ * @returns {Promise<Boolean>}
+ */
+const canViewAvailability = async (currentUser, userId) => {
+  if (currentUser.role === 'admin' || currentUser.id === userId) {
+    return true;
+  }
+  
+  return permission.administersMember(currentUser, userId);
+};
+
+/**
+ * Whether the current user may read the reasons of another user's blackouts.
+ * Band admins can see that a member is away, but not why.
+ * @param {Object} currentUser - Authenticated user
+ * @param {String} userId - ID of the user whose blackouts are shown
+ * @returns {Boolean}
+ */
+const canSeeBlackoutReasons = (currentUser, userId) => {
+  return currentUser.role === 'admin' || currentUser.id === userId;
+};
+
+/**
+ * Get a user's availability, optionally filtered by type and date range.
+ * When both startDate and endDate are given the concrete windows inside the
+ * range are returned as `occurrences`, in the same shape for both types.
+ * Recurring times are expanded in the member's timezone; pass
+ * `displayIn=caller` or `displayIn=utc` to present them in the caller's
+ * timezone or in UTC instead.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getUserAvailability = async (req, res) => {
+  try {
+    const userId = req.params.userId || req.user.id;
+    const { startDate, endDate, type, displayIn } = req.query;
+    
+    if (!(await canViewAvailability(req.user, userId))) {
+      return res.status(403).json({ message: 'Not authorized to view this user\'s availability' });
+    }
+    
+    const user = userId === req.user.id
+      ? req.user
+      : await User.findByPk(userId, { attributes: ['id', 'timezone'] });
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const whereClause = { userId };
+    
+    if (type) {
+      whereClause.type = type;
+    }
+    
+    if (startDate || endDate) {
+      Object.assign(whereClause, Availability.overlappingRange(
+        startDate ? new Date(startDate) : null,
+        endDate ? new Date(endDate) : null
+      ));
+    }
+    
+    const availability = await Availability.findAll({
+      where: whereClause,
+      order: [['type', 'ASC'], ['dayOfWeek', 'ASC'], ['startTime', 'ASC'], ['startsAt', 'ASC']]
+    });
+    
+    // Blackouts in the range, or those not yet over when no range is given
+    const blackouts = await Blackout.findAll({
+      where: {
+        userId,
+        ...Blackout.overlappingRange(startDate ? new Date(startDate) : new Date(), endDate ? new Date(endDate) : null)
+      },
+      order: [['startsAt', 'ASC']]
+    });
+    
+    // Busy time from the member's own calendars; others only see that it is busy
+    const busy = await BusyBlock.findAll({
+      where: {
+        userId,
+        ...BusyBlock.overlappingRange(startDate ? new Date(startDate) : new Date(), endDate ? new Date(endDate) : null)
+      },
+      order: [['startsAt', 'ASC']]
+    });
+    
+    let occurrences;
+    if (startDate && endDate) {
+      occurrences = scheduling.expandOccurrences(
+        availability, new Date(startDate), new Date(endDate), user.timezone, [...blackouts, ...busy]
+      );
+      const zone = displayZone(displayIn, { member: user.timezone, caller: req.user.timezone });
+      occurrences = occurrences.map(occurrence => presentInZone(occurrence, zone));
+    }
+    
+    res.json({
+      userId,
+      timezone: user.timezone,
+      availability,
+      blackouts: blackouts.map(blackout => blackout.forViewer(canSeeBlackoutReasons(req.user, userId))),
+      busy: busy.map(block => block.forViewer(userId === req.user.id)),
+      occurrences
+    });
+  } catch (error) {
+    logger.error(`Error getting availability: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving availability', error: error.message });
+  }
+};
+
+/**
+ * Create availability for the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createAvailability = async (req, res) => {
+  try {
+    const { type } = req.body;
+    
+    const availability = await Availability.create({
+      userId: req.user.id,
+      type,
+      ...buildAttributes(type, req.body)
+    });
+    
+    logger.info(`Availability ${availability.id} (${type}) created for user ${req.user.id}`);
+    
+    res.status(201).json({
+      message: 'Availability created successfully',
+      availability
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
+    logger.error(`Error creating availability: ${error.message}`);
+    res.status(500).json({ message: 'Error creating availability', error: error.message });
+  }
+};
+
+/**
+ * Get availability by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getAvailabilityById = async (req, res) => {
+  try {
+    const availability = await Availability.findByPk(req.params.id);
+    
+    if (!availability) {
+      return res.status(404).json({ message: 'Availability not found' });
+    }
+    
+    if (!(await canViewAvailability(req.user, availability.userId))) {
+      return res.status(403).json({ message: 'Not authorized to view this availability' });
+    }
+    
+    res.json(availability);
+  } catch (error) {
+    logger.error(`Error getting availability by ID: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving availability', error: error.message });
+  }
+};
+
+/**
+ * Update availability. The type of an existing entry cannot be changed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateAvailability = async (req, res) => {
+  try {
+    const availability = await Availability.findByPk(req.params.id);
+    
+    if (!availability) {
+      return res.status(404).json({ message: 'Availability not found' });
+    }
+    
+    // Only the owner or an app admin can change availability
+    if (req.user.role !== 'admin' && req.user.id !== availability.userId) {
+      return res.status(403).json({ message: 'Not authorized to update this availability' });
+    }
+    
+    await availability.update(buildAttributes(availability.type, req.body, availability));
+    
+    logger.info(`Availability updated: ${availability.id}`);
+    
+    res.json({
+      message: 'Availability updated successfully',
+      availability
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
+    logger.error(`Error updating availability: ${error.message}`);
+    res.status(500).json({ message: 'Error updating availability', error: error.message });
+  }
+};
+
+/**
+ * Delete availability
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteAvailability = async (req, res) => {
+  try {
+    const availability = await Availability.findByPk(req.params.id);
+    
+    if (!availability) {
+      return res.status(404).json({ message: 'Availability not found' });
+    }
+    
+    // Only the owner or an app admin can delete availability
+    if (req.user.role !== 'admin' && req.user.id !== availability.userId) {
+      return res.status(403).json({ message: 'Not authorized to delete this availability' });
+    }
+    
+    await availability.destroy();
+    
+    logger.info(`Availability deleted: ${req.params.id}`);
+    
+    res.json({ message: 'Availability deleted successfully' });
+  } catch (error) {
+    logger.error(`Error deleting availability: ${error.message}`);
+    res.status(500).json({ message: 'Error deleting availability', error: error.message });
+  }
+};
+
+/**
+ * Get a user's blackout periods. Defaults to those that have not ended yet.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getBlackouts = async (req, res) => {
+  try {
+    const userId = req.params.userId || req.user.id;
+    const { startDate, endDate } = req.query;
+    
+    if (!(await canViewAvailability(req.user, userId))) {
+      return res.status(403).json({ message: 'Not authorized to view this user\'s blackouts' });
+    }
+    
+    const blackouts = await Blackout.findAll({
+      where: {
+        userId,
+        ...Blackout.overlappingRange(startDate ? new Date(startDate) : new Date(), endDate ? new Date(endDate) : null)
+      },
+      order: [['startsAt', 'ASC']]
+    });
+    
+    res.json(blackouts.map(blackout => blackout.forViewer(canSeeBlackoutReasons(req.user, userId))));
+  } catch (error) {
+    logger.error(`Error getting blackouts: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving blackouts', error: error.message });
+  }
+};
+
+/**
+ * Create a blackout period for the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createBlackout = async (req, res) => {
+  try {
+    const { startsAt, endsAt, reason } = req.body;
+    
+    const blackout = await Blackout.create({
+      userId: req.user.id,
+      startsAt: new Date(startsAt),
+      endsAt: new Date(endsAt),
+      reason
+    });
+    
+    logger.info(`Blackout ${blackout.id} created for user ${req.user.id}`);
+    
+    res.status(201).json({
+      message: 'Blackout created successfully',
+      blackout
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
+    logger.error(`Error creating blackout: ${error.message}`);
+    res.status(500).json({ message: 'Error creating blackout', error: error.message });
+  }
+};
+
+/**
+ * Update a blackout period
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateBlackout = async (req, res) => {
+  try {
+    const blackout = await Blackout.findByPk(req.params.id);
+    
+    if (!blackout) {
+      return res.status(404).json({ message: 'Blackout not found' });
+    }
+    
+    // Only the owner or an app admin can change a blackout
+    if (req.user.role !== 'admin' && req.user.id !== blackout.userId) {
+      return res.status(403).json({ message: 'Not authorized to update this blackout' });
+    }
+    
+    const { startsAt, endsAt, reason } = req.body;
+    await blackout.update({
+      startsAt: startsAt ? new Date(startsAt) : blackout.startsAt,
+      endsAt: endsAt ? new Date(endsAt) : blackout.endsAt,
+      reason: reason !== undefined ? reason : blackout.reason
+    });
+    
+    logger.info(`Blackout updated: ${blackout.id}`);
+    
+    res.json({
+      message: 'Blackout updated successfully',
+      blackout
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
+    logger.error(`Error updating blackout: ${error.message}`);
+    res.status(500).json({ message: 'Error updating blackout', error: error.message });
+  }
+};
+
+/**
+ * Delete a blackout period
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteBlackout = async (req, res) => {
+  try {
+    const blackout = await Blackout.findByPk(req.params.id);
+    
+    if (!blackout) {
+      return res.status(404).json({ message: 'Blackout not found' });
+    }
+    
+    // Only the owner or an app admin can delete a blackout
+    if (req.user.role !== 'admin' && req.user.id !== blackout.userId) {
+      return res.status(403).json({ message: 'Not authorized to delete this blackout' });
+    }
+    
+    await blackout.destroy();
+    
+    logger.info(`Blackout deleted: ${req.params.id}`);
+    
+    res.json({ message: 'Blackout deleted successfully' });
+  } catch (error) {
+    logger.error(`Error deleting blackout: ${error.message}`);
+    res.status(500).json({ message: 'Error deleting blackout', error: error.message });
+  }
+};
\ No newline at end of file
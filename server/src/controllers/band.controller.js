@@ -1,6 +1,72 @@
-const { Band, User, Rehearsal, Availability } = require('../models');
+const { Band, User, Availability, UserBand, Venue, sequelize } = require('../models');
 const logger = require('../utils/logger');
 const { Op } = require('sequelize');
+const scheduling = require('../services/scheduling.service');
+const permission = require('../services/permission.service');
+const memberService = require('../services/member.service');
+const blackoutService = require('../services/blackout.service');
+const calendarImport = require('../services/calendarImport.service');
+const conflictService = require('../services/conflict.service');
+const rehearsalService = require('../services/rehearsal.service');
+const reminderService = require('../services/reminder.service');
+const venueService = require('../services/venue.service');
+const { DEFAULT_DISPLAY_ZONE, presentInZone, displayZone } = require('../utils/timezone');
+
+// Longest window the optimal-time search will scan
+const MAX_SEARCH_DAYS = 62;
+
+/**
+ * Describe who is missing from a suggested slot and which parts go uncovered
+ * @param {Object} slot - Suggestion from scheduling.findCandidateSlots
+ * @param {Object} parts - Map of user ID to parts, from memberService.partsByMember
+ * @param {Object} weights - Map of member ID to attendance weight
+ * @returns {Object} { missingMembers, missingParts, explanation }
+ */
+const explainSlot = (slot, parts, weights) => {
+  const missingMembers = slot.unavailableMembers.map(member => ({
+    id: member.id,
+    name: `${member.firstName} ${member.lastName}`,
+    parts: (parts[member.id] || []).map(part => part.name),
+    weight: weights[member.id] !== undefined ? Number(weights[member.id]) : 1
+  }));
+  const missingParts = memberService.missingParts(parts, slot.availableMembers.map(member => member.id));
+  
+  if (missingMembers.length === 0) {
+    return { missingMembers, missingParts, explanation: 'Everyone is available' };
+  }
+  
+  const names = missingMembers.map(member => {
+    return member.parts.length > 0 ? `${member.name} (${member.parts.join(', ')})` : member.name;
+  });
+  let explanation = `Missing ${names.join(', ')}`;
+  if (missingParts.length > 0) {
+    explanation += `; nobody available plays ${missingParts.map(part => part.name).join(', ')}`;
+  }
+  
+  return { missingMembers, missingParts, explanation };
+};
+
+/**
+ * Add local times to a suggested slot. A slot belongs to no single member, so
+ * with `displayIn=member` it is shown in UTC and `memberTimes` gives the local
+ * times of every member.
+ * @param {Object} slot - Suggested slot
+ * @param {Array<Object>} members - Band members
+ * @param {String} [displayIn] - One of DISPLAY_ZONES
+ * @param {String} callerZone - Timezone of the user making the request
+ * @returns {Object}
+ */
+const presentSlot = (slot, members, displayIn, callerZone) => {
+  const zone = displayZone(displayIn, { member: 'UTC', caller: callerZone });
+  const presented = presentInZone(slot, zone);
+  if ((displayIn || DEFAULT_DISPLAY_ZONE) === 'member') {
+    presented.memberTimes = members.map((member) => {
+      const { timezone, localStartTime, localEndTime } = presentInZone(slot, member.timezone);
+      return { userId: member.id, timezone, localStartTime, localEndTime };
+    });
+  }
+  return presented;
+};
 
 /**
  * Get all bands
@@ -12,7 +78,7 @@ exports.getAllBands = async (req, res) => {
     // If user is admin, return all bands, otherwise just the ones they belong to
     const bands = req.user.role === 'admin' 
       ? await Band.findAll()
-      : await req.user.getBands();
+      : await req.user.getBands({ joinTableAttributes: ['role'] });
     
     res.json(bands);
   } catch (error) {
@@ -43,15 +109,11 @@ exports.getBandById = async (req, res) => {
       return res.status(404).json({ message: 'Band not found' });
     }
     
-    // Check if user has access to this band
-    if (req.user.role !== 'admin') {
-      const isMember = await band.hasMember(req.user.id);
-      if (!isMember) {
-        return res.status(403).json({ message: 'You do not have access to this band' });
-      }
-    }
+    const parts = await memberService.partsByMember(band.id);
+    const result = band.toJSON();
+    result.members = result.members.map(member => ({ ...member, parts: parts[member.id] || [] }));
     
-    res.json(band);
+    res.json(result);
   } catch (error) {
     logger.error(`Error getting band by ID: ${error.message}`);
     res.status(500).json({ message: 'Error retrieving band', error: error.message });
@@ -65,7 +127,14 @@ exports.getBandById = async (req, res) => {
  */
 exports.createBand = async (req, res) => {
   try {
-    const { name, description, genre, location, contactEmail, contactPhone, logoUrl } = req.body;
+    const {
+      name, description, genre, location, contactEmail, contactPhone, logoUrl,
+      defaultReminderHours, defaultLocation, defaultVenueId
+    } = req.body;
+    
+    if (defaultVenueId && !(await Venue.count({ where: { id: defaultVenueId, isActive: true } }))) {
+      return res.status(400).json({ message: 'Venue not found' });
+    }
     
     const band = await Band.create({
       name,
@@ -75,11 +144,14 @@ exports.createBand = async (req, res) => {
       contactEmail,
       contactPhone,
       logoUrl,
-      createdBy: req.user.id
+      defaultReminderHours,
+      defaultLocation,
+      defaultVenueId,
+      ownerId: req.user.id
     });
     
-    // Add creator as band admin
-    await band.addMember(req.user, { through: { role: 'admin' } });
+    // Add creator as band owner
+    await band.addMember(req.user, { through: { role: 'owner' } });
     
     logger.info(`Band created: ${band.name} by user ${req.user.id}`);
     
@@ -100,31 +172,35 @@ exports.createBand = async (req, res) => {
  */
 exports.updateBand = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { name, description, genre, location, contactEmail, contactPhone, logoUrl } = req.body;
-    
-    const band = await Band.findByPk(id);
-    
-    if (!band) {
-      return res.status(404).json({ message: 'Band not found' });
+    const {
+      name, description, genre, location, contactEmail, contactPhone, logoUrl,
+      defaultReminderHours, defaultLocation, defaultVenueId
+    } = req.body;
+    const { band } = req;
+    
+    if (defaultVenueId && !(await Venue.count({ where: { id: defaultVenueId, isActive: true } }))) {
+      return res.status(400).json({ message: 'Venue not found' });
     }
     
-    // Check if user is band admin or app admin
-    if (req.user.role !== 'admin') {
-      const membership = await band.getMember(req.user.id);
-      if (!membership || membership[0]?.BandMember?.role !== 'admin') {
-        return res.status(403).json({ message: 'Only band admins can update band details' });
+    const previousReminderHours = band.defaultReminderHours;
+    await sequelize.transaction(async (transaction) => {
+      await band.update({
+        name: name || band.name,
+        description: description !== undefined ? description : band.description,
+        genre: genre || band.genre,
+        location: location || band.location,
+        contactEmail: contactEmail || band.contactEmail,
+        contactPhone: contactPhone || band.contactPhone,
+        logoUrl: logoUrl !== undefined ? logoUrl : band.logoUrl,
+        defaultReminderHours: defaultReminderHours || band.defaultReminderHours,
+        defaultLocation: defaultLocation !== undefined ? defaultLocation : band.defaultLocation,
+        defaultVenueId: defaultVenueId !== undefined ? defaultVenueId : band.defaultVenueId
+      }, { transaction });
+      
+      // Rehearsals without their own lead time follow the band default
+      if (Number(band.defaultReminderHours) !== Number(previousReminderHours)) {
+        await reminderService.rescheduleBandReminders(band, { transaction });
       }
-    }
-    
-    await band.update({
-      name: name || band.name,
-      description: description !== undefined ? description : band.description,
-      genre: genre || band.genre,
-      location: location || band.location,
-      contactEmail: contactEmail || band.contactEmail,
-      contactPhone: contactPhone || band.contactPhone,
-      logoUrl: logoUrl !== undefined ? logoUrl : band.logoUrl
     });
     
     logger.info(`Band updated: ${band.name}`);
@@ -146,21 +222,7 @@ exports.updateBand = async (req, res) => {
  */
 exports.deleteBand = async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    const band = await Band.findByPk(id);
-    
-    if (!band) {
-      return res.status(404).json({ message: 'Band not found' });
-    }
-    
-    // Check if user is band admin or app admin
-    if (req.user.role !== 'admin') {
-      const membership = await band.getMember(req.user.id);
-      if (!membership || membership[0]?.BandMember?.role !== 'admin') {
-        return res.status(403).json({ message: 'Only band admins can delete the band' });
-      }
-    }
+    const { band } = req;
     
     // Instead of hard delete, set isActive to false
     await band.update({ isActive: false });
@@ -174,6 +236,30 @@ exports.deleteBand = async (req, res) => {
   }
 };
 
+/**
+ * Check whether the current user may hand out a band role. Nobody can grant a
+ * role above their own, and ownership is never handed out this way.
+ * @param {Object} req - Express request object (after requireBandRole)
+ * @param {String} role - Role to assign
+ * @returns {Boolean}
+ */
+const canAssignRole = (req, role) => {
+  if (role === 'owner') {
+    return false;
+  }
+  return req.user.role === 'admin' || !permission.outranks(role, req.bandRole);
+};
+
+/**
+ * Check whether the current user may manage a member holding `memberRole`
+ * @param {Object} req - Express request object (after requireBandRole)
+ * @param {String} memberRole - The member's band role
+ * @returns {Boolean}
+ */
+const canManageMember = (req, memberRole) => {
+  return req.user.role === 'admin' || permission.outranks(req.bandRole, memberRole);
+};
+
 /**
  * Add member to band
  * @param {Object} req - Express request object
@@ -181,21 +267,11 @@ exports.deleteBand = async (req, res) => {
  */
 exports.addMember = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { userId, role } = req.body;
-    
-    const band = await Band.findByPk(id);
+    const { band } = req;
+    const { userId, role = 'member', parts } = req.body;
     
-    if (!band) {
-      return res.status(404).json({ message: 'Band not found' });
-    }
-    
-    // Check if user is band admin or app admin
-    if (req.user.role !== 'admin') {
-      const membership = await band.getMember(req.user.id);
-      if (!membership || membership[0]?.BandMember?.role !== 'admin') {
-        return res.status(403).json({ message: 'Only band admins can add members' });
-      }
+    if (!canAssignRole(req, role)) {
+      return res.status(403).json({ message: `You cannot add members with the ${role} role` });
     }
     
     const user = await User.findByPk(userId);
@@ -211,9 +287,17 @@ exports.addMember = async (req, res) => {
       return res.status(400).json({ message: 'User is already a member of this band' });
     }
     
-    await band.addMember(user, { through: { role: role || 'member' } });
+    // A member is never left in the band without the parts that were sent
+    await sequelize.transaction(async (transaction) => {
+      await band.addMember(user, { through: { role }, transaction });
+      
+      if (parts) {
+        const membership = await UserBand.findOne({ where: { bandId: band.id, userId }, transaction });
+        await memberService.setParts(membership, parts, { transaction });
+      }
+    });
     
-    logger.info(`User ${userId} added to band ${band.name} with role ${role || 'member'}`);
+    logger.info(`User ${userId} added to band ${band.name} with role ${role}`);
     
     res.status(201).json({ message: 'Member added to band successfully' });
   } catch (error) {
@@ -229,21 +313,8 @@ exports.addMember = async (req, res) => {
  */
 exports.removeMember = async (req, res) => {
   try {
-    const { id, userId } = req.params;
-    
-    const band = await Band.findByPk(id);
-    
-    if (!band) {
-      return res.status(404).json({ message: 'Band not found' });
-    }
-    
-    // Check if user is band admin or app admin or removing themselves
-    if (req.user.role !== 'admin' && req.user.id !== userId) {
-      const membership = await band.getMember(req.user.id);
-      if (!membership || membership[0]?.BandMember?.role !== 'admin') {
-        return res.status(403).json({ message: 'Only band admins can remove members' });
-      }
-    }
+    const { band } = req;
+    const { userId } = req.params;
     
     const user = await User.findByPk(userId);
     
@@ -251,27 +322,19 @@ exports.removeMember = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    // Check if user is a member
-    const isMember = await band.hasMember(user);
+    const memberRole = await permission.getBandRole(band, userId);
     
-    if (!isMember) {
+    if (!memberRole) {
       return res.status(400).json({ message: 'User is not a member of this band' });
     }
     
-    // Don't allow removing the last admin
-    if (userId !== req.user.id) {
-      const memberRole = await band.getMember(userId);
-      if (memberRole[0]?.BandMember?.role === 'admin') {
-        const admins = await band.getMembers({
-          through: {
-            where: { role: 'admin' }
-          }
-        });
-        
-        if (admins.length <= 1) {
-          return res.status(400).json({ message: 'Cannot remove the last admin of the band' });
-        }
-      }
+    if (memberRole === 'owner') {
+      return res.status(400).json({ message: 'The band owner cannot be removed from the band' });
+    }
+    
+    // Members can always leave; everyone else needs a higher role than the member
+    if (userId !== req.user.id && !canManageMember(req, memberRole)) {
+      return res.status(403).json({ message: 'You can only remove members with a lower role than yours' });
     }
     
     await band.removeMember(user);
@@ -292,55 +355,35 @@ exports.removeMember = async (req, res) => {
  */
 exports.updateMemberRole = async (req, res) => {
   try {
-    const { id, userId } = req.params;
+    const { band } = req;
+    const { userId } = req.params;
     const { role } = req.body;
     
-    if (!role || !['admin', 'member'].includes(role)) {
-      return res.status(400).json({ message: 'Invalid role. Role must be either "admin" or "member"' });
-    }
-    
-    const band = await Band.findByPk(id);
-    
-    if (!band) {
-      return res.status(404).json({ message: 'Band not found' });
-    }
-    
-    // Check if user is band admin or app admin
-    if (req.user.role !== 'admin') {
-      const membership = await band.getMember(req.user.id);
-      if (!membership || membership[0]?.BandMember?.role !== 'admin') {
-        return res.status(403).json({ message: 'Only band admins can update member roles' });
-      }
-    }
-    
     const user = await User.findByPk(userId);
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    // Check if user is a member
-    const membershipInfo = await band.getMember(userId);
+    const memberRole = await permission.getBandRole(band, userId);
     
-    if (!membershipInfo || membershipInfo.length === 0) {
+    if (!memberRole) {
       return res.status(400).json({ message: 'User is not a member of this band' });
     }
     
-    // Don't allow removing the last admin
-    if (membershipInfo[0]?.BandMember?.role === 'admin' && role === 'member') {
-      const admins = await band.getMembers({
-        through: {
-          where: { role: 'admin' }
-        }
-      });
-      
-      if (admins.length <= 1) {
-        return res.status(400).json({ message: 'Cannot demote the last admin of the band' });
-      }
+    if (memberRole === 'owner') {
+      return res.status(400).json({ message: 'The band owner\'s role cannot be changed' });
+    }
+    
+    if (!canManageMember(req, memberRole)) {
+      return res.status(403).json({ message: 'You can only change the role of members with a lower role than yours' });
+    }
+    
+    if (!canAssignRole(req, role)) {
+      return res.status(403).json({ message: `You cannot assign the ${role} role` });
     }
     
-    // Update the role
-    await membershipInfo[0].BandMember.update({ role });
+    await UserBand.update({ role }, { where: { bandId: band.id, userId } });
     
     logger.info(`User ${userId} role updated to ${role} in band ${band.name}`);
     
@@ -352,60 +395,62 @@ exports.updateMemberRole = async (req, res) => {
 };
 
 /**
- * Get band rehearsals
+ * Replace the instruments or parts a member plays in the band
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-exports.getBandRehearsals = async (req, res) => {
+exports.updateMemberParts = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { startDate, endDate, status } = req.query;
+    const { band } = req;
+    const { userId } = req.params;
+    const { parts } = req.body;
     
-    const band = await Band.findByPk(id);
+    const membership = await UserBand.findOne({ where: { bandId: band.id, userId } });
     
-    if (!band) {
-      return res.status(404).json({ message: 'Band not found' });
+    if (!membership) {
+      return res.status(400).json({ message: 'User is not a member of this band' });
     }
     
-    // Check if user has access to this band
-    if (req.user.role !== 'admin') {
-      const isMember = await band.hasMember(req.user.id);
-      if (!isMember) {
-        return res.status(403).json({ message: 'You do not have access to this band' });
-      }
-    }
+    const saved = await sequelize.transaction(transaction => memberService.setParts(membership, parts, { transaction }));
     
-    const whereClause = { bandId: id };
+    logger.info(`User ${userId} parts in band ${band.name} set to ${saved.map(part => part.name).join(', ') || 'none'}`);
     
-    // Add date filters if provided
-    if (startDate && endDate) {
-      whereClause.startTime = {
-        [Op.between]: [new Date(startDate), new Date(endDate)]
-      };
-    } else if (startDate) {
-      whereClause.startTime = {
-        [Op.gte]: new Date(startDate)
-      };
-    } else if (endDate) {
-      whereClause.startTime = {
-        [Op.lte]: new Date(endDate)
-      };
+    res.json({
+      message: 'Member parts updated successfully',
+      parts: saved.map(part => ({ name: part.name, essential: part.essential }))
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
     }
     
-    // Add status filter if provided
-    if (status) {
-      whereClause.status = status;
-    }
+    logger.error(`Error updating member parts: ${error.message}`);
+    res.status(500).json({ message: 'Error updating member parts', error: error.message });
+  }
+};
+
+/**
+ * Get band rehearsals
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getBandRehearsals = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { startDate, endDate, status } = req.query;
     
-    const rehearsals = await Rehearsal.findAll({
-      where: whereClause,
+    // Recurring series are expanded into their occurrences in the range
+    const rehearsals = await rehearsalService.listOccurrences({
+      where: { bandId: id },
+      rangeStart: startDate ? new Date(startDate) : null,
+      rangeEnd: endDate ? new Date(endDate) : null,
+      status,
       include: [{
         model: User,
         as: 'attendees',
         attributes: ['id', 'firstName', 'lastName', 'email'],
         through: { attributes: ['status'] }
-      }],
-      order: [['startTime', 'ASC']]
+      }]
     });
     
     res.json(rehearsals);
@@ -422,67 +467,69 @@ exports.getBandRehearsals = async (req, res) => {
  */
 exports.getBandMembersAvailability = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, displayIn } = req.query;
     
     if (!startDate || !endDate) {
       return res.status(400).json({ message: 'Start date and end date are required' });
     }
     
-    const band = await Band.findByPk(id);
-    
-    if (!band) {
-      return res.status(404).json({ message: 'Band not found' });
-    }
-    
-    // Check if user has access to this band
-    if (req.user.role !== 'admin') {
-      const isMember = await band.hasMember(req.user.id);
-      if (!isMember) {
-        return res.status(403).json({ message: 'You do not have access to this band' });
-      }
-    }
+    const { band } = req;
     
     // Get all members of the band
     const members = await band.getMembers({
-      attributes: ['id', 'firstName', 'lastName', 'email']
+      attributes: ['id', 'firstName', 'lastName', 'email', 'timezone']
     });
+    const parts = await memberService.partsByMember(band.id);
+    
+    const rangeStart = new Date(startDate);
+    const rangeEnd = new Date(endDate);
+    
+    // Blackout reasons are private to the member and band admins
+    const blackouts = await blackoutService.blackoutsByUser(members.map(member => member.id), rangeStart, rangeEnd);
+    const showReasons = req.user.role === 'admin' || permission.roleAtLeast(req.bandRole, 'admin');
+    
+    // Time taken in members' own calendars; only the member sees what it is
+    const busy = await calendarImport.busyByUser(members.map(member => member.id), rangeStart, rangeEnd);
     
     // Get availability for each member within the date range
     const result = await Promise.all(members.map(async (member) => {
       const availability = await Availability.findAll({
         where: {
           userId: member.id,
-          [Op.or]: [
-            {
-              // One-time availability within date range
-              type: 'one-time',
-              startTime: {
-                [Op.between]: [new Date(startDate), new Date(endDate)]
-              }
-            },
-            {
-              // Recurring availability with effectiveDate before endDate and (expiryDate null or after startDate)
-              type: 'recurring',
-              effectiveDate: {
-                [Op.lte]: new Date(endDate)
-              },
-              [Op.or]: [
-                { expiryDate: null },
-                { 
-                  expiryDate: {
-                    [Op.gte]: new Date(startDate)
-                  } 
-                }
-              ]
-            }
-          ]
+          ...Availability.overlappingRange(rangeStart, rangeEnd)
         }
       });
       
+      // Recurring windows are wall-clock times in the member's own timezone
+      // and blackouts and busy time take precedence over them
+      const memberBlackouts = blackouts[member.id];
+      const unavailable = [...memberBlackouts, ...busy[member.id]];
+      let occurrences = scheduling.expandOccurrences(
+        availability, rangeStart, rangeEnd, member.timezone, unavailable
+      );
+      
+      // Minutes the member is available at each tier (a tier includes the more willing ones)
+      const tiers = scheduling.expandAvailabilityTiers(
+        availability, rangeStart, rangeEnd, member.timezone, unavailable
+      );
+      const tierMinutes = {};
+      Object.keys(tiers).forEach((tier) => {
+        tierMinutes[tier] = tiers[tier].reduce((sum, interval) => sum + (interval.end - interval.start) / 60000, 0);
+      });
+      
+      const zone = displayZone(displayIn, { member: member.timezone, caller: req.user.timezone });
+      occurrences = occurrences.map(occurrence => presentInZone(occurrence, zone));
+      
       return {
         user: member,
-        availability
+        parts: parts[member.id] || [],
+        availability,
+        blackouts: memberBlackouts.map(blackout => {
+          return blackout.forViewer(showReasons || blackout.userId === req.user.id);
+        }),
+        busy: busy[member.id].map(block => block.forViewer(block.userId === req.user.id)),
+        occurrences,
+        tierMinutes
       };
     }));
     
@@ -501,7 +548,10 @@ exports.getBandMembersAvailability = async (req, res) => {
 exports.findOptimalRehearsalTimes = async (req, res) => {
   try {
     const { id } = req.params;
-    const { startDate, endDate, duration, minimumMembers } = req.body;
+    const {
+      startDate, endDate, duration, minimumMembers, slotInterval, limit, displayIn,
+      requiredMembers = [], requiredParts = [], memberWeights = {}, urgent, venueId
+    } = req.body;
     
     if (!startDate || !endDate || !duration) {
       return res.status(400).json({ 
@@ -509,50 +559,121 @@ exports.findOptimalRehearsalTimes = async (req, res) => {
       });
     }
     
-    const band = await Band.findByPk(id);
+    const rangeStart = new Date(startDate);
+    const rangeEnd = new Date(endDate);
     
-    if (!band) {
-      return res.status(404).json({ message: 'Band not found' });
+    if (rangeEnd <= rangeStart) {
+      return res.status(400).json({ message: 'End date must be after start date' });
     }
     
-    // Check if user has access to this band
-    if (req.user.role !== 'admin') {
-      const isMember = await band.hasMember(req.user.id);
-      if (!isMember) {
-        return res.status(403).json({ message: 'You do not have access to this band' });
-      }
+    if (rangeEnd - rangeStart > MAX_SEARCH_DAYS * 24 * 60 * 60000) {
+      return res.status(400).json({ message: `Search window cannot exceed ${MAX_SEARCH_DAYS} days` });
+    }
+    
+    const { band } = req;
+    
+    const venue = venueId ? await Venue.findOne({ where: { id: venueId, isActive: true } }) : null;
+    if (venueId && !venue) {
+      return res.status(400).json({ message: 'Venue not found' });
     }
     
     // Get all members of the band
     const members = await band.getMembers({
-      attributes: ['id', 'firstName', 'lastName', 'email']
+      attributes: ['id', 'firstName', 'lastName', 'email', 'timezone'],
+      joinTableAttributes: []
     });
+    const parts = await memberService.partsByMember(band.id);
+    
+    // Every slot needs each required member, and someone for each required part
+    const requirements = [];
+    for (const memberId of requiredMembers) {
+      if (!members.some(member => member.id === memberId)) {
+        return res.status(400).json({ message: `User ${memberId} is not a member of this band` });
+      }
+      requirements.push([memberId]);
+    }
+    
+    const partsInBand = memberService.bandParts(parts);
+    for (const name of requiredParts) {
+      const part = partsInBand.find(entry => entry.name === name.trim().toLowerCase());
+      if (!part) {
+        return res.status(400).json({ message: `Nobody in the band plays ${name}` });
+      }
+      requirements.push(part.playedBy);
+    }
     
-    // Implementation of finding optimal times would go here
-    // This is a complex algorithm that would need to:
-    // 1. Collect all member availabilities
-    // 2. Find overlapping time slots that fit the duration
-    // 3. Rank them by number of available members
-    // 4. Return the top options
-    
-    // Placeholder response for demonstration
-    const suggestedTimes = [
-      {
-        startTime: new Date(startDate),
-        endTime: new Date(new Date(startDate).getTime() + duration * 60000),
-        availableMembers: members.slice(0, members.length - 1),
-        unavailableMembers: members.slice(-1)
-      },
-      {
-        startTime: new Date(new Date(startDate).getTime() + 24 * 60 * 60000), // Next day
-        endTime: new Date(new Date(startDate).getTime() + 24 * 60 * 60000 + duration * 60000),
-        availableMembers: members,
-        unavailableMembers: []
+    // Collect availability rows that can produce intervals inside the window
+    const availability = await Availability.findAll({
+      where: {
+        userId: { [Op.in]: members.map(member => member.id) },
+        ...Availability.overlappingRange(rangeStart, rangeEnd)
       }
-    ];
+    });
+    
+    // Blackouts, busy time imported from members' own calendars and rehearsals
+    // with their other bands all rule a member out
+    const memberIds = members.map(member => member.id);
+    const blackouts = await blackoutService.blackoutsByUser(memberIds, rangeStart, rangeEnd);
+    const busyTime = await calendarImport.busyByUser(memberIds, rangeStart, rangeEnd);
+    const bookings = await conflictService.bookingsByUser(memberIds, rangeStart, rangeEnd);
+    
+    const availabilityByMember = {};
+    members.forEach(member => {
+      const otherBands = bookings[member.id]
+        .filter(occurrence => occurrence.bandId !== band.id)
+        .map(occurrence => ({ startsAt: occurrence.startTime, endsAt: occurrence.endTime }));
+      availabilityByMember[member.id] = scheduling.expandAvailabilityTiers(
+        availability.filter(entry => entry.userId === member.id),
+        rangeStart,
+        rangeEnd,
+        member.timezone,
+        [...blackouts[member.id], ...busyTime[member.id], ...otherBands]
+      );
+    });
+    
+    // Rehearsals the band already has in the window block those slots. Start a
+    // day early so rehearsals running into the window are caught as well.
+    const existingRehearsals = (await rehearsalService.listOccurrences({
+      where: { bandId: id },
+      rangeStart: new Date(rangeStart.getTime() - 24 * 60 * 60000),
+      rangeEnd
+    })).filter(rehearsal => ['scheduled', 'in-progress'].includes(rehearsal.status));
+    const busy = existingRehearsals.map(rehearsal => ({
+      start: rehearsal.startTime,
+      end: rehearsal.endTime
+    }));
+    
+    // With a room chosen, slots must also fall in its opening hours and be free of other bands' bookings
+    if (venue) {
+      busy.push(...venueService.closedIntervals(venue, rangeStart, rangeEnd));
+      (await venueService.bookingsOf(venue.id, rangeStart, rangeEnd)).forEach((booking) => {
+        busy.push({ start: booking.startTime, end: booking.endTime });
+      });
+    }
+    
+    const suggestedTimes = scheduling.findCandidateSlots({
+      members,
+      availabilityByMember,
+      busy,
+      rangeStart,
+      rangeEnd,
+      duration: parseInt(duration, 10),
+      minimumMembers: minimumMembers ? parseInt(minimumMembers, 10) : 1,
+      requirements,
+      weights: memberWeights,
+      urgent: urgent === true || urgent === 'true',
+      step: slotInterval ? parseInt(slotInterval, 10) : 30,
+      limit: limit ? parseInt(limit, 10) : 10
+    }).map(slot => presentSlot({
+      ...slot,
+      ...explainSlot(slot, parts, memberWeights)
+    }, members, displayIn, req.user.timezone));
     
     res.json({
-      message: 'Optimal rehearsal times found',
+      message: suggestedTimes.length > 0
+        ? 'Optimal rehearsal times found'
+        : 'No time slots match the requested criteria',
+      venue: venue ? { id: venue.id, name: venue.name } : null,
       suggestedTimes
     });
   } catch (error) {
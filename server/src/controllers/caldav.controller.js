@@ -0,0 +1,273 @@
+const { Op } = require('sequelize');
+const { CaldavAccount, CaldavEvent, Rehearsal, User, sequelize } = require('../models');
+const logger = require('../utils/logger');
+const caldavService = require('../services/caldav.service');
+const { createClient } = require('../utils/caldav');
+const secrets = require('../utils/secrets');
+
+/**
+ * Load the current user's CalDAV account with the fields a sync needs
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>}
+ */
+const findAccount = (req) => {
+  return CaldavAccount.findOne({
+    where: { userId: req.user.id },
+    include: [{ model: User, attributes: ['id', 'timezone'] }]
+  });
+};
+
+/**
+ * Number of pushed events in each sync state
+ * @param {Object} account - CaldavAccount instance
+ * @returns {Promise<Object>} e.g. { synced: 12, conflict: 1 }
+ */
+const eventCounts = async (account) => {
+  const rows = await CaldavEvent.findAll({
+    where: { accountId: account.id },
+    attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['status'],
+    raw: true
+  });
+  
+  const counts = {};
+  rows.forEach((row) => {
+    counts[row.status] = parseInt(row.count, 10);
+  });
+  return counts;
+};
+
+/**
+ * Get the current user's CalDAV connection and how its events stand
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getAccount = async (req, res) => {
+  try {
+    const account = await findAccount(req);
+    
+    if (!account) {
+      return res.status(404).json({ message: 'No CalDAV calendar connected' });
+    }
+    
+    res.json({ ...account.toJSON(), events: await eventCounts(account) });
+  } catch (error) {
+    logger.error(`Error getting CalDAV account: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving CalDAV connection', error: error.message });
+  }
+};
+
+/**
+ * Connect a CalDAV calendar, or change the connection. The calendar is checked
+ * with the given credentials before anything is saved, then synced right away.
+ * Moving to another calendar forgets the events written to the old one.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.connectAccount = async (req, res) => {
+  try {
+    const { calendarUrl, username, password, pullFreeBusy } = req.body;
+    
+    let account = await findAccount(req);
+    
+    // Keep the stored password when only other settings change
+    const secret = password !== undefined
+      ? password
+      : (account && account.password ? secrets.decrypt(account.password) : null);
+    const { displayName } = await createClient({ calendarUrl, username, password: secret }).checkCalendar();
+    
+    const values = {
+      calendarUrl,
+      username: username || null,
+      password: secret ? secrets.encrypt(secret) : null,
+      isActive: true
+    };
+    if (pullFreeBusy !== undefined) {
+      values.pullFreeBusy = pullFreeBusy;
+    }
+    
+    if (account) {
+      if (account.calendarUrl !== calendarUrl) {
+        await CaldavEvent.destroy({ where: { accountId: account.id } });
+      }
+      await account.update(values);
+    } else {
+      await CaldavAccount.create({ ...values, userId: req.user.id });
+      account = await findAccount(req);
+    }
+    
+    if (!account.pullFreeBusy) {
+      await caldavService.dropBusy(account);
+    }
+    
+    // A failed first sync is recorded on the account; the connection itself is saved
+    let sync = null;
+    try {
+      sync = await caldavService.syncAccount(account);
+    } catch (error) {
+      logger.warn(`First CalDAV sync for user ${req.user.id} failed: ${error.message}`);
+    }
+    
+    logger.info(`CalDAV calendar connected for user ${req.user.id}`);
+    
+    res.json({
+      message: 'CalDAV calendar connected successfully',
+      account: { ...account.toJSON(), displayName },
+      sync
+    });
+  } catch (error) {
+    if (error.name === 'CalDavError') {
+      return res.status(400).json({ message: error.message });
+    }
+    
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
+    logger.error(`Error connecting CalDAV account: ${error.message}`);
+    res.status(500).json({ message: 'Error connecting CalDAV calendar', error: error.message });
+  }
+};
+
+/**
+ * Disconnect the CalDAV calendar. With `removeEvents=true` the rehearsals
+ * written to it are deleted first.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.disconnectAccount = async (req, res) => {
+  try {
+    const account = await findAccount(req);
+    
+    if (!account) {
+      return res.status(404).json({ message: 'No CalDAV calendar connected' });
+    }
+    
+    const removed = req.query.removeEvents === 'true' ? await caldavService.removeAllEvents(account) : 0;
+    
+    await caldavService.dropBusy(account);
+    await sequelize.transaction(async (transaction) => {
+      await CaldavEvent.destroy({ where: { accountId: account.id }, transaction });
+      await account.destroy({ transaction });
+    });
+    
+    logger.info(`CalDAV calendar disconnected for user ${req.user.id} (${removed} events removed)`);
+    
+    res.json({ message: 'CalDAV calendar disconnected successfully', removedEvents: removed });
+  } catch (error) {
+    if (error.name === 'CalDavError') {
+      return res.status(502).json({ message: `Could not remove events: ${error.message}` });
+    }
+    
+    logger.error(`Error disconnecting CalDAV account: ${error.message}`);
+    res.status(500).json({ message: 'Error disconnecting CalDAV calendar', error: error.message });
+  }
+};
+
+/**
+ * Sync the CalDAV calendar now instead of waiting for the background sync
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.syncAccount = async (req, res) => {
+  try {
+    const account = await findAccount(req);
+    
+    if (!account) {
+      return res.status(404).json({ message: 'No CalDAV calendar connected' });
+    }
+    
+    const sync = await caldavService.syncAccount(account);
+    
+    res.json({
+      message: 'CalDAV calendar synced successfully',
+      sync
+    });
+  } catch (error) {
+    if (error.name === 'CalDavError') {
+      return res.status(502).json({ message: error.message });
+    }
+    
+    logger.error(`Error syncing CalDAV account: ${error.message}`);
+    res.status(500).json({ message: 'Error syncing CalDAV calendar', error: error.message });
+  }
+};
+
+/**
+ * List the sync state of each event written to the CalDAV calendar, optionally
+ * filtered by `status` (e.g. conflict)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getEvents = async (req, res) => {
+  try {
+    const { status } = req.query;
+    
+    const account = await findAccount(req);
+    
+    if (!account) {
+      return res.status(404).json({ message: 'No CalDAV calendar connected' });
+    }
+    
+    const whereClause = { accountId: account.id };
+    if (status) {
+      whereClause.status = status;
+    }
+    
+    const events = await CaldavEvent.findAll({ where: whereClause, order: [['updatedAt', 'DESC']] });
+    
+    // Deleted rehearsals show without details
+    const rehearsals = await Rehearsal.findAll({
+      where: { id: { [Op.in]: events.map(event => event.rehearsalId) } },
+      attributes: ['id', 'bandId', 'title', 'startTime', 'endTime', 'isRecurring', 'status']
+    });
+    
+    res.json(events.map(event => ({
+      ...event.toJSON(),
+      rehearsal: rehearsals.find(rehearsal => rehearsal.id === event.rehearsalId) || null
+    })));
+  } catch (error) {
+    logger.error(`Error getting CalDAV events: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving CalDAV events', error: error.message });
+  }
+};
+
+/**
+ * Settle a conflict on one event: `keep: 'local'` writes the rehearsal over the
+ * member's edit, `keep: 'remote'` keeps the edit and stops updating the event
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.resolveEvent = async (req, res) => {
+  try {
+    const account = await findAccount(req);
+    
+    if (!account) {
+      return res.status(404).json({ message: 'No CalDAV calendar connected' });
+    }
+    
+    const event = await CaldavEvent.findOne({ where: { id: req.params.eventId, accountId: account.id } });
+    
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    
+    if (!['conflict', 'ignored'].includes(event.status)) {
+      return res.status(409).json({ message: 'Event is not in conflict' });
+    }
+    
+    const resolved = await caldavService.resolveConflict(account, event, req.body.keep);
+    
+    res.json({
+      message: 'Conflict resolved successfully',
+      event: resolved
+    });
+  } catch (error) {
+    if (error.name === 'CalDavError') {
+      return res.status(502).json({ message: error.message });
+    }
+    
+    logger.error(`Error resolving CalDAV conflict: ${error.message}`);
+    res.status(500).json({ message: 'Error resolving conflict', error: error.message });
+  }
+};
\ No newline at end of file
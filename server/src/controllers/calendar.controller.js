@@ -0,0 +1,121 @@
+const { CalendarFeed, Band } = require('../models');
+const logger = require('../utils/logger');
+const calendarService = require('../services/calendar.service');
+
+/**
+ * Public base URL of the API, used in feed links
+ * @param {Object} req - Express request object
+ * @returns {String}
+ */
+const apiBaseUrl = (req) => {
+  return process.env.API_URL || `${req.protocol}://${req.get('host')}/api`;
+};
+
+/**
+ * List the current user's calendar feeds that have not been revoked
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getFeeds = async (req, res) => {
+  try {
+    const feeds = await CalendarFeed.findAll({
+      where: { userId: req.user.id, revokedAt: null },
+      include: [{ model: Band, attributes: ['id', 'name'] }],
+      order: [['createdAt', 'DESC']]
+    });
+    
+    res.json(feeds);
+  } catch (error) {
+    logger.error(`Error getting calendar feeds: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving calendar feeds', error: error.message });
+  }
+};
+
+/**
+ * Create a secret feed URL for the current user, for one band (`bandId`) or all
+ * of their bands. The URL is only shown in this response.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createFeed = async (req, res) => {
+  try {
+    const { feed, token } = await calendarService.createFeed({
+      user: req.user,
+      band: req.band,
+      name: req.body.name
+    });
+    
+    logger.info(`Calendar feed ${feed.id} created by user ${req.user.id}${req.band ? ` for band ${req.band.name}` : ''}`);
+    
+    res.status(201).json({
+      message: 'Calendar feed created successfully',
+      feed,
+      url: calendarService.feedUrl(apiBaseUrl(req), token)
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
+    logger.error(`Error creating calendar feed: ${error.message}`);
+    res.status(500).json({ message: 'Error creating calendar feed', error: error.message });
+  }
+};
+
+/**
+ * Revoke a feed. Calendar apps subscribed to its URL stop getting updates.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.revokeFeed = async (req, res) => {
+  try {
+    const feed = await CalendarFeed.findOne({ where: { id: req.params.id, revokedAt: null } });
+    
+    if (!feed) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+    
+    // Only the feed's owner or an app admin can revoke it
+    if (req.user.role !== 'admin' && req.user.id !== feed.userId) {
+      return res.status(403).json({ message: 'Not authorized to revoke this calendar feed' });
+    }
+    
+    await feed.update({ revokedAt: new Date() });
+    
+    logger.info(`Calendar feed ${feed.id} revoked by user ${req.user.id}`);
+    
+    res.json({ message: 'Calendar feed revoked successfully' });
+  } catch (error) {
+    logger.error(`Error revoking calendar feed: ${error.message}`);
+    res.status(500).json({ message: 'Error revoking calendar feed', error: error.message });
+  }
+};
+
+/**
+ * Serve a feed as iCalendar. The token in the URL is the only credential, so
+ * unknown and revoked tokens get the same 404.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getFeedCalendar = async (req, res) => {
+  try {
+    const feed = await calendarService.findByToken(req.params.token);
+    
+    if (!feed || !feed.User.isActive || (feed.Band && !feed.Band.isActive)) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+    
+    const body = await calendarService.renderFeed(feed);
+    await calendarService.touchFeed(feed);
+    
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="rehearsals.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(body);
+  } catch (error) {
+    logger.error(`Error rendering calendar feed: ${error.message}`);
+    res.status(500).json({ message: 'Error rendering calendar feed', error: error.message });
+  }
+};
\ No newline at end of file
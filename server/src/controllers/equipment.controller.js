@@ -0,0 +1,582 @@
+const { Op } = require('sequelize');
+const { Equipment, EquipmentCheckout, MaintenanceLog, MaintenancePlan, Band, Rehearsal, User, sequelize } = require('../models');
+const logger = require('../utils/logger');
+const equipmentService = require('../services/equipment.service');
+const rehearsalService = require('../services/rehearsal.service');
+const permission = require('../services/permission.service');
+const valuationService = require('../services/valuation.service');
+
+// Fields anyone who can edit the equipment may set
+const EQUIPMENT_FIELDS = [
+  'name', 'description', 'category', 'brand', 'model', 'serialNumber', 'condition', 'location', 'notes', 'imageUrl',
+  'purchaseDate', 'purchasePrice', 'currentValue', 'currency', 'usefulLifeYears', 'salvageValue'
+];
+
+/**
+ * Pick the equipment fields present in a request body. `status` may be
+ * available, maintenance or unavailable; `isAvailable` is accepted as a
+ * shorthand for the first and last.
+ * @param {Object} body - Request body
+ * @returns {Object}
+ */
+const equipmentFields = (body) => {
+  const fields = EQUIPMENT_FIELDS.reduce((result, field) => {
+    if (body[field] !== undefined) {
+      result[field] = body[field];
+    }
+    return result;
+  }, {});
+  
+  if (body.status !== undefined) {
+    fields.status = body.status;
+  } else if (body.isAvailable !== undefined) {
+    fields.status = body.isAvailable ? 'available' : 'unavailable';
+  }
+  return fields;
+};
+
+/**
+ * Include for the open checkout of each piece of equipment
+ * @returns {Object}
+ */
+const openCheckoutInclude = () => ({
+  model: EquipmentCheckout,
+  as: 'checkouts',
+  required: false,
+  where: { checkedInAt: null },
+  include: [{ model: User, as: 'holder', attributes: ['id', 'firstName', 'lastName'] }]
+});
+
+/**
+ * Shape equipment for the API with its open checkout, if any, as `checkout`
+ * @param {Object} equipment - Equipment loaded with openCheckoutInclude
+ * @param {Date} now
+ * @returns {Object}
+ */
+const equipmentView = (equipment, now = new Date()) => {
+  const { checkouts, ...details } = equipment.toJSON();
+  const checkout = (checkouts || [])[0] || null;
+  return {
+    ...details,
+    checkout: checkout ? { ...checkout, overdue: new Date(checkout.dueAt) < now } : null
+  };
+};
+
+/**
+ * List equipment the current user can see: gear of bands they are a member
+ * of and their personal gear. App admins see all equipment.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getAllEquipment = async (req, res) => {
+  try {
+    const { bandId, category, status } = req.query;
+    
+    const whereClause = {};
+    if (req.user.role !== 'admin') {
+      const bandIds = await permission.bandIdsWithRole(req.user.id, 'member');
+      whereClause[Op.or] = [
+        { bandId: { [Op.in]: bandIds } },
+        { bandId: null, ownerId: req.user.id }
+      ];
+    }
+    if (bandId) {
+      whereClause.bandId = bandId;
+    }
+    if (category) {
+      whereClause.category = { [Op.iLike]: category };
+    }
+    if (status) {
+      whereClause.status = status;
+    }
+    
+    const equipment = await Equipment.findAll({
+      where: whereClause,
+      include: [
+        { model: Band, attributes: ['id', 'name'] },
+        openCheckoutInclude()
+      ],
+      order: [['name', 'ASC']]
+    });
+    
+    res.json(equipment.map(item => equipmentView(item)));
+  } catch (error) {
+    logger.error(`Error getting equipment: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving equipment', error: error.message });
+  }
+};
+
+/**
+ * Get equipment by ID with its owner and who has it now
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getEquipmentById = async (req, res) => {
+  try {
+    const equipment = await Equipment.findByPk(req.equipment.id, {
+      include: [
+        { model: Band, attributes: ['id', 'name'] },
+        { model: User, as: 'owner', attributes: ['id', 'firstName', 'lastName'] },
+        openCheckoutInclude()
+      ]
+    });
+    
+    res.json(equipmentView(equipment));
+  } catch (error) {
+    logger.error(`Error getting equipment: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving equipment', error: error.message });
+  }
+};
+
+/**
+ * Add equipment to a band (`bandId`), or as personal gear of the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createEquipment = async (req, res) => {
+  try {
+    const { bandId, ownerId } = req.body;
+    
+    const fields = equipmentFields(req.body);
+    
+    // Personal gear always belongs to whoever adds it
+    const owner = bandId ? ownerId || null : req.user.id;
+    if (bandId && ownerId && !(await User.findByPk(ownerId, { attributes: ['id'] }))) {
+      return res.status(400).json({ message: 'Owner not found' });
+    }
+    
+    const equipment = await Equipment.create({
+      ...fields,
+      bandId: bandId || null,
+      ownerId: owner
+    });
+    
+    logger.info(`Equipment created: ${equipment.name} by user ${req.user.id}`);
+    
+    res.status(201).json({
+      message: 'Equipment created successfully',
+      equipment
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
+    logger.error(`Error creating equipment: ${error.message}`);
+    res.status(500).json({ message: 'Error creating equipment', error: error.message });
+  }
+};
+
+/**
+ * Update equipment. Moving it between bands has its own routes, and its
+ * status cannot be changed by hand while it is checked out.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateEquipment = async (req, res) => {
+  try {
+    const { equipment } = req;
+    const { ownerId } = req.body;
+    
+    const fields = equipmentFields(req.body);
+    
+    // in-use is set by check-out and check-in only
+    if (fields.status !== undefined && equipment.status === 'in-use') {
+      return res.status(409).json({ message: 'Equipment is checked out; check it in first' });
+    }
+    
+    // Band gear can change owner; personal gear stays with its owner
+    if (ownerId !== undefined && equipment.bandId) {
+      if (ownerId && !(await User.findByPk(ownerId, { attributes: ['id'] }))) {
+        return res.status(400).json({ message: 'Owner not found' });
+      }
+      fields.ownerId = ownerId || null;
+    }
+    
+    await equipment.update(fields);
+    
+    logger.info(`Equipment updated: ${equipment.id}`);
+    
+    res.json({
+      message: 'Equipment updated successfully',
+      equipment
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
+    logger.error(`Error updating equipment: ${error.message}`);
+    res.status(500).json({ message: 'Error updating equipment', error: error.message });
+  }
+};
+
+/**
+ * Delete equipment with its custody log and maintenance history. Gear that is checked out cannot be deleted.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteEquipment = async (req, res) => {
+  try {
+    const { equipment } = req;
+    
+    if (equipment.status === 'in-use') {
+      return res.status(409).json({ message: 'Equipment is checked out; check it in first' });
+    }
+    
+    await sequelize.transaction(async (transaction) => {
+      await EquipmentCheckout.destroy({ where: { equipmentId: equipment.id }, transaction });
+      await MaintenanceLog.destroy({ where: { equipmentId: equipment.id }, transaction });
+      await MaintenancePlan.destroy({ where: { equipmentId: equipment.id }, transaction });
+      await equipment.setRehearsals([], { transaction });
+      await equipment.destroy({ transaction });
+    });
+    
+    logger.info(`Equipment deleted: ${equipment.id}`);
+    
+    res.json({ message: 'Equipment deleted successfully' });
+  } catch (error) {
+    logger.error(`Error deleting equipment: ${error.message}`);
+    res.status(500).json({ message: 'Error deleting equipment', error: error.message });
+  }
+};
+
+/**
+ * List a band's equipment with who has each item now
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getBandEquipment = async (req, res) => {
+  try {
+    const { category, status } = req.query;
+    
+    const whereClause = { bandId: req.band.id };
+    if (category) {
+      whereClause.category = { [Op.iLike]: category };
+    }
+    if (status) {
+      whereClause.status = status;
+    }
+    
+    const equipment = await Equipment.findAll({
+      where: whereClause,
+      include: [
+        { model: User, as: 'owner', attributes: ['id', 'firstName', 'lastName'] },
+        openCheckoutInclude()
+      ],
+      order: [['category', 'ASC'], ['name', 'ASC']]
+    });
+    
+    res.json(equipment.map(item => equipmentView(item)));
+  } catch (error) {
+    logger.error(`Error getting band equipment: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving band equipment', error: error.message });
+  }
+};
+
+/**
+ * Move equipment into a band: personal gear by its owner, or gear of another
+ * band by someone who administers both bands
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.assignEquipmentToBand = async (req, res) => {
+  try {
+    const { band } = req;
+    
+    const equipment = await Equipment.findByPk(req.params.id);
+    
+    if (!equipment) {
+      return res.status(404).json({ message: 'Equipment not found' });
+    }
+    
+    if (equipment.bandId === band.id) {
+      return res.status(409).json({ message: 'Equipment already belongs to this band' });
+    }
+    
+    const allowed = equipment.bandId
+      ? await permission.hasBandRole(equipment.bandId, req.user, 'admin')
+      : req.user.role === 'admin' || equipment.ownerId === req.user.id;
+    if (!allowed) {
+      return res.status(403).json({ message: 'Not authorized to move this equipment' });
+    }
+    
+    if (equipment.status === 'in-use') {
+      return res.status(409).json({ message: 'Equipment is checked out; check it in first' });
+    }
+    
+    await equipment.update({ bandId: band.id });
+    
+    logger.info(`Equipment ${equipment.id} assigned to band ${band.name} by user ${req.user.id}`);
+    
+    res.status(201).json({
+      message: 'Equipment assigned to band successfully',
+      equipment
+    });
+  } catch (error) {
+    logger.error(`Error assigning equipment to band: ${error.message}`);
+    res.status(500).json({ message: 'Error assigning equipment to band', error: error.message });
+  }
+};
+
+/**
+ * Take equipment out of a band. It becomes personal gear of its owner, so
+ * gear without an owner has to stay.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.removeEquipmentFromBand = async (req, res) => {
+  try {
+    const { band } = req;
+    
+    const equipment = await Equipment.findOne({ where: { id: req.params.id, bandId: band.id } });
+    
+    if (!equipment) {
+      return res.status(404).json({ message: 'Equipment not found in this band' });
+    }
+    
+    if (!equipment.ownerId) {
+      return res.status(400).json({ message: 'Equipment without an owner cannot leave its band' });
+    }
+    
+    if (equipment.status === 'in-use') {
+      return res.status(409).json({ message: 'Equipment is checked out; check it in first' });
+    }
+    
+    await equipment.update({ bandId: null });
+    
+    logger.info(`Equipment ${equipment.id} removed from band ${band.name} by user ${req.user.id}`);
+    
+    res.json({
+      message: 'Equipment removed from band successfully',
+      equipment
+    });
+  } catch (error) {
+    logger.error(`Error removing equipment from band: ${error.message}`);
+    res.status(500).json({ message: 'Error removing equipment from band', error: error.message });
+  }
+};
+
+/**
+ * Check equipment out to a member (`holderId`), a rehearsal (`rehearsalId`)
+ * or both. Band gear only goes to the band's members and rehearsals. It is
+ * due back at `dueAt`, or by default when the rehearsal (its next occurrence,
+ * for a series) ends.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.checkOutEquipment = async (req, res) => {
+  try {
+    const { holderId, rehearsalId, dueAt, condition, notes } = req.body;
+    
+    const { equipment } = req;
+    
+    if (holderId) {
+      const holder = await User.findByPk(holderId, { attributes: ['id'] });
+      const isMember = holder && (!equipment.bandId || await permission.getBandRole(equipment.bandId, holderId));
+      if (!isMember) {
+        return res.status(400).json({ message: 'Equipment can only be checked out to a member of its band' });
+      }
+    }
+    
+    let rehearsal = null;
+    if (rehearsalId) {
+      rehearsal = await Rehearsal.findByPk(rehearsalId);
+      if (!rehearsal) {
+        return res.status(400).json({ message: 'Rehearsal not found' });
+      }
+      const inBand = equipment.bandId
+        ? rehearsal.bandId === equipment.bandId
+        : await permission.hasBandRole(rehearsal.bandId, req.user, 'member');
+      if (!inBand) {
+        return res.status(400).json({ message: 'Rehearsal is not in the equipment\'s band' });
+      }
+    }
+    
+    let due = dueAt ? new Date(dueAt) : null;
+    if (!due) {
+      // A one-off rehearsal is returned even once it is over, so check its end too
+      const now = new Date();
+      const next = (await rehearsalService.occurrencesToCheck(rehearsal, { now }))
+        .find(occurrence => occurrence.endTime > now);
+      if (!next) {
+        return res.status(400).json({ message: 'Rehearsal has no upcoming occurrences; give a due date' });
+      }
+      due = new Date(next.endTime);
+    }
+    
+    const checkout = await equipmentService.checkOut(equipment, {
+      holderId: holderId || null,
+      rehearsal,
+      dueAt: due,
+      condition,
+      notes,
+      user: req.user
+    });
+    
+    if (!checkout) {
+      return res.status(409).json({ message: `Equipment is not available (${equipment.status})` });
+    }
+    
+    equipmentService.broadcast(req.io, equipment, checkout, 'equipment-checked-out');
+    
+    logger.info(`Equipment ${equipment.id} checked out by user ${req.user.id} until ${due.toISOString()}`);
+    
+    res.status(201).json({
+      message: 'Equipment checked out successfully',
+      checkout: await equipmentService.currentCheckout(equipment.id)
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
+    logger.error(`Error checking out equipment: ${error.message}`);
+    res.status(500).json({ message: 'Error checking out equipment', error: error.message });
+  }
+};
+
+/**
+ * Check equipment back in, recording its condition. `status` sends it to
+ * maintenance or takes it out of use instead of making it available again.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.checkInEquipment = async (req, res) => {
+  try {
+    const { condition, notes, status } = req.body;
+    
+    const { equipment } = req;
+    
+    const checkout = await equipmentService.currentCheckout(equipment.id);
+    
+    if (!checkout) {
+      return res.status(409).json({ message: 'Equipment is not checked out' });
+    }
+    
+    const closed = await equipmentService.checkIn(equipment, checkout, {
+      condition,
+      notes,
+      status,
+      user: req.user
+    });
+    
+    if (!closed) {
+      return res.status(409).json({ message: 'Equipment was already checked in' });
+    }
+    
+    equipmentService.broadcast(req.io, equipment, checkout, 'equipment-checked-in');
+    
+    const late = new Date(checkout.dueAt) < checkout.checkedInAt;
+    logger.info(`Equipment ${equipment.id} checked in by user ${req.user.id}${late ? ' (late)' : ''}`);
+    
+    res.json({
+      message: 'Equipment checked in successfully',
+      checkout,
+      equipment
+    });
+  } catch (error) {
+    logger.error(`Error checking in equipment: ${error.message}`);
+    res.status(500).json({ message: 'Error checking in equipment', error: error.message });
+  }
+};
+
+/**
+ * Custody log of a piece of equipment: every checkout, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getCustodyLog = async (req, res) => {
+  try {
+    const checkouts = await equipmentService.custodyLog(req.equipment.id);
+    
+    res.json(checkouts);
+  } catch (error) {
+    logger.error(`Error getting custody log: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving custody log', error: error.message });
+  }
+};
+
+/**
+ * Booking calendar of a piece of equipment. Rehearsals of bands the user is
+ * not in only show as busy time.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getEquipmentSchedule = async (req, res) => {
+  try {
+    const { equipment } = req;
+    
+    const rangeStart = req.query.startDate ? new Date(req.query.startDate) : new Date();
+    const rangeEnd = req.query.endDate
+      ? new Date(req.query.endDate)
+      : new Date(rangeStart.getTime() + 30 * 24 * 60 * 60 * 1000);
+    
+    if (rangeEnd <= rangeStart) {
+      return res.status(400).json({ message: 'End date must be after start date' });
+    }
+    
+    const bandIds = await permission.bandIdsWithRole(req.user.id);
+    const { bookings, checkouts } = await equipmentService.scheduleOf(equipment, rangeStart, rangeEnd, bandIds);
+    
+    res.json({
+      equipment: { id: equipment.id, name: equipment.name, status: equipment.status, bandId: equipment.bandId },
+      startDate: rangeStart,
+      endDate: rangeEnd,
+      bookings,
+      checkouts
+    });
+  } catch (error) {
+    logger.error(`Error getting equipment schedule: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving equipment schedule', error: error.message });
+  }
+};
+
+/**
+ * Gear checked out for a band that is past its due date
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getOverdueEquipment = async (req, res) => {
+  try {
+    const now = new Date();
+    const checkouts = await equipmentService.overdueForBand(req.band.id, now);
+    
+    res.json(checkouts.map(checkout => ({
+      ...checkout.toJSON(),
+      hoursOverdue: Math.floor((now - new Date(checkout.dueAt)) / (60 * 60 * 1000))
+    })));
+  } catch (error) {
+    logger.error(`Error getting overdue equipment: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving overdue equipment', error: error.message });
+  }
+};
+
+/**
+ * Inventory valuation of a band's gear with straight-line depreciation and
+ * totals by category and owner, as JSON or as a CSV or PDF download
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getValuationReport = async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    
+    const report = await valuationService.bandValuation(req.band, { asOf });
+    
+    if (format === 'json') {
+      return res.json(report);
+    }
+    
+    const filename = `inventory-valuation-${asOf.toISOString().slice(0, 10)}.${format}`;
+    res.set({
+      'Content-Type': format === 'pdf' ? 'application/pdf' : 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(format === 'pdf' ? valuationService.toPdf(report) : valuationService.toCsv(report));
+  } catch (error) {
+    logger.error(`Error building valuation report: ${error.message}`);
+    res.status(500).json({ message: 'Error building valuation report', error: error.message });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,262 @@
+const { ExternalCalendar, BusyBlock, sequelize } = require('../models');
+const logger = require('../utils/logger');
+const calendarImport = require('../services/calendarImport.service');
+
+/**
+ * Import a document into a calendar that was just created. A document that is
+ * not a calendar removes the calendar again, so nothing half-made is left behind.
+ * @param {Object} calendar - New ExternalCalendar instance
+ * @param {String} text - iCalendar document
+ * @param {Object} user - Calendar owner
+ * @returns {Promise<Number>} Number of busy blocks imported
+ */
+const importNew = async (calendar, text, user) => {
+  try {
+    return await calendarImport.syncCalendar(calendar, text, { zone: user.timezone });
+  } catch (error) {
+    await calendar.destroy();
+    throw error;
+  }
+};
+
+/**
+ * Find one of the current user's calendars
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>}
+ */
+const findOwnCalendar = (req) => {
+  return ExternalCalendar.findOne({ where: { id: req.params.id, userId: req.user.id } });
+};
+
+/**
+ * Raw request body of an .ics upload
+ * @param {Object} req - Express request object
+ * @returns {String|null}
+ */
+const uploadedText = (req) => {
+  return typeof req.body === 'string' && req.body.trim() ? req.body : null;
+};
+
+/**
+ * List the current user's external calendars
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getCalendars = async (req, res) => {
+  try {
+    const calendars = await ExternalCalendar.findAll({
+      where: { userId: req.user.id },
+      order: [['createdAt', 'ASC']]
+    });
+    
+    res.json(calendars);
+  } catch (error) {
+    logger.error(`Error getting external calendars: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving calendars', error: error.message });
+  }
+};
+
+/**
+ * Subscribe to an ICS URL (http, https or webcal). The calendar is fetched
+ * right away and then refreshed in the background.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.addCalendar = async (req, res) => {
+  try {
+    const { name, url } = req.body;
+    
+    const text = await calendarImport.fetchCalendar(url);
+    const calendar = await ExternalCalendar.create({ userId: req.user.id, name: name || 'My calendar', url });
+    const imported = await importNew(calendar, text, req.user);
+    
+    logger.info(`External calendar ${calendar.id} added for user ${req.user.id} (${imported} busy blocks)`);
+    
+    res.status(201).json({
+      message: 'Calendar added successfully',
+      calendar
+    });
+  } catch (error) {
+    if (error.name === 'CalendarImportError') {
+      return res.status(400).json({ message: error.message });
+    }
+    
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
+    logger.error(`Error adding external calendar: ${error.message}`);
+    res.status(500).json({ message: 'Error adding calendar', error: error.message });
+  }
+};
+
+/**
+ * Import an uploaded .ics file as a new calendar. The file is the raw request
+ * body; its label comes from `?name=`.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.uploadCalendar = async (req, res) => {
+  try {
+    const text = uploadedText(req);
+    
+    if (!text) {
+      return res.status(400).json({ message: 'Send the .ics file as the request body' });
+    }
+    
+    const calendar = await ExternalCalendar.create({ userId: req.user.id, name: req.query.name || 'Uploaded calendar' });
+    const imported = await importNew(calendar, text, req.user);
+    
+    logger.info(`External calendar ${calendar.id} uploaded by user ${req.user.id} (${imported} busy blocks)`);
+    
+    res.status(201).json({
+      message: 'Calendar imported successfully',
+      calendar
+    });
+  } catch (error) {
+    if (error.name === 'CalendarImportError') {
+      return res.status(400).json({ message: error.message });
+    }
+    
+    logger.error(`Error uploading external calendar: ${error.message}`);
+    res.status(500).json({ message: 'Error importing calendar', error: error.message });
+  }
+};
+
+/**
+ * Replace an uploaded calendar with a newer export of the same calendar
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.replaceUpload = async (req, res) => {
+  try {
+    const text = uploadedText(req);
+    
+    if (!text) {
+      return res.status(400).json({ message: 'Send the .ics file as the request body' });
+    }
+    
+    const calendar = await findOwnCalendar(req);
+    
+    if (!calendar) {
+      return res.status(404).json({ message: 'Calendar not found' });
+    }
+    
+    if (calendar.source === 'caldav') {
+      return res.status(400).json({ message: 'This calendar is managed by your CalDAV connection' });
+    }
+    
+    if (calendar.url) {
+      return res.status(400).json({ message: 'This calendar is synced from its URL' });
+    }
+    
+    await calendarImport.syncCalendar(calendar, text, { zone: req.user.timezone });
+    
+    res.json({
+      message: 'Calendar imported successfully',
+      calendar
+    });
+  } catch (error) {
+    if (error.name === 'CalendarImportError') {
+      return res.status(400).json({ message: error.message });
+    }
+    
+    logger.error(`Error replacing external calendar: ${error.message}`);
+    res.status(500).json({ message: 'Error importing calendar', error: error.message });
+  }
+};
+
+/**
+ * Fetch a subscribed calendar now instead of waiting for the background sync
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.syncCalendar = async (req, res) => {
+  try {
+    const calendar = await findOwnCalendar(req);
+    
+    if (!calendar) {
+      return res.status(404).json({ message: 'Calendar not found' });
+    }
+    
+    if (calendar.source === 'caldav') {
+      return res.status(400).json({ message: 'This calendar is managed by your CalDAV connection' });
+    }
+    
+    if (!calendar.url) {
+      return res.status(400).json({ message: 'Upload a new file to refresh this calendar' });
+    }
+    
+    await calendarImport.refreshCalendar(calendar, { zone: req.user.timezone });
+    
+    res.json({
+      message: 'Calendar synced successfully',
+      calendar
+    });
+  } catch (error) {
+    if (error.name === 'CalendarImportError') {
+      // The failure is recorded on the calendar; the last good import stays in place
+      return res.status(502).json({ message: error.message });
+    }
+    
+    logger.error(`Error syncing external calendar: ${error.message}`);
+    res.status(500).json({ message: 'Error syncing calendar', error: error.message });
+  }
+};
+
+/**
+ * Remove a calendar and the busy time imported from it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteCalendar = async (req, res) => {
+  try {
+    const calendar = await findOwnCalendar(req);
+    
+    if (!calendar) {
+      return res.status(404).json({ message: 'Calendar not found' });
+    }
+    
+    if (calendar.source === 'caldav') {
+      return res.status(400).json({ message: 'This calendar is managed by your CalDAV connection' });
+    }
+    
+    await sequelize.transaction(async (transaction) => {
+      await BusyBlock.destroy({ where: { externalCalendarId: calendar.id }, transaction });
+      await calendar.destroy({ transaction });
+    });
+    
+    logger.info(`External calendar ${calendar.id} removed by user ${req.user.id}`);
+    
+    res.json({ message: 'Calendar removed successfully' });
+  } catch (error) {
+    logger.error(`Error deleting external calendar: ${error.message}`);
+    res.status(500).json({ message: 'Error removing calendar', error: error.message });
+  }
+};
+
+/**
+ * Get the current user's imported busy time, with event titles. Defaults to
+ * blocks that have not ended yet.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getBusy = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    
+    const blocks = await BusyBlock.findAll({
+      where: {
+        userId: req.user.id,
+        ...BusyBlock.overlappingRange(startDate ? new Date(startDate) : new Date(), endDate ? new Date(endDate) : null)
+      },
+      include: [{ model: ExternalCalendar, attributes: ['id', 'name'] }],
+      order: [['startsAt', 'ASC']]
+    });
+    
+    res.json(blocks);
+  } catch (error) {
+    logger.error(`Error getting busy time: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving busy time', error: error.message });
+  }
+};
\ No newline at end of file
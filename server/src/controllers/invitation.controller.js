@@ -0,0 +1,200 @@
+const { User, BandInvitation } = require('../models');
+const logger = require('../utils/logger');
+const invitationService = require('../services/invitation.service');
+
+/**
+ * Invite someone to a band by email
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createInvitation = async (req, res) => {
+  try {
+    const { email, role, message } = req.body;
+    
+    const { band } = req;
+    
+    const existingUser = await User.findOne({ where: { email: email.trim().toLowerCase() } });
+    if (existingUser && await band.hasMember(existingUser)) {
+      return res.status(409).json({ message: 'This person is already a member of the band' });
+    }
+    
+    const { invitation } = await invitationService.createInvitation({
+      band,
+      email,
+      role,
+      message,
+      inviter: req.user
+    });
+    
+    logger.info(`Invitation ${invitation.id} to band ${band.name} sent to ${invitation.email} by user ${req.user.id}`);
+    
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      invitation
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
+    logger.error(`Error creating invitation: ${error.message}`);
+    res.status(500).json({ message: 'Error creating invitation', error: error.message });
+  }
+};
+
+/**
+ * List a band's invitations. Defaults to pending invitations that have not expired.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getBandInvitations = async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    
+    const { band } = req;
+    
+    const whereClause = { bandId: band.id };
+    if (status !== 'all') {
+      whereClause.status = status === 'expired' ? 'pending' : status;
+    }
+    
+    const invitations = (await BandInvitation.findAll({
+      where: whereClause,
+      include: [{ model: User, as: 'inviter', attributes: ['id', 'firstName', 'lastName'] }],
+      order: [['createdAt', 'DESC']]
+    })).filter((invitation) => {
+      if (status === 'pending') return invitation.isOpen();
+      if (status === 'expired') return !invitation.isOpen();
+      return true;
+    });
+    
+    res.json(invitations);
+  } catch (error) {
+    logger.error(`Error getting band invitations: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving invitations', error: error.message });
+  }
+};
+
+/**
+ * Revoke a pending invitation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const { band } = req;
+    const { invitationId } = req.params;
+    
+    const invitation = await BandInvitation.findOne({ where: { id: invitationId, bandId: band.id } });
+    
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+    
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ message: `Invitation has already been ${invitation.status}` });
+    }
+    
+    await invitation.update({ status: 'revoked', respondedAt: new Date() });
+    
+    logger.info(`Invitation ${invitation.id} to band ${band.name} revoked by user ${req.user.id}`);
+    
+    res.json({ message: 'Invitation revoked successfully', invitation });
+  } catch (error) {
+    logger.error(`Error revoking invitation: ${error.message}`);
+    res.status(500).json({ message: 'Error revoking invitation', error: error.message });
+  }
+};
+
+/**
+ * Look up an invitation from its link, so the invitee can see what they are
+ * joining and whether they need to register first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getInvitation = async (req, res) => {
+  try {
+    const invitation = await invitationService.findByToken(req.params.token);
+    
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+    
+    const hasAccount = (await User.count({ where: { email: invitation.email } })) > 0;
+    
+    res.json({
+      band: invitation.Band,
+      inviter: invitation.inviter,
+      email: invitation.email,
+      role: invitation.role,
+      message: invitation.message,
+      status: invitation.isOpen() ? 'pending' : (invitation.status === 'pending' ? 'expired' : invitation.status),
+      expiresAt: invitation.expiresAt,
+      hasAccount
+    });
+  } catch (error) {
+    logger.error(`Error getting invitation: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving invitation', error: error.message });
+  }
+};
+
+/**
+ * Accept an invitation as the logged-in user, joining the band with the invited role
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const invitation = await invitationService.findByToken(req.params.token);
+    
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+    
+    if (invitation.email !== req.user.email.toLowerCase()) {
+      return res.status(403).json({ message: 'This invitation was sent to a different email address' });
+    }
+    
+    if (!(await invitationService.acceptInvitation(invitation, req.user))) {
+      return res.status(410).json({ message: 'This invitation has expired or was already answered' });
+    }
+    
+    logger.info(`User ${req.user.id} accepted invitation ${invitation.id} to band ${invitation.Band.name}`);
+    
+    res.json({
+      message: 'Invitation accepted successfully',
+      band: invitation.Band,
+      role: invitation.role
+    });
+  } catch (error) {
+    logger.error(`Error accepting invitation: ${error.message}`);
+    res.status(500).json({ message: 'Error accepting invitation', error: error.message });
+  }
+};
+
+/**
+ * Decline an invitation. The link alone is enough, so people without an
+ * account can decline too.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.declineInvitation = async (req, res) => {
+  try {
+    const invitation = await invitationService.findByToken(req.params.token);
+    
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+    
+    if (!(await invitationService.declineInvitation(invitation))) {
+      return res.status(410).json({ message: 'This invitation has expired or was already answered' });
+    }
+    
+    logger.info(`Invitation ${invitation.id} to band ${invitation.Band.name} declined`);
+    
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    logger.error(`Error declining invitation: ${error.message}`);
+    res.status(500).json({ message: 'Error declining invitation', error: error.message });
+  }
+};
\ No newline at end of file
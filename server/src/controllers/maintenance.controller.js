@@ -0,0 +1,226 @@
+const { MaintenancePlan } = require('../models');
+const logger = require('../utils/logger');
+const maintenanceService = require('../services/maintenance.service');
+const permission = require('../services/permission.service');
+
+// Fields of a maintenance plan that can be set through the API
+const PLAN_FIELDS = [
+  'name', 'description', 'intervalCount', 'intervalUnit', 'leadDays', 'lastCompletedAt', 'nextDueAt', 'isActive'
+];
+
+// Dates of a plan, given as ISO strings
+const PLAN_DATES = ['lastCompletedAt', 'nextDueAt'];
+
+/**
+ * Pick the plan fields present in a request body
+ * @param {Object} body - Request body
+ * @returns {Object}
+ */
+const planFields = (body) => {
+  return PLAN_FIELDS.reduce((result, field) => {
+    if (body[field] !== undefined) {
+      result[field] = PLAN_DATES.includes(field) && body[field] !== null ? new Date(body[field]) : body[field];
+    }
+    return result;
+  }, {});
+};
+
+/**
+ * Find a plan of the equipment in the route
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>}
+ */
+const findPlan = (req) => {
+  return MaintenancePlan.findOne({ where: { id: req.params.planId, equipmentId: req.equipment.id } });
+};
+
+/**
+ * Shape a plan for the API with its overdue flag
+ * @param {Object} plan - MaintenancePlan instance
+ * @param {Date} now
+ * @returns {Object}
+ */
+const planView = (plan, now = new Date()) => ({ ...plan.toJSON(), overdue: plan.isOverdue(now) });
+
+/**
+ * Maintenance plans and log of a piece of equipment
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getMaintenance = async (req, res) => {
+  try {
+    const { equipment } = req;
+    
+    const { plans, log } = await maintenanceService.maintenanceOf(equipment.id);
+    
+    res.json({
+      equipment: {
+        id: equipment.id,
+        name: equipment.name,
+        status: equipment.status,
+        lastMaintenanceDate: equipment.lastMaintenanceDate,
+        nextMaintenanceDate: equipment.nextMaintenanceDate
+      },
+      plans: plans.map(plan => planView(plan)),
+      log
+    });
+  } catch (error) {
+    logger.error(`Error getting maintenance: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving maintenance', error: error.message });
+  }
+};
+
+/**
+ * Set up a recurring maintenance plan, e.g. "restring every 6 weeks"
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createPlan = async (req, res) => {
+  try {
+    const plan = await maintenanceService.createPlan(req.equipment, planFields(req.body), req.user);
+    
+    logger.info(`Maintenance plan ${plan.id} created for equipment ${req.equipment.id} by user ${req.user.id}`);
+    
+    res.status(201).json({
+      message: 'Maintenance plan created successfully',
+      plan: planView(plan)
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
+    logger.error(`Error creating maintenance plan: ${error.message}`);
+    res.status(500).json({ message: 'Error creating maintenance plan', error: error.message });
+  }
+};
+
+/**
+ * Change a maintenance plan. A new interval is counted from the last time the
+ * plan was completed unless nextDueAt is given.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updatePlan = async (req, res) => {
+  try {
+    const plan = await findPlan(req);
+    if (!plan) {
+      return res.status(404).json({ message: 'Maintenance plan not found' });
+    }
+    
+    await maintenanceService.updatePlan(plan, planFields(req.body));
+    
+    res.json({
+      message: 'Maintenance plan updated successfully',
+      plan: planView(plan)
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
+    logger.error(`Error updating maintenance plan: ${error.message}`);
+    res.status(500).json({ message: 'Error updating maintenance plan', error: error.message });
+  }
+};
+
+/**
+ * Delete a maintenance plan; the work already logged against it is kept
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deletePlan = async (req, res) => {
+  try {
+    const plan = await findPlan(req);
+    if (!plan) {
+      return res.status(404).json({ message: 'Maintenance plan not found' });
+    }
+    
+    await maintenanceService.deletePlan(plan);
+    
+    logger.info(`Maintenance plan ${plan.id} deleted by user ${req.user.id}`);
+    
+    res.json({ message: 'Maintenance plan deleted successfully' });
+  } catch (error) {
+    logger.error(`Error deleting maintenance plan: ${error.message}`);
+    res.status(500).json({ message: 'Error deleting maintenance plan', error: error.message });
+  }
+};
+
+/**
+ * Log maintenance that was done, with its cost and notes. Naming a plan
+ * completes it and moves its next due date on by one interval.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.recordMaintenance = async (req, res) => {
+  try {
+    const { planId, performedAt, summary, notes, cost, currency, status } = req.body;
+    
+    const { equipment } = req;
+    
+    let plan = null;
+    if (planId) {
+      plan = await MaintenancePlan.findOne({ where: { id: planId, equipmentId: equipment.id } });
+      if (!plan) {
+        return res.status(404).json({ message: 'Maintenance plan not found' });
+      }
+    }
+    
+    if (status && equipment.status === 'in-use') {
+      return res.status(409).json({ message: 'Equipment is checked out; check it in first' });
+    }
+    
+    const entry = await maintenanceService.recordMaintenance(equipment, {
+      plan,
+      performedAt: performedAt ? new Date(performedAt) : new Date(),
+      summary: summary || plan.name,
+      notes,
+      cost,
+      currency,
+      status,
+      user: req.user
+    });
+    
+    logger.info(`Maintenance logged for equipment ${equipment.id} by user ${req.user.id}${plan ? ` (plan ${plan.id})` : ''}`);
+    
+    res.status(201).json({
+      message: 'Maintenance recorded successfully',
+      entry,
+      plan: plan ? planView(plan) : null,
+      equipment: {
+        id: equipment.id,
+        status: equipment.status,
+        lastMaintenanceDate: equipment.lastMaintenanceDate,
+        nextMaintenanceDate: equipment.nextMaintenanceDate
+      }
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
+    logger.error(`Error recording maintenance: ${error.message}`);
+    res.status(500).json({ message: 'Error recording maintenance', error: error.message });
+  }
+};
+
+/**
+ * A band's gear with maintenance overdue or due within `days` days (14 by
+ * default), and the rehearsals it is booked for once overdue
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getBandMaintenanceDue = async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : 14;
+    
+    const bandIds = await permission.bandIdsWithRole(req.user.id);
+    const plans = await maintenanceService.dueForBand(req.band, { days, bandIds });
+    
+    res.json(plans);
+  } catch (error) {
+    logger.error(`Error getting maintenance due: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving maintenance due', error: error.message });
+  }
+};
\ No newline at end of file
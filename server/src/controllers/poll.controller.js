@@ -0,0 +1,305 @@
+const { Poll, PollOption, Rehearsal, Venue, sequelize } = require('../models');
+const logger = require('../utils/logger');
+const pollService = require('../services/poll.service');
+const rehearsalService = require('../services/rehearsal.service');
+const conflictService = require('../services/conflict.service');
+const venueService = require('../services/venue.service');
+
+/**
+ * IDs of a band's current members
+ * @param {Object} band - Band instance
+ * @returns {Promise<Array<String>>}
+ */
+const memberIdsOf = async (band) => {
+  const members = await band.getMembers({ attributes: ['id'], joinTableAttributes: [] });
+  return members.map(member => member.id);
+};
+
+/**
+ * Shape a poll for the API: its details, the tallied options and the
+ * current user's own answers
+ * @param {Object} poll - Poll loaded with pollService.loadPoll
+ * @param {Object} result - Tally from pollService.tally
+ * @param {String} userId - Current user
+ * @returns {Object}
+ */
+const pollView = (poll, result, userId) => {
+  const { options, ...details } = poll.toJSON();
+  
+  const myVotes = {};
+  options.forEach((option) => {
+    const vote = option.votes.find(candidate => candidate.userId === userId);
+    if (vote) {
+      myVotes[option.id] = vote.answer;
+    }
+  });
+  
+  return {
+    ...details,
+    status: result.status,
+    voters: result.voters,
+    pending: result.pending,
+    leadingOptionId: result.leadingOptionId,
+    options: result.options,
+    myVotes
+  };
+};
+
+/**
+ * Open a poll on candidate time slots. Options can be posted straight from the
+ * suggestedTimes of the optimal-times search.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createPoll = async (req, res) => {
+  try {
+    const { title, description, location, closesAt, options } = req.body;
+    
+    const { band } = req;
+    
+    const created = await Poll.create({
+      bandId: band.id,
+      title,
+      description,
+      location: location || band.defaultLocation,
+      closesAt: closesAt ? new Date(closesAt) : null,
+      createdBy: req.user.id,
+      options: options.map(option => ({
+        startTime: new Date(option.startTime),
+        endTime: new Date(option.endTime)
+      }))
+    }, {
+      include: [{ model: PollOption, as: 'options' }]
+    });
+    
+    const poll = await pollService.loadPoll(created.id);
+    const result = pollService.tally(poll, await memberIdsOf(band));
+    pollService.broadcast(req.io, poll, result, 'poll-created');
+    
+    logger.info(`Poll ${poll.id} with ${options.length} options opened for band ${band.name} by user ${req.user.id}`);
+    
+    res.status(201).json({
+      message: 'Poll created successfully',
+      poll: pollView(poll, result, req.user.id)
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
+    logger.error(`Error creating poll: ${error.message}`);
+    res.status(500).json({ message: 'Error creating poll', error: error.message });
+  }
+};
+
+/**
+ * List a band's polls, newest first. Defaults to polls still open for voting.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getBandPolls = async (req, res) => {
+  try {
+    const { status = 'open' } = req.query;
+    
+    const { band } = req;
+    
+    const whereClause = { bandId: band.id };
+    if (status !== 'all') {
+      whereClause.status = status;
+    }
+    
+    const polls = await Poll.findAll({
+      where: whereClause,
+      include: [{ model: PollOption, as: 'options', attributes: ['id', 'startTime', 'endTime'] }],
+      order: [['createdAt', 'DESC'], [{ model: PollOption, as: 'options' }, 'startTime', 'ASC']]
+    });
+    
+    res.json(polls.map(poll => ({ ...poll.toJSON(), open: poll.isOpen() })));
+  } catch (error) {
+    logger.error(`Error getting band polls: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving polls', error: error.message });
+  }
+};
+
+/**
+ * Get a poll with its current tally
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getPoll = async (req, res) => {
+  try {
+    const { poll, band } = req;
+    
+    const result = pollService.tally(poll, await memberIdsOf(band));
+    
+    res.json(pollView(poll, result, req.user.id));
+  } catch (error) {
+    logger.error(`Error getting poll: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving poll', error: error.message });
+  }
+};
+
+/**
+ * Answer yes, if-need-be or no for one or more options of a poll.
+ * Answering an option again replaces the earlier answer.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.votePoll = async (req, res) => {
+  try {
+    const { votes } = req.body;
+    
+    const { band } = req;
+    
+    if (!req.poll.isOpen()) {
+      return res.status(410).json({ message: 'This poll is no longer open for voting' });
+    }
+    
+    if (!(await pollService.castVotes(req.poll, req.user.id, votes))) {
+      return res.status(400).json({ message: 'Votes must be for options of this poll' });
+    }
+    
+    const poll = await pollService.loadPoll(req.poll.id);
+    const result = pollService.tally(poll, await memberIdsOf(band));
+    pollService.broadcast(req.io, poll, result);
+    
+    res.json({
+      message: 'Vote recorded successfully',
+      poll: pollView(poll, result, req.user.id)
+    });
+  } catch (error) {
+    logger.error(`Error voting on poll: ${error.message}`);
+    res.status(500).json({ message: 'Error recording vote', error: error.message });
+  }
+};
+
+/**
+ * Close a poll on the leading option, or on `optionId` when given. With
+ * `createRehearsal`, the winning slot becomes a rehearsal: every member is
+ * invited and voters' answers become their RSVPs. The rehearsal books `venueId`
+ * (or the band's usual room), which must be open and free. `strict` refuses to
+ * create the rehearsal (and leaves the poll open) when members are already booked.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.closePoll = async (req, res) => {
+  try {
+    const { optionId, createRehearsal, title, venueId, strict } = req.body;
+    
+    const { poll, band } = req;
+    
+    if (poll.status !== 'open') {
+      return res.status(409).json({ message: `Poll has already been ${poll.status}` });
+    }
+    
+    const memberIds = await memberIdsOf(band);
+    const result = pollService.tally(poll, memberIds);
+    const winnerId = optionId || result.leadingOptionId;
+    const winner = result.options.find(option => option.id === winnerId);
+    
+    if (optionId && !winner) {
+      return res.status(400).json({ message: 'Option is not part of this poll' });
+    }
+    
+    if (createRehearsal && !winner) {
+      return res.status(400).json({ message: 'Nobody can make any of the options; pick one with optionId' });
+    }
+    
+    let rehearsal = null;
+    let conflicts = null;
+    if (createRehearsal) {
+      const roomId = venueId !== undefined ? venueId : band.defaultVenueId;
+      const venue = roomId ? await Venue.findOne({ where: { id: roomId, isActive: true } }) : null;
+      if (roomId && !venue) {
+        return res.status(400).json({ message: 'Venue not found' });
+      }
+      
+      rehearsal = Rehearsal.build({
+        bandId: band.id,
+        title: title || poll.title,
+        description: poll.description,
+        location: poll.location || (venue ? venue.name : band.defaultLocation),
+        venueId: venue ? venue.id : null,
+        startTime: new Date(winner.startTime),
+        endTime: new Date(winner.endTime),
+        timezone: req.user.timezone,
+        createdBy: req.user.id
+      });
+      
+      // Closing a poll is for band admins, so blackout reasons are left in
+      conflicts = await conflictService.checkRehearsal(rehearsal, memberIds);
+      if (strict && conflicts.hasConflicts) {
+        return res.status(409).json({
+          message: 'Some members are already booked at this time',
+          conflicts
+        });
+      }
+    }
+    
+    const closed = await sequelize.transaction(async (transaction) => {
+      if (!(await pollService.closePoll(poll, winner ? winner.id : null, { transaction }))) {
+        return false;
+      }
+      
+      if (rehearsal) {
+        await venueService.reserve(rehearsal, { transaction });
+        await rehearsal.save({ transaction });
+        await rehearsalService.inviteBandMembers(rehearsal, band, { rsvps: pollService.rsvpsFor(winner), transaction });
+        await poll.update({ rehearsalId: rehearsal.id }, { transaction });
+      }
+      return true;
+    });
+    
+    if (!closed) {
+      return res.status(409).json({ message: 'Poll is no longer open' });
+    }
+    
+    const final = pollService.tally(poll, memberIds);
+    pollService.broadcast(req.io, poll, final, 'poll-closed');
+    
+    logger.info(`Poll ${poll.id} closed by user ${req.user.id}${rehearsal ? `, rehearsal ${rehearsal.id} created` : ''}`);
+    
+    res.json({
+      message: rehearsal ? 'Poll closed and rehearsal created' : 'Poll closed successfully',
+      poll: pollView(poll, final, req.user.id),
+      winner: winner || null,
+      rehearsal,
+      conflicts
+    });
+  } catch (error) {
+    if (error.name === 'RoomUnavailableError') {
+      return res.status(409).json({ message: 'The room is not available at this time', room: error.report });
+    }
+    
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
+    logger.error(`Error closing poll: ${error.message}`);
+    res.status(500).json({ message: 'Error closing poll', error: error.message });
+  }
+};
+
+/**
+ * Cancel an open poll without picking a slot
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.cancelPoll = async (req, res) => {
+  try {
+    const { poll } = req;
+    
+    if (!(await pollService.closePoll(poll, null, { status: 'cancelled' }))) {
+      return res.status(409).json({ message: 'Poll is no longer open' });
+    }
+    
+    pollService.broadcast(req.io, poll, pollService.tally(poll, await memberIdsOf(req.band)), 'poll-closed');
+    
+    logger.info(`Poll ${poll.id} cancelled by user ${req.user.id}`);
+    
+    res.json({ message: 'Poll cancelled successfully' });
+  } catch (error) {
+    logger.error(`Error cancelling poll: ${error.message}`);
+    res.status(500).json({ message: 'Error cancelling poll', error: error.message });
+  }
+};
\ No newline at end of file
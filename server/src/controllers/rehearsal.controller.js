@@ -0,0 +1,868 @@
+const { Rehearsal, Band, User, UserRehearsal, Venue, Equipment, RehearsalEquipment, sequelize } = require('../models');
+const logger = require('../utils/logger');
+const { Op } = require('sequelize');
+const recurrence = require('../services/recurrence.service');
+const rehearsalService = require('../services/rehearsal.service');
+const emailService = require('../services/email.service');
+const permission = require('../services/permission.service');
+const conflictService = require('../services/conflict.service');
+const venueService = require('../services/venue.service');
+const equipmentService = require('../services/equipment.service');
+
+const ATTENDEE_INCLUDE = {
+  model: User,
+  as: 'attendees',
+  attributes: ['id', 'firstName', 'lastName', 'email'],
+  through: { attributes: ['status', 'note', 'respondedAt', 'attendance', 'attendanceNote'] }
+};
+
+/**
+ * Resolve the recurrence rule from the request body
+ * @param {Object} body - Request body
+ * @returns {String|null} RRULE string
+ * @throws {Error} When the rule is invalid
+ */
+const ruleFromBody = (body) => {
+  if (body.recurrenceRule) {
+    return recurrence.formatRRule(recurrence.parseRRule(body.recurrenceRule));
+  }
+  if (body.recurringPattern) {
+    return recurrence.formatRRule(recurrence.parseRRule(recurrence.patternToRRule(body.recurringPattern)));
+  }
+  return null;
+};
+
+/**
+ * Email attendees who have not declined. Recipients are looked up right away
+ * (before any rows are deleted); delivery and its retries continue in the
+ * background so the response is not held up.
+ * @param {String} rehearsalId - Rehearsal whose attendees are notified
+ * @param {String} template - Email template name
+ * @param {Object} data - Template data
+ * @returns {Promise<void>}
+ */
+const notifyAttendees = async (rehearsalId, template, data) => {
+  const recipients = await emailService.attendeeRecipients(rehearsalId);
+  emailService.sendToAll(recipients, template, data);
+};
+
+/**
+ * Tell attendees that a rehearsal was cancelled or moved
+ * @param {Object} rehearsal - Rehearsal after the change
+ * @param {Object} band - Band instance
+ * @param {Object} previous - { startTime, endTime, status } before the change
+ * @param {String} scope - 'this', 'following' or 'all'
+ * @returns {Promise<void>}
+ */
+const notifyChange = async (rehearsal, band, previous, scope = 'this') => {
+  if (rehearsal.status === 'cancelled' && previous.status !== 'cancelled') {
+    return notifyAttendees(rehearsal.id, 'cancellation', { rehearsal, band, scope });
+  }
+  
+  const moved = new Date(rehearsal.startTime).getTime() !== new Date(previous.startTime).getTime() ||
+    new Date(rehearsal.endTime).getTime() !== new Date(previous.endTime).getTime();
+  if (moved && rehearsal.status === 'scheduled') {
+    return notifyAttendees(rehearsal.id, 'reschedule', { rehearsal, band, previousStartTime: previous.startTime });
+  }
+};
+
+/**
+ * Check a rehearsal against its band members' other rehearsals (in any band)
+ * their blackouts and their imported busy time. Cancelled or completed
+ * rehearsals cannot clash. Blackout reasons are only shown to band admins.
+ * @param {Object} req - Express request object
+ * @param {Object} band - Band instance
+ * @param {Object} rehearsal - Rehearsal or series as it is (or will be) saved
+ * @param {Array<String>} exclude - Further IDs of the same rehearsal (e.g. the series being split)
+ * @param {Object} [transaction] - Transaction the rehearsal is being changed in
+ * @returns {Promise<Object>} Conflict report from conflictService.checkConflicts
+ */
+const conflictReportFor = async (req, band, rehearsal, exclude = [], transaction) => {
+  if (['cancelled', 'completed'].includes(rehearsal.status)) {
+    return { hasConflicts: false, doubleBookings: [], blackouts: [], busy: [] };
+  }
+  
+  const members = await band.getMembers({ attributes: ['id'], joinTableAttributes: [] });
+  const report = await conflictService.checkRehearsal(rehearsal, members.map(member => member.id), { exclude, transaction });
+  
+  if (!(await permission.hasBandRole(band, req.user, 'admin'))) {
+    report.blackouts = report.blackouts.map(({ reason, ...conflict }) => conflict);
+  }
+  return report;
+};
+
+/**
+ * Respond to a change refused in strict mode
+ * @param {Object} res - Express response object
+ * @param {Object} conflicts - Conflict report
+ */
+const refuseConflicts = (res, conflicts) => {
+  res.status(409).json({
+    message: 'Some members are already booked at this time',
+    conflicts
+  });
+};
+
+/**
+ * Respond to a booking refused because the room is closed or already taken
+ * @param {Object} res - Express response object
+ * @param {Object} room - Booking report from venueService.checkBooking
+ */
+const refuseRoom = (res, room) => {
+  res.status(409).json({
+    message: 'The room is not available at this time',
+    room
+  });
+};
+
+/**
+ * Get all rehearsals the user has access to, with recurring series expanded
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getAllRehearsals = async (req, res) => {
+  try {
+    const { bandId, startDate, endDate, status } = req.query;
+    
+    const where = {};
+    
+    if (req.user.role !== 'admin') {
+      const bandIds = await permission.bandIdsWithRole(req.user.id);
+      
+      if (bandId && !bandIds.includes(bandId)) {
+        return res.status(403).json({ message: 'You do not have access to this band' });
+      }
+      
+      where.bandId = bandId || { [Op.in]: bandIds };
+    } else if (bandId) {
+      where.bandId = bandId;
+    }
+    
+    const rehearsals = await rehearsalService.listOccurrences({
+      where,
+      rangeStart: startDate ? new Date(startDate) : null,
+      rangeEnd: endDate ? new Date(endDate) : null,
+      status,
+      include: [{ model: Band, attributes: ['id', 'name'] }]
+    });
+    
+    res.json(rehearsals);
+  } catch (error) {
+    logger.error(`Error getting rehearsals: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving rehearsals', error: error.message });
+  }
+};
+
+/**
+ * Get rehearsal by ID. Series include their exceptions.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getRehearsalById = async (req, res) => {
+  try {
+    const rehearsal = await Rehearsal.findByPk(req.params.id, {
+      include: [
+        { model: Band, attributes: ['id', 'name'] },
+        ATTENDEE_INCLUDE,
+        { model: Rehearsal, as: 'exceptions' }
+      ]
+    });
+    
+    if (!rehearsal) {
+      return res.status(404).json({ message: 'Rehearsal not found' });
+    }
+    
+    res.json(rehearsal);
+  } catch (error) {
+    logger.error(`Error getting rehearsal by ID: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving rehearsal', error: error.message });
+  }
+};
+
+/**
+ * Get the occurrences of a recurring series within a date range
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getRehearsalOccurrences = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    
+    const rehearsal = await Rehearsal.findByPk(req.params.id, { include: [Band] });
+    
+    if (!rehearsal) {
+      return res.status(404).json({ message: 'Rehearsal not found' });
+    }
+    
+    if (!rehearsal.isRecurring) {
+      return res.status(400).json({ message: 'Rehearsal is not a recurring series' });
+    }
+    
+    const occurrences = await rehearsalService.listOccurrences({
+      where: {
+        [Op.or]: [{ id: rehearsal.id }, { seriesId: rehearsal.id }]
+      },
+      rangeStart: startDate ? new Date(startDate) : new Date(),
+      rangeEnd: endDate ? new Date(endDate) : null
+    });
+    
+    res.json(occurrences);
+  } catch (error) {
+    logger.error(`Error getting rehearsal occurrences: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving rehearsal occurrences', error: error.message });
+  }
+};
+
+/**
+ * Create a new rehearsal or recurring series
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createRehearsal = async (req, res) => {
+  try {
+    const {
+      bandId, title, description, location, locationDetails, locationUrl, venueId,
+      startTime, endTime, isRecurring, timezone, notes, sendReminders, reminderHours, strict
+    } = req.body;
+    
+    const { band } = req;
+    
+    // The band's usual room is booked unless the rehearsal names a venue or a location
+    const roomId = venueId !== undefined ? venueId : (location ? null : band.defaultVenueId);
+    const venue = roomId ? await Venue.findOne({ where: { id: roomId, isActive: true } }) : null;
+    if (roomId && !venue) {
+      return res.status(400).json({ message: 'Venue not found' });
+    }
+    
+    let recurrenceRule = null;
+    if (isRecurring) {
+      try {
+        recurrenceRule = ruleFromBody(req.body);
+      } catch (ruleError) {
+        return res.status(400).json({ message: `Invalid recurrence rule: ${ruleError.message}` });
+      }
+      
+      if (!recurrenceRule) {
+        return res.status(400).json({ message: 'Recurring rehearsals require a recurrenceRule or recurringPattern' });
+      }
+    }
+    
+    const rehearsal = Rehearsal.build({
+      bandId,
+      title,
+      description,
+      location: location || (venue ? venue.name : band.defaultLocation),
+      locationDetails,
+      locationUrl,
+      venueId: venue ? venue.id : null,
+      startTime: new Date(startTime),
+      endTime: new Date(endTime),
+      isRecurring: Boolean(isRecurring),
+      recurrenceRule,
+      timezone: timezone || req.user.timezone,
+      notes,
+      sendReminders: sendReminders !== undefined ? sendReminders : true,
+      reminderHours: reminderHours || null,
+      createdBy: req.user.id
+    });
+    
+    const conflicts = await conflictReportFor(req, band, rehearsal);
+    if (strict && conflicts.hasConflicts) {
+      return refuseConflicts(res, conflicts);
+    }
+    
+    const invited = await sequelize.transaction(async (transaction) => {
+      await venueService.reserve(rehearsal, { transaction });
+      await rehearsal.save({ transaction });
+      return rehearsalService.inviteBandMembers(rehearsal, band, { transaction });
+    });
+    
+    logger.info(`Rehearsal created: ${rehearsal.id} for band ${band.name}${recurrenceRule ? ` (${recurrenceRule})` : ''}`);
+    
+    res.status(201).json({
+      message: 'Rehearsal created successfully',
+      rehearsal,
+      invited,
+      conflicts
+    });
+  } catch (error) {
+    if (error.name === 'RoomUnavailableError') {
+      return refuseRoom(res, error.report);
+    }
+    
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
+    logger.error(`Error creating rehearsal: ${error.message}`);
+    res.status(500).json({ message: 'Error creating rehearsal', error: error.message });
+  }
+};
+
+/**
+ * Update rehearsal. For recurring series, `scope` selects what is changed:
+ * 'this' (one occurrence), 'following' (this and later occurrences) or 'all'.
+ * `occurrenceStart` is the original start time of the edited occurrence.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateRehearsal = async (req, res) => {
+  try {
+    const { scope, occurrenceStart, strict } = req.body;
+    
+    const rehearsal = await Rehearsal.findByPk(req.params.id, { include: [Band] });
+    
+    if (!rehearsal) {
+      return res.status(404).json({ message: 'Rehearsal not found' });
+    }
+    
+    const changes = {};
+    [
+      'title', 'description', 'location', 'locationDetails', 'locationUrl', 'venueId', 'notes', 'status',
+      'startTime', 'endTime', 'sendReminders', 'reminderHours'
+    ].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field];
+      }
+    });
+    
+    if (req.body.recurrenceRule || req.body.recurringPattern) {
+      try {
+        changes.recurrenceRule = ruleFromBody(req.body);
+      } catch (ruleError) {
+        return res.status(400).json({ message: `Invalid recurrence rule: ${ruleError.message}` });
+      }
+    }
+    
+    if (changes.venueId && !(await Venue.count({ where: { id: changes.venueId, isActive: true } }))) {
+      return res.status(400).json({ message: 'Venue not found' });
+    }
+    
+    // Conflicts are only checked when the rehearsal moves; otherwise the report is null
+    const timingChanged = ['startTime', 'endTime', 'recurrenceRule'].some(field => changes[field] !== undefined);
+    
+    // The room is booked again when the rehearsal moves, changes room or is back on the calendar
+    const rebook = timingChanged || changes.venueId !== undefined || changes.status === 'scheduled';
+    
+    // An exception row edited with a wider scope acts on its series
+    let series = rehearsal.isRecurring ? rehearsal : null;
+    let reference = occurrenceStart ? new Date(occurrenceStart) : null;
+    if (rehearsal.seriesId && scope && scope !== 'this') {
+      series = await Rehearsal.findByPk(rehearsal.seriesId);
+      reference = rehearsal.originalStartTime;
+    }
+    
+    if (!series) {
+      if (changes.recurrenceRule) {
+        changes.isRecurring = true;
+      }
+      const previous = { startTime: rehearsal.startTime, endTime: rehearsal.endTime, status: rehearsal.status };
+      rehearsal.set(changes);
+      
+      const conflicts = timingChanged ? await conflictReportFor(req, rehearsal.Band, rehearsal) : null;
+      if (strict && conflicts && conflicts.hasConflicts) {
+        return refuseConflicts(res, conflicts);
+      }
+      
+      await sequelize.transaction(async (transaction) => {
+        if (rebook) {
+          await venueService.reserve(rehearsal, { transaction });
+        }
+        await rehearsal.save({ transaction });
+      });
+      await notifyChange(rehearsal, rehearsal.Band, previous);
+      
+      logger.info(`Rehearsal updated: ${rehearsal.id}`);
+      
+      return res.json({
+        message: 'Rehearsal updated successfully',
+        rehearsal,
+        conflicts
+      });
+    }
+    
+    const editScope = scope || 'all';
+    if (editScope !== 'all' && !reference) {
+      return res.status(400).json({ message: 'occurrenceStart is required for this scope' });
+    }
+    
+    if (reference && !(await rehearsalService.isSeriesOccurrence(series, reference))) {
+      return res.status(400).json({ message: 'occurrenceStart is not an occurrence of this series' });
+    }
+    
+    // Timing of what is being edited: the whole series, or the occurrence at reference
+    const duration = new Date(series.endTime) - new Date(series.startTime);
+    const previousStart = editScope === 'all' ? series.startTime : reference;
+    const previous = {
+      startTime: previousStart,
+      endTime: new Date(new Date(previousStart).getTime() + duration),
+      status: series.status
+    };
+    
+    // The check runs before the change commits, so strict mode can roll it back.
+    // Other rehearsals are untouched by the change; the series itself is excluded.
+    let conflicts = null;
+    const updated = await rehearsalService.updateSeries({
+      series,
+      scope: editScope,
+      occurrenceStart: reference,
+      changes,
+      verify: async (result, transaction) => {
+        if (rebook) {
+          await venueService.reserve(result, { exclude: [series.id], transaction });
+        }
+        if (!timingChanged) {
+          return;
+        }
+        conflicts = await conflictReportFor(req, rehearsal.Band, result, [series.id], transaction);
+        if (strict && conflicts.hasConflicts) {
+          throw conflictService.conflictError(conflicts);
+        }
+      }
+    });
+    await notifyChange(updated, rehearsal.Band, previous, editScope);
+    
+    logger.info(`Rehearsal series ${series.id} updated with scope "${editScope}"`);
+    
+    res.json({
+      message: 'Rehearsal updated successfully',
+      scope: editScope,
+      rehearsal: updated,
+      conflicts
+    });
+  } catch (error) {
+    if (error.name === 'SchedulingConflictError') {
+      return refuseConflicts(res, error.report);
+    }
+    
+    if (error.name === 'RoomUnavailableError') {
+      return refuseRoom(res, error.report);
+    }
+    
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
+    logger.error(`Error updating rehearsal: ${error.message}`);
+    res.status(500).json({ message: 'Error updating rehearsal', error: error.message });
+  }
+};
+
+/**
+ * Delete rehearsal. For recurring series, `scope` and `occurrenceStart` query
+ * parameters select the occurrences; a single occurrence is cancelled rather
+ * than removed so the series keeps skipping it.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteRehearsal = async (req, res) => {
+  try {
+    const { scope, occurrenceStart } = req.query;
+    
+    const rehearsal = await Rehearsal.findByPk(req.params.id, { include: [Band] });
+    
+    if (!rehearsal) {
+      return res.status(404).json({ message: 'Rehearsal not found' });
+    }
+    
+    let series = rehearsal.isRecurring ? rehearsal : null;
+    let reference = occurrenceStart ? new Date(occurrenceStart) : null;
+    if (rehearsal.seriesId) {
+      series = await Rehearsal.findByPk(rehearsal.seriesId);
+      reference = rehearsal.originalStartTime;
+    }
+    
+    // Only upcoming rehearsals are worth a cancellation email
+    const upcoming = rehearsal.status === 'scheduled' && new Date(reference || rehearsal.startTime) > new Date();
+    
+    if (!series) {
+      if (upcoming) {
+        await notifyAttendees(rehearsal.id, 'cancellation', { rehearsal: rehearsal.toJSON(), band: rehearsal.Band });
+      }
+      await UserRehearsal.destroy({ where: { rehearsalId: rehearsal.id } });
+      await RehearsalEquipment.destroy({ where: { rehearsalId: rehearsal.id } });
+      await rehearsal.destroy();
+      
+      logger.info(`Rehearsal deleted: ${rehearsal.id}`);
+      
+      return res.json({ message: 'Rehearsal deleted successfully' });
+    }
+    
+    const editScope = scope || (rehearsal.seriesId ? 'this' : 'all');
+    if (editScope !== 'all' && !reference) {
+      return res.status(400).json({ message: 'occurrenceStart is required for this scope' });
+    }
+    
+    if (reference && !(await rehearsalService.isSeriesOccurrence(series, reference))) {
+      return res.status(400).json({ message: 'occurrenceStart is not an occurrence of this series' });
+    }
+    
+    if (upcoming || (editScope !== 'this' && series.status === 'scheduled')) {
+      const duration = new Date(series.endTime) - new Date(series.startTime);
+      const startTime = reference || series.startTime;
+      const cancelled = editScope === 'this' && rehearsal.seriesId
+        ? rehearsal.toJSON()
+        : { ...series.toJSON(), startTime, endTime: new Date(new Date(startTime).getTime() + duration) };
+      await notifyAttendees(rehearsal.id, 'cancellation', { rehearsal: cancelled, band: rehearsal.Band, scope: editScope });
+    }
+    
+    await rehearsalService.deleteFromSeries({ series, scope: editScope, occurrenceStart: reference });
+    
+    logger.info(`Rehearsal series ${series.id} deleted with scope "${editScope}"`);
+    
+    res.json({ message: 'Rehearsal deleted successfully', scope: editScope });
+  } catch (error) {
+    logger.error(`Error deleting rehearsal: ${error.message}`);
+    res.status(500).json({ message: 'Error deleting rehearsal', error: error.message });
+  }
+};
+
+/**
+ * Resolve the rehearsal row an attendee operation applies to. For a recurring
+ * series with `occurrenceStart`, that is the occurrence's exception row when it
+ * exists, otherwise the series row. Nothing is created.
+ * @param {Object} rehearsal - Rehearsal instance
+ * @param {String} occurrenceStart - Original start of a series occurrence
+ * @returns {Promise<Object|null>} Rehearsal instance, or null when occurrenceStart is invalid
+ */
+const resolveOccurrence = async (rehearsal, occurrenceStart) => {
+  if (!rehearsal.isRecurring || !occurrenceStart) {
+    return rehearsal;
+  }
+  
+  if (!(await rehearsalService.isSeriesOccurrence(rehearsal, new Date(occurrenceStart)))) {
+    return null;
+  }
+  
+  const exception = await Rehearsal.findOne({
+    where: { seriesId: rehearsal.id, originalStartTime: new Date(occurrenceStart) }
+  });
+  return exception || rehearsal;
+};
+
+/**
+ * Get rehearsal attendees with their RSVP and attendance
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getRehearsalAttendees = async (req, res) => {
+  try {
+    const { occurrenceStart } = req.query;
+    
+    const rehearsal = await Rehearsal.findByPk(req.params.id, { include: [Band] });
+    
+    if (!rehearsal) {
+      return res.status(404).json({ message: 'Rehearsal not found' });
+    }
+    
+    const target = await resolveOccurrence(rehearsal, occurrenceStart);
+    
+    if (!target) {
+      return res.status(400).json({ message: 'occurrenceStart is not an occurrence of this series' });
+    }
+    
+    const attendees = await target.getAttendees({
+      attributes: ['id', 'firstName', 'lastName', 'email', 'profileImage'],
+      joinTableAttributes: ATTENDEE_INCLUDE.through.attributes
+    });
+    
+    const summary = attendees.reduce((counts, attendee) => {
+      counts[attendee.UserRehearsal.status] = (counts[attendee.UserRehearsal.status] || 0) + 1;
+      return counts;
+    }, {});
+    
+    res.json({
+      rehearsalId: target.id,
+      summary,
+      attendees
+    });
+  } catch (error) {
+    logger.error(`Error getting rehearsal attendees: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving rehearsal attendees', error: error.message });
+  }
+};
+
+/**
+ * Update an attendee's RSVP (attending, maybe, not_attending) and note.
+ * Members answer for themselves; band admins can answer for any member.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateAttendeeStatus = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const { status, note, occurrenceStart } = req.body;
+    
+    const rehearsal = await Rehearsal.findByPk(id, { include: [Band] });
+    
+    if (!rehearsal) {
+      return res.status(404).json({ message: 'Rehearsal not found' });
+    }
+    
+    if (userId !== req.user.id && !(await permission.hasBandRole(req.band, req.user, 'admin'))) {
+      return res.status(403).json({ message: 'You can only update your own attendance status' });
+    }
+    
+    if (!(await rehearsal.Band.hasMember(userId))) {
+      return res.status(400).json({ message: 'User is not a member of this band' });
+    }
+    
+    // An occurrence cancelled or completed on its own is an exception row with that
+    // status; it is checked before a new exception row is made for the RSVP
+    const occurrence = await resolveOccurrence(rehearsal, occurrenceStart);
+    
+    if (!occurrence) {
+      return res.status(400).json({ message: 'occurrenceStart is not an occurrence of this series' });
+    }
+    
+    const closed = [rehearsal, occurrence].find(entry => ['cancelled', 'completed'].includes(entry.status));
+    if (closed) {
+      return res.status(400).json({ message: `Cannot respond to a ${closed.status} rehearsal` });
+    }
+    
+    const target = occurrence.isRecurring && occurrenceStart
+      ? await rehearsalService.materializeOccurrence(rehearsal, occurrenceStart)
+      : occurrence;
+    
+    // Members who joined after the rehearsal was scheduled are invited on first response
+    const [attendee] = await UserRehearsal.findOrCreate({
+      where: { rehearsalId: target.id, userId }
+    });
+    
+    await attendee.update({
+      status,
+      note: note !== undefined ? note : attendee.note,
+      respondedAt: new Date()
+    });
+    
+    logger.info(`User ${userId} responded "${status}" to rehearsal ${target.id}`);
+    
+    res.json({
+      message: 'Attendance status updated successfully',
+      attendee
+    });
+  } catch (error) {
+    logger.error(`Error updating attendee status: ${error.message}`);
+    res.status(500).json({ message: 'Error updating attendee status', error: error.message });
+  }
+};
+
+/**
+ * Record actual attendance (present, late, absent) after a rehearsal has started
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.recordAttendance = async (req, res) => {
+  try {
+    const { attendance, occurrenceStart } = req.body;
+    
+    const rehearsal = await Rehearsal.findByPk(req.params.id, { include: [Band] });
+    
+    if (!rehearsal) {
+      return res.status(404).json({ message: 'Rehearsal not found' });
+    }
+    
+    if (rehearsal.isRecurring && !occurrenceStart) {
+      return res.status(400).json({ message: 'occurrenceStart is required to record attendance for a series' });
+    }
+    
+    // The checks run against the existing exception row or the series itself, so
+    // a rejected request does not leave a new exception row behind
+    const occurrence = await resolveOccurrence(rehearsal, occurrenceStart);
+    
+    if (!occurrence) {
+      return res.status(400).json({ message: 'occurrenceStart is not an occurrence of this series' });
+    }
+    
+    const startTime = occurrence.isRecurring ? new Date(occurrenceStart) : new Date(occurrence.startTime);
+    if (startTime > new Date()) {
+      return res.status(400).json({ message: 'Attendance can only be recorded once the rehearsal has started' });
+    }
+    
+    if ([rehearsal, occurrence].some(entry => entry.status === 'cancelled')) {
+      return res.status(400).json({ message: 'Cannot record attendance for a cancelled rehearsal' });
+    }
+    
+    const memberIds = (await rehearsal.Band.getMembers({ attributes: ['id'], joinTableAttributes: [] }))
+      .map(member => member.id);
+    const unknown = attendance.filter(record => !memberIds.includes(record.userId));
+    
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        message: 'Attendance can only be recorded for band members',
+        userIds: unknown.map(record => record.userId)
+      });
+    }
+    
+    const target = occurrence.isRecurring
+      ? await rehearsalService.materializeOccurrence(rehearsal, occurrenceStart)
+      : occurrence;
+    
+    const recordedAt = new Date();
+    const records = await sequelize.transaction(async (transaction) => {
+      return Promise.all(attendance.map(async (record) => {
+        const [attendee] = await UserRehearsal.findOrCreate({
+          where: { rehearsalId: target.id, userId: record.userId },
+          transaction
+        });
+        
+        return attendee.update({
+          attendance: record.status,
+          attendanceNote: record.note !== undefined ? record.note : attendee.attendanceNote,
+          attendanceRecordedAt: recordedAt,
+          attendanceRecordedBy: req.user.id
+        }, { transaction });
+      }));
+    });
+    
+    if (new Date(target.endTime) <= recordedAt && target.status === 'scheduled') {
+      await target.update({ status: 'completed' });
+    }
+    
+    logger.info(`Attendance recorded for rehearsal ${target.id} by user ${req.user.id}`);
+    
+    res.json({
+      message: 'Attendance recorded successfully',
+      rehearsalId: target.id,
+      attendance: records
+    });
+  } catch (error) {
+    logger.error(`Error recording attendance: ${error.message}`);
+    res.status(500).json({ message: 'Error recording attendance', error: error.message });
+  }
+};
+
+/**
+ * Check whether a user may book a piece of equipment for a rehearsal: the
+ * band's own gear, gear of another band the user also plays in, or personal
+ * gear of one of the band's members
+ * @param {Object} equipment - Equipment instance
+ * @param {Object} rehearsal - Rehearsal instance
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Boolean>}
+ */
+const canBookEquipment = async (equipment, rehearsal, user) => {
+  if (equipment.bandId) {
+    return equipment.bandId === rehearsal.bandId || permission.hasBandRole(equipment.bandId, user, 'member');
+  }
+  return Boolean(equipment.ownerId && await permission.getBandRole(rehearsal.bandId, equipment.ownerId));
+};
+
+/**
+ * List the equipment booked for a rehearsal. A changed occurrence of a series
+ * also lists the gear booked for the whole series. Gear whose maintenance is
+ * due by the rehearsal's start is flagged.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getRehearsalEquipment = async (req, res) => {
+  try {
+    const { rehearsal } = req;
+    
+    const bookings = await RehearsalEquipment.findAll({
+      where: { rehearsalId: [rehearsal.id, rehearsal.seriesId].filter(Boolean) },
+      include: [
+        {
+          model: Equipment,
+          attributes: ['id', 'name', 'category', 'status', 'condition', 'bandId', 'ownerId', 'nextMaintenanceDate']
+        },
+        { model: User, as: 'addedByUser', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [['createdAt', 'ASC']]
+    });
+    
+    res.json(bookings.map(booking => ({
+      ...booking.toJSON(),
+      bookedForSeries: booking.rehearsalId !== rehearsal.id,
+      maintenanceOverdue: equipmentService.maintenanceOverdueAt(booking.Equipment, rehearsal.startTime)
+    })));
+  } catch (error) {
+    logger.error(`Error getting rehearsal equipment: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving rehearsal equipment', error: error.message });
+  }
+};
+
+/**
+ * Book a piece of equipment for a rehearsal, or for every occurrence of a
+ * series. Gear that is in maintenance, unavailable, checked out over the
+ * rehearsal or booked for an overlapping rehearsal (by any band that shares
+ * it) is refused; `force` books it anyway and returns the conflicts.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.addEquipmentToRehearsal = async (req, res) => {
+  try {
+    const { equipmentId, note, force } = req.body;
+    
+    const { rehearsal } = req;
+    
+    const equipment = await Equipment.findByPk(equipmentId);
+    if (!equipment) {
+      return res.status(404).json({ message: 'Equipment not found' });
+    }
+    
+    if (!(await canBookEquipment(equipment, rehearsal, req.user))) {
+      return res.status(403).json({ message: 'This equipment cannot be booked for this band' });
+    }
+    
+    const existing = await RehearsalEquipment.findOne({
+      where: { equipmentId, rehearsalId: [rehearsal.id, rehearsal.seriesId].filter(Boolean) }
+    });
+    if (existing) {
+      return res.status(409).json({ message: 'Equipment is already booked for this rehearsal' });
+    }
+    
+    const { booking, report } = await equipmentService.book(equipment, rehearsal, { note, user: req.user, force });
+    
+    logger.info(`Equipment ${equipment.id} booked for rehearsal ${rehearsal.id} by user ${req.user.id}${report.available ? '' : ' despite conflicts'}`);
+    
+    res.status(201).json({
+      message: report.available ? 'Equipment booked successfully' : 'Equipment booked despite conflicts',
+      booking,
+      equipment: { id: equipment.id, name: equipment.name, status: equipment.status },
+      availability: report
+    });
+  } catch (error) {
+    if (error.name === 'EquipmentUnavailableError') {
+      return res.status(409).json({ message: 'The equipment is not available at this time', availability: error.report });
+    }
+    
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ message: 'Equipment is already booked for this rehearsal' });
+    }
+    
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
+    logger.error(`Error booking equipment: ${error.message}`);
+    res.status(500).json({ message: 'Error booking equipment', error: error.message });
+  }
+};
+
+/**
+ * Cancel a rehearsal's booking of a piece of equipment. Gear booked for a
+ * whole series is released from the series, not from one occurrence.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.removeEquipmentFromRehearsal = async (req, res) => {
+  try {
+    const { rehearsal } = req;
+    
+    const removed = await RehearsalEquipment.destroy({
+      where: { rehearsalId: rehearsal.id, equipmentId: req.params.equipmentId }
+    });
+    
+    if (removed === 0) {
+      return res.status(404).json({ message: 'Equipment is not booked for this rehearsal' });
+    }
+    
+    logger.info(`Equipment ${req.params.equipmentId} released from rehearsal ${rehearsal.id} by user ${req.user.id}`);
+    
+    res.json({ message: 'Equipment booking cancelled successfully' });
+  } catch (error) {
+    logger.error(`Error removing equipment from rehearsal: ${error.message}`);
+    res.status(500).json({ message: 'Error removing equipment from rehearsal', error: error.message });
+  }
+};
\ No newline at end of file
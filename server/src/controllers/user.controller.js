@@ -1,5 +1,10 @@
 const { User, Band, Availability, Rehearsal } = require('../models');
 const logger = require('../utils/logger');
+const permission = require('../services/permission.service');
+const conflictService = require('../services/conflict.service');
+
+// How far ahead conflicts are listed when no end date is given
+const CONFLICT_WINDOW_DAYS = 90;
 
 /**
  * Get all users (admin only)
@@ -230,4 +235,45 @@ exports.getUserRehearsals = async (req, res) => {
     logger.error(`Error getting user rehearsals: ${error.message}`);
     res.status(500).json({ message: 'Error retrieving user rehearsals', error: error.message });
   }
+};
+
+/**
+ * Get a user's upcoming conflicts: overlapping rehearsals across their bands
+ * and rehearsals that fall in one of their blackouts or their imported busy
+ * time. Only the user sees what their busy time is.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getUserConflicts = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { startDate, endDate } = req.query;
+    
+    // Users can see their own conflicts; band admins can see their members'
+    if (req.user.role !== 'admin' && req.user.id !== id && !(await permission.administersMember(req.user, id))) {
+      return res.status(403).json({ message: 'Not authorized to view this user\'s conflicts' });
+    }
+    
+    const rangeStart = startDate ? new Date(startDate) : new Date();
+    const rangeEnd = endDate
+      ? new Date(endDate)
+      : new Date(rangeStart.getTime() + CONFLICT_WINDOW_DAYS * 24 * 60 * 60000);
+    
+    if (rangeEnd <= rangeStart) {
+      return res.status(400).json({ message: 'End date must be after start date' });
+    }
+    
+    const conflicts = await conflictService.userConflicts(id, rangeStart, rangeEnd);
+    
+    res.json({
+      userId: id,
+      startDate: rangeStart,
+      endDate: rangeEnd,
+      ...conflicts,
+      busy: conflicts.busy.map(({ rehearsal, busy }) => ({ rehearsal, busy: busy.forViewer(req.user.id === id) }))
+    });
+  } catch (error) {
+    logger.error(`Error getting user conflicts: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving user conflicts', error: error.message });
+  }
 };
\ No newline at end of file
@@ -0,0 +1,209 @@
+const { Venue, User } = require('../models');
+const logger = require('../utils/logger');
+const { Op } = require('sequelize');
+const venueService = require('../services/venue.service');
+const permission = require('../services/permission.service');
+
+// Fields anyone who can edit a venue may set
+const VENUE_FIELDS = [
+  'name', 'address', 'city', 'capacity', 'hourlyRate', 'currency', 'timezone', 'openingHours',
+  'contactEmail', 'contactPhone', 'notes'
+];
+
+/**
+ * Pick the venue fields present in a request body
+ * @param {Object} body - Request body
+ * @returns {Object}
+ */
+const venueFields = (body) => {
+  return VENUE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+};
+
+/**
+ * List active venues, optionally searching by name and city
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getAllVenues = async (req, res) => {
+  try {
+    const { search, city } = req.query;
+    
+    const whereClause = { isActive: true };
+    if (search) {
+      whereClause.name = { [Op.iLike]: `%${search}%` };
+    }
+    if (city) {
+      whereClause.city = { [Op.iLike]: city };
+    }
+    
+    const venues = await Venue.findAll({
+      where: whereClause,
+      order: [['name', 'ASC']]
+    });
+    
+    res.json(venues);
+  } catch (error) {
+    logger.error(`Error getting venues: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving venues', error: error.message });
+  }
+};
+
+/**
+ * Get venue by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getVenueById = async (req, res) => {
+  try {
+    const venue = await Venue.findByPk(req.params.id, {
+      include: [{ model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName'] }]
+    });
+    
+    if (!venue) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+    
+    res.json(venue);
+  } catch (error) {
+    logger.error(`Error getting venue: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving venue', error: error.message });
+  }
+};
+
+/**
+ * Add a venue (one bookable room)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createVenue = async (req, res) => {
+  try {
+    const venue = await Venue.create({
+      ...venueFields(req.body),
+      createdBy: req.user.id
+    });
+    
+    logger.info(`Venue created: ${venue.name} by user ${req.user.id}`);
+    
+    res.status(201).json({
+      message: 'Venue created successfully',
+      venue
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
+    logger.error(`Error creating venue: ${error.message}`);
+    res.status(500).json({ message: 'Error creating venue', error: error.message });
+  }
+};
+
+/**
+ * Update a venue. Bookings already made are not re-checked against new opening hours.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateVenue = async (req, res) => {
+  try {
+    const venue = await Venue.findByPk(req.params.id);
+    
+    if (!venue) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+    
+    // Only whoever added the venue or an app admin can change it
+    if (req.user.role !== 'admin' && req.user.id !== venue.createdBy) {
+      return res.status(403).json({ message: 'Not authorized to update this venue' });
+    }
+    
+    await venue.update(venueFields(req.body));
+    
+    logger.info(`Venue updated: ${venue.id}`);
+    
+    res.json({
+      message: 'Venue updated successfully',
+      venue
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: error.errors.map(err => err.message) });
+    }
+    
+    logger.error(`Error updating venue: ${error.message}`);
+    res.status(500).json({ message: 'Error updating venue', error: error.message });
+  }
+};
+
+/**
+ * Deactivate a venue. Existing bookings keep it; new ones cannot be made.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.deleteVenue = async (req, res) => {
+  try {
+    const venue = await Venue.findByPk(req.params.id);
+    
+    if (!venue) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+    
+    if (req.user.role !== 'admin' && req.user.id !== venue.createdBy) {
+      return res.status(403).json({ message: 'Not authorized to delete this venue' });
+    }
+    
+    await venue.update({ isActive: false });
+    
+    logger.info(`Venue deactivated: ${venue.id}`);
+    
+    res.json({ message: 'Venue deactivated successfully' });
+  } catch (error) {
+    logger.error(`Error deleting venue: ${error.message}`);
+    res.status(500).json({ message: 'Error deleting venue', error: error.message });
+  }
+};
+
+/**
+ * When a venue is open and which of that time is booked. Rehearsals of bands
+ * the user is not in only show as busy time.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getVenueSchedule = async (req, res) => {
+  try {
+    const venue = await Venue.findByPk(req.params.id);
+    
+    if (!venue) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+    
+    const rangeStart = req.query.startDate ? new Date(req.query.startDate) : new Date();
+    const rangeEnd = req.query.endDate
+      ? new Date(req.query.endDate)
+      : new Date(rangeStart.getTime() + 7 * 24 * 60 * 60 * 1000);
+    
+    if (rangeEnd <= rangeStart) {
+      return res.status(400).json({ message: 'End date must be after start date' });
+    }
+    
+    const [bookings, bandIds] = await Promise.all([
+      venueService.bookingsOf(venue.id, rangeStart, rangeEnd),
+      permission.bandIdsWithRole(req.user.id)
+    ]);
+    
+    res.json({
+      venue: { id: venue.id, name: venue.name, timezone: venue.timezone },
+      startDate: rangeStart,
+      endDate: rangeEnd,
+      open: venueService.openIntervals(venue, rangeStart, rangeEnd),
+      bookings: bookings.map(booking => venueService.describeBooking(booking, bandIds))
+    });
+  } catch (error) {
+    logger.error(`Error getting venue schedule: ${error.message}`);
+    res.status(500).json({ message: 'Error retrieving venue schedule', error: error.message });
+  }
+};
\ No newline at end of file
@@ -8,6 +8,10 @@ const { Server } = require('socket.io');
 const logger = require('./utils/logger');
 const db = require('./models');
 const routes = require('./routes');
+const { createReminderScheduler } = require('./services/reminder.service');
+const { createCalendarSyncScheduler } = require('./services/calendarImport.service');
+const { createCaldavSyncScheduler } = require('./services/caldav.service');
+const { createMaintenanceScheduler } = require('./services/maintenance.service');
 
 // Initialize Express app
 const app = express();
@@ -72,6 +76,18 @@ io.on('connection', (socket) => {
   });
 });
 
+// Background reminders (safe to run on every instance)
+const reminderScheduler = createReminderScheduler({ io });
+
+// Refresh members' subscribed calendars so imported busy time stays current
+const calendarSyncScheduler = createCalendarSyncScheduler();
+
+// Write attended rehearsals to members' CalDAV calendars and pull their busy time back
+const caldavSyncScheduler = createCaldavSyncScheduler();
+
+// Alert band admins when equipment maintenance is coming due
+const maintenanceScheduler = createMaintenanceScheduler({ io });
+
 // Database connection and server startup
 const PORT = process.env.PORT || 5000;
 
@@ -80,6 +96,10 @@ db.sequelize.authenticate()
     logger.info('Database connected successfully');
     server.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
+      reminderScheduler.start();
+      calendarSyncScheduler.start();
+      caldavSyncScheduler.start();
+      maintenanceScheduler.start();
     });
   })
   .catch(err => {
@@ -92,7 +112,13 @@ process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received: closing HTTP server');
   server.close(() => {
     logger.info('HTTP server closed');
-    db.sequelize.close()
+    Promise.all([
+      reminderScheduler.stop(),
+      calendarSyncScheduler.stop(),
+      caldavSyncScheduler.stop(),
+      maintenanceScheduler.stop()
+    ])
+      .then(() => db.sequelize.close())
       .then(() => {
         logger.info('Database connection closed');
         process.exit(0);
@@ -104,4 +130,12 @@ process.on('SIGTERM', () => {
   });
 });
 
-module.exports = { app, server, io };
\ No newline at end of file
+module.exports = {
+  app,
+  server,
+  io,
+  reminderScheduler,
+  calendarSyncScheduler,
+  caldavSyncScheduler,
+  maintenanceScheduler
+};
\ No newline at end of file
@@ -1,8 +1,5 @@
-const jwt = require('jsonwebtoken');
-const { User } = require('../models');
 const logger = require('../utils/logger');
-
-const JWT_SECRET = process.env.JWT_SECRET || 'rehearsal-scheduler-secret';
+const sessionService = require('../services/session.service');
 
 /**
  * Authentication middleware
@@ -21,14 +18,8 @@ const authenticate = (allowedRoles = []) => {
       
       const token = authHeader.split(' ')[1];
       
-      // Verify token
-      const decoded = jwt.verify(token, JWT_SECRET);
-      
-      // Find user by ID
-      const user = await User.findByPk(decoded.id);
-      if (!user) {
-        return res.status(401).json({ message: 'User not found' });
-      }
+      // Verify token and the session it belongs to (rejects revoked sessions)
+      const { user, session } = await sessionService.verifyAccessToken(token);
       
       // Check if user is active
       if (!user.isActive) {
@@ -41,8 +32,9 @@ const authenticate = (allowedRoles = []) => {
         return res.status(403).json({ message: 'Access denied' });
       }
       
-      // Add user to request object
+      // Add user and session to request object
       req.user = user;
+      req.authSession = session;
       
       next();
     } catch (error) {
@@ -50,6 +42,10 @@ const authenticate = (allowedRoles = []) => {
         return res.status(401).json({ message: 'Invalid or expired token' });
       }
       
+      if (error.name === 'SessionError') {
+        return res.status(401).json({ message: error.message });
+      }
+      
       logger.error(`Authentication error: ${error.message}`);
       res.status(500).json({ message: 'Authentication failed', error: error.message });
     }
@@ -0,0 +1,127 @@
+const { Band, Rehearsal, Equipment } = require('../models');
+const logger = require('../utils/logger');
+const { getBandRole, roleAtLeast } = require('../services/permission.service');
+const { loadPoll } = require('../services/poll.service');
+
+/**
+ * Band ID from a route parameter
+ * @param {String} name - Parameter name
+ * @returns {Function} Resolver
+ */
+const fromParam = (name = 'id') => async (req) => req.params[name];
+
+/**
+ * Band ID from a request body field
+ * @param {String} name - Field name
+ * @returns {Function} Resolver
+ */
+const fromBody = (name = 'bandId') => async (req) => req.body[name];
+
+/**
+ * Band of the rehearsal in a route parameter. The rehearsal is kept on `req.rehearsal`.
+ * @param {String} name - Parameter holding the rehearsal ID
+ * @returns {Function} Resolver
+ */
+const fromRehearsal = (name = 'id') => Object.assign(async (req) => {
+  req.rehearsal = await Rehearsal.findByPk(req.params[name]);
+  return req.rehearsal ? req.rehearsal.bandId : null;
+}, { notFound: 'Rehearsal not found' });
+
+/**
+ * Band of the equipment in a route parameter. The equipment is kept on `req.equipment`.
+ * @param {String} name - Parameter holding the equipment ID
+ * @returns {Function} Resolver
+ */
+const fromEquipment = (name = 'id') => Object.assign(async (req) => {
+  req.equipment = await Equipment.findByPk(req.params[name]);
+  return req.equipment ? req.equipment.bandId : null;
+}, { notFound: 'Equipment not found' });
+
+/**
+ * Band of the poll in a route parameter. The poll, with its options and votes, is kept on `req.poll`.
+ * @param {String} name - Parameter holding the poll ID
+ * @returns {Function} Resolver
+ */
+const fromPoll = (name = 'id') => Object.assign(async (req) => {
+  req.poll = await loadPoll(req.params[name]);
+  return req.poll ? req.poll.bandId : null;
+}, { notFound: 'Poll not found' });
+
+/**
+ * Band permission middleware
+ * Requires the authenticated user to hold at least `minimumRole` in a band and
+ * adds `req.band` and `req.bandRole` (null for app admins who are not members).
+ * App admins always pass.
+ *
+ * @example
+ * // Requires band admin of :id
+ * router.put('/:id', requireBandRole('admin'), bandController.updateBand);
+ * // Requires band member of the rehearsal's band, or the rehearsal's organizer
+ * requireBandRole('admin', {
+ *   band: requireBandRole.fromRehearsal(),
+ *   allowIf: (req, role) => role && req.rehearsal.createdBy === req.user.id
+ * });
+ *
+ * @param {String} minimumRole - 'guest', 'member', 'admin' or 'owner'
+ * @param {Object} options
+ * @param {Function} [options.band] - async (req) => bandId; defaults to the :id parameter
+ * @param {Function} [options.allowIf] - async (req, bandRole) => Boolean, grants access below minimumRole
+ *   or when the resolver finds no band
+ * @returns {Function} Express middleware function
+ */
+const requireBandRole = (minimumRole = 'member', { band: resolveBand = fromParam('id'), allowIf } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const bandId = await resolveBand(req);
+      
+      // Nothing band-scoped to check (e.g. personal equipment); only allowIf can grant access
+      if (!bandId) {
+        if (allowIf && await allowIf(req, null)) {
+          req.band = null;
+          req.bandRole = null;
+          return next();
+        }
+        return resolveBand.notFound
+          ? res.status(404).json({ message: resolveBand.notFound })
+          : res.status(400).json({ message: 'Band ID is required' });
+      }
+      
+      const band = await Band.findByPk(bandId);
+      
+      if (!band) {
+        return res.status(404).json({ message: 'Band not found' });
+      }
+      
+      const bandRole = await getBandRole(band, req.user);
+      
+      const allowed = req.user.role === 'admin' ||
+        roleAtLeast(bandRole, minimumRole) ||
+        (allowIf && await allowIf(req, bandRole));
+      
+      if (!allowed) {
+        logger.warn(`User ${req.user.id} (${bandRole || 'not a member'}) denied ${req.method} ${req.originalUrl}`);
+        return res.status(403).json({
+          message: bandRole
+            ? `This action requires the band ${minimumRole} role`
+            : 'You do not have access to this band'
+        });
+      }
+      
+      req.band = band;
+      req.bandRole = bandRole;
+      
+      next();
+    } catch (error) {
+      logger.error(`Band permission error: ${error.message}`);
+      res.status(500).json({ message: 'Permission check failed', error: error.message });
+    }
+  };
+};
+
+requireBandRole.fromParam = fromParam;
+requireBandRole.fromBody = fromBody;
+requireBandRole.fromRehearsal = fromRehearsal;
+requireBandRole.fromEquipment = fromEquipment;
+requireBandRole.fromPoll = fromPoll;
+
+module.exports = requireBandRole;
\ No newline at end of file
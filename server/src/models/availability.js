@@ -1,5 +1,7 @@
 'use strict';
 
+const { TIERS, DEFAULT_TIER, tierName, tierPriority } = require('../utils/availabilityTiers');
+
 module.exports = (sequelize, DataTypes) => {
   const Availability = sequelize.define('Availability', {
     id: {
@@ -15,9 +17,15 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    type: {
+      type: DataTypes.ENUM('one-time', 'recurring'),
+      allowNull: false,
+      defaultValue: 'recurring'
+    },
+    // Recurring availability: weekly window on dayOfWeek between startTime and endTime
     dayOfWeek: {
       type: DataTypes.INTEGER,
-      allowNull: false,
+      allowNull: true,
       validate: {
         min: 0, // Sunday
         max: 6  // Saturday
@@ -25,22 +33,20 @@ module.exports = (sequelize, DataTypes) => {
     },
     startTime: {
       type: DataTypes.TIME,
-      allowNull: false
+      allowNull: true
     },
     endTime: {
       type: DataTypes.TIME,
-      allowNull: false,
-      validate: {
-        isAfterStart(value) {
-          if (value <= this.startTime) {
-            throw new Error('End time must be after start time');
-          }
-        }
-      }
+      allowNull: true
+    },
+    // One-time availability: a single dated window
+    startsAt: {
+      type: DataTypes.DATE,
+      allowNull: true
     },
-    isRecurring: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: true
+    endsAt: {
+      type: DataTypes.DATE,
+      allowNull: true
     },
     effectiveDate: {
       type: DataTypes.DATE,
@@ -60,15 +66,103 @@ module.exports = (sequelize, DataTypes) => {
     },
     priority: {
       type: DataTypes.INTEGER,
-      defaultValue: 1,
-      comment: 'Higher number means higher priority'
+      defaultValue: TIERS[DEFAULT_TIER],
+      validate: {
+        min: TIERS['urgent-only'],
+        max: TIERS.preferred
+      },
+      comment: 'Availability tier: 2 preferred, 1 possible, 0 unavailable unless urgent'
+    },
+    // Tier name for priority: 'preferred', 'possible' or 'urgent-only'
+    tier: {
+      type: DataTypes.VIRTUAL,
+      get() {
+        return tierName(this.getDataValue('priority'));
+      },
+      set(value) {
+        const priority = tierPriority(value);
+        if (priority === undefined) {
+          throw new Error('Tier must be one of: preferred, possible, urgent-only');
+        }
+        this.setDataValue('priority', priority);
+      }
     },
     notes: {
       type: DataTypes.TEXT,
       allowNull: true
     }
+  }, {
+    validate: {
+      fieldsMatchType() {
+        if (this.type === 'recurring') {
+          if (this.dayOfWeek === null || this.dayOfWeek === undefined || !this.startTime || !this.endTime) {
+            throw new Error('Recurring availability requires dayOfWeek, startTime and endTime');
+          }
+          // A window that ends before it starts runs past midnight
+          if (this.endTime === this.startTime) {
+            throw new Error('End time must differ from start time');
+          }
+        } else {
+          if (!this.startsAt || !this.endsAt) {
+            throw new Error('One-time availability requires startsAt and endsAt');
+          }
+          if (new Date(this.endsAt) <= new Date(this.startsAt)) {
+            throw new Error('End time must be after start time');
+          }
+        }
+      }
+    },
+    hooks: {
+      // One-time windows mirror their bounds into effectiveDate/expiryDate so
+      // both types can be range-queried with the same conditions
+      beforeValidate: (availability) => {
+        if (availability.type === 'one-time') {
+          availability.dayOfWeek = null;
+          availability.startTime = null;
+          availability.endTime = null;
+          if (availability.startsAt && availability.endsAt) {
+            availability.effectiveDate = availability.startsAt;
+            availability.expiryDate = availability.endsAt;
+          }
+        } else {
+          availability.startsAt = null;
+          availability.endsAt = null;
+        }
+      }
+    }
   });
 
+  /**
+   * Build a where clause matching availability that can occur inside a date range
+   * @param {Date|null} rangeStart - Start of the range (open-ended when null)
+   * @param {Date|null} rangeEnd - End of the range (open-ended when null)
+   * @returns {Object} Sequelize where clause
+   */
+  Availability.overlappingRange = function(rangeStart, rangeEnd) {
+    const { Op } = sequelize.Sequelize;
+    const where = {};
+    if (rangeEnd) {
+      where.effectiveDate = { [Op.lt]: rangeEnd };
+    }
+    if (rangeStart) {
+      where[Op.or] = [
+        { expiryDate: null },
+        { expiryDate: { [Op.gt]: rangeStart } }
+      ];
+    }
+    return where;
+  };
+
+  Availability.prototype.toJSON = function() {
+    const values = Object.assign({}, this.get());
+    if (values.type === 'recurring' && values.startTime && values.endTime) {
+      const [startHour, startMinute] = String(values.startTime).split(':').map(Number);
+      const [endHour, endMinute] = String(values.endTime).split(':').map(Number);
+      Object.assign(values, { startHour, startMinute, endHour, endMinute });
+    }
+    return values;
+  };
+
   Availability.associate = function(models) {
     // Availability belongs to User
     Availability.belongsTo(models.User, {
@@ -67,13 +67,22 @@ module.exports = (sequelize, DataTypes) => {
     defaultLocation: {
       type: DataTypes.STRING,
       allowNull: true
+    },
+    // Room booked for new rehearsals that name neither a venue nor a location
+    defaultVenueId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Venues',
+        key: 'id'
+      }
     }
   });
 
   Band.associate = function(models) {
     // Band belongs to many Users through UserBand join table
     Band.belongsToMany(models.User, {
-      through: 'UserBand',
+      through: models.UserBand,
       as: 'members',
       foreignKey: 'bandId'
     });
@@ -84,6 +93,12 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'ownerId'
     });
     
+    // Band may usually rehearse in one room
+    Band.belongsTo(models.Venue, {
+      as: 'defaultVenue',
+      foreignKey: 'defaultVenueId'
+    });
+    
     // Band has many Rehearsals
     Band.hasMany(models.Rehearsal, {
       foreignKey: 'bandId'
@@ -93,6 +108,18 @@ module.exports = (sequelize, DataTypes) => {
     Band.hasMany(models.Equipment, {
       foreignKey: 'bandId'
     });
+    
+    // Band has many invitations sent by email
+    Band.hasMany(models.BandInvitation, {
+      as: 'invitations',
+      foreignKey: 'bandId'
+    });
+    
+    // Band has many polls for picking rehearsal dates
+    Band.hasMany(models.Poll, {
+      as: 'polls',
+      foreignKey: 'bandId'
+    });
   };
 
   return Band;
@@ -0,0 +1,114 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const BandInvitation = sequelize.define('BandInvitation', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    bandId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Bands',
+        key: 'id'
+      }
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isEmail: true
+      },
+      set(value) {
+        this.setDataValue('email', String(value).trim().toLowerCase());
+      }
+    },
+    // Role the invitee gets in the band on accepting
+    role: {
+      type: DataTypes.ENUM('admin', 'member', 'guest'),
+      allowNull: false,
+      defaultValue: 'member'
+    },
+    message: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        len: [0, 500]
+      }
+    },
+    // SHA-256 of the token in the invitation link; the token itself is never stored
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'accepted', 'declined', 'revoked'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    respondedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    invitedBy: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    // User who accepted the invitation
+    acceptedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    }
+  }, {
+    indexes: [
+      {
+        fields: ['bandId', 'status']
+      },
+      {
+        fields: ['email']
+      }
+    ]
+  });
+
+  BandInvitation.associate = function(models) {
+    // Invitation belongs to Band
+    BandInvitation.belongsTo(models.Band, {
+      foreignKey: 'bandId'
+    });
+    
+    // Invitation belongs to the admin who sent it
+    BandInvitation.belongsTo(models.User, {
+      as: 'inviter',
+      foreignKey: 'invitedBy'
+    });
+  };
+
+  // A pending invitation whose expiry has passed can no longer be answered
+  BandInvitation.prototype.isOpen = function(now = new Date()) {
+    return this.status === 'pending' && new Date(this.expiresAt) > now;
+  };
+
+  BandInvitation.prototype.toJSON = function() {
+    const values = Object.assign({}, this.get());
+    delete values.tokenHash;
+    values.expired = values.status === 'pending' && new Date(values.expiresAt) <= new Date();
+    return values;
+  };
+
+  return BandInvitation;
+};
\ No newline at end of file
@@ -0,0 +1,89 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const Blackout = sequelize.define('Blackout', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    // Dated period (tour, holiday, work trip) that overrides all availability
+    startsAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    endsAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // Only shown to the member and their band admins
+    reason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        len: [0, 255]
+      }
+    }
+  }, {
+    validate: {
+      endsAfterStart() {
+        if (this.startsAt && this.endsAt && new Date(this.endsAt) <= new Date(this.startsAt)) {
+          throw new Error('Blackout end must be after its start');
+        }
+      }
+    },
+    indexes: [
+      {
+        fields: ['userId', 'startsAt']
+      }
+    ]
+  });
+
+  /**
+   * Build a where clause matching blackouts that overlap a date range
+   * @param {Date|null} rangeStart - Start of the range (open-ended when null)
+   * @param {Date|null} rangeEnd - End of the range (open-ended when null)
+   * @returns {Object} Sequelize where clause
+   */
+  Blackout.overlappingRange = function(rangeStart, rangeEnd) {
+    const { Op } = sequelize.Sequelize;
+    const where = {};
+    if (rangeEnd) {
+      where.startsAt = { [Op.lt]: rangeEnd };
+    }
+    if (rangeStart) {
+      where.endsAt = { [Op.gt]: rangeStart };
+    }
+    return where;
+  };
+
+  /**
+   * Plain representation for viewers who may not see the reason
+   * @param {Boolean} showReason - Whether the viewer may see the reason
+   * @returns {Object}
+   */
+  Blackout.prototype.forViewer = function(showReason) {
+    const values = this.toJSON();
+    if (!showReason) {
+      delete values.reason;
+    }
+    return values;
+  };
+
+  Blackout.associate = function(models) {
+    // Blackout belongs to User
+    Blackout.belongsTo(models.User, {
+      foreignKey: 'userId'
+    });
+  };
+
+  return Blackout;
+};
\ No newline at end of file
@@ -0,0 +1,98 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const BusyBlock = sequelize.define('BusyBlock', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    externalCalendarId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'ExternalCalendars',
+        key: 'id'
+      }
+    },
+    // Time taken by an event in the member's own calendar; overrides availability like a blackout
+    startsAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    endsAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // Event title and UID from the imported calendar; only ever shown to the member
+    summary: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    uid: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    indexes: [
+      {
+        fields: ['userId', 'startsAt']
+      },
+      {
+        fields: ['externalCalendarId']
+      }
+    ]
+  });
+
+  BusyBlock.associate = function(models) {
+    // Busy block belongs to User
+    BusyBlock.belongsTo(models.User, {
+      foreignKey: 'userId'
+    });
+    
+    // Busy block belongs to the calendar it was imported from
+    BusyBlock.belongsTo(models.ExternalCalendar, {
+      foreignKey: 'externalCalendarId'
+    });
+  };
+
+  /**
+   * Build a where clause matching busy blocks that overlap a date range
+   * @param {Date|null} rangeStart - Start of the range (open-ended when null)
+   * @param {Date|null} rangeEnd - End of the range (open-ended when null)
+   * @returns {Object} Sequelize where clause
+   */
+  BusyBlock.overlappingRange = function(rangeStart, rangeEnd) {
+    const { Op } = sequelize.Sequelize;
+    const where = {};
+    if (rangeEnd) {
+      where.startsAt = { [Op.lt]: rangeEnd };
+    }
+    if (rangeStart) {
+      where.endsAt = { [Op.gt]: rangeStart };
+    }
+    return where;
+  };
+
+  /**
+   * Plain representation for a viewer. Anyone but the member only sees that the time is busy.
+   * @param {Boolean} showDetails - Whether the viewer is the member
+   * @returns {Object}
+   */
+  BusyBlock.prototype.forViewer = function(showDetails) {
+    if (showDetails) {
+      return this.toJSON();
+    }
+    return { userId: this.userId, startsAt: this.startsAt, endsAt: this.endsAt, busy: true };
+  };
+
+  return BusyBlock;
+};
\ No newline at end of file
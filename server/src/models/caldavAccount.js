@@ -0,0 +1,95 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const CaldavAccount = sequelize.define('CaldavAccount', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Each user connects at most one CalDAV calendar
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    // URL of the calendar collection rehearsals are written to
+    calendarUrl: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        isUrl: { args: { protocols: ['http', 'https'], require_tld: false }, msg: 'Calendar URL must be an http or https URL' }
+      }
+    },
+    username: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Encrypted with utils/secrets; never sent to clients
+    password: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Also import the calendar's other events as busy time
+    pullFreeBusy: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    // Where pulled busy time is stored
+    externalCalendarId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'ExternalCalendars',
+        key: 'id'
+      }
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    lastSyncedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Why the last sync failed as a whole; cleared by a successful one
+    lastError: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  });
+
+  CaldavAccount.associate = function(models) {
+    // Account belongs to User
+    CaldavAccount.belongsTo(models.User, {
+      foreignKey: 'userId'
+    });
+    
+    // Account stores pulled busy time in an external calendar
+    CaldavAccount.belongsTo(models.ExternalCalendar, {
+      as: 'busyCalendar',
+      foreignKey: 'externalCalendarId'
+    });
+    
+    // Account has many pushed events with their sync state
+    CaldavAccount.hasMany(models.CaldavEvent, {
+      as: 'events',
+      foreignKey: 'accountId',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  CaldavAccount.prototype.toJSON = function() {
+    const values = Object.assign({}, this.get());
+    delete values.password;
+    return values;
+  };
+
+  return CaldavAccount;
+};
\ No newline at end of file
@@ -0,0 +1,76 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const CaldavEvent = sequelize.define('CaldavEvent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    accountId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'CaldavAccounts',
+        key: 'id'
+      }
+    },
+    // One-off rehearsal or series; a series and its changed occurrences are one
+    // event. Not a foreign key: the row must outlive a deleted rehearsal so the
+    // event can be removed from the calendar.
+    rehearsalId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    // Resource URL of the event on the CalDAV server
+    url: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    // ETag of the version last written; a different one on the server means
+    // the user edited the event there
+    etag: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // SHA-256 of the event last written, to skip unchanged rehearsals
+    contentHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    // synced: server has our latest version
+    // conflict: changed or deleted on the server; waits for the user to resolve it
+    // error: last push failed and is retried on the next sync
+    // ignored: the user kept the server's version; no longer pushed
+    status: {
+      type: DataTypes.ENUM('synced', 'conflict', 'error', 'ignored'),
+      allowNull: false,
+      defaultValue: 'synced'
+    },
+    lastSyncedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastError: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    indexes: [
+      {
+        unique: true,
+        fields: ['accountId', 'rehearsalId']
+      }
+    ]
+  });
+
+  CaldavEvent.associate = function(models) {
+    // Event belongs to the account it was pushed through
+    CaldavEvent.belongsTo(models.CaldavAccount, {
+      as: 'account',
+      foreignKey: 'accountId'
+    });
+  };
+
+  return CaldavEvent;
+};
\ No newline at end of file
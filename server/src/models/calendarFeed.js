@@ -0,0 +1,75 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const CalendarFeed = sequelize.define('CalendarFeed', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Whose rehearsals the feed shows, and whose access it depends on
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    // Band feed when set; otherwise the feed covers all of the user's bands
+    bandId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Bands',
+        key: 'id'
+      }
+    },
+    // Label shown in the user's list of feeds
+    name: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // SHA-256 of the token in the feed URL; the token itself is never stored
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Last time a calendar app fetched the feed
+    lastAccessedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    indexes: [
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  CalendarFeed.associate = function(models) {
+    // Feed belongs to User
+    CalendarFeed.belongsTo(models.User, {
+      foreignKey: 'userId'
+    });
+    
+    // Feed may belong to Band
+    CalendarFeed.belongsTo(models.Band, {
+      foreignKey: 'bandId'
+    });
+  };
+
+  CalendarFeed.prototype.toJSON = function() {
+    const values = Object.assign({}, this.get());
+    delete values.tokenHash;
+    return values;
+  };
+
+  return CalendarFeed;
+};
\ No newline at end of file
@@ -7,9 +7,10 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: DataTypes.UUIDV4,
       primaryKey: true
     },
+    // Band gear when set; otherwise personal gear managed by its owner
     bandId: {
       type: DataTypes.UUID,
-      allowNull: false,
+      allowNull: true,
       references: {
         model: 'Bands',
         key: 'id'
@@ -30,10 +31,28 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: true
     },
+    brand: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    model: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
     serialNumber: {
       type: DataTypes.STRING,
       allowNull: true
     },
+    // Updated from the condition recorded at each check-in
+    condition: {
+      type: DataTypes.ENUM('excellent', 'good', 'fair', 'poor'),
+      allowNull: true
+    },
+    // Where the gear is kept when nobody has it
+    location: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
     ownerId: {
       type: DataTypes.UUID,
       allowNull: true,
@@ -42,10 +61,12 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    // in-use while checked out; set by check-out and check-in only
     status: {
       type: DataTypes.ENUM('available', 'in-use', 'maintenance', 'unavailable'),
       defaultValue: 'available'
     },
+    // Kept in step with the maintenance log and the earliest active plan
     lastMaintenanceDate: {
       type: DataTypes.DATE,
       allowNull: true
@@ -54,6 +75,46 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATE,
       allowNull: true
     },
+    purchaseDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    purchasePrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    // Appraised or declared value; reports fall back to the depreciated value without one
+    currentValue: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: true
+    },
+    // Straight-line depreciation runs from the purchase price down to the
+    // salvage value over this many years
+    usefulLifeYears: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1,
+        max: 50
+      }
+    },
+    salvageValue: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
     notes: {
       type: DataTypes.TEXT,
       allowNull: true
@@ -62,6 +123,15 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: true
     }
+  }, {
+    validate: {
+      salvageBelowPrice() {
+        const known = [this.salvageValue, this.purchasePrice].every(value => value !== null && value !== undefined);
+        if (known && Number(this.salvageValue) > Number(this.purchasePrice)) {
+          throw new Error('Salvage value cannot be more than the purchase price');
+        }
+      }
+    }
   });
 
   Equipment.associate = function(models) {
@@ -78,10 +148,28 @@ module.exports = (sequelize, DataTypes) => {
     
     // Equipment belongs to many Rehearsals through RehearsalEquipment join table
     Equipment.belongsToMany(models.Rehearsal, {
-      through: 'RehearsalEquipment',
+      through: models.RehearsalEquipment,
       as: 'rehearsals',
       foreignKey: 'equipmentId'
     });
+    
+    // Equipment has many checkouts (custody log)
+    Equipment.hasMany(models.EquipmentCheckout, {
+      as: 'checkouts',
+      foreignKey: 'equipmentId'
+    });
+    
+    // Equipment has many maintenance plans
+    Equipment.hasMany(models.MaintenancePlan, {
+      as: 'maintenancePlans',
+      foreignKey: 'equipmentId'
+    });
+    
+    // Equipment has many maintenance log entries
+    Equipment.hasMany(models.MaintenanceLog, {
+      as: 'maintenanceLog',
+      foreignKey: 'equipmentId'
+    });
   };
 
   return Equipment;
@@ -0,0 +1,157 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const EquipmentCheckout = sequelize.define('EquipmentCheckout', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    equipmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Equipment',
+        key: 'id'
+      }
+    },
+    // Band the gear went out for: its own band, or the rehearsal's band for
+    // personal gear. Overdue lists are per band.
+    bandId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Bands',
+        key: 'id'
+      }
+    },
+    // Who has the gear; a checkout to a rehearsal may also name the member carrying it
+    holderId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    rehearsalId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Rehearsals',
+        key: 'id'
+      }
+    },
+    checkedOutBy: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    checkedOutAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    dueAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    conditionOut: {
+      type: DataTypes.ENUM('excellent', 'good', 'fair', 'poor'),
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Set on check-in; an open checkout has none
+    checkedInAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    checkedInBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    conditionIn: {
+      type: DataTypes.ENUM('excellent', 'good', 'fair', 'poor'),
+      allowNull: true
+    },
+    checkInNotes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    indexes: [
+      {
+        fields: ['equipmentId', 'checkedOutAt']
+      },
+      {
+        fields: ['bandId', 'checkedInAt', 'dueAt']
+      }
+    ],
+    validate: {
+      hasHolder() {
+        if (!this.holderId && !this.rehearsalId) {
+          throw new Error('Equipment must be checked out to a member or a rehearsal');
+        }
+      },
+      dueAfterCheckout() {
+        if (this.dueAt && this.checkedOutAt && new Date(this.dueAt) <= new Date(this.checkedOutAt)) {
+          throw new Error('Due date must be after the checkout time');
+        }
+      }
+    }
+  });
+
+  EquipmentCheckout.associate = function(models) {
+    // Checkout belongs to Equipment
+    EquipmentCheckout.belongsTo(models.Equipment, {
+      foreignKey: 'equipmentId'
+    });
+    
+    // Checkout may belong to Band
+    EquipmentCheckout.belongsTo(models.Band, {
+      foreignKey: 'bandId'
+    });
+    
+    // Checkout may belong to User (holder)
+    EquipmentCheckout.belongsTo(models.User, {
+      as: 'holder',
+      foreignKey: 'holderId'
+    });
+    
+    // Checkout may belong to Rehearsal
+    EquipmentCheckout.belongsTo(models.Rehearsal, {
+      foreignKey: 'rehearsalId'
+    });
+    
+    // Checkout belongs to the users who handed the gear out and took it back
+    EquipmentCheckout.belongsTo(models.User, {
+      as: 'checkedOutByUser',
+      foreignKey: 'checkedOutBy'
+    });
+    EquipmentCheckout.belongsTo(models.User, {
+      as: 'checkedInByUser',
+      foreignKey: 'checkedInBy'
+    });
+  };
+
+  /**
+   * Check if the gear is past its due date and still out
+   * @param {Date} [now]
+   * @returns {Boolean}
+   */
+  EquipmentCheckout.prototype.isOverdue = function(now = new Date()) {
+    return !this.checkedInAt && new Date(this.dueAt) < now;
+  };
+
+  return EquipmentCheckout;
+};
\ No newline at end of file
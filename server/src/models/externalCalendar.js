@@ -0,0 +1,75 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const ExternalCalendar = sequelize.define('ExternalCalendar', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    // ICS URL fetched on every sync; null for an uploaded file. Often contains a
+    // secret, so it is only shown to the member.
+    url: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    lastSyncedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Why the last sync failed; cleared by a successful one
+    lastError: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // ics: an uploaded file or ICS URL; caldav: free/busy pulled by the CalDAV connector
+    source: {
+      type: DataTypes.ENUM('ics', 'caldav'),
+      allowNull: false,
+      defaultValue: 'ics'
+    },
+    // Busy blocks imported by the last successful sync
+    blockCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    indexes: [
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  ExternalCalendar.associate = function(models) {
+    // Calendar belongs to User
+    ExternalCalendar.belongsTo(models.User, {
+      foreignKey: 'userId'
+    });
+    
+    // Calendar has many busy blocks, replaced on every sync
+    ExternalCalendar.hasMany(models.BusyBlock, {
+      as: 'busyBlocks',
+      foreignKey: 'externalCalendarId',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return ExternalCalendar;
+};
\ No newline at end of file
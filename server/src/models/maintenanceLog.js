@@ -0,0 +1,92 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const MaintenanceLog = sequelize.define('MaintenanceLog', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    equipmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Equipment',
+        key: 'id'
+      }
+    },
+    // Plan this work completed; one-off repairs have none
+    planId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'MaintenancePlans',
+        key: 'id'
+      }
+    },
+    performedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    // Member who recorded the work
+    performedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    summary: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 255]
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    cost: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: true
+    }
+  }, {
+    indexes: [
+      {
+        fields: ['equipmentId', 'performedAt']
+      }
+    ]
+  });
+
+  MaintenanceLog.associate = function(models) {
+    // Log entry belongs to Equipment
+    MaintenanceLog.belongsTo(models.Equipment, {
+      foreignKey: 'equipmentId'
+    });
+    
+    // Log entry may belong to a MaintenancePlan
+    MaintenanceLog.belongsTo(models.MaintenancePlan, {
+      as: 'plan',
+      foreignKey: 'planId'
+    });
+    
+    // Log entry may belong to the User who recorded it
+    MaintenanceLog.belongsTo(models.User, {
+      as: 'performer',
+      foreignKey: 'performedBy'
+    });
+  };
+
+  return MaintenanceLog;
+};
\ No newline at end of file
@@ -0,0 +1,119 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const MaintenancePlan = sequelize.define('MaintenancePlan', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    equipmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Equipment',
+        key: 'id'
+      }
+    },
+    // What has to be done, e.g. 'Restring' or 'Service PA'
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 100]
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Repeats every intervalCount intervalUnits, counted from the last time it was done
+    intervalCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    intervalUnit: {
+      type: DataTypes.ENUM('days', 'weeks', 'months', 'years'),
+      allowNull: false
+    },
+    // Band admins are alerted this many days before the plan falls due
+    leadDays: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 7,
+      validate: {
+        min: 0,
+        max: 365
+      }
+    },
+    lastCompletedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    nextDueAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // Due date the last alert was sent for; completing the plan moves nextDueAt on
+    alertedFor: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    }
+  }, {
+    indexes: [
+      {
+        fields: ['equipmentId']
+      },
+      {
+        fields: ['isActive', 'nextDueAt']
+      }
+    ]
+  });
+
+  MaintenancePlan.associate = function(models) {
+    // Plan belongs to Equipment
+    MaintenancePlan.belongsTo(models.Equipment, {
+      foreignKey: 'equipmentId'
+    });
+    
+    // Plan may belong to the User who set it up
+    MaintenancePlan.belongsTo(models.User, {
+      as: 'creator',
+      foreignKey: 'createdBy'
+    });
+    
+    // Plan has many log entries
+    MaintenancePlan.hasMany(models.MaintenanceLog, {
+      as: 'log',
+      foreignKey: 'planId'
+    });
+  };
+
+  /**
+   * Check whether the plan is past its due date
+   * @param {Date} now
+   * @returns {Boolean}
+   */
+  MaintenancePlan.prototype.isOverdue = function(now = new Date()) {
+    return this.isActive && new Date(this.nextDueAt) <= now;
+  };
+
+  return MaintenancePlan;
+};
\ No newline at end of file
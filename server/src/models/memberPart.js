@@ -0,0 +1,53 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const MemberPart = sequelize.define('MemberPart', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userBandId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'UserBands',
+        key: 'id'
+      }
+    },
+    // Instrument or part, e.g. 'drums', 'bass' or 'vocals: harmony'
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      },
+      set(value) {
+        this.setDataValue('name', typeof value === 'string' ? value.trim().toLowerCase() : value);
+      }
+    },
+    // Whether the band cannot rehearse properly without this part
+    essential: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    indexes: [
+      {
+        unique: true,
+        fields: ['userBandId', 'name']
+      }
+    ]
+  });
+
+  MemberPart.associate = function(models) {
+    // MemberPart belongs to a band membership
+    MemberPart.belongsTo(models.UserBand, {
+      as: 'membership',
+      foreignKey: 'userBandId'
+    });
+  };
+
+  return MemberPart;
+};
\ No newline at end of file
@@ -0,0 +1,43 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const PasswordResetToken = sequelize.define('PasswordResetToken', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    // SHA-256 of the token sent by email; the token itself is never stored
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // Set when the token is used or superseded, so it works only once
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  });
+
+  PasswordResetToken.associate = function(models) {
+    // Reset token belongs to User
+    PasswordResetToken.belongsTo(models.User, {
+      foreignKey: 'userId'
+    });
+  };
+
+  return PasswordResetToken;
+};
\ No newline at end of file
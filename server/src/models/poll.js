@@ -0,0 +1,109 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const Poll = sequelize.define('Poll', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    bandId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Bands',
+        key: 'id'
+      }
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Where the rehearsal created from the winning slot takes place
+    location: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'closed', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'open'
+    },
+    // Voting deadline; votes are refused after it even before the poll is closed
+    closesAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    closedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Slot picked when the poll was closed
+    winningOptionId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    // Rehearsal created from the winning slot
+    rehearsalId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Rehearsals',
+        key: 'id'
+      }
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    }
+  }, {
+    indexes: [
+      {
+        fields: ['bandId', 'status']
+      }
+    ]
+  });
+
+  Poll.associate = function(models) {
+    // Poll belongs to Band
+    Poll.belongsTo(models.Band, {
+      foreignKey: 'bandId'
+    });
+    
+    // Poll belongs to the admin who opened it
+    Poll.belongsTo(models.User, {
+      as: 'creator',
+      foreignKey: 'createdBy'
+    });
+    
+    // Poll has many candidate time slots
+    Poll.hasMany(models.PollOption, {
+      as: 'options',
+      foreignKey: 'pollId',
+      onDelete: 'CASCADE'
+    });
+    
+    // Poll may end in a rehearsal
+    Poll.belongsTo(models.Rehearsal, {
+      foreignKey: 'rehearsalId'
+    });
+  };
+
+  // An open poll whose deadline has passed no longer takes votes
+  Poll.prototype.isOpen = function(now = new Date()) {
+    return this.status === 'open' && (!this.closesAt || new Date(this.closesAt) > now);
+  };
+
+  return Poll;
+};
\ No newline at end of file
@@ -0,0 +1,56 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const PollOption = sequelize.define('PollOption', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    pollId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Polls',
+        key: 'id'
+      }
+    },
+    startTime: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    endTime: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    validate: {
+      endsAfterStart() {
+        if (this.startTime && this.endTime && new Date(this.endTime) <= new Date(this.startTime)) {
+          throw new Error('Option end time must be after its start time');
+        }
+      }
+    },
+    indexes: [
+      {
+        fields: ['pollId', 'startTime']
+      }
+    ]
+  });
+
+  PollOption.associate = function(models) {
+    // Option belongs to Poll
+    PollOption.belongsTo(models.Poll, {
+      foreignKey: 'pollId'
+    });
+    
+    // Option has one vote per member
+    PollOption.hasMany(models.PollVote, {
+      as: 'votes',
+      foreignKey: 'pollOptionId',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return PollOption;
+};
\ No newline at end of file
@@ -0,0 +1,52 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const PollVote = sequelize.define('PollVote', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    pollOptionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'PollOptions',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    answer: {
+      type: DataTypes.ENUM('yes', 'if-need-be', 'no'),
+      allowNull: false
+    }
+  }, {
+    indexes: [
+      {
+        unique: true,
+        fields: ['pollOptionId', 'userId']
+      }
+    ]
+  });
+
+  PollVote.associate = function(models) {
+    // Vote belongs to PollOption
+    PollVote.belongsTo(models.PollOption, {
+      foreignKey: 'pollOptionId'
+    });
+    
+    // Vote belongs to User
+    PollVote.belongsTo(models.User, {
+      foreignKey: 'userId'
+    });
+  };
+
+  return PollVote;
+};
\ No newline at end of file
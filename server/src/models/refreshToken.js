@@ -0,0 +1,43 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const RefreshToken = sequelize.define('RefreshToken', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Sessions',
+        key: 'id'
+      }
+    },
+    // SHA-256 of the token handed to the client; the token itself is never stored
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // Set when the token is exchanged; presenting it again means it was stolen
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  });
+
+  RefreshToken.associate = function(models) {
+    // Refresh token belongs to Session
+    RefreshToken.belongsTo(models.Session, {
+      foreignKey: 'sessionId'
+    });
+  };
+
+  return RefreshToken;
+};
\ No newline at end of file
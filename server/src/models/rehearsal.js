@@ -1,4 +1,9 @@
 'use strict';
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/timezone');
+const { parseRRule } = require('../services/recurrence.service');
+
+const HOUR = 60 * 60 * 1000;
+const DEFAULT_REMINDER_HOURS = parseInt(process.env.DEFAULT_REMINDER_HOURS, 10) || 24;
 
 module.exports = (sequelize, DataTypes) => {
   const Rehearsal = sequelize.define('Rehearsal', {
@@ -58,14 +63,70 @@ module.exports = (sequelize, DataTypes) => {
         isUrl: true
       }
     },
+    // Room booked for the rehearsal; a room cannot be booked twice at once
+    venueId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Venues',
+        key: 'id'
+      }
+    },
     isRecurring: {
       type: DataTypes.BOOLEAN,
       defaultValue: false
     },
-    recurringPattern: {
-      type: DataTypes.JSON,
+    recurrenceRule: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      // iCalendar RRULE (e.g. FREQ=WEEKLY;BYDAY=MO,TH;COUNT=10), set on series only
+      validate: {
+        isValidRule(value) {
+          if (value) {
+            parseRRule(value);
+          }
+        }
+      }
+    },
+    timezone: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: DEFAULT_TIMEZONE,
+      // Zone the recurrence rule is expanded in, so local start times survive DST
+      validate: {
+        isTimezone(value) {
+          if (!isValidTimezone(value)) {
+            throw new Error('Timezone must be a valid IANA timezone name');
+          }
+        }
+      }
+    },
+    seriesId: {
+      type: DataTypes.UUID,
       allowNull: true,
-      // Can store frequency (daily, weekly, monthly), interval, and days of week
+      references: {
+        model: 'Rehearsals',
+        key: 'id'
+      }
+      // Set on a single occurrence of a series that was moved, edited or cancelled
+    },
+    originalStartTime: {
+      type: DataTypes.DATE,
+      allowNull: true
+      // Start time the occurrence had in the series before it was changed
+    },
+    sendReminders: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    reminderHours: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      // Overrides the band's defaultReminderHours when set
+      validate: {
+        min: 1,
+        max: 168 // 1 week
+      }
     },
     reminderSent: {
       type: DataTypes.BOOLEAN,
@@ -74,6 +135,7 @@ module.exports = (sequelize, DataTypes) => {
     reminderTime: {
       type: DataTypes.DATE,
       allowNull: true
+      // Derived from startTime and the reminder lead time in the beforeSave hook
     },
     status: {
       type: DataTypes.ENUM('scheduled', 'in-progress', 'completed', 'cancelled'),
@@ -91,6 +153,38 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     }
+  }, {
+    validate: {
+      seriesHasRule() {
+        if (this.isRecurring && !this.recurrenceRule) {
+          throw new Error('Recurring rehearsals require a recurrence rule');
+        }
+        if (this.isRecurring && this.seriesId) {
+          throw new Error('A series occurrence cannot itself be recurring');
+        }
+      }
+    },
+    hooks: {
+      // Recompute the reminder whenever the rehearsal moves or its reminder settings change
+      beforeSave: async (rehearsal, options) => {
+        if (!rehearsal.isNewRecord && !rehearsal.changed('startTime') &&
+            !rehearsal.changed('reminderHours') && !rehearsal.changed('sendReminders')) {
+          return;
+        }
+        
+        let hours = rehearsal.reminderHours;
+        if (!hours) {
+          const band = await sequelize.models.Band.findByPk(rehearsal.bandId, {
+            attributes: ['defaultReminderHours'],
+            transaction: options.transaction
+          });
+          hours = (band && band.defaultReminderHours) || DEFAULT_REMINDER_HOURS;
+        }
+        
+        rehearsal.reminderTime = new Date(new Date(rehearsal.startTime).getTime() - hours * HOUR);
+        rehearsal.reminderSent = false;
+      }
+    }
   });
 
   Rehearsal.associate = function(models) {
@@ -105,16 +199,39 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'createdBy'
     });
     
+    // Rehearsal may take place in a booked room
+    Rehearsal.belongsTo(models.Venue, {
+      foreignKey: 'venueId'
+    });
+    
+    // Recurring rehearsal has many changed occurrences (exceptions)
+    Rehearsal.hasMany(models.Rehearsal, {
+      as: 'exceptions',
+      foreignKey: 'seriesId'
+    });
+    
+    // Exception belongs to its series
+    Rehearsal.belongsTo(models.Rehearsal, {
+      as: 'series',
+      foreignKey: 'seriesId'
+    });
+    
     // Rehearsal belongs to many Users through UserRehearsal join table
     Rehearsal.belongsToMany(models.User, {
-      through: 'UserRehearsal',
+      through: models.UserRehearsal,
       as: 'attendees',
       foreignKey: 'rehearsalId'
     });
     
+    // Rehearsal has many RSVP and attendance records
+    Rehearsal.hasMany(models.UserRehearsal, {
+      as: 'attendance',
+      foreignKey: 'rehearsalId'
+    });
+    
     // Rehearsal has many Equipment items through RehearsalEquipment join table
     Rehearsal.belongsToMany(models.Equipment, {
-      through: 'RehearsalEquipment',
+      through: models.RehearsalEquipment,
       as: 'equipment',
       foreignKey: 'rehearsalId'
     });
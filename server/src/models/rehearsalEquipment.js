@@ -0,0 +1,74 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const RehearsalEquipment = sequelize.define('RehearsalEquipment', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Booking a series books the gear for every occurrence, changed ones included
+    rehearsalId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Rehearsals',
+        key: 'id'
+      }
+    },
+    equipmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Equipment',
+        key: 'id'
+      }
+    },
+    note: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        len: [0, 255]
+      }
+    },
+    addedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'RehearsalEquipment',
+    indexes: [
+      {
+        unique: true,
+        fields: ['rehearsalId', 'equipmentId']
+      },
+      {
+        fields: ['equipmentId']
+      }
+    ]
+  });
+
+  RehearsalEquipment.associate = function(models) {
+    // RehearsalEquipment belongs to Rehearsal
+    RehearsalEquipment.belongsTo(models.Rehearsal, {
+      foreignKey: 'rehearsalId'
+    });
+    
+    // RehearsalEquipment belongs to Equipment
+    RehearsalEquipment.belongsTo(models.Equipment, {
+      foreignKey: 'equipmentId'
+    });
+    
+    // RehearsalEquipment may belong to the User who booked the gear
+    RehearsalEquipment.belongsTo(models.User, {
+      as: 'addedByUser',
+      foreignKey: 'addedBy'
+    });
+  };
+
+  return RehearsalEquipment;
+};
\ No newline at end of file
@@ -0,0 +1,81 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const ReminderDelivery = sequelize.define('ReminderDelivery', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Series ID for occurrences of a recurring series, so materializing an
+    // occurrence later does not make its reminder look unsent
+    rehearsalId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Rehearsals',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    // Start time the reminder was sent for; a moved rehearsal gets a new reminder
+    occurrenceStart: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('sending', 'sent', 'failed'),
+      allowNull: false,
+      defaultValue: 'sending'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    claimedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    indexes: [
+      {
+        // Claiming a reminder inserts this row; the constraint lets only one instance win
+        unique: true,
+        fields: ['rehearsalId', 'userId', 'occurrenceStart']
+      },
+      {
+        fields: ['status']
+      }
+    ]
+  });
+
+  ReminderDelivery.associate = function(models) {
+    // Delivery belongs to the rehearsal (or series) it reminds about
+    ReminderDelivery.belongsTo(models.Rehearsal, {
+      foreignKey: 'rehearsalId'
+    });
+    
+    // Delivery belongs to the recipient
+    ReminderDelivery.belongsTo(models.User, {
+      foreignKey: 'userId'
+    });
+  };
+
+  return ReminderDelivery;
+};
\ No newline at end of file
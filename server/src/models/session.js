@@ -0,0 +1,70 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  // A login session; all refresh tokens rotated from one login share it (the token family)
+  const Session = sequelize.define('Session', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    userAgent: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    ipAddress: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Moves forward with every rotation
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedReason: {
+      type: DataTypes.ENUM('logout', 'reuse', 'password-reset', 'admin'),
+      allowNull: true
+    }
+  }, {
+    indexes: [
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  Session.associate = function(models) {
+    // Session belongs to User
+    Session.belongsTo(models.User, {
+      foreignKey: 'userId'
+    });
+    
+    // Session has many refresh tokens (one active, the rest rotated)
+    Session.hasMany(models.RefreshToken, {
+      as: 'refreshTokens',
+      foreignKey: 'sessionId'
+    });
+  };
+
+  Session.prototype.isActive = function(now = new Date()) {
+    return !this.revokedAt && new Date(this.expiresAt) > now;
+  };
+
+  return Session;
+};
\ No newline at end of file
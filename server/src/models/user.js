@@ -1,5 +1,6 @@
 'use strict';
 const bcrypt = require('bcryptjs');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/timezone');
 
 module.exports = (sequelize, DataTypes) => {
   const User = sequelize.define('User', {
@@ -53,7 +54,14 @@ module.exports = (sequelize, DataTypes) => {
     },
     timezone: {
       type: DataTypes.STRING,
-      defaultValue: 'UTC'
+      defaultValue: DEFAULT_TIMEZONE,
+      validate: {
+        isTimezone(value) {
+          if (!isValidTimezone(value)) {
+            throw new Error('Timezone must be a valid IANA timezone name');
+          }
+        }
+      }
     },
     isActive: {
       type: DataTypes.BOOLEAN,
@@ -62,6 +70,11 @@ module.exports = (sequelize, DataTypes) => {
     lastLogin: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    // Tokens issued before this are no longer accepted
+    passwordChangedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
     hooks: {
@@ -75,6 +88,7 @@ module.exports = (sequelize, DataTypes) => {
         if (user.changed('password')) {
           const salt = await bcrypt.genSalt(10);
           user.password = await bcrypt.hash(user.password, salt);
+          user.passwordChangedAt = new Date();
         }
       }
     }
@@ -84,6 +98,14 @@ module.exports = (sequelize, DataTypes) => {
     return await bcrypt.compare(password, this.password);
   };
 
+  // Check whether a token issued at `issuedAt` (JWT iat, in seconds) predates the last password change
+  User.prototype.changedPasswordAfter = function(issuedAt) {
+    if (!this.passwordChangedAt) {
+      return false;
+    }
+    return issuedAt < Math.floor(new Date(this.passwordChangedAt).getTime() / 1000);
+  };
+
   User.prototype.toJSON = function() {
     const values = Object.assign({}, this.get());
     delete values.password;
@@ -93,7 +115,7 @@ module.exports = (sequelize, DataTypes) => {
   User.associate = function(models) {
     // User belongs to many Bands through UserBand join table
     User.belongsToMany(models.Band, {
-      through: 'UserBand',
+      through: models.UserBand,
       as: 'bands',
       foreignKey: 'userId'
     });
@@ -103,12 +125,41 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'userId'
     });
     
+    // User has many blackout periods (tours, holidays, work trips)
+    User.hasMany(models.Blackout, {
+      as: 'blackouts',
+      foreignKey: 'userId'
+    });
+    
     // User has many Rehearsals through UserRehearsal join table
     User.belongsToMany(models.Rehearsal, {
-      through: 'UserRehearsal',
+      through: models.UserRehearsal,
       as: 'rehearsals',
       foreignKey: 'userId'
     });
+    
+    // User has many login sessions
+    User.hasMany(models.Session, {
+      foreignKey: 'userId'
+    });
+    
+    // User has many external calendars imported as busy time
+    User.hasMany(models.ExternalCalendar, {
+      as: 'externalCalendars',
+      foreignKey: 'userId'
+    });
+    
+    // User may connect a CalDAV calendar
+    User.hasOne(models.CaldavAccount, {
+      as: 'caldavAccount',
+      foreignKey: 'userId'
+    });
+    
+    // User has many calendar subscription feeds
+    User.hasMany(models.CalendarFeed, {
+      as: 'calendarFeeds',
+      foreignKey: 'userId'
+    });
   };
 
   return User;
@@ -0,0 +1,61 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const UserBand = sequelize.define('UserBand', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    bandId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Bands',
+        key: 'id'
+      }
+    },
+    // owner > admin > member > guest (a sub or session player)
+    role: {
+      type: DataTypes.ENUM('owner', 'admin', 'member', 'guest'),
+      allowNull: false,
+      defaultValue: 'member'
+    }
+  }, {
+    indexes: [
+      {
+        unique: true,
+        fields: ['userId', 'bandId']
+      }
+    ]
+  });
+
+  UserBand.associate = function(models) {
+    // UserBand belongs to User
+    UserBand.belongsTo(models.User, {
+      foreignKey: 'userId'
+    });
+    
+    // UserBand belongs to Band
+    UserBand.belongsTo(models.Band, {
+      foreignKey: 'bandId'
+    });
+    
+    // UserBand has many instruments or parts the member plays
+    UserBand.hasMany(models.MemberPart, {
+      as: 'parts',
+      foreignKey: 'userBandId',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return UserBand;
+};
\ No newline at end of file
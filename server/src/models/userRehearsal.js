@@ -0,0 +1,89 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const UserRehearsal = sequelize.define('UserRehearsal', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    rehearsalId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Rehearsals',
+        key: 'id'
+      }
+    },
+    // RSVP given by the member before the rehearsal
+    status: {
+      type: DataTypes.ENUM('pending', 'attending', 'maybe', 'not_attending'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    note: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        len: [0, 255]
+      }
+    },
+    respondedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Actual attendance recorded by a band admin after the rehearsal
+    attendance: {
+      type: DataTypes.ENUM('present', 'late', 'absent'),
+      allowNull: true
+    },
+    attendanceNote: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        len: [0, 255]
+      }
+    },
+    attendanceRecordedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    attendanceRecordedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    }
+  }, {
+    indexes: [
+      {
+        unique: true,
+        fields: ['userId', 'rehearsalId']
+      }
+    ]
+  });
+
+  UserRehearsal.associate = function(models) {
+    // UserRehearsal belongs to User
+    UserRehearsal.belongsTo(models.User, {
+      foreignKey: 'userId'
+    });
+    
+    // UserRehearsal belongs to Rehearsal
+    UserRehearsal.belongsTo(models.Rehearsal, {
+      foreignKey: 'rehearsalId'
+    });
+  };
+
+  return UserRehearsal;
+};
\ No newline at end of file
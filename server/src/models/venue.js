@@ -0,0 +1,133 @@
+'use strict';
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/timezone');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+module.exports = (sequelize, DataTypes) => {
+  // A bookable practice room. A studio with several rooms is entered as one venue per room.
+  const Venue = sequelize.define('Venue', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    address: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    city: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    capacity: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1
+      }
+    },
+    hourlyRate: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: true
+    },
+    // Zone the opening hours are given in
+    timezone: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: DEFAULT_TIMEZONE,
+      validate: {
+        isTimezone(value) {
+          if (!isValidTimezone(value)) {
+            throw new Error('Timezone must be a valid IANA timezone name');
+          }
+        }
+      }
+    },
+    // [{ dayOfWeek: 0-6 (Sunday = 0), open: 'HH:mm', close: 'HH:mm' }]. A close
+    // at or before open runs past midnight. Null means the room is always open.
+    openingHours: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      validate: {
+        isOpeningHours(value) {
+          if (value === null) {
+            return;
+          }
+          if (!Array.isArray(value)) {
+            throw new Error('Opening hours must be a list');
+          }
+          value.forEach((entry) => {
+            if (!entry || !Number.isInteger(entry.dayOfWeek) || entry.dayOfWeek < 0 || entry.dayOfWeek > 6) {
+              throw new Error('Each opening hours entry needs a dayOfWeek between 0 (Sunday) and 6 (Saturday)');
+            }
+            if (!TIME_OF_DAY.test(entry.open) || !TIME_OF_DAY.test(entry.close)) {
+              throw new Error('Opening and closing times must be given as HH:mm');
+            }
+          });
+        }
+      }
+    },
+    contactEmail: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isEmail: true
+      }
+    },
+    contactPhone: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    }
+  }, {
+    indexes: [
+      {
+        fields: ['city', 'name']
+      }
+    ]
+  });
+
+  Venue.associate = function(models) {
+    // Venue has many Rehearsals booked into it
+    Venue.hasMany(models.Rehearsal, {
+      foreignKey: 'venueId'
+    });
+    
+    // Venue belongs to the user who added it
+    Venue.belongsTo(models.User, {
+      as: 'creator',
+      foreignKey: 'createdBy'
+    });
+  };
+
+  return Venue;
+};
\ No newline at end of file
@@ -3,6 +3,8 @@ const { body } = require('express-validator');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
 const validate = require('../middleware/validate');
+const authenticate = require('../middleware/authenticate');
+const { isValidTimezone } = require('../utils/timezone');
 
 // Register a new user
 router.post(
@@ -22,7 +24,8 @@ router.post(
       .isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
       .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/).withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
     body('phone').optional(),
-    body('timezone').optional()
+    body('timezone').optional().custom(isValidTimezone).withMessage('Timezone must be a valid IANA timezone name'),
+    body('invitationToken').optional().isHexadecimal().withMessage('Invalid invitation token')
   ],
   validate,
   authController.register
@@ -45,8 +48,17 @@ router.post(
 // Verify token
 router.get('/verify', authController.verifyToken);
 
-// Refresh token
-router.post('/refresh', authController.refreshToken);
+// Refresh token (rotates: the presented refresh token is replaced)
+router.post(
+  '/refresh',
+  [
+    body('refreshToken')
+      .notEmpty().withMessage('Refresh token is required')
+      .isString().withMessage('Refresh token must be a string')
+  ],
+  validate,
+  authController.refreshToken
+);
 
 // Forgot password
 router.post(
@@ -75,7 +87,7 @@ router.post(
   authController.resetPassword
 );
 
-// Logout
-router.post('/logout', authController.logout);
+// Logout (revokes the current session)
+router.post('/logout', authenticate(), authController.logout);
 
 module.exports = router;
\ No newline at end of file
@@ -3,47 +3,15 @@ const { body, param, query } = require('express-validator');
 const router = express.Router();
 const authenticate = require('../middleware/authenticate');
 const validate = require('../middleware/validate');
+const { DISPLAY_ZONES } = require('../utils/timezone');
+const availabilityController = require('../controllers/availability.controller');
+const externalCalendarController = require('../controllers/externalCalendar.controller');
 
-// Placeholder for availability controller
-// This would typically be imported from '../controllers/availability.controller'
-const availabilityController = {
-  getUserAvailability: (req, res) => {
-    res.status(200).json({ 
-      message: 'Get user availability endpoint - To be implemented', 
-      userId: req.params.userId || req.user.id,
-      startDate: req.query.startDate,
-      endDate: req.query.endDate
-    });
-  },
-  createAvailability: (req, res) => {
-    res.status(201).json({ 
-      message: 'Create availability endpoint - To be implemented', 
-      data: req.body 
-    });
-  },
-  getAvailabilityById: (req, res) => {
-    res.status(200).json({ 
-      message: 'Get availability by ID endpoint - To be implemented', 
-      id: req.params.id 
-    });
-  },
-  updateAvailability: (req, res) => {
-    res.status(200).json({ 
-      message: 'Update availability endpoint - To be implemented', 
-      id: req.params.id, 
-      data: req.body 
-    });
-  },
-  deleteAvailability: (req, res) => {
-    res.status(200).json({ 
-      message: 'Delete availability endpoint - To be implemented', 
-      id: req.params.id 
-    });
-  }
-};
+// .ics uploads arrive as the raw request body
+const icsBody = express.text({ type: ['text/calendar', 'text/plain', 'application/octet-stream'], limit: '5mb' });
 
 // Apply authentication middleware to all availability routes
-router.use(authenticate);
+router.use(authenticate());
 
 /**
  * @route GET /api/availability
@@ -55,7 +23,8 @@ router.get(
   [
     query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
     query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO 8601 date'),
-    query('type').optional().isIn(['one-time', 'recurring']).withMessage('Type must be either "one-time" or "recurring"')
+    query('type').optional().isIn(['one-time', 'recurring']).withMessage('Type must be either "one-time" or "recurring"'),
+    query('displayIn').optional().isIn(DISPLAY_ZONES).withMessage(`displayIn must be one of ${DISPLAY_ZONES.join(', ')}`)
   ],
   validate,
   availabilityController.getUserAvailability
@@ -72,12 +41,197 @@ router.get(
     param('userId').isUUID().withMessage('Invalid user ID format'),
     query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
     query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO 8601 date'),
-    query('type').optional().isIn(['one-time', 'recurring']).withMessage('Type must be either "one-time" or "recurring"')
+    query('type').optional().isIn(['one-time', 'recurring']).withMessage('Type must be either "one-time" or "recurring"'),
+    query('displayIn').optional().isIn(DISPLAY_ZONES).withMessage(`displayIn must be one of ${DISPLAY_ZONES.join(', ')}`)
   ],
   validate,
   availabilityController.getUserAvailability
 );
 
+/**
+ * @route GET /api/availability/blackouts
+ * @desc Get current user's blackout periods (upcoming by default)
+ * @access Private
+ */
+router.get(
+  '/blackouts',
+  [
+    query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
+    query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO 8601 date')
+  ],
+  validate,
+  availabilityController.getBlackouts
+);
+
+/**
+ * @route GET /api/availability/user/:userId/blackouts
+ * @desc Get specific user's blackout periods (admin or band admin only)
+ * @access Private
+ */
+router.get(
+  '/user/:userId/blackouts',
+  [
+    param('userId').isUUID().withMessage('Invalid user ID format'),
+    query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
+    query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO 8601 date')
+  ],
+  validate,
+  availabilityController.getBlackouts
+);
+
+/**
+ * @route POST /api/availability/blackouts
+ * @desc Create a blackout period (tour, holiday, work trip) for the current user
+ * @access Private
+ */
+router.post(
+  '/blackouts',
+  [
+    body('startsAt').isISO8601().withMessage('Start must be a valid ISO 8601 date'),
+    body('endsAt').isISO8601().withMessage('End must be a valid ISO 8601 date')
+      .custom((value, { req }) => {
+        if (new Date(value) <= new Date(req.body.startsAt)) {
+          throw new Error('End must be after start');
+        }
+        return true;
+      }),
+    body('reason').optional().isString().isLength({ max: 255 })
+      .withMessage('Reason must be at most 255 characters')
+  ],
+  validate,
+  availabilityController.createBlackout
+);
+
+/**
+ * @route PUT /api/availability/blackouts/:id
+ * @desc Update a blackout period
+ * @access Private
+ */
+router.put(
+  '/blackouts/:id',
+  [
+    param('id').isUUID().withMessage('Invalid blackout ID format'),
+    body('startsAt').optional().isISO8601().withMessage('Start must be a valid ISO 8601 date'),
+    body('endsAt').optional().isISO8601().withMessage('End must be a valid ISO 8601 date'),
+    body('reason').optional({ nullable: true }).isString().isLength({ max: 255 })
+      .withMessage('Reason must be at most 255 characters')
+  ],
+  validate,
+  availabilityController.updateBlackout
+);
+
+/**
+ * @route DELETE /api/availability/blackouts/:id
+ * @desc Delete a blackout period
+ * @access Private
+ */
+router.delete(
+  '/blackouts/:id',
+  [
+    param('id').isUUID().withMessage('Invalid blackout ID format')
+  ],
+  validate,
+  availabilityController.deleteBlackout
+);
+
+/**
+ * @route GET /api/availability/busy
+ * @desc Get current user's busy time imported from external calendars, with event titles
+ * @access Private
+ */
+router.get(
+  '/busy',
+  [
+    query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
+    query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO 8601 date')
+  ],
+  validate,
+  externalCalendarController.getBusy
+);
+
+/**
+ * @route GET /api/availability/calendars
+ * @desc Get current user's external calendars
+ * @access Private
+ */
+router.get('/calendars', externalCalendarController.getCalendars);
+
+/**
+ * @route POST /api/availability/calendars
+ * @desc Subscribe to an ICS URL whose events count as busy time
+ * @access Private
+ */
+router.post(
+  '/calendars',
+  [
+    body('url').isURL({ protocols: ['http', 'https', 'webcal'], require_protocol: true, require_tld: false })
+      .withMessage('URL must be an http, https or webcal link'),
+    body('name').optional().isString().isLength({ min: 1, max: 255 })
+      .withMessage('Name must be between 1 and 255 characters')
+  ],
+  validate,
+  externalCalendarController.addCalendar
+);
+
+/**
+ * @route POST /api/availability/calendars/upload
+ * @desc Import an .ics file (sent as the request body) whose events count as busy time
+ * @access Private
+ */
+router.post(
+  '/calendars/upload',
+  icsBody,
+  [
+    query('name').optional().isString().isLength({ min: 1, max: 255 })
+      .withMessage('Name must be between 1 and 255 characters')
+  ],
+  validate,
+  externalCalendarController.uploadCalendar
+);
+
+/**
+ * @route PUT /api/availability/calendars/:id/upload
+ * @desc Replace an uploaded calendar with a newer .ics file
+ * @access Private
+ */
+router.put(
+  '/calendars/:id/upload',
+  icsBody,
+  [
+    param('id').isUUID().withMessage('Invalid calendar ID format')
+  ],
+  validate,
+  externalCalendarController.replaceUpload
+);
+
+/**
+ * @route POST /api/availability/calendars/:id/sync
+ * @desc Fetch a subscribed calendar now
+ * @access Private
+ */
+router.post(
+  '/calendars/:id/sync',
+  [
+    param('id').isUUID().withMessage('Invalid calendar ID format')
+  ],
+  validate,
+  externalCalendarController.syncCalendar
+);
+
+/**
+ * @route DELETE /api/availability/calendars/:id
+ * @desc Remove an external calendar and its busy time
+ * @access Private
+ */
+router.delete(
+  '/calendars/:id',
+  [
+    param('id').isUUID().withMessage('Invalid calendar ID format')
+  ],
+  validate,
+  externalCalendarController.deleteCalendar
+);
+
 /**
  * @route POST /api/availability
  * @desc Create new availability
@@ -124,6 +278,10 @@ router.post(
       }),
     
     // Common fields
+    body('tier').optional().isIn(['preferred', 'possible', 'urgent-only'])
+      .withMessage('Tier must be one of: preferred, possible, urgent-only'),
+    body('priority').optional().isInt({ min: 0, max: 2 })
+      .withMessage('Priority must be 0 (urgent only), 1 (possible) or 2 (preferred)'),
     body('note').optional().isString().isLength({ max: 255 })
       .withMessage('Note must be at most 255 characters')
   ],
@@ -188,6 +346,10 @@ router.put(
       }),
     
     // Common fields
+    body('tier').optional().isIn(['preferred', 'possible', 'urgent-only'])
+      .withMessage('Tier must be one of: preferred, possible, urgent-only'),
+    body('priority').optional().isInt({ min: 0, max: 2 })
+      .withMessage('Priority must be 0 (urgent only), 1 (possible) or 2 (preferred)'),
     body('note').optional().isString().isLength({ max: 255 })
       .withMessage('Note must be at most 255 characters')
   ],
@@ -1,13 +1,32 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const bandController = require('../controllers/band.controller');
+const invitationController = require('../controllers/invitation.controller');
+const pollController = require('../controllers/poll.controller');
 const authenticate = require('../middleware/authenticate');
+const requireBandRole = require('../middleware/requireBandRole');
 const validate = require('../middleware/validate');
+const { DISPLAY_ZONES } = require('../utils/timezone');
 
 const router = express.Router();
 
+/**
+ * Validate a map of member ID to attendance weight
+ */
+const isWeightMap = (value) => {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error('Member weights must map user IDs to numbers');
+  }
+  Object.values(value).forEach((weight) => {
+    if (typeof weight !== 'number' || weight < 0 || weight > 10) {
+      throw new Error('Member weights must be numbers between 0 and 10');
+    }
+  });
+  return true;
+};
+
 // Apply authentication middleware to all band routes
-router.use(authenticate);
+router.use(authenticate());
 
 /**
  * @route GET /api/bands
@@ -19,7 +38,7 @@ router.get('/', bandController.getAllBands);
 /**
  * @route GET /api/bands/:id
  * @desc Get band by ID
- * @access Private
+ * @access Private (Band Guests)
  */
 router.get(
   '/:id',
@@ -27,6 +46,7 @@ router.get(
     param('id').isUUID().withMessage('Invalid band ID format')
   ],
   validate,
+  requireBandRole('guest'),
   bandController.getBandById
 );
 
@@ -45,7 +65,11 @@ router.post(
     body('location').optional().isString(),
     body('contactEmail').optional().isEmail().withMessage('Invalid email format'),
     body('contactPhone').optional().isString(),
-    body('logoUrl').optional().isURL().withMessage('Logo URL must be a valid URL')
+    body('logoUrl').optional().isURL().withMessage('Logo URL must be a valid URL'),
+    body('defaultReminderHours').optional().isInt({ min: 1, max: 168 })
+      .withMessage('Default reminder hours must be between 1 and 168'),
+    body('defaultLocation').optional().isString(),
+    body('defaultVenueId').optional({ nullable: true }).isUUID().withMessage('Invalid venue ID format')
   ],
   validate,
   bandController.createBand
@@ -66,16 +90,21 @@ router.put(
     body('location').optional().isString(),
     body('contactEmail').optional().isEmail().withMessage('Invalid email format'),
     body('contactPhone').optional().isString(),
-    body('logoUrl').optional().isURL().withMessage('Logo URL must be a valid URL')
+    body('logoUrl').optional().isURL().withMessage('Logo URL must be a valid URL'),
+    body('defaultReminderHours').optional().isInt({ min: 1, max: 168 })
+      .withMessage('Default reminder hours must be between 1 and 168'),
+    body('defaultLocation').optional().isString(),
+    body('defaultVenueId').optional({ nullable: true }).isUUID().withMessage('Invalid venue ID format')
   ],
   validate,
+  requireBandRole('admin'),
   bandController.updateBand
 );
 
 /**
  * @route DELETE /api/bands/:id
  * @desc Delete (deactivate) band
- * @access Private (Band Admin or App Admin)
+ * @access Private (Band Owner or App Admin)
  */
 router.delete(
   '/:id',
@@ -83,6 +112,7 @@ router.delete(
     param('id').isUUID().withMessage('Invalid band ID format')
   ],
   validate,
+  requireBandRole('owner'),
   bandController.deleteBand
 );
 
@@ -96,12 +126,69 @@ router.post(
   [
     param('id').isUUID().withMessage('Invalid band ID format'),
     body('userId').isUUID().withMessage('Invalid user ID format'),
-    body('role').optional().isIn(['admin', 'member']).withMessage('Role must be either "admin" or "member"')
+    body('role').optional().isIn(['admin', 'member', 'guest']).withMessage('Role must be one of: admin, member, guest'),
+    body('parts').optional().isArray({ max: 10 }).withMessage('Parts must be a list of at most 10 entries'),
+    body('parts.*.name').isString().trim().isLength({ min: 1, max: 50 })
+      .withMessage('Part name must be between 1 and 50 characters'),
+    body('parts.*.essential').optional().isBoolean().withMessage('Essential must be a boolean')
   ],
   validate,
+  requireBandRole('admin'),
   bandController.addMember
 );
 
+/**
+ * @route POST /api/bands/:id/invitations
+ * @desc Invite someone to the band by email
+ * @access Private (Band Admin or App Admin)
+ */
+router.post(
+  '/:id/invitations',
+  [
+    param('id').isUUID().withMessage('Invalid band ID format'),
+    body('email').isEmail().withMessage('A valid email address is required'),
+    body('role').optional().isIn(['admin', 'member', 'guest']).withMessage('Role must be one of: admin, member, guest'),
+    body('message').optional().isString().isLength({ max: 500 })
+      .withMessage('Message must be at most 500 characters')
+  ],
+  validate,
+  requireBandRole('admin'),
+  invitationController.createInvitation
+);
+
+/**
+ * @route GET /api/bands/:id/invitations
+ * @desc List band invitations (pending by default)
+ * @access Private (Band Admin or App Admin)
+ */
+router.get(
+  '/:id/invitations',
+  [
+    param('id').isUUID().withMessage('Invalid band ID format'),
+    query('status').optional().isIn(['pending', 'expired', 'accepted', 'declined', 'revoked', 'all'])
+      .withMessage('Status must be one of: pending, expired, accepted, declined, revoked, all')
+  ],
+  validate,
+  requireBandRole('admin'),
+  invitationController.getBandInvitations
+);
+
+/**
+ * @route DELETE /api/bands/:id/invitations/:invitationId
+ * @desc Revoke a pending invitation
+ * @access Private (Band Admin or App Admin)
+ */
+router.delete(
+  '/:id/invitations/:invitationId',
+  [
+    param('id').isUUID().withMessage('Invalid band ID format'),
+    param('invitationId').isUUID().withMessage('Invalid invitation ID format')
+  ],
+  validate,
+  requireBandRole('admin'),
+  invitationController.revokeInvitation
+);
+
 /**
  * @route DELETE /api/bands/:id/members/:userId
  * @desc Remove member from band
@@ -114,6 +201,7 @@ router.delete(
     param('userId').isUUID().withMessage('Invalid user ID format')
   ],
   validate,
+  requireBandRole('admin', { allowIf: (req, role) => role && req.params.userId === req.user.id }),
   bandController.removeMember
 );
 
@@ -127,16 +215,37 @@ router.put(
   [
     param('id').isUUID().withMessage('Invalid band ID format'),
     param('userId').isUUID().withMessage('Invalid user ID format'),
-    body('role').isIn(['admin', 'member']).withMessage('Role must be either "admin" or "member"')
+    body('role').isIn(['admin', 'member', 'guest']).withMessage('Role must be one of: admin, member, guest')
   ],
   validate,
+  requireBandRole('admin'),
   bandController.updateMemberRole
 );
 
+/**
+ * @route PUT /api/bands/:id/members/:userId/parts
+ * @desc Set the instruments or parts a member plays
+ * @access Private (Band Admin, App Admin, or the member)
+ */
+router.put(
+  '/:id/members/:userId/parts',
+  [
+    param('id').isUUID().withMessage('Invalid band ID format'),
+    param('userId').isUUID().withMessage('Invalid user ID format'),
+    body('parts').isArray({ max: 10 }).withMessage('Parts must be a list of at most 10 entries'),
+    body('parts.*.name').isString().trim().isLength({ min: 1, max: 50 })
+      .withMessage('Part name must be between 1 and 50 characters'),
+    body('parts.*.essential').optional().isBoolean().withMessage('Essential must be a boolean')
+  ],
+  validate,
+  requireBandRole('admin', { allowIf: (req, role) => role && req.params.userId === req.user.id }),
+  bandController.updateMemberParts
+);
+
 /**
  * @route GET /api/bands/:id/rehearsals
  * @desc Get band rehearsals
- * @access Private (Band Members)
+ * @access Private (Band Guests)
  */
 router.get(
   '/:id/rehearsals',
@@ -147,6 +256,7 @@ router.get(
     query('status').optional().isIn(['scheduled', 'cancelled', 'completed']).withMessage('Invalid status')
   ],
   validate,
+  requireBandRole('guest'),
   bandController.getBandRehearsals
 );
 
@@ -160,15 +270,17 @@ router.get(
   [
     param('id').isUUID().withMessage('Invalid band ID format'),
     query('startDate').isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
-    query('endDate').isISO8601().withMessage('End date must be a valid ISO 8601 date')
+    query('endDate').isISO8601().withMessage('End date must be a valid ISO 8601 date'),
+    query('displayIn').optional().isIn(DISPLAY_ZONES).withMessage(`displayIn must be one of ${DISPLAY_ZONES.join(', ')}`)
   ],
   validate,
+  requireBandRole('member'),
   bandController.getBandMembersAvailability
 );
 
 /**
  * @route POST /api/bands/:id/optimal-times
- * @desc Find optimal rehearsal times
+ * @desc Find optimal rehearsal times, optionally only when the room `venueId` is open and free
  * @access Private (Band Members)
  */
 router.post(
@@ -178,10 +290,72 @@ router.post(
     body('startDate').isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
     body('endDate').isISO8601().withMessage('End date must be a valid ISO 8601 date'),
     body('duration').isInt({ min: 30, max: 480 }).withMessage('Duration must be between 30 and 480 minutes'),
-    body('minimumMembers').optional().isInt({ min: 1 }).withMessage('Minimum members must be at least 1')
+    body('minimumMembers').optional().isInt({ min: 1 }).withMessage('Minimum members must be at least 1'),
+    body('slotInterval').optional().isIn([15, 30, 60]).withMessage('Slot interval must be 15, 30 or 60 minutes'),
+    body('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+    body('displayIn').optional().isIn(DISPLAY_ZONES).withMessage(`displayIn must be one of ${DISPLAY_ZONES.join(', ')}`),
+    body('requiredMembers').optional().isArray().withMessage('Required members must be a list of user IDs'),
+    body('requiredMembers.*').isUUID().withMessage('Required members must be valid user IDs'),
+    body('requiredParts').optional().isArray().withMessage('Required parts must be a list of part names'),
+    body('requiredParts.*').isString().trim().notEmpty().withMessage('Required parts must be part names'),
+    body('memberWeights').optional().custom(isWeightMap),
+    body('urgent').optional().isBoolean().withMessage('Urgent must be a boolean'),
+    body('venueId').optional().isUUID().withMessage('Invalid venue ID format')
   ],
   validate,
+  requireBandRole('member'),
   bandController.findOptimalRehearsalTimes
 );
 
+/**
+ * @route POST /api/bands/:id/polls
+ * @desc Open a poll on candidate rehearsal slots (e.g. the suggestedTimes of optimal-times)
+ * @access Private (Band Admin or App Admin)
+ */
+router.post(
+  '/:id/polls',
+  [
+    param('id').isUUID().withMessage('Invalid band ID format'),
+    body('title').trim().notEmpty().withMessage('Poll title is required'),
+    body('description').optional().isString(),
+    body('location').optional().isString(),
+    body('closesAt').optional().isISO8601().withMessage('Closing time must be a valid ISO 8601 date')
+      .custom((value) => {
+        if (new Date(value) <= new Date()) {
+          throw new Error('Closing time must be in the future');
+        }
+        return true;
+      }),
+    body('options').isArray({ min: 2, max: 20 }).withMessage('A poll needs between 2 and 20 options')
+      .custom((options) => {
+        if (options.some(option => new Date(option.endTime) <= new Date(option.startTime))) {
+          throw new Error('Each option must end after it starts');
+        }
+        return true;
+      }),
+    body('options.*.startTime').isISO8601().withMessage('Option start time must be a valid ISO 8601 date'),
+    body('options.*.endTime').isISO8601().withMessage('Option end time must be a valid ISO 8601 date')
+  ],
+  validate,
+  requireBandRole('admin'),
+  pollController.createPoll
+);
+
+/**
+ * @route GET /api/bands/:id/polls
+ * @desc List band polls (open by default)
+ * @access Private (Band Members)
+ */
+router.get(
+  '/:id/polls',
+  [
+    param('id').isUUID().withMessage('Invalid band ID format'),
+    query('status').optional().isIn(['open', 'closed', 'cancelled', 'all'])
+      .withMessage('Status must be one of: open, closed, cancelled, all')
+  ],
+  validate,
+  requireBandRole('guest'),
+  pollController.getBandPolls
+);
+
 module.exports = router;
\ No newline at end of file
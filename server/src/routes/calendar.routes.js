@@ -0,0 +1,160 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const calendarController = require('../controllers/calendar.controller');
+const caldavController = require('../controllers/caldav.controller');
+const authenticate = require('../middleware/authenticate');
+const requireBandRole = require('../middleware/requireBandRole');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/calendar/feeds
+ * @desc List the current user's calendar feeds
+ * @access Private
+ */
+router.get(
+  '/feeds',
+  authenticate(),
+  calendarController.getFeeds
+);
+
+/**
+ * @route POST /api/calendar/feeds
+ * @desc Create a secret ICS feed URL for one band (`bandId`) or all of the user's bands
+ * @access Private (Band Members for a band feed)
+ */
+router.post(
+  '/feeds',
+  authenticate(),
+  [
+    body('bandId').optional().isUUID().withMessage('Invalid band ID format'),
+    body('name').optional().isString().isLength({ max: 100 })
+      .withMessage('Name must be at most 100 characters')
+  ],
+  validate,
+  // A feed for all of the user's bands has no band to check
+  requireBandRole('guest', { band: requireBandRole.fromBody('bandId'), allowIf: req => !req.body.bandId }),
+  calendarController.createFeed
+);
+
+/**
+ * @route DELETE /api/calendar/feeds/:id
+ * @desc Revoke a calendar feed
+ * @access Private (Feed Owner or App Admin)
+ */
+router.delete(
+  '/feeds/:id',
+  authenticate(),
+  [
+    param('id').isUUID().withMessage('Invalid feed ID format')
+  ],
+  validate,
+  calendarController.revokeFeed
+);
+
+/**
+ * @route GET /api/calendar/caldav
+ * @desc Get the current user's CalDAV connection
+ * @access Private
+ */
+router.get(
+  '/caldav',
+  authenticate(),
+  caldavController.getAccount
+);
+
+/**
+ * @route PUT /api/calendar/caldav
+ * @desc Connect a CalDAV calendar that attended rehearsals are written to, or change the connection
+ * @access Private
+ */
+router.put(
+  '/caldav',
+  authenticate(),
+  [
+    body('calendarUrl').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('Calendar URL must be an http or https URL'),
+    body('username').optional({ nullable: true }).isString().isLength({ max: 255 })
+      .withMessage('Username must be at most 255 characters'),
+    body('password').optional({ nullable: true }).isString()
+      .withMessage('Password must be a string'),
+    body('pullFreeBusy').optional().isBoolean().withMessage('pullFreeBusy must be a boolean')
+  ],
+  validate,
+  caldavController.connectAccount
+);
+
+/**
+ * @route DELETE /api/calendar/caldav
+ * @desc Disconnect the CalDAV calendar (`removeEvents=true` deletes the events written to it)
+ * @access Private
+ */
+router.delete(
+  '/caldav',
+  authenticate(),
+  [
+    query('removeEvents').optional().isBoolean().withMessage('removeEvents must be a boolean')
+  ],
+  validate,
+  caldavController.disconnectAccount
+);
+
+/**
+ * @route POST /api/calendar/caldav/sync
+ * @desc Sync the CalDAV calendar now
+ * @access Private
+ */
+router.post(
+  '/caldav/sync',
+  authenticate(),
+  caldavController.syncAccount
+);
+
+/**
+ * @route GET /api/calendar/caldav/events
+ * @desc Get the sync state of each event written to the CalDAV calendar
+ * @access Private
+ */
+router.get(
+  '/caldav/events',
+  authenticate(),
+  [
+    query('status').optional().isIn(['synced', 'conflict', 'error', 'ignored'])
+      .withMessage('Status must be one of: synced, conflict, error, ignored')
+  ],
+  validate,
+  caldavController.getEvents
+);
+
+/**
+ * @route POST /api/calendar/caldav/events/:eventId/resolve
+ * @desc Resolve a conflict by keeping the rehearsal (`local`) or the edit on the server (`remote`)
+ * @access Private
+ */
+router.post(
+  '/caldav/events/:eventId/resolve',
+  authenticate(),
+  [
+    param('eventId').isUUID().withMessage('Invalid event ID format'),
+    body('keep').isIn(['local', 'remote']).withMessage('keep must be either "local" or "remote"')
+  ],
+  validate,
+  caldavController.resolveEvent
+);
+
+/**
+ * @route GET /api/calendar/:token.ics
+ * @desc iCalendar feed for calendar apps to subscribe to
+ * @access Public (holder of the feed URL)
+ */
+router.get(
+  '/:token.ics',
+  [
+    param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Calendar feed not found')
+  ],
+  validate,
+  calendarController.getFeedCalendar
+);
+
+module.exports = router;
\ No newline at end of file
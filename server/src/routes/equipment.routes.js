@@ -2,67 +2,39 @@ const express = require('express');
 const { body, param, query } = require('express-validator');
 const router = express.Router();
 const authenticate = require('../middleware/authenticate');
+const requireBandRole = require('../middleware/requireBandRole');
 const validate = require('../middleware/validate');
+const equipmentController = require('../controllers/equipment.controller');
+const maintenanceController = require('../controllers/maintenance.controller');
 
-// Placeholder for equipment controller
-// This would typically be imported from '../controllers/equipment.controller'
-const equipmentController = {
-  getAllEquipment: (req, res) => {
-    res.status(200).json({ 
-      message: 'Get all equipment endpoint - To be implemented',
-      bandId: req.query.bandId,
-      category: req.query.category
-    });
-  },
-  getEquipmentById: (req, res) => {
-    res.status(200).json({ 
-      message: 'Get equipment by ID endpoint - To be implemented',
-      id: req.params.id
-    });
-  },
-  createEquipment: (req, res) => {
-    res.status(201).json({ 
-      message: 'Create equipment endpoint - To be implemented',
-      data: req.body
-    });
-  },
-  updateEquipment: (req, res) => {
-    res.status(200).json({ 
-      message: 'Update equipment endpoint - To be implemented',
-      id: req.params.id,
-      data: req.body
-    });
-  },
-  deleteEquipment: (req, res) => {
-    res.status(200).json({ 
-      message: 'Delete equipment endpoint - To be implemented',
-      id: req.params.id
-    });
-  },
-  getBandEquipment: (req, res) => {
-    res.status(200).json({ 
-      message: 'Get band equipment endpoint - To be implemented',
-      bandId: req.params.bandId
-    });
-  },
-  assignEquipmentToBand: (req, res) => {
-    res.status(201).json({ 
-      message: 'Assign equipment to band endpoint - To be implemented',
-      bandId: req.params.bandId,
-      equipmentId: req.params.equipmentId
-    });
-  },
-  removeEquipmentFromBand: (req, res) => {
-    res.status(200).json({ 
-      message: 'Remove equipment from band endpoint - To be implemented',
-      bandId: req.params.bandId,
-      equipmentId: req.params.equipmentId
-    });
-  }
+// Apply authentication middleware to all equipment routes
+router.use(authenticate());
+
+// Personal gear that belongs to no band is managed by its owner
+const ownsPersonalEquipment = (req) => {
+  return Boolean(req.equipment && !req.equipment.bandId && req.equipment.ownerId === req.user.id);
 };
 
-// Apply authentication middleware to all equipment routes
-router.use(authenticate);
+const requireEquipmentRole = (minimumRole) => requireBandRole(minimumRole, {
+  band: requireBandRole.fromEquipment(),
+  allowIf: ownsPersonalEquipment
+});
+
+/**
+ * Validators shared by maintenance plan creation and update. The required
+ * fields are added by the create route.
+ */
+const planValidators = [
+  body('name').optional().isLength({ min: 1, max: 100 }).withMessage('Name must be 1 to 100 characters'),
+  body('description').optional({ nullable: true }).isString(),
+  body('intervalCount').optional().isInt({ min: 1 }).withMessage('Interval must be a whole number of at least 1'),
+  body('intervalUnit').optional().isIn(['days', 'weeks', 'months', 'years'])
+    .withMessage('Interval unit must be one of: days, weeks, months, years'),
+  body('leadDays').optional().isInt({ min: 0, max: 365 }).withMessage('Lead time must be between 0 and 365 days'),
+  body('lastCompletedAt').optional({ nullable: true }).isISO8601()
+    .withMessage('Last completed date must be a valid ISO 8601 date'),
+  body('nextDueAt').optional().isISO8601().withMessage('Next due date must be a valid ISO 8601 date')
+];
 
 /**
  * @route GET /api/equipment
@@ -73,7 +45,9 @@ router.get(
   '/',
   [
     query('bandId').optional().isUUID().withMessage('Invalid band ID format'),
-    query('category').optional().isString()
+    query('category').optional().isString(),
+    query('status').optional().isIn(['available', 'in-use', 'maintenance', 'unavailable'])
+      .withMessage('Status must be one of: available, in-use, maintenance, unavailable')
   ],
   validate,
   equipmentController.getAllEquipment
@@ -82,7 +56,7 @@ router.get(
 /**
  * @route GET /api/equipment/:id
  * @desc Get equipment by ID
- * @access Private
+ * @access Private (Band Members or Owner)
  */
 router.get(
   '/:id',
@@ -90,13 +64,14 @@ router.get(
     param('id').isUUID().withMessage('Invalid equipment ID format')
   ],
   validate,
+  requireEquipmentRole('member'),
   equipmentController.getEquipmentById
 );
 
 /**
  * @route POST /api/equipment
  * @desc Create new equipment
- * @access Private
+ * @access Private (Band Members, or anyone for personal gear)
  */
 router.post(
   '/',
@@ -111,23 +86,29 @@ router.post(
     body('purchaseDate').optional().isISO8601().withMessage('Purchase date must be a valid ISO 8601 date'),
     body('purchasePrice').optional().isFloat({ min: 0 }).withMessage('Purchase price must be a positive number'),
     body('currentValue').optional().isFloat({ min: 0 }).withMessage('Current value must be a positive number'),
+    body('currency').optional().isISO4217().withMessage('Currency must be an ISO 4217 code'),
+    body('usefulLifeYears').optional().isInt({ min: 1, max: 50 }).withMessage('Useful life must be 1 to 50 years'),
+    body('salvageValue').optional().isFloat({ min: 0 }).withMessage('Salvage value must be a positive number'),
     body('condition').optional().isIn(['excellent', 'good', 'fair', 'poor'])
       .withMessage('Condition must be one of: excellent, good, fair, poor'),
     body('location').optional().isString(),
     body('notes').optional().isString(),
     body('isAvailable').optional().isBoolean(),
+    body('status').optional().isIn(['available', 'maintenance', 'unavailable'])
+      .withMessage('Status must be one of: available, maintenance, unavailable'),
     body('ownerId').optional().isUUID().withMessage('Owner ID must be a valid UUID'),
     body('bandId').optional().isUUID().withMessage('Band ID must be a valid UUID'),
     body('imageUrl').optional().isURL().withMessage('Image URL must be a valid URL')
   ],
   validate,
+  requireBandRole('member', { band: requireBandRole.fromBody('bandId'), allowIf: req => !req.body.bandId }),
   equipmentController.createEquipment
 );
 
 /**
  * @route PUT /api/equipment/:id
  * @desc Update equipment
- * @access Private
+ * @access Private (Band Members or Owner)
  */
 router.put(
   '/:id',
@@ -142,23 +123,29 @@ router.put(
     body('purchaseDate').optional().isISO8601().withMessage('Purchase date must be a valid ISO 8601 date'),
     body('purchasePrice').optional().isFloat({ min: 0 }).withMessage('Purchase price must be a positive number'),
     body('currentValue').optional().isFloat({ min: 0 }).withMessage('Current value must be a positive number'),
+    body('currency').optional().isISO4217().withMessage('Currency must be an ISO 4217 code'),
+    body('usefulLifeYears').optional().isInt({ min: 1, max: 50 }).withMessage('Useful life must be 1 to 50 years'),
+    body('salvageValue').optional().isFloat({ min: 0 }).withMessage('Salvage value must be a positive number'),
     body('condition').optional().isIn(['excellent', 'good', 'fair', 'poor'])
       .withMessage('Condition must be one of: excellent, good, fair, poor'),
     body('location').optional().isString(),
     body('notes').optional().isString(),
     body('isAvailable').optional().isBoolean(),
+    body('status').optional().isIn(['available', 'maintenance', 'unavailable'])
+      .withMessage('Status must be one of: available, maintenance, unavailable'),
     body('ownerId').optional().isUUID().withMessage('Owner ID must be a valid UUID'),
     body('bandId').optional().isUUID().withMessage('Band ID must be a valid UUID'),
     body('imageUrl').optional().isURL().withMessage('Image URL must be a valid URL')
   ],
   validate,
+  requireEquipmentRole('member'),
   equipmentController.updateEquipment
 );
 
 /**
  * @route DELETE /api/equipment/:id
  * @desc Delete equipment
- * @access Private
+ * @access Private (Band Admin or Owner)
  */
 router.delete(
   '/:id',
@@ -166,27 +153,267 @@ router.delete(
     param('id').isUUID().withMessage('Invalid equipment ID format')
   ],
   validate,
+  requireEquipmentRole('admin'),
   equipmentController.deleteEquipment
 );
 
+/**
+ * @route GET /api/equipment/band/:bandId/overdue
+ * @desc Get band equipment that is checked out past its due date
+ * @access Private (Band Members)
+ */
+router.get(
+  '/band/:bandId/overdue',
+  [
+    param('bandId').isUUID().withMessage('Invalid band ID format')
+  ],
+  validate,
+  requireBandRole('member', { band: requireBandRole.fromParam('bandId') }),
+  equipmentController.getOverdueEquipment
+);
+
+/**
+ * @route GET /api/equipment/band/:bandId/maintenance
+ * @desc Band equipment with maintenance overdue or due within `days` days (14 by default),
+ *   flagged where it is booked for rehearsals while overdue
+ * @access Private (Band Members)
+ */
+router.get(
+  '/band/:bandId/maintenance',
+  [
+    param('bandId').isUUID().withMessage('Invalid band ID format'),
+    query('days').optional().isInt({ min: 0, max: 365 }).withMessage('Days must be between 0 and 365')
+  ],
+  validate,
+  requireBandRole('member', { band: requireBandRole.fromParam('bandId') }),
+  maintenanceController.getBandMaintenanceDue
+);
+
+/**
+ * @route GET /api/equipment/band/:bandId/valuation
+ * @desc Inventory valuation of band equipment with straight-line depreciation and totals
+ *   by category and owner; `format` csv or pdf downloads it for insurance renewals
+ * @access Private (Band Admin)
+ */
+router.get(
+  '/band/:bandId/valuation',
+  [
+    param('bandId').isUUID().withMessage('Invalid band ID format'),
+    query('format').optional().isIn(['json', 'csv', 'pdf']).withMessage('Format must be one of: json, csv, pdf'),
+    query('asOf').optional().isISO8601().withMessage('As-of date must be a valid ISO 8601 date')
+  ],
+  validate,
+  requireBandRole('admin', { band: requireBandRole.fromParam('bandId') }),
+  equipmentController.getValuationReport
+);
+
 /**
  * @route GET /api/equipment/band/:bandId
  * @desc Get band equipment
- * @access Private
+ * @access Private (Band Members)
  */
 router.get(
   '/band/:bandId',
   [
-    param('bandId').isUUID().withMessage('Invalid band ID format')
+    param('bandId').isUUID().withMessage('Invalid band ID format'),
+    query('category').optional().isString(),
+    query('status').optional().isIn(['available', 'in-use', 'maintenance', 'unavailable'])
+      .withMessage('Status must be one of: available, in-use, maintenance, unavailable')
   ],
   validate,
+  requireBandRole('member', { band: requireBandRole.fromParam('bandId') }),
   equipmentController.getBandEquipment
 );
 
+/**
+ * @route GET /api/equipment/:id/custody
+ * @desc Get the custody log of equipment (every check-out and check-in)
+ * @access Private (Band Members or Owner)
+ */
+router.get(
+  '/:id/custody',
+  [
+    param('id').isUUID().withMessage('Invalid equipment ID format')
+  ],
+  validate,
+  requireEquipmentRole('member'),
+  equipmentController.getCustodyLog
+);
+
+/**
+ * @route GET /api/equipment/:id/schedule
+ * @desc Booking calendar of equipment in a date range (the next 30 days by default):
+ *   rehearsals it is booked for, by any band, and its checkouts
+ * @access Private (Band Members or Owner)
+ */
+router.get(
+  '/:id/schedule',
+  [
+    param('id').isUUID().withMessage('Invalid equipment ID format'),
+    query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
+    query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO 8601 date')
+  ],
+  validate,
+  requireEquipmentRole('member'),
+  equipmentController.getEquipmentSchedule
+);
+
+/**
+ * @route POST /api/equipment/:id/checkout
+ * @desc Check equipment out to a member and/or a rehearsal
+ * @access Private (Band Members or Owner)
+ */
+router.post(
+  '/:id/checkout',
+  [
+    param('id').isUUID().withMessage('Invalid equipment ID format'),
+    body('holderId').if(body('rehearsalId').not().exists())
+      .exists().withMessage('Check equipment out to a member (holderId) or a rehearsal (rehearsalId)'),
+    body('holderId').optional().isUUID().withMessage('Holder ID must be a valid UUID'),
+    body('rehearsalId').optional().isUUID().withMessage('Rehearsal ID must be a valid UUID'),
+    body('dueAt').if(body('rehearsalId').not().exists())
+      .exists().withMessage('Due date is required unless the equipment goes to a rehearsal'),
+    body('dueAt').optional().isISO8601().withMessage('Due date must be a valid ISO 8601 date')
+      .custom((value) => {
+        if (new Date(value) <= new Date()) {
+          throw new Error('Due date must be in the future');
+        }
+        return true;
+      }),
+    body('condition').optional().isIn(['excellent', 'good', 'fair', 'poor'])
+      .withMessage('Condition must be one of: excellent, good, fair, poor'),
+    body('notes').optional().isString()
+  ],
+  validate,
+  requireEquipmentRole('member'),
+  equipmentController.checkOutEquipment
+);
+
+/**
+ * @route POST /api/equipment/:id/checkin
+ * @desc Check equipment back in and record its condition
+ * @access Private (Band Members or Owner)
+ */
+router.post(
+  '/:id/checkin',
+  [
+    param('id').isUUID().withMessage('Invalid equipment ID format'),
+    body('condition').optional().isIn(['excellent', 'good', 'fair', 'poor'])
+      .withMessage('Condition must be one of: excellent, good, fair, poor'),
+    body('notes').optional().isString(),
+    body('status').optional().isIn(['available', 'maintenance', 'unavailable'])
+      .withMessage('Status must be one of: available, maintenance, unavailable')
+  ],
+  validate,
+  requireEquipmentRole('member'),
+  equipmentController.checkInEquipment
+);
+
+/**
+ * @route GET /api/equipment/:id/maintenance
+ * @desc Maintenance plans and log of equipment
+ * @access Private (Band Members or Owner)
+ */
+router.get(
+  '/:id/maintenance',
+  [
+    param('id').isUUID().withMessage('Invalid equipment ID format')
+  ],
+  validate,
+  requireEquipmentRole('member'),
+  maintenanceController.getMaintenance
+);
+
+/**
+ * @route POST /api/equipment/:id/maintenance
+ * @desc Log maintenance with its cost and notes; naming a plan completes it
+ *   and moves its next due date on by one interval
+ * @access Private (Band Members or Owner)
+ */
+router.post(
+  '/:id/maintenance',
+  [
+    param('id').isUUID().withMessage('Invalid equipment ID format'),
+    body('planId').optional().isUUID().withMessage('Plan ID must be a valid UUID'),
+    body('summary').if(body('planId').not().exists())
+      .notEmpty().withMessage('Summary is required unless the work completes a plan'),
+    body('summary').optional().isLength({ max: 255 }).withMessage('Summary must be at most 255 characters'),
+    body('performedAt').optional().isISO8601().withMessage('Performed date must be a valid ISO 8601 date')
+      .custom((value) => {
+        if (new Date(value) > new Date()) {
+          throw new Error('Performed date cannot be in the future');
+        }
+        return true;
+      }),
+    body('cost').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Cost cannot be negative'),
+    body('currency').optional().isISO4217().withMessage('Currency must be an ISO 4217 code'),
+    body('notes').optional().isString(),
+    body('status').optional().isIn(['available', 'maintenance', 'unavailable'])
+      .withMessage('Status must be one of: available, maintenance, unavailable')
+  ],
+  validate,
+  requireEquipmentRole('member'),
+  maintenanceController.recordMaintenance
+);
+
+/**
+ * @route POST /api/equipment/:id/maintenance/plans
+ * @desc Set up a recurring maintenance plan, e.g. every 6 weeks; the first due
+ *   date defaults to one interval after lastCompletedAt (or now)
+ * @access Private (Band Members or Owner)
+ */
+router.post(
+  '/:id/maintenance/plans',
+  [
+    param('id').isUUID().withMessage('Invalid equipment ID format'),
+    body('name').notEmpty().withMessage('Name is required'),
+    body('intervalCount').exists().withMessage('Interval is required'),
+    body('intervalUnit').exists().withMessage('Interval unit is required'),
+    ...planValidators
+  ],
+  validate,
+  requireEquipmentRole('member'),
+  maintenanceController.createPlan
+);
+
+/**
+ * @route PUT /api/equipment/:id/maintenance/plans/:planId
+ * @desc Update a maintenance plan
+ * @access Private (Band Members or Owner)
+ */
+router.put(
+  '/:id/maintenance/plans/:planId',
+  [
+    param('id').isUUID().withMessage('Invalid equipment ID format'),
+    param('planId').isUUID().withMessage('Invalid plan ID format'),
+    ...planValidators,
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ],
+  validate,
+  requireEquipmentRole('member'),
+  maintenanceController.updatePlan
+);
+
+/**
+ * @route DELETE /api/equipment/:id/maintenance/plans/:planId
+ * @desc Delete a maintenance plan; its log entries are kept
+ * @access Private (Band Members or Owner)
+ */
+router.delete(
+  '/:id/maintenance/plans/:planId',
+  [
+    param('id').isUUID().withMessage('Invalid equipment ID format'),
+    param('planId').isUUID().withMessage('Invalid plan ID format')
+  ],
+  validate,
+  requireEquipmentRole('member'),
+  maintenanceController.deletePlan
+);
+
 /**
  * @route POST /api/equipment/:id/band/:bandId
  * @desc Assign equipment to band
- * @access Private
+ * @access Private (Band Admin)
  */
 router.post(
   '/:id/band/:bandId',
@@ -196,13 +423,14 @@ router.post(
     body('notes').optional().isString()
   ],
   validate,
+  requireBandRole('admin', { band: requireBandRole.fromParam('bandId') }),
   equipmentController.assignEquipmentToBand
 );
 
 /**
  * @route DELETE /api/equipment/:id/band/:bandId
  * @desc Remove equipment from band
- * @access Private
+ * @access Private (Band Admin)
  */
 router.delete(
   '/:id/band/:bandId',
@@ -211,6 +439,7 @@ router.delete(
     param('bandId').isUUID().withMessage('Invalid band ID format')
   ],
   validate,
+  requireBandRole('admin', { band: requireBandRole.fromParam('bandId') }),
   equipmentController.removeEquipmentFromBand
 );
 
@@ -7,6 +7,10 @@ const bandRoutes = require('./band.routes');
 const rehearsalRoutes = require('./rehearsal.routes');
 const availabilityRoutes = require('./availability.routes');
 const equipmentRoutes = require('./equipment.routes');
+const invitationRoutes = require('./invitation.routes');
+const pollRoutes = require('./poll.routes');
+const venueRoutes = require('./venue.routes');
+const calendarRoutes = require('./calendar.routes');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -23,7 +27,8 @@ if (process.env.NODE_ENV !== 'production') {
           '/api/auth/register': 'Register a new user',
           '/api/auth/login': 'Login and get JWT token',
           '/api/auth/verify': 'Verify JWT token',
-          '/api/auth/refresh': 'Refresh JWT token',
+          '/api/auth/refresh': 'Exchange a refresh token for new tokens',
+          '/api/auth/logout': 'Revoke the current session',
           '/api/auth/forgot-password': 'Request password reset',
           '/api/auth/reset-password': 'Reset password with token'
         },
@@ -32,12 +37,17 @@ if (process.env.NODE_ENV !== 'production') {
           '/api/users/:id': 'GET: User details, PUT: Update user, DELETE: Delete user',
           '/api/users/:id/bands': 'GET: User\'s bands',
           '/api/users/:id/availability': 'GET: User\'s availability',
-          '/api/users/:id/rehearsals': 'GET: User\'s rehearsals'
+          '/api/users/:id/rehearsals': 'GET: User\'s rehearsals',
+          '/api/users/:id/conflicts': 'GET: User\'s upcoming double-bookings and blackout clashes'
         },
         bands: {
           '/api/bands': 'GET: List bands, POST: Create band',
           '/api/bands/:id': 'GET: Band details, PUT: Update band, DELETE: Delete band',
           '/api/bands/:id/members': 'GET: Band members, POST: Add member',
+          '/api/bands/:id/members/:userId/parts': 'PUT: Set the instruments or parts a member plays',
+          '/api/bands/:id/invitations': 'GET: Pending invitations, POST: Invite by email',
+          '/api/bands/:id/invitations/:invitationId': 'DELETE: Revoke invitation',
+          '/api/bands/:id/polls': 'GET: Open polls, POST: Open a poll on candidate slots',
           '/api/bands/:id/rehearsals': 'GET: Band rehearsals',
           '/api/bands/:id/equipment': 'GET: Band equipment'
         },
@@ -45,16 +55,60 @@ if (process.env.NODE_ENV !== 'production') {
           '/api/rehearsals': 'GET: List rehearsals, POST: Create rehearsal',
           '/api/rehearsals/:id': 'GET: Rehearsal details, PUT: Update rehearsal, DELETE: Delete rehearsal',
           '/api/rehearsals/:id/attendees': 'GET: Rehearsal attendees, POST: Add attendee',
-          '/api/rehearsals/:id/equipment': 'GET: Rehearsal equipment'
+          '/api/rehearsals/:id/equipment': 'GET: Booked equipment, POST: Book equipment',
+          '/api/rehearsals/:id/equipment/:equipmentId': 'DELETE: Cancel an equipment booking'
         },
         availability: {
           '/api/availability': 'GET: List availability, POST: Create availability',
           '/api/availability/:id': 'GET: Availability details, PUT: Update availability, DELETE: Delete availability',
-          '/api/availability/optimal': 'POST: Find optimal rehearsal times'
+          '/api/availability/optimal': 'POST: Find optimal rehearsal times',
+          '/api/availability/blackouts': 'GET: Upcoming blackout periods, POST: Create blackout',
+          '/api/availability/blackouts/:id': 'PUT: Update blackout, DELETE: Delete blackout',
+          '/api/availability/busy': 'GET: Busy time imported from external calendars',
+          '/api/availability/calendars': 'GET: External calendars, POST: Subscribe to an ICS URL',
+          '/api/availability/calendars/upload': 'POST: Import an .ics file',
+          '/api/availability/calendars/:id/upload': 'PUT: Replace an uploaded .ics file',
+          '/api/availability/calendars/:id/sync': 'POST: Fetch a subscribed calendar now',
+          '/api/availability/calendars/:id': 'DELETE: Remove external calendar'
+        },
+        invitations: {
+          '/api/invitations/:token': 'GET: Invitation details',
+          '/api/invitations/:token/accept': 'POST: Accept invitation and join the band',
+          '/api/invitations/:token/decline': 'POST: Decline invitation'
+        },
+        polls: {
+          '/api/polls/:id': 'GET: Poll with current tally, DELETE: Cancel poll',
+          '/api/polls/:id/votes': 'PUT: Answer yes, if-need-be or no for options',
+          '/api/polls/:id/close': 'POST: Close poll, optionally creating the rehearsal from the winning slot'
+        },
+        venues: {
+          '/api/venues': 'GET: List venues, POST: Add venue',
+          '/api/venues/:id': 'GET: Venue details, PUT: Update venue, DELETE: Deactivate venue',
+          '/api/venues/:id/schedule': 'GET: Opening hours and bookings'
+        },
+        calendar: {
+          '/api/calendar/feeds': 'GET: Your calendar feeds, POST: Create a feed URL (all bands or one band)',
+          '/api/calendar/feeds/:id': 'DELETE: Revoke feed',
+          '/api/calendar/caldav': 'GET: Your CalDAV connection, PUT: Connect or change it, DELETE: Disconnect',
+          '/api/calendar/caldav/sync': 'POST: Sync the CalDAV calendar now',
+          '/api/calendar/caldav/events': 'GET: Sync state of each event written to the CalDAV calendar',
+          '/api/calendar/caldav/events/:eventId/resolve': 'POST: Resolve a sync conflict',
+          '/api/calendar/:token.ics': 'GET: iCalendar feed for calendar apps'
         },
         equipment: {
           '/api/equipment': 'GET: List equipment, POST: Create equipment',
-          '/api/equipment/:id': 'GET: Equipment details, PUT: Update equipment, DELETE: Delete equipment'
+          '/api/equipment/:id': 'GET: Equipment details, PUT: Update equipment, DELETE: Delete equipment',
+          '/api/equipment/:id/checkout': 'POST: Check equipment out to a member or rehearsal',
+          '/api/equipment/:id/checkin': 'POST: Check equipment in with its condition',
+          '/api/equipment/:id/custody': 'GET: Custody log',
+          '/api/equipment/:id/schedule': 'GET: Booking calendar',
+          '/api/equipment/:id/maintenance': 'GET: Maintenance plans and log, POST: Log maintenance',
+          '/api/equipment/:id/maintenance/plans': 'POST: Create maintenance plan',
+          '/api/equipment/:id/maintenance/plans/:planId': 'PUT: Update maintenance plan, DELETE: Delete maintenance plan',
+          '/api/equipment/band/:bandId': 'GET: Band equipment',
+          '/api/equipment/band/:bandId/overdue': 'GET: Band equipment past its due date',
+          '/api/equipment/band/:bandId/maintenance': 'GET: Band equipment with maintenance coming due',
+          '/api/equipment/band/:bandId/valuation': 'GET: Band inventory valuation (JSON, CSV or PDF)'
         }
       }
     });
@@ -68,5 +122,9 @@ router.use('/bands', bandRoutes);
 router.use('/rehearsals', rehearsalRoutes);
 router.use('/availability', availabilityRoutes);
 router.use('/equipment', equipmentRoutes);
+router.use('/invitations', invitationRoutes);
+router.use('/polls', pollRoutes);
+router.use('/venues', venueRoutes);
+router.use('/calendar', calendarRoutes);
 
 module.exports = router;
\ No newline at end of file
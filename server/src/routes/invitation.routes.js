@@ -0,0 +1,49 @@
+const express = require('express');
+const { param } = require('express-validator');
+const invitationController = require('../controllers/invitation.controller');
+const authenticate = require('../middleware/authenticate');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+const tokenParam = param('token').isHexadecimal().isLength({ min: 64, max: 64 })
+  .withMessage('Invalid invitation token');
+
+/**
+ * @route GET /api/invitations/:token
+ * @desc Show the invitation behind an invitation link
+ * @access Public (holder of the link)
+ */
+router.get(
+  '/:token',
+  [tokenParam],
+  validate,
+  invitationController.getInvitation
+);
+
+/**
+ * @route POST /api/invitations/:token/accept
+ * @desc Accept an invitation and join the band
+ * @access Private (the invited email address)
+ */
+router.post(
+  '/:token/accept',
+  authenticate(),
+  [tokenParam],
+  validate,
+  invitationController.acceptInvitation
+);
+
+/**
+ * @route POST /api/invitations/:token/decline
+ * @desc Decline an invitation
+ * @access Public (holder of the link)
+ */
+router.post(
+  '/:token/decline',
+  [tokenParam],
+  validate,
+  invitationController.declineInvitation
+);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,82 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const pollController = require('../controllers/poll.controller');
+const authenticate = require('../middleware/authenticate');
+const requireBandRole = require('../middleware/requireBandRole');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+// Apply authentication middleware to all poll routes
+router.use(authenticate());
+
+/**
+ * @route GET /api/polls/:id
+ * @desc Get a poll with its current tally
+ * @access Private (Band Members)
+ */
+router.get(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('Invalid poll ID format')
+  ],
+  validate,
+  requireBandRole('guest', { band: requireBandRole.fromPoll() }),
+  pollController.getPoll
+);
+
+/**
+ * @route PUT /api/polls/:id/votes
+ * @desc Answer yes, if-need-be or no for poll options
+ * @access Private (Band Members)
+ */
+router.put(
+  '/:id/votes',
+  [
+    param('id').isUUID().withMessage('Invalid poll ID format'),
+    body('votes').isArray({ min: 1 }).withMessage('Votes must be a non-empty list'),
+    body('votes.*.optionId').isUUID().withMessage('Invalid option ID format'),
+    body('votes.*.answer').isIn(['yes', 'if-need-be', 'no'])
+      .withMessage('Answer must be one of: yes, if-need-be, no')
+  ],
+  validate,
+  requireBandRole('guest', { band: requireBandRole.fromPoll() }),
+  pollController.votePoll
+);
+
+/**
+ * @route POST /api/polls/:id/close
+ * @desc Close a poll, optionally creating the rehearsal from the winning slot
+ * @access Private (Band Admin or App Admin)
+ */
+router.post(
+  '/:id/close',
+  [
+    param('id').isUUID().withMessage('Invalid poll ID format'),
+    body('optionId').optional().isUUID().withMessage('Invalid option ID format'),
+    body('createRehearsal').optional().isBoolean().withMessage('createRehearsal must be a boolean').toBoolean(),
+    body('title').optional().trim().notEmpty().withMessage('Rehearsal title cannot be empty'),
+    body('venueId').optional({ nullable: true }).isUUID().withMessage('Invalid venue ID format'),
+    body('strict').optional().isBoolean().withMessage('Strict must be a boolean').toBoolean()
+  ],
+  validate,
+  requireBandRole('admin', { band: requireBandRole.fromPoll() }),
+  pollController.closePoll
+);
+
+/**
+ * @route DELETE /api/polls/:id
+ * @desc Cancel an open poll
+ * @access Private (Band Admin or App Admin)
+ */
+router.delete(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('Invalid poll ID format')
+  ],
+  validate,
+  requireBandRole('admin', { band: requireBandRole.fromPoll() }),
+  pollController.cancelPoll
+);
+
+module.exports = router;
\ No newline at end of file
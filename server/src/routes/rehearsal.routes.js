@@ -2,55 +2,28 @@ const express = require('express');
 const { body, param, query } = require('express-validator');
 const router = express.Router();
 const authenticate = require('../middleware/authenticate');
+const requireBandRole = require('../middleware/requireBandRole');
 const validate = require('../middleware/validate');
+const rehearsalController = require('../controllers/rehearsal.controller');
+const { parseRRule } = require('../services/recurrence.service');
+const { isValidTimezone } = require('../utils/timezone');
 
-// Placeholder for rehearsal controller
-// This would typically be imported from '../controllers/rehearsal.controller'
-const rehearsalController = {
-  getAllRehearsals: (req, res) => {
-    res.status(200).json({ message: 'Get all rehearsals endpoint - To be implemented' });
-  },
-  getRehearsalById: (req, res) => {
-    res.status(200).json({ message: 'Get rehearsal by ID endpoint - To be implemented', id: req.params.id });
-  },
-  createRehearsal: (req, res) => {
-    res.status(201).json({ message: 'Create rehearsal endpoint - To be implemented', data: req.body });
-  },
-  updateRehearsal: (req, res) => {
-    res.status(200).json({ message: 'Update rehearsal endpoint - To be implemented', id: req.params.id, data: req.body });
-  },
-  deleteRehearsal: (req, res) => {
-    res.status(200).json({ message: 'Delete rehearsal endpoint - To be implemented', id: req.params.id });
-  },
-  getRehearsalAttendees: (req, res) => {
-    res.status(200).json({ message: 'Get rehearsal attendees endpoint - To be implemented', id: req.params.id });
-  },
-  updateAttendeeStatus: (req, res) => {
-    res.status(200).json({ 
-      message: 'Update attendee status endpoint - To be implemented', 
-      rehearsalId: req.params.id, 
-      userId: req.params.userId, 
-      status: req.body.status 
-    });
-  },
-  addEquipmentToRehearsal: (req, res) => {
-    res.status(201).json({ 
-      message: 'Add equipment to rehearsal endpoint - To be implemented', 
-      rehearsalId: req.params.id, 
-      equipmentId: req.body.equipmentId 
-    });
-  },
-  removeEquipmentFromRehearsal: (req, res) => {
-    res.status(200).json({ 
-      message: 'Remove equipment from rehearsal endpoint - To be implemented', 
-      rehearsalId: req.params.id, 
-      equipmentId: req.params.equipmentId 
-    });
-  }
+/**
+ * Validate an RRULE string, reporting the parser's message on failure
+ */
+const isValidRule = (value) => {
+  parseRRule(value);
+  return true;
 };
 
 // Apply authentication middleware to all rehearsal routes
-router.use(authenticate);
+router.use(authenticate());
+
+// Band admins, or the member who organized the rehearsal
+const organizerOrBandAdmin = requireBandRole('admin', {
+  band: requireBandRole.fromRehearsal(),
+  allowIf: (req, role) => role && req.rehearsal.createdBy === req.user.id
+});
 
 /**
  * @route GET /api/rehearsals
@@ -72,7 +45,7 @@ router.get(
 /**
  * @route GET /api/rehearsals/:id
  * @desc Get rehearsal by ID
- * @access Private
+ * @access Private (Band Guests)
  */
 router.get(
   '/:id',
@@ -80,13 +53,16 @@ router.get(
     param('id').isUUID().withMessage('Invalid rehearsal ID format')
   ],
   validate,
+  requireBandRole('guest', { band: requireBandRole.fromRehearsal() }),
   rehearsalController.getRehearsalById
 );
 
 /**
  * @route POST /api/rehearsals
- * @desc Create a new rehearsal
- * @access Private
+ * @desc Create a new rehearsal. The response reports members who are double-booked
+ *   or on a blackout; with `strict` the rehearsal is refused (409) instead.
+ *   A booked room (`venueId`) that is closed or taken always refuses it (409).
+ * @access Private (Band Members)
  */
 router.post(
   '/',
@@ -96,6 +72,7 @@ router.post(
       .isLength({ max: 100 }).withMessage('Title must be at most 100 characters'),
     body('description').optional().isString(),
     body('location').optional().isString(),
+    body('venueId').optional({ nullable: true }).isUUID().withMessage('Invalid venue ID format'),
     body('startTime').isISO8601().withMessage('Start time must be a valid ISO 8601 date'),
     body('endTime').isISO8601().withMessage('End time must be a valid ISO 8601 date')
       .custom((value, { req }) => {
@@ -104,20 +81,26 @@ router.post(
         }
         return true;
       }),
-    body('isRecurring').optional().isBoolean(),
+    body('isRecurring').optional().isBoolean().toBoolean(),
+    body('recurrenceRule').optional().isString().custom(isValidRule),
     body('recurringPattern').optional().isObject(),
+    body('timezone').optional().custom(isValidTimezone).withMessage('Timezone must be a valid IANA timezone name'),
     body('sendReminders').optional().isBoolean(),
     body('reminderHours').optional().isInt({ min: 1, max: 72 })
-      .withMessage('Reminder hours must be between 1 and 72')
+      .withMessage('Reminder hours must be between 1 and 72'),
+    body('strict').optional().isBoolean().withMessage('Strict must be a boolean').toBoolean()
   ],
   validate,
+  requireBandRole('member', { band: requireBandRole.fromBody('bandId') }),
   rehearsalController.createRehearsal
 );
 
 /**
  * @route PUT /api/rehearsals/:id
- * @desc Update rehearsal
- * @access Private (Band Admin or App Admin)
+ * @desc Update rehearsal (scope: this, following or all occurrences of a series).
+ *   Moving it reports conflicts like creation does, and `strict` refuses the move.
+ *   Moving it into a closed or taken room is refused (409).
+ * @access Private (Band Admin, Organizer or App Admin)
  */
 router.put(
   '/:id',
@@ -126,6 +109,7 @@ router.put(
     body('title').optional().isLength({ max: 100 }).withMessage('Title must be at most 100 characters'),
     body('description').optional().isString(),
     body('location').optional().isString(),
+    body('venueId').optional({ nullable: true }).isUUID().withMessage('Invalid venue ID format'),
     body('startTime').optional().isISO8601().withMessage('Start time must be a valid ISO 8601 date'),
     body('endTime').optional().isISO8601().withMessage('End time must be a valid ISO 8601 date')
       .custom((value, { req }) => {
@@ -135,48 +119,77 @@ router.put(
         return true;
       }),
     body('status').optional().isIn(['scheduled', 'cancelled', 'completed']).withMessage('Invalid status'),
-    body('isRecurring').optional().isBoolean(),
+    body('isRecurring').optional().isBoolean().toBoolean(),
+    body('recurrenceRule').optional().isString().custom(isValidRule),
     body('recurringPattern').optional().isObject(),
+    body('scope').optional().isIn(['this', 'following', 'all'])
+      .withMessage('Scope must be one of: this, following, all'),
+    body('occurrenceStart').optional().isISO8601().withMessage('Occurrence start must be a valid ISO 8601 date'),
     body('sendReminders').optional().isBoolean(),
     body('reminderHours').optional().isInt({ min: 1, max: 72 })
-      .withMessage('Reminder hours must be between 1 and 72')
+      .withMessage('Reminder hours must be between 1 and 72'),
+    body('strict').optional().isBoolean().withMessage('Strict must be a boolean').toBoolean()
   ],
   validate,
+  organizerOrBandAdmin,
   rehearsalController.updateRehearsal
 );
 
 /**
  * @route DELETE /api/rehearsals/:id
- * @desc Delete rehearsal
- * @access Private (Band Admin or App Admin)
+ * @desc Delete rehearsal (scope: this, following or all occurrences of a series)
+ * @access Private (Band Admin, Organizer or App Admin)
  */
 router.delete(
   '/:id',
   [
-    param('id').isUUID().withMessage('Invalid rehearsal ID format')
+    param('id').isUUID().withMessage('Invalid rehearsal ID format'),
+    query('scope').optional().isIn(['this', 'following', 'all'])
+      .withMessage('Scope must be one of: this, following, all'),
+    query('occurrenceStart').optional().isISO8601().withMessage('Occurrence start must be a valid ISO 8601 date')
   ],
   validate,
+  organizerOrBandAdmin,
   rehearsalController.deleteRehearsal
 );
 
+/**
+ * @route GET /api/rehearsals/:id/occurrences
+ * @desc Get occurrences of a recurring rehearsal series
+ * @access Private (Band Guests)
+ */
+router.get(
+  '/:id/occurrences',
+  [
+    param('id').isUUID().withMessage('Invalid rehearsal ID format'),
+    query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
+    query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO 8601 date')
+  ],
+  validate,
+  requireBandRole('guest', { band: requireBandRole.fromRehearsal() }),
+  rehearsalController.getRehearsalOccurrences
+);
+
 /**
  * @route GET /api/rehearsals/:id/attendees
  * @desc Get rehearsal attendees
- * @access Private
+ * @access Private (Band Guests)
  */
 router.get(
   '/:id/attendees',
   [
-    param('id').isUUID().withMessage('Invalid rehearsal ID format')
+    param('id').isUUID().withMessage('Invalid rehearsal ID format'),
+    query('occurrenceStart').optional().isISO8601().withMessage('Occurrence start must be a valid ISO 8601 date')
   ],
   validate,
+  requireBandRole('guest', { band: requireBandRole.fromRehearsal() }),
   rehearsalController.getRehearsalAttendees
 );
 
 /**
  * @route PUT /api/rehearsals/:id/attendees/:userId
  * @desc Update attendee status (attending, maybe, not attending)
- * @access Private
+ * @access Private (Band Guests)
  */
 router.put(
   '/:id/attendees/:userId',
@@ -186,15 +199,57 @@ router.put(
     body('status').isIn(['attending', 'maybe', 'not_attending'])
       .withMessage('Status must be one of: attending, maybe, not_attending'),
     body('note').optional().isString().isLength({ max: 255 })
-      .withMessage('Note must be at most 255 characters')
+      .withMessage('Note must be at most 255 characters'),
+    body('occurrenceStart').optional().isISO8601().withMessage('Occurrence start must be a valid ISO 8601 date')
   ],
   validate,
+  requireBandRole('guest', { band: requireBandRole.fromRehearsal() }),
   rehearsalController.updateAttendeeStatus
 );
 
+/**
+ * @route PUT /api/rehearsals/:id/attendance
+ * @desc Record who was present, late or absent once the rehearsal has started
+ * @access Private (Band Admin)
+ */
+router.put(
+  '/:id/attendance',
+  [
+    param('id').isUUID().withMessage('Invalid rehearsal ID format'),
+    body('attendance').isArray({ min: 1 }).withMessage('Attendance must be a non-empty array'),
+    body('attendance.*.userId').isUUID().withMessage('Each attendance record needs a valid user ID'),
+    body('attendance.*.status').isIn(['present', 'late', 'absent'])
+      .withMessage('Attendance status must be one of: present, late, absent'),
+    body('attendance.*.note').optional().isString().isLength({ max: 255 })
+      .withMessage('Note must be at most 255 characters'),
+    body('occurrenceStart').optional().isISO8601().withMessage('Occurrence start must be a valid ISO 8601 date')
+  ],
+  validate,
+  requireBandRole('admin', { band: requireBandRole.fromRehearsal() }),
+  rehearsalController.recordAttendance
+);
+
+/**
+ * @route GET /api/rehearsals/:id/equipment
+ * @desc Equipment booked for a rehearsal; changed occurrences include the gear booked for their series
+ * @access Private (Band Guests)
+ */
+router.get(
+  '/:id/equipment',
+  [
+    param('id').isUUID().withMessage('Invalid rehearsal ID format')
+  ],
+  validate,
+  requireBandRole('guest', { band: requireBandRole.fromRehearsal() }),
+  rehearsalController.getRehearsalEquipment
+);
+
 /**
  * @route POST /api/rehearsals/:id/equipment
- * @desc Add equipment to rehearsal
+ * @desc Book equipment for a rehearsal or series. Gear that is in maintenance,
+ *   unavailable, checked out or booked for an overlapping rehearsal (in any
+ *   band) is refused (409); with `force` it is booked anyway and the conflicts
+ *   are returned as warnings.
  * @access Private (Band Admin)
  */
 router.post(
@@ -203,15 +258,17 @@ router.post(
     param('id').isUUID().withMessage('Invalid rehearsal ID format'),
     body('equipmentId').isUUID().withMessage('Equipment ID is required and must be a valid UUID'),
     body('note').optional().isString().isLength({ max: 255 })
-      .withMessage('Note must be at most 255 characters')
+      .withMessage('Note must be at most 255 characters'),
+    body('force').optional().isBoolean().withMessage('Force must be a boolean')
   ],
   validate,
+  requireBandRole('admin', { band: requireBandRole.fromRehearsal() }),
   rehearsalController.addEquipmentToRehearsal
 );
 
 /**
  * @route DELETE /api/rehearsals/:id/equipment/:equipmentId
- * @desc Remove equipment from rehearsal
+ * @desc Cancel a rehearsal's booking of a piece of equipment
  * @access Private (Band Admin)
  */
 router.delete(
@@ -221,6 +278,7 @@ router.delete(
     param('equipmentId').isUUID().withMessage('Invalid equipment ID format')
   ],
   validate,
+  requireBandRole('admin', { band: requireBandRole.fromRehearsal() }),
   rehearsalController.removeEquipmentFromRehearsal
 );
 
@@ -1,9 +1,10 @@
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const router = express.Router();
 const userController = require('../controllers/user.controller');
 const authenticate = require('../middleware/authenticate');
 const validate = require('../middleware/validate');
+const { isValidTimezone } = require('../utils/timezone');
 
 // Get all users (admin only)
 router.get('/', authenticate(['admin']), userController.getAllUsers);
@@ -33,7 +34,7 @@ router.put(
       .withMessage('Last name must be between 2 and 50 characters'),
     body('email').optional().isEmail().withMessage('Email must be valid'),
     body('phone').optional(),
-    body('timezone').optional(),
+    body('timezone').optional().custom(isValidTimezone).withMessage('Timezone must be a valid IANA timezone name'),
     body('profileImage').optional().isURL().withMessage('Profile image must be a valid URL')
   ],
   validate,
@@ -85,4 +86,17 @@ router.get(
   userController.getUserRehearsals
 );
 
+// Get user's upcoming scheduling conflicts
+router.get(
+  '/:id/conflicts',
+  [
+    param('id').isUUID().withMessage('Invalid user ID format'),
+    query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
+    query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO 8601 date')
+  ],
+  validate,
+  authenticate(),
+  userController.getUserConflicts
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,122 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const authenticate = require('../middleware/authenticate');
+const validate = require('../middleware/validate');
+const venueController = require('../controllers/venue.controller');
+const { isValidTimezone } = require('../utils/timezone');
+
+// Apply authentication middleware to all venue routes
+router.use(authenticate());
+
+/**
+ * Validators shared by venue creation and update. `name` is added by each route.
+ */
+const venueValidators = [
+  body('address').optional().isString(),
+  body('city').optional().isString(),
+  body('capacity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
+  body('hourlyRate').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Hourly rate cannot be negative'),
+  body('currency').optional().isISO4217().withMessage('Currency must be an ISO 4217 code'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Timezone must be a valid IANA timezone name'),
+  body('openingHours').optional({ nullable: true }).isArray().withMessage('Opening hours must be a list'),
+  body('openingHours.*.dayOfWeek').isInt({ min: 0, max: 6 })
+    .withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)'),
+  body('openingHours.*.open').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Opening time must be HH:mm'),
+  body('openingHours.*.close').matches(/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/).withMessage('Closing time must be HH:mm'),
+  body('contactEmail').optional().isEmail().withMessage('Invalid email format'),
+  body('contactPhone').optional().isString(),
+  body('notes').optional().isString()
+];
+
+/**
+ * @route GET /api/venues
+ * @desc List venues (search by name or city)
+ * @access Private
+ */
+router.get(
+  '/',
+  [
+    query('search').optional().isString(),
+    query('city').optional().isString()
+  ],
+  validate,
+  venueController.getAllVenues
+);
+
+/**
+ * @route GET /api/venues/:id
+ * @desc Get venue by ID
+ * @access Private
+ */
+router.get(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('Invalid venue ID format')
+  ],
+  validate,
+  venueController.getVenueById
+);
+
+/**
+ * @route GET /api/venues/:id/schedule
+ * @desc Opening hours and bookings of a venue in a date range (the next week by default)
+ * @access Private
+ */
+router.get(
+  '/:id/schedule',
+  [
+    param('id').isUUID().withMessage('Invalid venue ID format'),
+    query('startDate').optional().isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
+    query('endDate').optional().isISO8601().withMessage('End date must be a valid ISO 8601 date')
+  ],
+  validate,
+  venueController.getVenueSchedule
+);
+
+/**
+ * @route POST /api/venues
+ * @desc Add a venue (one bookable room)
+ * @access Private
+ */
+router.post(
+  '/',
+  [
+    body('name').trim().notEmpty().withMessage('Venue name is required'),
+    ...venueValidators
+  ],
+  validate,
+  venueController.createVenue
+);
+
+/**
+ * @route PUT /api/venues/:id
+ * @desc Update venue
+ * @access Private (Creator or App Admin)
+ */
+router.put(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('Invalid venue ID format'),
+    body('name').optional().trim().notEmpty().withMessage('Venue name cannot be empty'),
+    ...venueValidators
+  ],
+  validate,
+  venueController.updateVenue
+);
+
+/**
+ * @route DELETE /api/venues/:id
+ * @desc Deactivate venue
+ * @access Private (Creator or App Admin)
+ */
+router.delete(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('Invalid venue ID format')
+  ],
+  validate,
+  venueController.deleteVenue
+);
+
+module.exports = router;
\ No newline at end of file
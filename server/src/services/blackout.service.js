@@ -0,0 +1,75 @@
+const { Op } = require('sequelize');
+const { Blackout } = require('../models');
+const { overlaps } = require('./scheduling.service');
+
+/**
+ * Blackouts of several users that overlap a date range
+ * @param {Array<String>} userIds
+ * @param {Date|null} rangeStart
+ * @param {Date|null} rangeEnd
+ * @returns {Promise<Object>} Map of user ID to Blackout rows sorted by start
+ */
+const blackoutsByUser = async (userIds, rangeStart, rangeEnd) => {
+  const result = {};
+  userIds.forEach((userId) => {
+    result[userId] = [];
+  });
+  
+  if (userIds.length === 0) {
+    return result;
+  }
+  
+  const blackouts = await Blackout.findAll({
+    where: {
+      userId: { [Op.in]: userIds },
+      ...Blackout.overlappingRange(rangeStart, rangeEnd)
+    },
+    order: [['startsAt', 'ASC']]
+  });
+  
+  blackouts.forEach((blackout) => {
+    result[blackout.userId].push(blackout);
+  });
+  return result;
+};
+
+/**
+ * Find members who are on a blackout during any of a rehearsal's occurrences
+ * @param {Array<String>} userIds - Members to check
+ * @param {Array} occurrences - Objects with startTime and endTime
+ * @returns {Promise<Array>} Array of { userId, blackoutId, startsAt, endsAt, reason, occurrenceStart }
+ */
+const findBlackoutConflicts = async (userIds, occurrences) => {
+  if (userIds.length === 0 || occurrences.length === 0) {
+    return [];
+  }
+  
+  const rangeStart = new Date(Math.min(...occurrences.map(occurrence => new Date(occurrence.startTime))));
+  const rangeEnd = new Date(Math.max(...occurrences.map(occurrence => new Date(occurrence.endTime))));
+  const byUser = await blackoutsByUser(userIds, rangeStart, rangeEnd);
+  
+  const conflicts = [];
+  Object.values(byUser).forEach((blackouts) => {
+    blackouts.forEach((blackout) => {
+      occurrences
+        .filter(occurrence => overlaps(blackout.startsAt, blackout.endsAt, occurrence.startTime, occurrence.endTime))
+        .forEach((occurrence) => {
+          conflicts.push({
+            userId: blackout.userId,
+            blackoutId: blackout.id,
+            startsAt: blackout.startsAt,
+            endsAt: blackout.endsAt,
+            reason: blackout.reason,
+            occurrenceStart: new Date(occurrence.startTime)
+          });
+        });
+    });
+  });
+  
+  return conflicts.sort((a, b) => a.occurrenceStart - b.occurrenceStart);
+};
+
+module.exports = {
+  blackoutsByUser,
+  findBlackoutConflicts
+};
\ No newline at end of file
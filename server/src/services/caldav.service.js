@@ -0,0 +1,375 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { CaldavAccount, CaldavEvent, ExternalCalendar, BusyBlock, Rehearsal, User, sequelize } = require('../models');
+const calendarService = require('./calendar.service');
+const calendarImport = require('./calendarImport.service');
+const permission = require('./permission.service');
+const { parseRRule } = require('./recurrence.service');
+const { createClient } = require('../utils/caldav');
+const { createScheduler } = require('../utils/scheduler');
+const secrets = require('../utils/secrets');
+const logger = require('../utils/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_INTERVAL_MS = (parseInt(process.env.CALDAV_SYNC_INTERVAL_MINUTES, 10) || 15) * 60 * 1000;
+
+// Rehearsals are written to a member's calendar once they RSVP with one of these
+const PUSHED_RSVPS = ['attending'];
+
+/**
+ * CalDAV client for an account
+ * @param {Object} account - CaldavAccount instance
+ * @returns {Object} Client from utils/caldav
+ */
+const clientFor = (account) => {
+  return createClient({
+    calendarUrl: account.calendarUrl,
+    username: account.username,
+    password: account.password ? secrets.decrypt(account.password) : null
+  });
+};
+
+/**
+ * Events that belong in a member's calendar: rehearsals they are attending in
+ * any of their bands, as shown in calendar feeds. A series and its changed
+ * occurrences form one event.
+ * @param {String} userId
+ * @param {Date} now
+ * @returns {Promise<Map>} Rehearsal or series ID to its rehearsals, series first
+ */
+const wantedEvents = async (userId, now) => {
+  const rehearsals = await calendarService.feedRehearsals(await permission.bandIdsWithRole(userId, 'guest'), now);
+  
+  const groups = new Map();
+  rehearsals.forEach((rehearsal) => {
+    const key = rehearsal.seriesId || rehearsal.id;
+    groups.set(key, [...(groups.get(key) || []), rehearsal]);
+  });
+  
+  const result = new Map();
+  groups.forEach((group, key) => {
+    const main = group.find(rehearsal => rehearsal.id === key);
+    const attendee = main && main.attendees.find(candidate => candidate.id === userId);
+    if (main && main.status !== 'cancelled' && attendee && PUSHED_RSVPS.includes(attendee.UserRehearsal.status)) {
+      result.set(key, [main, ...group.filter(rehearsal => rehearsal !== main)]);
+    }
+  });
+  return result;
+};
+
+/**
+ * IDs among `ids` of rehearsals that still exist but ended too long ago to
+ * appear in feeds. Their events are left in the calendar as history.
+ * @param {Array<String>} ids
+ * @param {Date} now
+ * @returns {Promise<Set<String>>}
+ */
+const pastRehearsalIds = async (ids, now) => {
+  if (ids.length === 0) {
+    return new Set();
+  }
+  
+  const cutoff = new Date(now.getTime() - calendarService.PAST_DAYS * DAY);
+  const rehearsals = await Rehearsal.findAll({
+    where: { id: { [Op.in]: ids } },
+    attributes: ['id', 'isRecurring', 'recurrenceRule', 'endTime']
+  });
+  
+  return new Set(rehearsals
+    .filter((rehearsal) => {
+      if (!rehearsal.isRecurring) {
+        return rehearsal.endTime < cutoff;
+      }
+      const { until } = parseRRule(rehearsal.recurrenceRule);
+      return Boolean(until) && until < cutoff;
+    })
+    .map(rehearsal => rehearsal.id));
+};
+
+/**
+ * Whether a CalDAV failure concerns one event only. Authentication failures
+ * and an unreachable server stop the whole sync instead.
+ * @param {Error} error
+ * @returns {Boolean}
+ */
+const isEventError = (error) => {
+  return error.name === 'CalDavError' && Boolean(error.status) && ![401, 403].includes(error.status);
+};
+
+/**
+ * Write one event to the calendar unless the server already has this version.
+ * Updates only apply to the version last written (If-Match), so an event the
+ * member edited or deleted on the server becomes a conflict instead of being
+ * overwritten.
+ * @param {Object} client - CalDAV client
+ * @param {Object} account - CaldavAccount instance
+ * @param {Object|null} row - Sync state of the event, if it was written before
+ * @param {String} rehearsalId - Rehearsal or series ID
+ * @param {Array} rehearsals - The event's rehearsals, series first
+ * @param {Date} now
+ * @returns {Promise<String>} 'pushed', 'unchanged', 'conflicts' or 'errors'
+ */
+const pushEvent = async (client, account, row, rehearsalId, rehearsals, now) => {
+  if (row && ['conflict', 'ignored'].includes(row.status)) {
+    return row.status === 'conflict' ? 'conflicts' : 'unchanged';
+  }
+  
+  const text = calendarService.renderEvent(rehearsals);
+  const contentHash = crypto.createHash('sha256').update(text).digest('hex');
+  if (row && row.status === 'synced' && row.contentHash === contentHash) {
+    return 'unchanged';
+  }
+  
+  const state = row || CaldavEvent.build({ accountId: account.id, rehearsalId, url: client.eventUrl(rehearsalId) });
+  
+  try {
+    const { status, etag } = await client.putEvent(state.url, text, row ? { etag: row.etag } : { create: true });
+    
+    if (status === 412 || status === 404) {
+      let reason = status === 404 ? 'Deleted on the CalDAV server' : 'Changed on the CalDAV server';
+      if (!row) {
+        reason = 'An event with the same name already exists on the CalDAV server';
+      }
+      await state.set({ status: 'conflict', lastError: reason }).save();
+      return 'conflicts';
+    }
+    
+    await state.set({ etag, contentHash, status: 'synced', lastSyncedAt: now, lastError: null }).save();
+    return 'pushed';
+  } catch (error) {
+    if (!isEventError(error)) {
+      throw error;
+    }
+    await state.set({ status: 'error', lastError: error.message.slice(0, 255) }).save();
+    return 'errors';
+  }
+};
+
+/**
+ * Delete an event from the calendar once its rehearsal is gone, cancelled or
+ * no longer attended. An event the member edited on the server is kept and
+ * becomes a conflict.
+ * @param {Object} client - CalDAV client
+ * @param {Object} row - Sync state of the event
+ * @returns {Promise<String>} 'deleted', 'conflicts' or 'errors'
+ */
+const removeEvent = async (client, row) => {
+  if (row.status === 'conflict') {
+    return 'conflicts';
+  }
+  if (row.status === 'ignored') {
+    // The member kept their own version; leave it alone
+    await row.destroy();
+    return 'deleted';
+  }
+  
+  try {
+    const { status } = await client.deleteEvent(row.url, { etag: row.etag });
+    
+    if (status === 412) {
+      await row.update({ status: 'conflict', lastError: 'Changed on the CalDAV server' });
+      return 'conflicts';
+    }
+    
+    await row.destroy();
+    return 'deleted';
+  } catch (error) {
+    if (!isEventError(error)) {
+      throw error;
+    }
+    await row.update({ status: 'error', lastError: error.message.slice(0, 255) });
+    return 'errors';
+  }
+};
+
+/**
+ * Import the calendar's own events as busy time. Rehearsals this app wrote
+ * are recognised by their UID and left out.
+ * @param {Object} client - CalDAV client
+ * @param {Object} account - CaldavAccount instance with its User
+ * @param {Date} now
+ * @returns {Promise<Number>} Number of busy blocks imported
+ */
+const pullBusy = async (client, account, now) => {
+  const window = calendarImport.importWindow(now);
+  const zone = account.User.timezone;
+  
+  const blocks = [];
+  (await client.queryEvents(window.rangeStart, window.rangeEnd)).forEach((text) => {
+    try {
+      blocks.push(...calendarImport.eventsToBlocks(text, { zone, ...window }));
+    } catch (error) {
+      // A resource that is not a calendar object is skipped
+    }
+  });
+  
+  let calendar = account.externalCalendarId ? await ExternalCalendar.findByPk(account.externalCalendarId) : null;
+  if (!calendar) {
+    calendar = await ExternalCalendar.create({ userId: account.userId, name: 'CalDAV calendar', source: 'caldav' });
+    await account.update({ externalCalendarId: calendar.id });
+  }
+  
+  return calendarImport.replaceBlocks(calendar, blocks.sort((a, b) => a.startsAt - b.startsAt), now);
+};
+
+/**
+ * Remove the busy time pulled for an account
+ * @param {Object} account - CaldavAccount instance
+ * @returns {Promise<void>}
+ */
+const dropBusy = async (account) => {
+  if (!account.externalCalendarId) {
+    return;
+  }
+  
+  const calendarId = account.externalCalendarId;
+  await sequelize.transaction(async (transaction) => {
+    await account.update({ externalCalendarId: null }, { transaction });
+    await BusyBlock.destroy({ where: { externalCalendarId: calendarId }, transaction });
+    await ExternalCalendar.destroy({ where: { id: calendarId }, transaction });
+  });
+};
+
+/**
+ * Bring a member's CalDAV calendar up to date: write new and changed
+ * rehearsals, delete events that no longer apply and pull busy time back.
+ * A failure of the whole sync is recorded on the account.
+ * @param {Object} account - CaldavAccount instance with its User
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} Totals { pushed, unchanged, deleted, conflicts, errors, busyBlocks }
+ */
+const syncAccount = async (account, { now = new Date() } = {}) => {
+  const totals = { pushed: 0, unchanged: 0, deleted: 0, conflicts: 0, errors: 0, busyBlocks: null };
+  
+  try {
+    const client = clientFor(account);
+    const wanted = await wantedEvents(account.userId, now);
+    const rows = await CaldavEvent.findAll({ where: { accountId: account.id } });
+    const rowsByRehearsal = new Map(rows.map(row => [row.rehearsalId, row]));
+    
+    for (const [rehearsalId, rehearsals] of wanted) {
+      totals[await pushEvent(client, account, rowsByRehearsal.get(rehearsalId) || null, rehearsalId, rehearsals, now)]++;
+    }
+    
+    const gone = rows.filter(row => !wanted.has(row.rehearsalId));
+    const past = await pastRehearsalIds(gone.map(row => row.rehearsalId), now);
+    for (const row of gone) {
+      if (past.has(row.rehearsalId)) {
+        await row.destroy();
+      } else {
+        totals[await removeEvent(client, row)]++;
+      }
+    }
+    
+    if (account.pullFreeBusy) {
+      totals.busyBlocks = await pullBusy(client, account, now);
+    }
+    
+    await account.update({ lastSyncedAt: now, lastError: null });
+  } catch (error) {
+    await account.update({ lastError: error.message.slice(0, 255) });
+    throw error;
+  }
+  
+  return totals;
+};
+
+/**
+ * Settle a conflict. 'local' writes the rehearsal over the server's version
+ * (or deletes the event if the rehearsal no longer applies); 'remote' keeps the
+ * member's version and stops updating that event.
+ * @param {Object} account - CaldavAccount instance with its User
+ * @param {Object} row - CaldavEvent in conflict
+ * @param {String} keep - 'local' or 'remote'
+ * @returns {Promise<Object>} The event's sync state afterwards
+ */
+const resolveConflict = async (account, row, keep) => {
+  if (keep === 'remote') {
+    return row.update({ status: 'ignored', lastError: null });
+  }
+  
+  // Forget the version we know so the next write is unconditional
+  await row.update({ status: 'synced', etag: null, contentHash: null, lastError: null });
+  await syncAccount(account);
+  return (await CaldavEvent.findByPk(row.id)) || row;
+};
+
+/**
+ * Delete every event this app wrote to an account's calendar, as far as the
+ * server allows. Events the member edited on the server are kept.
+ * @param {Object} account - CaldavAccount instance
+ * @returns {Promise<Number>} Number of events deleted
+ */
+const removeAllEvents = async (account) => {
+  const client = clientFor(account);
+  const rows = await CaldavEvent.findAll({ where: { accountId: account.id, status: { [Op.ne]: 'ignored' } } });
+  
+  let deleted = 0;
+  for (const row of rows) {
+    const { status } = await client.deleteEvent(row.url, { etag: row.etag });
+    if (status !== 412) {
+      deleted++;
+    }
+  }
+  return deleted;
+};
+
+/**
+ * Sync every active account, one at a time
+ * @param {Object} options
+ * @param {Date} options.now - Current time
+ * @returns {Promise<Object>} Totals { accounts, synced, failed }
+ */
+const syncAllAccounts = async ({ now }) => {
+  const accounts = await CaldavAccount.findAll({
+    where: { isActive: true },
+    include: [{ model: User, attributes: ['id', 'timezone', 'isActive'], where: { isActive: true } }]
+  });
+  const totals = { accounts: accounts.length, synced: 0, failed: 0 };
+  
+  for (const account of accounts) {
+    try {
+      await syncAccount(account, { now });
+      totals.synced++;
+    } catch (error) {
+      totals.failed++;
+      logger.warn(`CalDAV account ${account.id} could not be synced: ${error.message}`);
+    }
+  }
+  
+  if (totals.accounts > 0) {
+    logger.info(`CalDAV accounts synced: ${totals.synced} ok, ${totals.failed} failed`);
+  }
+  
+  return totals;
+};
+
+/**
+ * Create the background scheduler that keeps CalDAV calendars in step with rehearsals
+ * @param {Object} [options]
+ * @param {Function} [options.clock] - Returns the current time; inject a fake clock in tests
+ * @param {Number} [options.interval] - Milliseconds between runs
+ * @returns {Object} { start, stop, runOnce }
+ */
+const createCaldavSyncScheduler = ({ clock, interval = DEFAULT_INTERVAL_MS } = {}) => {
+  return createScheduler({
+    name: 'CalDAV sync',
+    task: now => syncAllAccounts({ now }),
+    clock,
+    interval
+  });
+};
+
+module.exports = {
+  PUSHED_RSVPS,
+  clientFor,
+  wantedEvents,
+  syncAccount,
+  dropBusy,
+  resolveConflict,
+  removeAllEvents,
+  syncAllAccounts,
+  createCaldavSyncScheduler
+};
\ No newline at end of file
@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { CalendarFeed, Rehearsal, Band, User, Venue } = require('../models');
+const permission = require('./permission.service');
+const { parseRRule } = require('./recurrence.service');
+const ical = require('../utils/ical');
+const { resolveTimezone } = require('../utils/timezone');
+const { hashToken } = require('../utils/secrets');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Rehearsals that ended less than this long ago stay in feeds
+const PAST_DAYS = 30;
+
+// Years of offset changes written for a series without UNTIL, counted from its start
+const TIMEZONE_YEARS = 10;
+
+// Product identifier and UID domain written into every feed
+const PRODUCT_ID = '-//Rehearsal Scheduler//Calendar Feed//EN';
+const UID_DOMAIN = 'rehearsal-scheduler';
+
+// RSVP status to iCalendar participation status
+const PARTSTATS = {
+  pending: 'NEEDS-ACTION',
+  attending: 'ACCEPTED',
+  maybe: 'TENTATIVE',
+  not_attending: 'DECLINED'
+};
+
+/**
+ * URL a calendar app subscribes to
+ * @param {String} baseUrl - Public base URL of the API, e.g. 'https://example.com/api'
+ * @param {String} token
+ * @returns {String}
+ */
+const feedUrl = (baseUrl, token) => {
+  return `${baseUrl}/calendar/${token}.ics`;
+};
+
+/**
+ * Create a feed for a user, covering one band or all of their bands
+ * @param {Object} options
+ * @param {Object} options.user - Feed owner
+ * @param {Object} [options.band] - Band for a band feed
+ * @param {String} [options.name] - Label for the feed
+ * @returns {Promise<Object>} { feed, token }; the token is only available now
+ */
+const createFeed = async ({ user, band = null, name }) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  
+  const feed = await CalendarFeed.create({
+    userId: user.id,
+    bandId: band ? band.id : null,
+    name: name || (band ? band.name : 'All my bands'),
+    tokenHash: hashToken(token)
+  });
+  
+  return { feed, token };
+};
+
+/**
+ * Find a feed that has not been revoked from the token in its URL
+ * @param {String} token
+ * @returns {Promise<Object|null>} Feed with its User and Band
+ */
+const findByToken = (token) => {
+  return CalendarFeed.findOne({
+    where: { tokenHash: hashToken(token), revokedAt: null },
+    include: [
+      { model: User, attributes: ['id', 'firstName', 'lastName', 'isActive'] },
+      { model: Band, attributes: ['id', 'name', 'ownerId', 'isActive'] }
+    ]
+  });
+};
+
+/**
+ * Bands a feed may show right now. A band feed stops showing anything once
+ * its owner leaves the band.
+ * @param {Object} feed - Feed loaded with findByToken
+ * @returns {Promise<Array<String>>} Band IDs
+ */
+const feedBandIds = async (feed) => {
+  if (feed.bandId) {
+    return (await permission.getBandRole(feed.Band, feed.userId)) ? [feed.bandId] : [];
+  }
+  return permission.bandIdsWithRole(feed.userId, 'guest');
+};
+
+/**
+ * Rehearsals for a feed: one-off rehearsals and changed occurrences that ended
+ * in the last PAST_DAYS days or later, and series still running then
+ * @param {Array<String>} bandIds
+ * @param {Date} now
+ * @returns {Promise<Array>} Rehearsal instances with Band, Venue, creator and attendees
+ */
+const feedRehearsals = async (bandIds, now = new Date()) => {
+  if (bandIds.length === 0) {
+    return [];
+  }
+  
+  const cutoff = new Date(now.getTime() - PAST_DAYS * DAY);
+  const rehearsals = await Rehearsal.findAll({
+    where: {
+      bandId: { [Op.in]: bandIds },
+      [Op.or]: [
+        { isRecurring: true },
+        { endTime: { [Op.gte]: cutoff } }
+      ]
+    },
+    include: [
+      { model: Band, attributes: ['id', 'name'] },
+      { model: Venue, attributes: ['id', 'name', 'address', 'city'] },
+      { model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName', 'email'] },
+      {
+        model: User,
+        as: 'attendees',
+        attributes: ['id', 'firstName', 'lastName', 'email'],
+        through: { attributes: ['status'] }
+      }
+    ],
+    order: [['startTime', 'ASC']]
+  });
+  
+  // Drop series that ended before the cutoff, and changed occurrences of series not shown
+  const series = rehearsals.filter((rehearsal) => {
+    if (!rehearsal.isRecurring) {
+      return false;
+    }
+    const { until } = parseRRule(rehearsal.recurrenceRule);
+    return !until || until >= cutoff;
+  });
+  const seriesIds = series.map(rehearsal => rehearsal.id);
+  
+  return rehearsals.filter((rehearsal) => {
+    if (rehearsal.isRecurring) {
+      return seriesIds.includes(rehearsal.id);
+    }
+    return !rehearsal.seriesId || seriesIds.includes(rehearsal.seriesId);
+  });
+};
+
+/**
+ * Content lines of the date properties of an event. Series and their changed
+ * occurrences are written in the series' timezone so the rule keeps its local
+ * times across DST, with a VTIMEZONE from timezoneComponents; one-off
+ * rehearsals are written in UTC.
+ * @param {Object} rehearsal
+ * @returns {Array<String>}
+ */
+const dateLines = (rehearsal) => {
+  if (!rehearsal.isRecurring && !rehearsal.seriesId) {
+    return [
+      ical.line('DTSTART', ical.formatUtc(rehearsal.startTime)),
+      ical.line('DTEND', ical.formatUtc(rehearsal.endTime))
+    ];
+  }
+  
+  const tzid = resolveTimezone(rehearsal.timezone);
+  const lines = [
+    ical.line('DTSTART', ical.formatLocal(rehearsal.startTime, tzid), { TZID: tzid }),
+    ical.line('DTEND', ical.formatLocal(rehearsal.endTime, tzid), { TZID: tzid })
+  ];
+  
+  if (rehearsal.isRecurring) {
+    lines.push(ical.line('RRULE', rehearsal.recurrenceRule.replace(/^RRULE:/i, '')));
+  } else {
+    lines.push(ical.line('RECURRENCE-ID', ical.formatLocal(rehearsal.originalStartTime, tzid), { TZID: tzid }));
+  }
+  return lines;
+};
+
+/**
+ * VTIMEZONE components for the zones series and changed occurrences are
+ * written in, covering every instant written with each TZID
+ * @param {Array} rehearsals
+ * @returns {Array<String>} Content lines
+ */
+const timezoneComponents = (rehearsals) => {
+  const ranges = new Map();
+  
+  rehearsals.filter(rehearsal => rehearsal.isRecurring || rehearsal.seriesId).forEach((rehearsal) => {
+    const zone = resolveTimezone(rehearsal.timezone);
+    const from = new Date(Math.min(...[rehearsal.startTime, rehearsal.originalStartTime].filter(Boolean).map(Number)));
+    let to = new Date(Math.max(...[rehearsal.endTime, rehearsal.originalStartTime].filter(Boolean).map(Number)));
+    if (rehearsal.isRecurring) {
+      const { until } = parseRRule(rehearsal.recurrenceRule);
+      to = new Date(rehearsal.startTime);
+      to.setUTCFullYear(to.getUTCFullYear() + TIMEZONE_YEARS);
+      to = until || to;
+    }
+    
+    const range = ranges.get(zone);
+    ranges.set(zone, range
+      ? { from: new Date(Math.min(range.from, from)), to: new Date(Math.max(range.to, to)) }
+      : { from, to });
+  });
+  
+  return [...ranges].flatMap(([zone, { from, to }]) => ical.timezoneLines(zone, from, to));
+};
+
+/**
+ * UID of the event for a rehearsal. A series and its changed occurrences share one.
+ * @param {Object} rehearsal
+ * @returns {String}
+ */
+const eventUid = (rehearsal) => {
+  return `${rehearsal.seriesId || rehearsal.id}@${UID_DOMAIN}`;
+};
+
+/**
+ * Build the VEVENT of a rehearsal, series or changed occurrence
+ * @param {Object} rehearsal - Rehearsal loaded with feedRehearsals
+ * @param {Object} options
+ * @param {Boolean} options.showBand - Put the band name in the summary
+ * @param {String} options.clientUrl - Base URL of the web app
+ * @param {Date} options.now
+ * @returns {Array<String>} Content lines
+ */
+const eventLines = (rehearsal, { showBand, clientUrl, now }) => {
+  const venue = rehearsal.Venue;
+  const location = venue
+    ? [venue.name, venue.address, venue.city].filter(Boolean).join(', ')
+    : rehearsal.location;
+  const description = [
+    rehearsal.description,
+    rehearsal.locationDetails,
+    rehearsal.locationUrl,
+    rehearsal.notes
+  ].filter(Boolean).join('\n\n');
+  
+  const lines = [
+    'BEGIN:VEVENT',
+    ical.line('UID', eventUid(rehearsal)),
+    ical.line('DTSTAMP', ical.formatUtc(now)),
+    ical.line('LAST-MODIFIED', ical.formatUtc(rehearsal.updatedAt)),
+    ...dateLines(rehearsal),
+    ical.line('SUMMARY', ical.escapeText(showBand ? `${rehearsal.Band.name}: ${rehearsal.title}` : rehearsal.title)),
+    ical.line('STATUS', rehearsal.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'),
+    ical.line('URL', `${clientUrl}/rehearsals/${rehearsal.seriesId || rehearsal.id}`)
+  ];
+  
+  if (location) {
+    lines.push(ical.line('LOCATION', ical.escapeText(location)));
+  }
+  if (description) {
+    lines.push(ical.line('DESCRIPTION', ical.escapeText(description)));
+  }
+  
+  const { creator } = rehearsal;
+  if (creator) {
+    lines.push(ical.line('ORGANIZER', `mailto:${creator.email}`, { CN: `${creator.firstName} ${creator.lastName}` }));
+  }
+  rehearsal.attendees.forEach((attendee) => {
+    lines.push(ical.line('ATTENDEE', `mailto:${attendee.email}`, {
+      CN: `${attendee.firstName} ${attendee.lastName}`,
+      ROLE: 'REQ-PARTICIPANT',
+      PARTSTAT: PARTSTATS[attendee.UserRehearsal.status] || 'NEEDS-ACTION'
+    }));
+  });
+  
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Render a feed as an iCalendar document. Timezones are referenced by their
+ * IANA names and defined in VTIMEZONE components for apps that need them.
+ * @param {Object} feed - Feed loaded with findByToken
+ * @param {Date} [now]
+ * @returns {Promise<String>} text/calendar body
+ */
+const renderFeed = async (feed, now = new Date()) => {
+  const rehearsals = await feedRehearsals(await feedBandIds(feed), now);
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  const calendarName = feed.Band ? `${feed.Band.name} rehearsals` : 'My rehearsals';
+  
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    ical.line('PRODID', PRODUCT_ID),
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ical.line('X-WR-CALNAME', ical.escapeText(calendarName)),
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...timezoneComponents(rehearsals),
+    ...rehearsals.flatMap(rehearsal => eventLines(rehearsal, { showBand: !feed.bandId, clientUrl, now })),
+    'END:VCALENDAR'
+  ];
+  
+  return ical.serialize(lines);
+};
+
+/**
+ * Render one event as a standalone iCalendar object, as stored on a CalDAV
+ * server: a one-off rehearsal, or a series with its changed occurrences.
+ * DTSTAMP is the last change to any of them, so unchanged rehearsals render
+ * the same text every time.
+ * @param {Array} rehearsals - Rehearsals loaded with feedRehearsals that share one UID, series first
+ * @returns {String} text/calendar body
+ */
+const renderEvent = (rehearsals) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  const now = new Date(Math.max(...rehearsals.map(rehearsal => new Date(rehearsal.updatedAt))));
+  
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    ical.line('PRODID', PRODUCT_ID),
+    'CALSCALE:GREGORIAN',
+    ...timezoneComponents(rehearsals),
+    ...rehearsals.flatMap(rehearsal => eventLines(rehearsal, { showBand: true, clientUrl, now })),
+    'END:VCALENDAR'
+  ];
+  
+  return ical.serialize(lines);
+};
+
+/**
+ * Note that a calendar app fetched a feed
+ * @param {Object} feed
+ * @returns {Promise<void>}
+ */
+const touchFeed = async (feed) => {
+  await CalendarFeed.update({ lastAccessedAt: new Date() }, { where: { id: feed.id } });
+};
+
+module.exports = {
+  PAST_DAYS,
+  UID_DOMAIN,
+  feedUrl,
+  createFeed,
+  findByToken,
+  feedRehearsals,
+  eventUid,
+  renderFeed,
+  renderEvent,
+  touchFeed
+};
\ No newline at end of file
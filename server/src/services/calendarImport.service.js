@@ -0,0 +1,463 @@
+const { Op } = require('sequelize');
+const { DateTime } = require('luxon');
+const { ExternalCalendar, BusyBlock, User, sequelize } = require('../models');
+const { expandRRule } = require('./recurrence.service');
+const { overlaps } = require('./scheduling.service');
+const { UID_DOMAIN } = require('./calendar.service');
+const ical = require('../utils/ical');
+const logger = require('../utils/logger');
+const { guardedFetch } = require('../utils/outbound');
+const { createScheduler } = require('../utils/scheduler');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Imported events are kept from a day ago to this many days ahead
+const IMPORT_DAYS = 180;
+
+// Limits on what one calendar may bring in
+const MAX_CALENDAR_BYTES = 5 * 1024 * 1024;
+const MAX_BLOCKS = 5000;
+const FETCH_TIMEOUT_MS = 15 * 1000;
+
+const DEFAULT_INTERVAL_MS = (parseInt(process.env.ICS_SYNC_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+
+/**
+ * Build the error thrown when a calendar cannot be fetched or read
+ * @param {String} message
+ * @returns {Error}
+ */
+const importError = (message) => {
+  const error = new Error(message);
+  error.name = 'CalendarImportError';
+  return error;
+};
+
+/**
+ * Range of time imported on a sync
+ * @param {Date} now
+ * @returns {Object} { rangeStart, rangeEnd }
+ */
+const importWindow = (now) => {
+  return {
+    rangeStart: new Date(now.getTime() - DAY),
+    rangeEnd: new Date(now.getTime() + IMPORT_DAYS * DAY)
+  };
+};
+
+/**
+ * First value of a property of a component
+ * @param {Object} component - Parsed component
+ * @param {String} name - Property name
+ * @returns {Object|null} { params, value }
+ */
+const property = (component, name) => {
+  const values = component.properties[name];
+  return values && values.length > 0 ? values[0] : null;
+};
+
+/**
+ * Instants listed by a multi-valued date property such as EXDATE
+ * @param {Object} component - Parsed component
+ * @param {String} name - Property name
+ * @param {String} zone - Zone for floating times
+ * @returns {Set<Number>} Milliseconds
+ */
+const dateSet = (component, name, zone) => {
+  const result = new Set();
+  (component.properties[name] || []).forEach((prop) => {
+    prop.value.split(',').filter(Boolean).forEach((value) => {
+      result.add(ical.parseDate({ params: prop.params, value }, zone).date.getTime());
+    });
+  });
+  return result;
+};
+
+/**
+ * Work out how long an event lasts. All-day events count whole local days so
+ * they keep covering midnight to midnight across DST changes.
+ * @param {Object} event - Parsed VEVENT
+ * @param {Object} start - DTSTART read with ical.parseDate
+ * @param {String} zone - Zone for floating times
+ * @returns {Function|null} Maps an instance start to its end; null for an event without length
+ */
+const endOf = (event, start, zone) => {
+  const dtend = property(event, 'DTEND');
+  const duration = property(event, 'DURATION');
+  
+  if (start.allDay) {
+    let days = 1;
+    if (dtend) {
+      days = Math.round((ical.parseDate(dtend, zone).date - start.date) / DAY);
+    } else if (duration) {
+      days = Math.round(ical.parseDuration(duration.value) / DAY);
+    }
+    if (days <= 0) {
+      return null;
+    }
+    return instant => DateTime.fromJSDate(instant, { zone: start.zone }).plus({ days }).toJSDate();
+  }
+  
+  let length = 0;
+  if (dtend) {
+    length = ical.parseDate(dtend, zone).date - start.date;
+  } else if (duration) {
+    length = ical.parseDuration(duration.value);
+  }
+  if (length <= 0) {
+    return null;
+  }
+  return instant => new Date(instant.getTime() + length);
+};
+
+/**
+ * Turn the events of an iCalendar document into busy intervals. Free
+ * (transparent) and cancelled events are left out, and so are rehearsals this
+ * app put into the calendar itself (feeds or CalDAV). Recurring events are
+ * expanded with their exceptions and changed instances, and only intervals
+ * overlapping the range are kept. A rule this app cannot expand counts as its
+ * first instance only.
+ * @param {String} text - iCalendar document
+ * @param {Object} options
+ * @param {String} options.zone - Zone for floating times, normally the member's own
+ * @param {Date} options.rangeStart
+ * @param {Date} options.rangeEnd
+ * @returns {Array} { startsAt, endsAt, summary, uid } sorted by start
+ * @throws {Error} CalendarImportError when the document is not a calendar
+ */
+const eventsToBlocks = (text, { zone, rangeStart, rangeEnd }) => {
+  const calendars = ical.parse(text).filter(component => component.type === 'VCALENDAR');
+  if (calendars.length === 0) {
+    throw importError('Not an iCalendar file');
+  }
+  const events = calendars.flatMap(calendar => calendar.components.filter(component => component.type === 'VEVENT'));
+  
+  // Instances that a changed copy (RECURRENCE-ID) replaces, keyed by UID and original start
+  const replaced = new Set();
+  events.forEach((event) => {
+    const uid = property(event, 'UID');
+    const recurrenceId = property(event, 'RECURRENCE-ID');
+    if (uid && recurrenceId) {
+      try {
+        replaced.add(`${uid.value}|${ical.parseDate(recurrenceId, zone).date.getTime()}`);
+      } catch (error) {
+        // An unreadable RECURRENCE-ID cannot replace anything
+      }
+    }
+  });
+  
+  const blocks = [];
+  events.forEach((event) => {
+    const status = property(event, 'STATUS');
+    const transp = property(event, 'TRANSP');
+    const dtstart = property(event, 'DTSTART');
+    const uid = property(event, 'UID');
+    if (!dtstart || (uid && uid.value.endsWith(`@${UID_DOMAIN}`)) ||
+      (status && status.value.toUpperCase() === 'CANCELLED') ||
+      (transp && transp.value.toUpperCase() === 'TRANSPARENT')) {
+      return;
+    }
+    
+    try {
+      const start = ical.parseDate(dtstart, zone);
+      const end = endOf(event, start, zone);
+      if (!end) {
+        return;
+      }
+      
+      const summary = property(event, 'SUMMARY');
+      const rrule = property(event, 'RRULE');
+      
+      let starts = [start.date];
+      if (rrule && !property(event, 'RECURRENCE-ID')) {
+        // Start early enough to catch instances that began before the range but run into it
+        const lookback = end(start.date) - start.date;
+        try {
+          starts = expandRRule(rrule.value, start.date, start.zone, new Date(rangeStart.getTime() - lookback), rangeEnd);
+        } catch (error) {
+          starts = [start.date];
+        }
+        const excluded = dateSet(event, 'EXDATE', zone);
+        starts = starts.filter((instant) => {
+          return !excluded.has(instant.getTime()) &&
+            !(uid && replaced.has(`${uid.value}|${instant.getTime()}`));
+        });
+      }
+      
+      starts.forEach((instant) => {
+        const endsAt = end(instant);
+        if (overlaps(instant, endsAt, rangeStart, rangeEnd)) {
+          blocks.push({
+            startsAt: instant,
+            endsAt,
+            summary: summary ? ical.unescapeText(summary.value).slice(0, 255) : null,
+            uid: uid ? uid.value.slice(0, 255) : null
+          });
+        }
+      });
+    } catch (error) {
+      // Skip events whose dates cannot be read rather than failing the whole calendar
+    }
+  });
+  
+  return blocks.sort((a, b) => a.startsAt - b.startsAt);
+};
+
+/**
+ * Read a response body, stopping as soon as it passes MAX_CALENDAR_BYTES
+ * whether or not the server said how long it is
+ * @param {Response} response
+ * @returns {Promise<String>}
+ * @throws {Error} CalendarImportError when the body is too large
+ */
+const readCalendar = async (response) => {
+  if (Number(response.headers.get('content-length')) > MAX_CALENDAR_BYTES) {
+    await response.body?.cancel();
+    throw importError('Calendar is too large');
+  }
+  
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body || []) {
+    size += chunk.length;
+    if (size > MAX_CALENDAR_BYTES) {
+      // Leaving the loop cancels the rest of the download
+      throw importError('Calendar is too large');
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Download an ICS calendar. webcal:// links are fetched over https. The host
+ * must be on the public internet (see utils/outbound), and so must every
+ * host it redirects to.
+ * @param {String} url
+ * @returns {Promise<String>} iCalendar document
+ * @throws {Error} CalendarImportError when the calendar cannot be fetched
+ */
+const fetchCalendar = async (url) => {
+  let target;
+  try {
+    target = new URL(String(url).replace(/^webcal:/i, 'https:'));
+  } catch (error) {
+    throw importError('Invalid calendar URL');
+  }
+  if (!['http:', 'https:'].includes(target.protocol)) {
+    throw importError('Calendar URL must use http, https or webcal');
+  }
+  
+  let response;
+  try {
+    response = await guardedFetch(target, {
+      headers: { Accept: 'text/calendar' },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+  } catch (error) {
+    if (error.name === 'BlockedAddressError') {
+      throw importError(`Calendar URL cannot be used: ${error.message}`);
+    }
+    // Network errors name internal addresses and ports, so they are only logged
+    logger.warn(`Fetching calendar from ${target.host} failed: ${error.message}`);
+    throw importError('Could not fetch calendar');
+  }
+  
+  if (!response.ok) {
+    await response.body?.cancel();
+    throw importError(`Calendar server responded with ${response.status}`);
+  }
+  
+  try {
+    return await readCalendar(response);
+  } catch (error) {
+    if (error.name === 'CalendarImportError') {
+      throw error;
+    }
+    logger.warn(`Reading calendar from ${target.host} failed: ${error.message}`);
+    throw importError('Could not fetch calendar');
+  }
+};
+
+/**
+ * Replace a calendar's busy blocks
+ * @param {Object} calendar - ExternalCalendar instance
+ * @param {Array} blocks - Intervals from eventsToBlocks
+ * @param {Date} now - Time of the sync
+ * @returns {Promise<Number>} Number of busy blocks imported
+ * @throws {Error} CalendarImportError when there are too many blocks
+ */
+const replaceBlocks = async (calendar, blocks, now) => {
+  if (blocks.length > MAX_BLOCKS) {
+    throw importError(`Calendar has more than ${MAX_BLOCKS} events in the next ${IMPORT_DAYS} days`);
+  }
+  
+  await sequelize.transaction(async (transaction) => {
+    await BusyBlock.destroy({ where: { externalCalendarId: calendar.id }, transaction });
+    await BusyBlock.bulkCreate(blocks.map(block => ({
+      ...block,
+      userId: calendar.userId,
+      externalCalendarId: calendar.id
+    })), { transaction });
+    await calendar.update({ lastSyncedAt: now, lastError: null, blockCount: blocks.length }, { transaction });
+  });
+  
+  return blocks.length;
+};
+
+/**
+ * Replace a calendar's busy blocks with the events of a document
+ * @param {Object} calendar - ExternalCalendar instance
+ * @param {String} text - iCalendar document
+ * @param {Object} options
+ * @param {String} options.zone - Member's timezone, used for floating times
+ * @param {Date} [options.now]
+ * @returns {Promise<Number>} Number of busy blocks imported
+ * @throws {Error} CalendarImportError when the document is not a calendar
+ */
+const syncCalendar = (calendar, text, { zone, now = new Date() }) => {
+  return replaceBlocks(calendar, eventsToBlocks(text, { zone, ...importWindow(now) }), now);
+};
+
+/**
+ * Fetch a subscribed calendar and replace its busy blocks. On failure the
+ * error is recorded on the calendar and the blocks from the last good sync stay.
+ * @param {Object} calendar - ExternalCalendar instance with a url
+ * @param {Object} options
+ * @param {String} options.zone - Member's timezone
+ * @param {Date} [options.now]
+ * @returns {Promise<Number>} Number of busy blocks imported
+ */
+const refreshCalendar = async (calendar, { zone, now = new Date() }) => {
+  try {
+    return await syncCalendar(calendar, await fetchCalendar(calendar.url), { zone, now });
+  } catch (error) {
+    await calendar.update({ lastError: error.message.slice(0, 255) });
+    throw error;
+  }
+};
+
+/**
+ * Busy blocks of several users that overlap a date range
+ * @param {Array<String>} userIds
+ * @param {Date|null} rangeStart
+ * @param {Date|null} rangeEnd
+ * @returns {Promise<Object>} Map of user ID to BusyBlock rows sorted by start
+ */
+const busyByUser = async (userIds, rangeStart, rangeEnd) => {
+  const result = {};
+  userIds.forEach((userId) => {
+    result[userId] = [];
+  });
+  
+  if (userIds.length === 0) {
+    return result;
+  }
+  
+  const blocks = await BusyBlock.findAll({
+    where: {
+      userId: { [Op.in]: userIds },
+      ...BusyBlock.overlappingRange(rangeStart, rangeEnd)
+    },
+    order: [['startsAt', 'ASC']]
+  });
+  
+  blocks.forEach((block) => {
+    result[block.userId].push(block);
+  });
+  return result;
+};
+
+/**
+ * Find members whose own calendars are busy during any of a rehearsal's
+ * occurrences. Event titles are never included.
+ * @param {Array<String>} userIds - Members to check
+ * @param {Array} occurrences - Objects with startTime and endTime
+ * @returns {Promise<Array>} Array of { userId, startsAt, endsAt, occurrenceStart }
+ */
+const findBusyConflicts = async (userIds, occurrences) => {
+  if (userIds.length === 0 || occurrences.length === 0) {
+    return [];
+  }
+  
+  const rangeStart = new Date(Math.min(...occurrences.map(occurrence => new Date(occurrence.startTime))));
+  const rangeEnd = new Date(Math.max(...occurrences.map(occurrence => new Date(occurrence.endTime))));
+  const byUser = await busyByUser(userIds, rangeStart, rangeEnd);
+  
+  const conflicts = [];
+  Object.values(byUser).forEach((blocks) => {
+    blocks.forEach((block) => {
+      occurrences
+        .filter(occurrence => overlaps(block.startsAt, block.endsAt, occurrence.startTime, occurrence.endTime))
+        .forEach((occurrence) => {
+          conflicts.push({
+            userId: block.userId,
+            startsAt: block.startsAt,
+            endsAt: block.endsAt,
+            occurrenceStart: new Date(occurrence.startTime)
+          });
+        });
+    });
+  });
+  
+  return conflicts.sort((a, b) => a.occurrenceStart - b.occurrenceStart);
+};
+
+/**
+ * Refresh every subscribed calendar, one at a time
+ * @param {Object} options
+ * @param {Date} options.now - Current time
+ * @returns {Promise<Object>} Totals { calendars, synced, failed }
+ */
+const syncSubscribedCalendars = async ({ now }) => {
+  const calendars = await ExternalCalendar.findAll({
+    where: { source: 'ics', url: { [Op.ne]: null } },
+    include: [{ model: User, attributes: ['id', 'timezone', 'isActive'], where: { isActive: true } }]
+  });
+  const totals = { calendars: calendars.length, synced: 0, failed: 0 };
+  
+  for (const calendar of calendars) {
+    try {
+      await refreshCalendar(calendar, { zone: calendar.User.timezone, now });
+      totals.synced++;
+    } catch (error) {
+      totals.failed++;
+      logger.warn(`Calendar ${calendar.id} could not be synced: ${error.message}`);
+    }
+  }
+  
+  if (totals.calendars > 0) {
+    logger.info(`External calendars synced: ${totals.synced} ok, ${totals.failed} failed`);
+  }
+  
+  return totals;
+};
+
+/**
+ * Create the background scheduler that keeps subscribed calendars fresh
+ * @param {Object} [options]
+ * @param {Function} [options.clock] - Returns the current time; inject a fake clock in tests
+ * @param {Number} [options.interval] - Milliseconds between runs
+ * @returns {Object} { start, stop, runOnce }
+ */
+const createCalendarSyncScheduler = ({ clock, interval = DEFAULT_INTERVAL_MS } = {}) => {
+  return createScheduler({
+    name: 'Calendar sync',
+    task: now => syncSubscribedCalendars({ now }),
+    clock,
+    interval
+  });
+};
+
+module.exports = {
+  importError,
+  importWindow,
+  eventsToBlocks,
+  fetchCalendar,
+  replaceBlocks,
+  syncCalendar,
+  refreshCalendar,
+  busyByUser,
+  findBusyConflicts,
+  syncSubscribedCalendars,
+  createCalendarSyncScheduler
+};
\ No newline at end of file
@@ -0,0 +1,255 @@
+const { Op } = require('sequelize');
+const { Band, User, Rehearsal, UserRehearsal } = require('../models');
+const rehearsalService = require('./rehearsal.service');
+const blackoutService = require('./blackout.service');
+const calendarImport = require('./calendarImport.service');
+const { overlaps } = require('./scheduling.service');
+
+/**
+ * Build the error thrown when strict scheduling finds conflicts
+ * @param {Object} report - Conflict report from checkConflicts
+ * @returns {Error}
+ */
+const conflictError = (report) => {
+  const error = new Error('Some members are already booked at this time');
+  error.name = 'SchedulingConflictError';
+  error.report = report;
+  return error;
+};
+
+/**
+ * Summarize an occurrence for a conflict report
+ * @param {Object} occurrence - Plain occurrence from rehearsalService.listOccurrences
+ * @returns {Object}
+ */
+const describeRehearsal = (occurrence) => ({
+  id: occurrence.id,
+  seriesId: occurrence.seriesId || null,
+  title: occurrence.title,
+  startTime: occurrence.startTime,
+  endTime: occurrence.endTime,
+  location: occurrence.location,
+  band: occurrence.Band ? { id: occurrence.Band.id, name: occurrence.Band.name } : { id: occurrence.bandId }
+});
+
+/**
+ * Active rehearsal occurrences each user is invited to and has not declined.
+ * An RSVP on an exception row overrides the one on its series, so a member
+ * who declined a single occurrence is not booked into it.
+ * @param {Array<String>} userIds
+ * @param {Date} rangeStart
+ * @param {Date} rangeEnd
+ * @returns {Promise<Object>} Map of user ID to occurrences sorted by start
+ */
+const bookingsByUser = async (userIds, rangeStart, rangeEnd) => {
+  const result = {};
+  userIds.forEach((userId) => {
+    result[userId] = [];
+  });
+  
+  // Only invitations to rehearsals that can reach into the range: one-offs and
+  // exceptions overlapping it, series starting before it ends, and series with
+  // an exception moved into it, which may lie before the series' own start
+  const inRange = { startTime: { [Op.lt]: rangeEnd }, endTime: { [Op.gt]: rangeStart } };
+  const movedIn = await Rehearsal.findAll({
+    where: { ...inRange, seriesId: { [Op.ne]: null } },
+    attributes: ['seriesId']
+  });
+  const invitations = await UserRehearsal.findAll({
+    where: { userId: { [Op.in]: userIds } },
+    attributes: ['userId', 'rehearsalId', 'status'],
+    include: [{
+      model: Rehearsal,
+      attributes: [],
+      where: {
+        [Op.or]: [
+          { isRecurring: false, ...inRange },
+          { isRecurring: true, startTime: { [Op.lt]: rangeEnd } },
+          { id: { [Op.in]: [...new Set(movedIn.map(rehearsal => rehearsal.seriesId))] } }
+        ]
+      }
+    }]
+  });
+  
+  if (invitations.length === 0) {
+    return result;
+  }
+  
+  // Series invitations also cover their exceptions
+  const rehearsalIds = [...new Set(invitations.map(invitation => invitation.rehearsalId))];
+  const occurrences = await rehearsalService.activeOccurrences({
+    where: rehearsalService.withExceptions(rehearsalIds),
+    rangeStart,
+    rangeEnd,
+    include: [{ model: Band, attributes: ['id', 'name'] }]
+  });
+  
+  const rsvps = new Map(invitations.map(invitation => [`${invitation.userId}:${invitation.rehearsalId}`, invitation.status]));
+  userIds.forEach((userId) => {
+    result[userId] = occurrences.filter((occurrence) => {
+      const status = rsvps.get(`${userId}:${occurrence.id}`) ||
+        (occurrence.seriesId ? rsvps.get(`${userId}:${occurrence.seriesId}`) : undefined);
+      return status !== undefined && status !== 'not_attending';
+    });
+  });
+  
+  Object.keys(result).forEach((userId) => {
+    result[userId].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  });
+  return result;
+};
+
+/**
+ * Load members' names for a conflict report
+ * @param {Array<String>} userIds
+ * @returns {Promise<Object>} Map of user ID to { id, firstName, lastName }
+ */
+const membersById = async (userIds) => {
+  const users = await User.findAll({
+    where: { id: { [Op.in]: userIds } },
+    attributes: ['id', 'firstName', 'lastName']
+  });
+  
+  const result = {};
+  users.forEach((user) => {
+    result[user.id] = { id: user.id, firstName: user.firstName, lastName: user.lastName };
+  });
+  return result;
+};
+
+/**
+ * Check a rehearsal's occurrences against members' other rehearsals (in any
+ * band), their blackout periods and busy time imported from their own calendars.
+ * @param {Object} options
+ * @param {Array<String>} options.userIds - Members invited to the rehearsal
+ * @param {Array} options.occurrences - Objects with startTime and endTime
+ * @param {Array<String>} options.exclude - IDs of the rehearsal or series being checked
+ * @returns {Promise<Object>} { hasConflicts, doubleBookings, blackouts, busy }
+ */
+const checkConflicts = async ({ userIds, occurrences, exclude = [] }) => {
+  if (userIds.length === 0 || occurrences.length === 0) {
+    return { hasConflicts: false, doubleBookings: [], blackouts: [], busy: [] };
+  }
+  
+  const rangeStart = new Date(Math.min(...occurrences.map(occurrence => new Date(occurrence.startTime))));
+  const rangeEnd = new Date(Math.max(...occurrences.map(occurrence => new Date(occurrence.endTime))));
+  const excluded = exclude.filter(Boolean);
+  
+  const [bookings, blackouts, busy] = await Promise.all([
+    bookingsByUser(userIds, rangeStart, rangeEnd),
+    blackoutService.findBlackoutConflicts(userIds, occurrences),
+    calendarImport.findBusyConflicts(userIds, occurrences)
+  ]);
+  
+  const doubleBookings = [];
+  Object.entries(bookings).forEach(([userId, booked]) => {
+    booked
+      .filter(other => !excluded.includes(other.id) && !excluded.includes(other.seriesId))
+      .forEach((other) => {
+        occurrences
+          .filter(occurrence => overlaps(occurrence.startTime, occurrence.endTime, other.startTime, other.endTime))
+          .forEach((occurrence) => {
+            doubleBookings.push({
+              userId,
+              occurrenceStart: new Date(occurrence.startTime),
+              rehearsal: describeRehearsal(other)
+            });
+          });
+      });
+  });
+  
+  const members = await membersById([...new Set([
+    ...doubleBookings.map(conflict => conflict.userId),
+    ...blackouts.map(conflict => conflict.userId),
+    ...busy.map(conflict => conflict.userId)
+  ])]);
+  const withMember = conflict => ({ ...conflict, member: members[conflict.userId] || null });
+  
+  return {
+    hasConflicts: doubleBookings.length > 0 || blackouts.length > 0 || busy.length > 0,
+    doubleBookings: doubleBookings
+      .sort((a, b) => a.occurrenceStart - b.occurrenceStart)
+      .map(withMember),
+    blackouts: blackouts.map(withMember),
+    busy: busy.map(withMember)
+  };
+};
+
+/**
+ * Check a rehearsal (one-off or series) against its band members' other commitments
+ * @param {Object} rehearsal - Saved or unsaved Rehearsal instance
+ * @param {Array<String>} userIds - Members invited to the rehearsal
+ * @param {Object} [options]
+ * @param {Array<String>} [options.exclude] - Further rehearsal IDs that are the same rehearsal (e.g. the series it came from)
+ * @param {Date} [options.now] - Series occurrences before this are not checked
+ * @param {Object} [options.transaction] - Transaction the rehearsal is being changed in
+ * @returns {Promise<Object>} Conflict report from checkConflicts
+ */
+const checkRehearsal = async (rehearsal, userIds, { exclude = [], now, transaction } = {}) => {
+  const invitations = userIds.length > 0
+    ? await UserRehearsal.findAll({ where: { userId: { [Op.in]: userIds } }, attributes: ['rehearsalId'] })
+    : [];
+  const occurrences = await rehearsalService.occurrencesToCheck(rehearsal, {
+    against: rehearsalService.withExceptions([...new Set(invitations.map(invitation => invitation.rehearsalId))]),
+    now,
+    transaction
+  });
+  
+  return checkConflicts({
+    userIds,
+    occurrences,
+    exclude: [rehearsal.id, rehearsal.seriesId, ...exclude]
+  });
+};
+
+/**
+ * Upcoming conflicts of one member: overlapping rehearsals they are booked
+ * into, and rehearsals that fall in one of their blackouts or their busy time
+ * @param {String} userId
+ * @param {Date} rangeStart
+ * @param {Date} rangeEnd
+ * @returns {Promise<Object>} { doubleBookings: [{ rehearsals: [a, b] }], blackouts: [{ rehearsal, blackout }], busy: [{ rehearsal, busy }] }
+ */
+const userConflicts = async (userId, rangeStart, rangeEnd) => {
+  const [bookings, blackouts, busy] = await Promise.all([
+    bookingsByUser([userId], rangeStart, rangeEnd),
+    blackoutService.blackoutsByUser([userId], rangeStart, rangeEnd),
+    calendarImport.busyByUser([userId], rangeStart, rangeEnd)
+  ]);
+  const booked = bookings[userId];
+  
+  const doubleBookings = [];
+  booked.forEach((occurrence, index) => {
+    booked.slice(index + 1)
+      .filter(other => overlaps(occurrence.startTime, occurrence.endTime, other.startTime, other.endTime))
+      .forEach(other => doubleBookings.push({ rehearsals: [describeRehearsal(occurrence), describeRehearsal(other)] }));
+  });
+  
+  const blackoutConflicts = [];
+  blackouts[userId].forEach((blackout) => {
+    booked
+      .filter(occurrence => overlaps(occurrence.startTime, occurrence.endTime, blackout.startsAt, blackout.endsAt))
+      .forEach(occurrence => blackoutConflicts.push({ rehearsal: describeRehearsal(occurrence), blackout }));
+  });
+  
+  const busyConflicts = [];
+  busy[userId].forEach((block) => {
+    booked
+      .filter(occurrence => overlaps(occurrence.startTime, occurrence.endTime, block.startsAt, block.endsAt))
+      .forEach(occurrence => busyConflicts.push({ rehearsal: describeRehearsal(occurrence), busy: block }));
+  });
+  
+  return {
+    doubleBookings,
+    blackouts: blackoutConflicts,
+    busy: busyConflicts
+  };
+};
+
+module.exports = {
+  conflictError,
+  bookingsByUser,
+  checkConflicts,
+  checkRehearsal,
+  userConflicts
+};
\ No newline at end of file
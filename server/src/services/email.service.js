@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { Op } = require('sequelize');
+const { User, UserRehearsal } = require('../models');
+const { render } = require('../templates/email.templates');
+const logger = require('../utils/logger');
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 3;
+const RETRY_DELAY_MS = parseInt(process.env.EMAIL_RETRY_DELAY_MS, 10) || 2000;
+const DEFAULT_FROM = process.env.EMAIL_FROM || 'Rehearsal Scheduler <noreply@example.com>';
+
+// Messages delivered by the memory transport, oldest first
+const outbox = [];
+
+let transport = null;
+
+/**
+ * Transport that keeps messages in `outbox`, for tests
+ * @returns {Object} Transport with a sendMail method
+ */
+const memoryTransport = () => {
+  const renderer = nodemailer.createTransport({ jsonTransport: true });
+  return {
+    sendMail: async (message) => {
+      const info = await renderer.sendMail(message);
+      outbox.push({ ...JSON.parse(info.message), messageId: info.messageId });
+      return info;
+    }
+  };
+};
+
+/**
+ * Transport that writes each message as an .eml file, for local development
+ * @param {String} directory - Output directory
+ * @returns {Object} Transport with a sendMail method
+ */
+const fileTransport = (directory) => {
+  const renderer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  return {
+    sendMail: async (message) => {
+      const info = await renderer.sendMail(message);
+      await fs.promises.mkdir(directory, { recursive: true });
+      const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+      await fs.promises.writeFile(path.join(directory, fileName), info.message);
+      return info;
+    }
+  };
+};
+
+/**
+ * Create the transport selected by EMAIL_TRANSPORT (smtp, file or memory).
+ * Without EMAIL_TRANSPORT, tests use memory, configured hosts use SMTP and
+ * everything else writes files to EMAIL_OUTBOX_DIR.
+ * @param {String} type - Transport type
+ * @returns {Object} Transport with a sendMail method
+ */
+const createTransport = (type) => {
+  const selected = type || process.env.EMAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'test' ? 'memory' : process.env.EMAIL_HOST ? 'smtp' : 'file');
+  
+  switch (selected) {
+    case 'smtp': {
+      const port = parseInt(process.env.EMAIL_PORT, 10) || 587;
+      return nodemailer.createTransport({
+        host: process.env.EMAIL_HOST,
+        port,
+        secure: port === 465,
+        auth: process.env.EMAIL_USER ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS } : undefined
+      });
+    }
+    case 'file':
+      return fileTransport(process.env.EMAIL_OUTBOX_DIR || 'logs/mail');
+    case 'memory':
+      return memoryTransport();
+    default:
+      throw new Error(`Unknown email transport: ${selected}`);
+  }
+};
+
+/**
+ * Get the active transport, creating it on first use
+ * @returns {Object}
+ */
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport (e.g. with createTransport('memory') in tests)
+ * @param {Object} replacement - Object with a sendMail method
+ */
+const setTransport = (replacement) => {
+  transport = replacement;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Send a message, retrying with exponential backoff. Every failed attempt is
+ * logged; when the last attempt fails the error is logged and rethrown.
+ * @param {Object} message - Nodemailer message ({ to, subject, text, html })
+ * @param {Object} options
+ * @param {Number} [options.attempts] - Maximum number of attempts
+ * @param {Number} [options.retryDelay] - Delay before the first retry in milliseconds
+ * @returns {Promise<Object>} Transport info
+ */
+const sendMail = async (message, { attempts = MAX_ATTEMPTS, retryDelay = RETRY_DELAY_MS } = {}) => {
+  const mail = { from: DEFAULT_FROM, ...message };
+  const recipient = mail.to && mail.to.address ? mail.to.address : mail.to;
+  
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const info = await getTransport().sendMail(mail);
+      logger.info(`Email "${mail.subject}" sent to ${recipient}`);
+      return info;
+    } catch (error) {
+      if (attempt >= attempts) {
+        logger.error(`Email "${mail.subject}" to ${recipient} failed after ${attempt} attempts: ${error.message}`);
+        throw error;
+      }
+      logger.warn(`Email "${mail.subject}" to ${recipient} failed (attempt ${attempt} of ${attempts}): ${error.message}`);
+      await wait(retryDelay * 2 ** (attempt - 1));
+    }
+  }
+};
+
+/**
+ * Render a template for a user and send it. Times in the message are shown in
+ * the recipient's timezone.
+ * @param {String} name - Template name
+ * @param {Object} recipient - User (email, firstName, lastName, timezone)
+ * @param {Object} data - Template data
+ * @param {Object} options - Passed to sendMail
+ * @returns {Promise<Object>} Transport info
+ */
+const sendTemplate = async (name, recipient, data = {}, options) => {
+  const { subject, text, html } = render(name, { ...data, recipient });
+  const displayName = [recipient.firstName, recipient.lastName].filter(Boolean).join(' ');
+  
+  return sendMail({
+    to: displayName ? { name: displayName, address: recipient.email } : recipient.email,
+    subject,
+    text,
+    html
+  }, options);
+};
+
+/**
+ * Users invited to a rehearsal who have not declined
+ * @param {String} rehearsalId
+ * @returns {Promise<Array>} User instances
+ */
+const attendeeRecipients = async (rehearsalId) => {
+  const attendees = await UserRehearsal.findAll({
+    where: { rehearsalId, status: { [Op.ne]: 'not_attending' } },
+    include: [{ model: User, attributes: ['id', 'email', 'firstName', 'lastName', 'timezone'] }]
+  });
+  return attendees.map(attendee => attendee.User);
+};
+
+/**
+ * Send a template to several users. Failures are logged by sendMail and do
+ * not stop the other messages.
+ * @param {Array} recipients - Users
+ * @param {String} name - Template name
+ * @param {Object} data - Template data
+ * @returns {Promise<Object>} { sent, failed }
+ */
+const sendToAll = async (recipients, name, data) => {
+  const results = await Promise.allSettled(recipients.map(recipient => sendTemplate(name, recipient, data)));
+  return {
+    sent: results.filter(result => result.status === 'fulfilled').length,
+    failed: results.filter(result => result.status === 'rejected').length
+  };
+};
+
+module.exports = {
+  outbox,
+  createTransport,
+  setTransport,
+  sendMail,
+  sendTemplate,
+  attendeeRecipients,
+  sendToAll
+};
\ No newline at end of file
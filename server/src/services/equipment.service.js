@@ -0,0 +1,422 @@
+const { Op } = require('sequelize');
+const { Equipment, EquipmentCheckout, RehearsalEquipment, Rehearsal, User, sequelize } = require('../models');
+const rehearsalService = require('./rehearsal.service');
+const { describeBooking } = require('./venue.service');
+const { overlaps } = require('./scheduling.service');
+
+const USER_ATTRIBUTES = ['id', 'firstName', 'lastName', 'email'];
+
+// Gear in these states cannot be booked at all
+const OUT_OF_SERVICE_STATUSES = ['maintenance', 'unavailable'];
+
+// Who had the gear, for which rehearsal, and who handed it out and took it back
+const CUSTODY_INCLUDE = [
+  { model: User, as: 'holder', attributes: USER_ATTRIBUTES },
+  { model: Rehearsal, attributes: ['id', 'bandId', 'title', 'startTime', 'endTime'] },
+  { model: User, as: 'checkedOutByUser', attributes: ['id', 'firstName', 'lastName'] },
+  { model: User, as: 'checkedInByUser', attributes: ['id', 'firstName', 'lastName'] }
+];
+
+/**
+ * The open checkout of a piece of equipment
+ * @param {String} equipmentId
+ * @returns {Promise<Object|null>} Checkout with holder and rehearsal
+ */
+const currentCheckout = (equipmentId) => {
+  return EquipmentCheckout.findOne({
+    where: { equipmentId, checkedInAt: null },
+    include: CUSTODY_INCLUDE
+  });
+};
+
+/**
+ * Every checkout of a piece of equipment, newest first
+ * @param {String} equipmentId
+ * @returns {Promise<Array>}
+ */
+const custodyLog = (equipmentId) => {
+  return EquipmentCheckout.findAll({
+    where: { equipmentId },
+    include: CUSTODY_INCLUDE,
+    order: [['checkedOutAt', 'DESC']]
+  });
+};
+
+/**
+ * Check equipment out to a member, a rehearsal or both. Only available gear
+ * can go out; taking it is an atomic claim, so two members cannot check out
+ * the same amp at once.
+ * @param {Object} equipment - Equipment instance
+ * @param {Object} options
+ * @param {String} [options.holderId] - Member who takes the gear
+ * @param {Object} [options.rehearsal] - Rehearsal the gear is for
+ * @param {Date} options.dueAt - When the gear is due back
+ * @param {String} [options.condition] - Condition when it went out; defaults to the recorded one
+ * @param {String} [options.notes]
+ * @param {Object} options.user - Member handing the gear out
+ * @returns {Promise<Object|null>} The checkout, or null if the gear was not available
+ */
+const checkOut = async (equipment, { holderId = null, rehearsal = null, dueAt, condition, notes, user }) => {
+  const checkout = await sequelize.transaction(async (transaction) => {
+    const [claimed] = await Equipment.update(
+      { status: 'in-use' },
+      { where: { id: equipment.id, status: 'available' }, transaction }
+    );
+    if (claimed === 0) {
+      return null;
+    }
+    
+    return EquipmentCheckout.create({
+      equipmentId: equipment.id,
+      bandId: equipment.bandId || (rehearsal ? rehearsal.bandId : null),
+      holderId,
+      rehearsalId: rehearsal ? rehearsal.id : null,
+      checkedOutBy: user.id,
+      checkedOutAt: new Date(),
+      dueAt,
+      conditionOut: condition || equipment.condition,
+      notes
+    }, { transaction });
+  });
+  
+  if (checkout) {
+    equipment.set({ status: 'in-use' });
+  }
+  return checkout;
+};
+
+/**
+ * Check equipment back in, recording its condition. The condition also
+ * becomes the equipment's recorded condition.
+ * @param {Object} equipment - Equipment instance
+ * @param {Object} checkout - Its open checkout
+ * @param {Object} options
+ * @param {String} [options.condition] - Condition on return
+ * @param {String} [options.notes]
+ * @param {String} [options.status] - Status afterwards: available, maintenance or unavailable
+ * @param {Object} options.user - Member taking the gear back
+ * @returns {Promise<Boolean>} False when the checkout was already closed
+ */
+const checkIn = async (equipment, checkout, { condition, notes, status = 'available', user }) => {
+  const values = {
+    checkedInAt: new Date(),
+    checkedInBy: user.id,
+    conditionIn: condition || null,
+    checkInNotes: notes || null
+  };
+  const changes = { status };
+  if (condition) {
+    changes.condition = condition;
+  }
+  
+  const closed = await sequelize.transaction(async (transaction) => {
+    const [count] = await EquipmentCheckout.update(values, {
+      where: { id: checkout.id, checkedInAt: null },
+      transaction
+    });
+    if (count === 0) {
+      return false;
+    }
+    await Equipment.update(changes, { where: { id: equipment.id }, transaction });
+    return true;
+  });
+  
+  if (closed) {
+    checkout.set(values);
+    equipment.set(changes);
+  }
+  return closed;
+};
+
+/**
+ * Gear checked out for a band that is past its due date
+ * @param {String} bandId
+ * @param {Date} [now]
+ * @returns {Promise<Array>} Open checkouts with their equipment, most overdue first
+ */
+const overdueForBand = (bandId, now = new Date()) => {
+  return EquipmentCheckout.findAll({
+    where: { bandId, checkedInAt: null, dueAt: { [Op.lt]: now } },
+    include: [
+      { model: Equipment, attributes: ['id', 'name', 'category', 'serialNumber', 'ownerId'] },
+      ...CUSTODY_INCLUDE
+    ],
+    order: [['dueAt', 'ASC']]
+  });
+};
+
+/**
+ * Build the error thrown when equipment is out of service, checked out or
+ * already booked
+ * @param {Object} report - Report from checkBooking
+ * @returns {Error}
+ */
+const equipmentError = (report) => {
+  const error = new Error('The equipment is not available at this time');
+  error.name = 'EquipmentUnavailableError';
+  error.report = report;
+  return error;
+};
+
+/**
+ * When an open checkout should end: its due date, or now if it is overdue
+ * @param {Object} checkout
+ * @param {Date} now
+ * @returns {Date}
+ */
+const heldUntil = (checkout, now) => {
+  return new Date(Math.max(new Date(checkout.dueAt).getTime(), now.getTime()));
+};
+
+/**
+ * Active rehearsal occurrences a piece of equipment is booked for, by any
+ * band. Booking a series covers its changed occurrences as well.
+ * @param {String} equipmentId
+ * @param {Date} rangeStart
+ * @param {Date} rangeEnd
+ * @param {Object} [options]
+ * @param {Object} [options.transaction]
+ * @returns {Promise<Array>} Plain occurrence objects sorted by start
+ */
+const bookingsOf = async (equipmentId, rangeStart, rangeEnd, { transaction } = {}) => {
+  const links = await RehearsalEquipment.findAll({ where: { equipmentId }, attributes: ['rehearsalId'], transaction });
+  if (links.length === 0) {
+    return [];
+  }
+  
+  return rehearsalService.activeOccurrences({
+    where: rehearsalService.withExceptions(links.map(link => link.rehearsalId)),
+    rangeStart,
+    rangeEnd,
+    transaction
+  });
+};
+
+/**
+ * Check whether gear would go to a rehearsal with its maintenance overdue
+ * @param {Object} equipment - Equipment instance
+ * @param {Date} startTime - Rehearsal start
+ * @returns {Boolean}
+ */
+const maintenanceOverdueAt = (equipment, startTime) => {
+  return Boolean(equipment.nextMaintenanceDate) && new Date(equipment.nextMaintenanceDate) <= new Date(startTime);
+};
+
+/**
+ * Check occurrences against a piece of equipment's status, its open checkout
+ * and its bookings for other rehearsals, in any band. Occurrences on or after
+ * the gear's next maintenance date are flagged but do not make it unavailable.
+ * @param {Object} options
+ * @param {Object} options.equipment - Equipment instance
+ * @param {Array} options.occurrences - Objects with startTime and endTime
+ * @param {String} options.bandId - Band making the booking
+ * @param {Array<String>} options.exclude - IDs of the rehearsal or series being booked
+ * @param {Date} [options.now]
+ * @param {Object} [options.transaction]
+ * @returns {Promise<Object>} { available, status, outOfService, checkedOut, doubleBookings, maintenanceOverdue }
+ */
+const checkBooking = async ({ equipment, occurrences, bandId, exclude = [], now = new Date(), transaction }) => {
+  const outOfService = OUT_OF_SERVICE_STATUSES.includes(equipment.status);
+  if (occurrences.length === 0) {
+    return {
+      available: true,
+      status: equipment.status,
+      outOfService: false,
+      checkedOut: [],
+      doubleBookings: [],
+      maintenanceOverdue: []
+    };
+  }
+  
+  const rangeStart = new Date(Math.min(...occurrences.map(occurrence => new Date(occurrence.startTime))));
+  const rangeEnd = new Date(Math.max(...occurrences.map(occurrence => new Date(occurrence.endTime))));
+  const excluded = exclude.filter(Boolean);
+  
+  const [checkout, bookings] = await Promise.all([
+    equipment.status === 'in-use'
+      ? EquipmentCheckout.findOne({ where: { equipmentId: equipment.id, checkedInAt: null }, transaction })
+      : null,
+    bookingsOf(equipment.id, rangeStart, rangeEnd, { transaction })
+  ]);
+  
+  // Gear already out for this very rehearsal does not clash with it
+  const checkedOut = [];
+  if (checkout && !excluded.includes(checkout.rehearsalId)) {
+    occurrences
+      .filter(occurrence => overlaps(occurrence.startTime, occurrence.endTime, checkout.checkedOutAt, heldUntil(checkout, now)))
+      .forEach((occurrence) => {
+        checkedOut.push({
+          occurrenceStart: new Date(occurrence.startTime),
+          checkout: {
+            id: checkout.id,
+            holderId: checkout.holderId,
+            dueAt: checkout.dueAt,
+            overdue: checkout.isOverdue(now)
+          }
+        });
+      });
+  }
+  
+  const doubleBookings = [];
+  occurrences.forEach((occurrence) => {
+    bookings
+      .filter(other => !excluded.includes(other.id) && !excluded.includes(other.seriesId))
+      .filter(other => overlaps(occurrence.startTime, occurrence.endTime, other.startTime, other.endTime))
+      .forEach((other) => {
+        doubleBookings.push({
+          occurrenceStart: new Date(occurrence.startTime),
+          booking: describeBooking(other, [bandId])
+        });
+      });
+  });
+  
+  const maintenanceOverdue = occurrences
+    .filter(occurrence => maintenanceOverdueAt(equipment, occurrence.startTime))
+    .map(occurrence => ({
+      occurrenceStart: new Date(occurrence.startTime),
+      nextMaintenanceDate: equipment.nextMaintenanceDate
+    }));
+  
+  return {
+    available: !outOfService && checkedOut.length === 0 && doubleBookings.length === 0,
+    status: equipment.status,
+    outOfService,
+    checkedOut,
+    doubleBookings,
+    maintenanceOverdue
+  };
+};
+
+/**
+ * Book equipment for a rehearsal or series. The equipment row is locked for
+ * the rest of the transaction so two bookings of the same gear cannot pass
+ * the check at the same time. Series are checked with their exceptions
+ * applied, as far ahead as the gear's other bookings go. Cancelled and
+ * completed rehearsals are not checked.
+ * @param {Object} equipment - Equipment instance
+ * @param {Object} rehearsal - Rehearsal instance
+ * @param {Object} options
+ * @param {String} [options.note]
+ * @param {Object} options.user - Member making the booking
+ * @param {Boolean} [options.force] - Book even when the check finds conflicts
+ * @param {Date} [options.now] - Series occurrences before this are not checked
+ * @returns {Promise<Object>} { booking, report }
+ * @throws {Error} EquipmentUnavailableError when the gear is not available and force is not set
+ */
+const book = (equipment, rehearsal, { note, user, force = false, now = new Date() }) => {
+  return sequelize.transaction(async (transaction) => {
+    const locked = await Equipment.findByPk(equipment.id, { transaction, lock: transaction.LOCK.UPDATE });
+    const links = await RehearsalEquipment.findAll({
+      where: { equipmentId: equipment.id },
+      attributes: ['rehearsalId'],
+      transaction
+    });
+    
+    const report = await checkBooking({
+      equipment: locked,
+      occurrences: await rehearsalService.occurrencesToCheck(rehearsal, {
+        against: rehearsalService.withExceptions(links.map(link => link.rehearsalId)),
+        now,
+        transaction
+      }),
+      bandId: rehearsal.bandId,
+      exclude: [rehearsal.id, rehearsal.seriesId],
+      now,
+      transaction
+    });
+    if (!report.available && !force) {
+      throw equipmentError(report);
+    }
+    
+    const booking = await RehearsalEquipment.create({
+      rehearsalId: rehearsal.id,
+      equipmentId: equipment.id,
+      note,
+      addedBy: user.id
+    }, { transaction });
+    
+    return { booking, report };
+  });
+};
+
+/**
+ * Booking calendar of a piece of equipment: its bookings in a range, by any
+ * band, and the checkouts that overlap the range. Bookings that overlap each
+ * other are flagged (they can appear when a booked rehearsal is moved), as
+ * are bookings on or after the gear's next maintenance date.
+ * @param {Object} equipment - Equipment instance
+ * @param {Date} rangeStart
+ * @param {Date} rangeEnd
+ * @param {Array<String>} bandIds - Bands whose rehearsals are shown in full
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { bookings, checkouts }
+ */
+const scheduleOf = async (equipment, rangeStart, rangeEnd, bandIds, now = new Date()) => {
+  const [bookings, checkouts] = await Promise.all([
+    bookingsOf(equipment.id, rangeStart, rangeEnd),
+    EquipmentCheckout.findAll({
+      where: {
+        equipmentId: equipment.id,
+        checkedOutAt: { [Op.lt]: rangeEnd },
+        [Op.or]: [
+          { checkedInAt: null },
+          { checkedInAt: { [Op.gt]: rangeStart } }
+        ]
+      },
+      include: CUSTODY_INCLUDE,
+      order: [['checkedOutAt', 'ASC']]
+    })
+  ]);
+  
+  return {
+    bookings: bookings.map(booking => ({
+      ...describeBooking(booking, bandIds),
+      doubleBooked: bookings.some(other => other !== booking &&
+        overlaps(booking.startTime, booking.endTime, other.startTime, other.endTime)),
+      maintenanceOverdue: maintenanceOverdueAt(equipment, booking.startTime)
+    })),
+    checkouts: checkouts.map(checkout => ({
+      ...checkout.toJSON(),
+      until: checkout.checkedInAt || heldUntil(checkout, now),
+      overdue: checkout.isOverdue(now)
+    }))
+  };
+};
+
+/**
+ * Push a custody change to the band's socket room
+ * @param {Object} io - Socket.io server (optional)
+ * @param {Object} equipment - Equipment instance
+ * @param {Object} checkout - Checkout instance
+ * @param {String} event - 'equipment-checked-out' or 'equipment-checked-in'
+ */
+const broadcast = (io, equipment, checkout, event) => {
+  if (io && checkout.bandId) {
+    io.to(`band-${checkout.bandId}`).emit(event, {
+      equipmentId: equipment.id,
+      name: equipment.name,
+      status: equipment.status,
+      checkoutId: checkout.id,
+      holderId: checkout.holderId,
+      rehearsalId: checkout.rehearsalId,
+      dueAt: checkout.dueAt,
+      checkedInAt: checkout.checkedInAt
+    });
+  }
+};
+
+module.exports = {
+  CUSTODY_INCLUDE,
+  currentCheckout,
+  custodyLog,
+  checkOut,
+  checkIn,
+  overdueForBand,
+  equipmentError,
+  maintenanceOverdueAt,
+  bookingsOf,
+  checkBooking,
+  book,
+  scheduleOf,
+  broadcast
+};
\ No newline at end of file
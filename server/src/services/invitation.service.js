@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Band, User, Rehearsal, UserRehearsal, BandInvitation, sequelize } = require('../models');
+const emailService = require('./email.service');
+const { hashToken } = require('../utils/secrets');
+
+const DAY = 24 * 60 * 60 * 1000;
+const INVITATION_EXPIRY_MS = (parseInt(process.env.INVITATION_EXPIRY_DAYS, 10) || 7) * DAY;
+
+/**
+ * Link the invitee opens to answer an invitation
+ * @param {String} token
+ * @returns {String}
+ */
+const invitationUrl = (token) => {
+  return `${process.env.CLIENT_URL || 'http://localhost:3000'}/invitations/${token}`;
+};
+
+/**
+ * Invite an email address to a band and send the invitation email.
+ * A new invitation replaces any pending one for the same address.
+ * @param {Object} options
+ * @param {Object} options.band - Band instance
+ * @param {String} options.email - Address to invite
+ * @param {String} options.role - Role given on accepting
+ * @param {String} [options.message] - Personal note from the inviter
+ * @param {Object} options.inviter - User sending the invitation
+ * @returns {Promise<Object>} { invitation, token }
+ */
+const createInvitation = async ({ band, email, role = 'member', message, inviter }) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  
+  const invitation = await sequelize.transaction(async (transaction) => {
+    await BandInvitation.update(
+      { status: 'revoked', respondedAt: now },
+      { where: { bandId: band.id, email: String(email).trim().toLowerCase(), status: 'pending' }, transaction }
+    );
+    
+    return BandInvitation.create({
+      bandId: band.id,
+      email,
+      role,
+      message,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(now.getTime() + INVITATION_EXPIRY_MS),
+      invitedBy: inviter.id
+    }, { transaction });
+  });
+  
+  // People without an account yet see times in the inviter's timezone
+  const existingUser = await User.findOne({
+    where: { email: invitation.email },
+    attributes: ['id', 'email', 'firstName', 'lastName', 'timezone']
+  });
+  const recipient = existingUser || { email: invitation.email, timezone: inviter.timezone };
+  
+  emailService.sendTemplate('invitation', recipient, {
+    band,
+    inviter,
+    role,
+    message,
+    acceptUrl: invitationUrl(token),
+    expiresAt: invitation.expiresAt
+  }).catch(() => {}); // Failures are logged by the email service
+  
+  return { invitation, token };
+};
+
+/**
+ * Find an invitation from the token in its link
+ * @param {String} token
+ * @returns {Promise<Object|null>} Invitation with Band and inviter
+ */
+const findByToken = (token) => {
+  return BandInvitation.findOne({
+    where: { tokenHash: hashToken(token) },
+    include: [
+      { model: Band, attributes: ['id', 'name', 'description', 'genre', 'logoUrl'] },
+      { model: User, as: 'inviter', attributes: ['id', 'firstName', 'lastName'] }
+    ]
+  });
+};
+
+/**
+ * Add a user to a band and to the band's upcoming rehearsals
+ * @param {Object} band - Band instance
+ * @param {Object} user - User instance
+ * @param {String} role - Band role
+ * @param {Object} [transaction]
+ * @returns {Promise<void>}
+ */
+const joinBand = async (band, user, role, transaction) => {
+  await band.addMember(user, { through: { role }, transaction });
+  
+  const upcoming = await Rehearsal.findAll({
+    where: {
+      bandId: band.id,
+      status: 'scheduled',
+      [Op.or]: [{ isRecurring: true }, { startTime: { [Op.gt]: new Date() } }]
+    },
+    attributes: ['id'],
+    transaction
+  });
+  
+  await UserRehearsal.bulkCreate(upcoming.map(rehearsal => ({
+    userId: user.id,
+    rehearsalId: rehearsal.id
+  })), { ignoreDuplicates: true, transaction });
+};
+
+/**
+ * Accept an invitation for a user. Only one answer is ever recorded, even
+ * when the link is used twice at the same time.
+ * @param {Object} invitation - Invitation instance (with Band)
+ * @param {Object} user - User accepting
+ * @returns {Promise<Boolean>} false when the invitation is no longer open
+ */
+const acceptInvitation = async (invitation, user) => {
+  const now = new Date();
+  
+  return sequelize.transaction(async (transaction) => {
+    const [claimed] = await BandInvitation.update(
+      { status: 'accepted', respondedAt: now, acceptedBy: user.id },
+      { where: { id: invitation.id, status: 'pending', expiresAt: { [Op.gt]: now } }, transaction }
+    );
+    
+    if (claimed === 0) {
+      return false;
+    }
+    
+    const band = invitation.Band || await Band.findByPk(invitation.bandId, { transaction });
+    if (!(await band.hasMember(user, { transaction }))) {
+      await joinBand(band, user, invitation.role, transaction);
+    }
+    
+    return true;
+  });
+};
+
+/**
+ * Decline an invitation
+ * @param {Object} invitation - Invitation instance
+ * @returns {Promise<Boolean>} false when the invitation is no longer open
+ */
+const declineInvitation = async (invitation) => {
+  const now = new Date();
+  const [declined] = await BandInvitation.update(
+    { status: 'declined', respondedAt: now },
+    { where: { id: invitation.id, status: 'pending', expiresAt: { [Op.gt]: now } } }
+  );
+  return declined > 0;
+};
+
+module.exports = {
+  createInvitation,
+  findByToken,
+  joinBand,
+  acceptInvitation,
+  declineInvitation
+};
\ No newline at end of file
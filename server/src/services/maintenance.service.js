@@ -0,0 +1,376 @@
+const { DateTime } = require('luxon');
+const { Op } = require('sequelize');
+const { Band, Equipment, MaintenanceLog, MaintenancePlan, User, sequelize } = require('../models');
+const emailService = require('./email.service');
+const permission = require('./permission.service');
+const { bookingsOf } = require('./equipment.service');
+const { describeBooking } = require('./venue.service');
+const { createScheduler } = require('../utils/scheduler');
+const logger = require('../utils/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How far ahead alerts and due lists look for bookings of overdue gear
+const BOOKING_LOOKAHEAD_DAYS = 14;
+
+const DEFAULT_INTERVAL_MS = (parseInt(process.env.MAINTENANCE_CHECK_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+
+const USER_ATTRIBUTES = ['id', 'firstName', 'lastName', 'email', 'timezone'];
+
+/**
+ * Date a plan falls due when it was last done at `from`
+ * @param {Object} plan - { intervalCount, intervalUnit }
+ * @param {Date} from
+ * @returns {Date}
+ */
+const dueAfter = (plan, from) => {
+  return DateTime.fromJSDate(new Date(from), { zone: 'UTC' })
+    .plus({ [plan.intervalUnit]: plan.intervalCount })
+    .toJSDate();
+};
+
+/**
+ * Keep an item's lastMaintenanceDate and nextMaintenanceDate in step with its
+ * log and its active plans
+ * @param {String} equipmentId
+ * @param {Object} [transaction]
+ * @returns {Promise<Object>} { lastMaintenanceDate, nextMaintenanceDate }
+ */
+const syncEquipmentDates = async (equipmentId, transaction) => {
+  const [nextPlan, lastEntry] = await Promise.all([
+    MaintenancePlan.findOne({ where: { equipmentId, isActive: true }, order: [['nextDueAt', 'ASC']], transaction }),
+    MaintenanceLog.findOne({ where: { equipmentId }, order: [['performedAt', 'DESC']], transaction })
+  ]);
+  
+  const values = { nextMaintenanceDate: nextPlan ? nextPlan.nextDueAt : null };
+  if (lastEntry) {
+    values.lastMaintenanceDate = lastEntry.performedAt;
+  }
+  await Equipment.update(values, { where: { id: equipmentId }, transaction });
+  return values;
+};
+
+/**
+ * Plans and log of a piece of equipment
+ * @param {String} equipmentId
+ * @returns {Promise<Object>} { plans, log }; plans soonest due first, log newest first
+ */
+const maintenanceOf = async (equipmentId) => {
+  const [plans, log] = await Promise.all([
+    MaintenancePlan.findAll({
+      where: { equipmentId },
+      order: [['isActive', 'DESC'], ['nextDueAt', 'ASC']]
+    }),
+    MaintenanceLog.findAll({
+      where: { equipmentId },
+      include: [
+        { model: MaintenancePlan, as: 'plan', attributes: ['id', 'name'] },
+        { model: User, as: 'performer', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [['performedAt', 'DESC']]
+    })
+  ]);
+  return { plans, log };
+};
+
+/**
+ * Set up a maintenance plan. Without a due date, the first one is counted
+ * from `lastCompletedAt`, or from now.
+ * @param {Object} equipment - Equipment instance
+ * @param {Object} fields - name, description, intervalCount, intervalUnit, leadDays, lastCompletedAt, nextDueAt
+ * @param {Object} user - Member setting up the plan
+ * @returns {Promise<Object>} The plan
+ */
+const createPlan = (equipment, fields, user) => {
+  return sequelize.transaction(async (transaction) => {
+    const plan = MaintenancePlan.build({ ...fields, equipmentId: equipment.id, createdBy: user.id });
+    if (!fields.nextDueAt) {
+      plan.nextDueAt = dueAfter(plan, plan.lastCompletedAt || new Date());
+    }
+    await plan.save({ transaction });
+    await syncEquipmentDates(equipment.id, transaction);
+    return plan;
+  });
+};
+
+/**
+ * Change a plan. A new interval moves the due date to one interval after the
+ * last completion unless a due date is given as well.
+ * @param {Object} plan - MaintenancePlan instance
+ * @param {Object} fields - Fields to change
+ * @returns {Promise<Object>} The plan
+ */
+const updatePlan = (plan, fields) => {
+  return sequelize.transaction(async (transaction) => {
+    plan.set(fields);
+    const intervalChanged = plan.changed('intervalCount') || plan.changed('intervalUnit');
+    if (intervalChanged && !fields.nextDueAt && plan.lastCompletedAt) {
+      plan.nextDueAt = dueAfter(plan, plan.lastCompletedAt);
+    }
+    await plan.save({ transaction });
+    await syncEquipmentDates(plan.equipmentId, transaction);
+    return plan;
+  });
+};
+
+/**
+ * Delete a plan. Its log entries stay, without the link to the plan.
+ * @param {Object} plan - MaintenancePlan instance
+ * @returns {Promise<void>}
+ */
+const deletePlan = async (plan) => {
+  await sequelize.transaction(async (transaction) => {
+    await MaintenanceLog.update({ planId: null }, { where: { planId: plan.id }, transaction });
+    await plan.destroy({ transaction });
+    await syncEquipmentDates(plan.equipmentId, transaction);
+  });
+};
+
+/**
+ * Record maintenance that was done. Completing a plan moves its due date to
+ * one interval after the work; entries backdated before the plan's last
+ * completion leave it alone.
+ * @param {Object} equipment - Equipment instance
+ * @param {Object} options
+ * @param {Object} [options.plan] - Plan the work completes
+ * @param {Date} options.performedAt
+ * @param {String} options.summary
+ * @param {String} [options.notes]
+ * @param {Number} [options.cost]
+ * @param {String} [options.currency]
+ * @param {String} [options.status] - Equipment status afterwards, e.g. back to available
+ * @param {Object} options.user - Member recording the work
+ * @returns {Promise<Object>} The log entry
+ */
+const recordMaintenance = (equipment, { plan = null, performedAt, summary, notes, cost, currency, status, user }) => {
+  return sequelize.transaction(async (transaction) => {
+    const entry = await MaintenanceLog.create({
+      equipmentId: equipment.id,
+      planId: plan ? plan.id : null,
+      performedAt,
+      performedBy: user.id,
+      summary,
+      notes,
+      cost,
+      currency
+    }, { transaction });
+    
+    if (plan && (!plan.lastCompletedAt || new Date(plan.lastCompletedAt) <= performedAt)) {
+      await plan.update({ lastCompletedAt: performedAt, nextDueAt: dueAfter(plan, performedAt) }, { transaction });
+    }
+    
+    const dates = await syncEquipmentDates(equipment.id, transaction);
+    if (status) {
+      await Equipment.update({ status }, { where: { id: equipment.id }, transaction });
+    }
+    equipment.set(status ? { ...dates, status } : dates);
+    
+    return entry;
+  });
+};
+
+/**
+ * Bookings of a piece of equipment in the next BOOKING_LOOKAHEAD_DAYS days
+ * that fall on or after the due date of a plan, i.e. rehearsals it would go
+ * to with maintenance overdue
+ * @param {Object} plan - MaintenancePlan instance
+ * @param {Date} now
+ * @returns {Promise<Array>} Plain occurrence objects
+ */
+const bookingsWhileOverdue = async (plan, now) => {
+  const rangeStart = new Date(Math.max(new Date(plan.nextDueAt).getTime(), now.getTime()));
+  const rangeEnd = new Date(now.getTime() + BOOKING_LOOKAHEAD_DAYS * DAY);
+  if (rangeEnd <= rangeStart) {
+    return [];
+  }
+  return bookingsOf(plan.equipmentId, rangeStart, rangeEnd);
+};
+
+/**
+ * A band's gear whose maintenance is overdue or due within `days` days, with
+ * the rehearsals it is booked for once overdue
+ * @param {Object} band - Band instance
+ * @param {Object} options
+ * @param {Number} [options.days] - How far ahead to look
+ * @param {Array<String>} options.bandIds - Bands whose rehearsals are shown in full
+ * @param {Date} [options.now]
+ * @returns {Promise<Array>} Plans with equipment, soonest due first
+ */
+const dueForBand = async (band, { days = 14, bandIds, now = new Date() }) => {
+  const plans = await MaintenancePlan.findAll({
+    where: { isActive: true, nextDueAt: { [Op.lte]: new Date(now.getTime() + days * DAY) } },
+    include: [{
+      model: Equipment,
+      where: { bandId: band.id },
+      attributes: ['id', 'name', 'category', 'status', 'condition', 'location']
+    }],
+    order: [['nextDueAt', 'ASC']]
+  });
+  
+  return Promise.all(plans.map(async (plan) => {
+    const booked = await bookingsWhileOverdue(plan, now);
+    return {
+      ...plan.toJSON(),
+      overdue: plan.isOverdue(now),
+      bookedWhileOverdue: booked.map(booking => describeBooking(booking, bandIds))
+    };
+  }));
+};
+
+/**
+ * Who hears about a plan coming due: the band's admins for band gear, the
+ * owner for personal gear
+ * @param {Object} equipment - Equipment with its Band
+ * @returns {Promise<Array>} Users
+ */
+const alertRecipients = async (equipment) => {
+  const userIds = equipment.Band
+    ? await permission.userIdsWithRole(equipment.Band, 'admin')
+    : [equipment.ownerId].filter(Boolean);
+  
+  if (userIds.length === 0) {
+    return [];
+  }
+  return User.findAll({ where: { id: { [Op.in]: userIds }, isActive: true }, attributes: USER_ATTRIBUTES });
+};
+
+/**
+ * Send one alert for a plan that is coming due. The claim is a compare-and-set
+ * on alertedFor, so each due date is alerted once across instances, and
+ * completing the plan (which moves the due date) re-arms it. The claim is
+ * given back when the alert could not be sent to anyone, so the next run
+ * tries again.
+ * @param {Object} plan - MaintenancePlan with its Equipment and Band
+ * @param {Object} options - { now, io }
+ * @returns {Promise<Boolean>} False when another run already sent it or every send failed
+ */
+const alertPlan = async (plan, { now, io }) => {
+  const [claimed] = await MaintenancePlan.update(
+    { alertedFor: plan.nextDueAt },
+    {
+      where: {
+        id: plan.id,
+        nextDueAt: plan.nextDueAt,
+        [Op.or]: [{ alertedFor: null }, { alertedFor: { [Op.ne]: plan.nextDueAt } }]
+      }
+    }
+  );
+  if (claimed === 0) {
+    return false;
+  }
+  
+  const release = () => MaintenancePlan.update(
+    { alertedFor: plan.alertedFor || null },
+    { where: { id: plan.id, alertedFor: plan.nextDueAt } }
+  );
+  
+  const equipment = plan.Equipment;
+  const band = equipment.Band;
+  let described;
+  let result;
+  try {
+    const bookings = await bookingsWhileOverdue(plan, now);
+    const bandIds = band ? [band.id] : await permission.bandIdsWithRole(equipment.ownerId);
+    described = bookings.map(booking => describeBooking(booking, bandIds));
+    
+    const recipients = await alertRecipients(equipment);
+    result = await emailService.sendToAll(recipients, 'maintenanceDue', {
+      equipment, plan, band, bookings: described, now
+    });
+  } catch (error) {
+    await release();
+    throw error;
+  }
+  
+  if (result.sent === 0 && result.failed > 0) {
+    await release();
+    logger.warn(`Maintenance alert for plan ${plan.id} on equipment ${equipment.id} failed for every recipient; will retry`);
+    return false;
+  }
+  
+  if (io && band) {
+    io.to(`band-${band.id}`).emit('equipment-maintenance-due', {
+      equipmentId: equipment.id,
+      name: equipment.name,
+      planId: plan.id,
+      plan: plan.name,
+      nextDueAt: plan.nextDueAt,
+      overdue: plan.isOverdue(now),
+      bookedWhileOverdue: described
+    });
+  }
+  
+  logger.info(`Maintenance alert for plan ${plan.id} on equipment ${equipment.id}: ${result.sent} sent, ${result.failed} failed`);
+  return true;
+};
+
+/**
+ * Alert every active plan that has come within its lead time and has not been
+ * alerted for its current due date
+ * @param {Object} options
+ * @param {Date} options.now
+ * @param {Object} [options.io] - Socket.io server
+ * @returns {Promise<Object>} { plans, alerted }
+ */
+const processDueAlerts = async ({ now, io }) => {
+  // Lead times are at most a year, so nothing further out can be due for an alert
+  const plans = await MaintenancePlan.findAll({
+    where: {
+      isActive: true,
+      nextDueAt: { [Op.lte]: new Date(now.getTime() + 365 * DAY) },
+      [Op.or]: [
+        { alertedFor: null },
+        { alertedFor: { [Op.ne]: sequelize.col('MaintenancePlan.nextDueAt') } }
+      ]
+    },
+    include: [{
+      model: Equipment,
+      attributes: ['id', 'name', 'bandId', 'ownerId', 'status'],
+      include: [{ model: Band, attributes: ['id', 'name', 'ownerId'] }]
+    }]
+  });
+  
+  const due = plans.filter(plan => new Date(plan.nextDueAt).getTime() - plan.leadDays * DAY <= now.getTime());
+  let alerted = 0;
+  for (const plan of due) {
+    try {
+      if (await alertPlan(plan, { now, io })) {
+        alerted++;
+      }
+    } catch (error) {
+      logger.error(`Error sending maintenance alert for plan ${plan.id}: ${error.message}`);
+    }
+  }
+  
+  return { plans: due.length, alerted };
+};
+
+/**
+ * Create the background scheduler that sends maintenance due alerts
+ * @param {Object} [options]
+ * @param {Object} [options.io] - Socket.io server
+ * @param {Function} [options.clock] - Returns the current time; inject a fake clock in tests
+ * @param {Number} [options.interval] - Milliseconds between runs
+ * @returns {Object} { start, stop, runOnce }
+ */
+const createMaintenanceScheduler = ({ io, clock, interval = DEFAULT_INTERVAL_MS } = {}) => {
+  return createScheduler({
+    name: 'Maintenance alert',
+    task: now => processDueAlerts({ now, io }),
+    clock,
+    interval
+  });
+};
+
+module.exports = {
+  dueAfter,
+  syncEquipmentDates,
+  maintenanceOf,
+  createPlan,
+  updatePlan,
+  deletePlan,
+  recordMaintenance,
+  dueForBand,
+  processDueAlerts,
+  createMaintenanceScheduler
+};
\ No newline at end of file
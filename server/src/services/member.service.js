@@ -0,0 +1,102 @@
+const { UserBand, MemberPart } = require('../models');
+
+/**
+ * Normalize a list of parts from a request body, dropping duplicates. A part
+ * listed twice is essential if either entry says so.
+ * @param {Array} parts - Array of { name, essential } objects or plain names
+ * @returns {Array} Array of { name, essential } with lowercased names
+ */
+const normalizeParts = (parts = []) => {
+  const byName = new Map();
+  
+  parts.forEach((part) => {
+    const { name, essential } = typeof part === 'string' ? { name: part } : part;
+    const key = String(name || '').trim().toLowerCase();
+    if (!key) {
+      return;
+    }
+    byName.set(key, { name: key, essential: Boolean(essential) || Boolean(byName.get(key)?.essential) });
+  });
+  
+  return [...byName.values()];
+};
+
+/**
+ * Replace the parts a member plays in a band
+ * @param {Object} membership - UserBand instance
+ * @param {Array} parts - Array of { name, essential } objects or plain names
+ * @param {Object} options
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Promise<Array>} The member's parts
+ */
+const setParts = async (membership, parts, { transaction } = {}) => {
+  await MemberPart.destroy({ where: { userBandId: membership.id }, transaction });
+  
+  return MemberPart.bulkCreate(
+    normalizeParts(parts).map(part => ({ ...part, userBandId: membership.id })),
+    { transaction }
+  );
+};
+
+/**
+ * Parts played by each member of a band
+ * @param {String} bandId
+ * @returns {Promise<Object>} Map of user ID to an array of { name, essential }
+ */
+const partsByMember = async (bandId) => {
+  const memberships = await UserBand.findAll({
+    where: { bandId },
+    attributes: ['id', 'userId'],
+    include: [{ model: MemberPart, as: 'parts', attributes: ['name', 'essential'] }]
+  });
+  
+  const result = {};
+  memberships.forEach((membership) => {
+    result[membership.userId] = membership.parts
+      .map(part => ({ name: part.name, essential: part.essential }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  });
+  return result;
+};
+
+/**
+ * Every part covered in a band, with the members who play it
+ * @param {Object} parts - Map of user ID to parts, from partsByMember
+ * @returns {Array} Array of { name, essential, playedBy: [userId] } sorted by name
+ */
+const bandParts = (parts) => {
+  const byName = new Map();
+  
+  Object.entries(parts).forEach(([userId, memberParts]) => {
+    memberParts.forEach((part) => {
+      const entry = byName.get(part.name) || { name: part.name, essential: false, playedBy: [] };
+      entry.essential = entry.essential || part.essential;
+      entry.playedBy.push(userId);
+      byName.set(part.name, entry);
+    });
+  });
+  
+  return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Parts nobody in a group of members plays, e.g. no bassist among the
+ * members who are free for a slot. Essential parts come first.
+ * @param {Object} parts - Map of user ID to parts, from partsByMember
+ * @param {Array<String>} userIds - Members to check (e.g. those available)
+ * @returns {Array} Array of { name, essential }
+ */
+const missingParts = (parts, userIds) => {
+  return bandParts(parts)
+    .filter(part => !part.playedBy.some(userId => userIds.includes(userId)))
+    .map(({ name, essential }) => ({ name, essential }))
+    .sort((a, b) => b.essential - a.essential || a.name.localeCompare(b.name));
+};
+
+module.exports = {
+  normalizeParts,
+  setParts,
+  partsByMember,
+  bandParts,
+  missingParts
+};
\ No newline at end of file
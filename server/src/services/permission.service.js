@@ -0,0 +1,124 @@
+const { Op } = require('sequelize');
+const { Band, UserBand } = require('../models');
+
+// Band roles from least to most privileged; each role can do everything the ones before it can
+const BAND_ROLES = ['guest', 'member', 'admin', 'owner'];
+
+/**
+ * Check whether a band role is at least the required role
+ * @param {String|null} role - Role held
+ * @param {String} minimum - Role required
+ * @returns {Boolean}
+ */
+const roleAtLeast = (role, minimum) => {
+  return BAND_ROLES.indexOf(role) >= BAND_ROLES.indexOf(minimum) && BAND_ROLES.includes(role);
+};
+
+/**
+ * Check whether one band role ranks above another
+ * @param {String|null} role
+ * @param {String|null} other
+ * @returns {Boolean}
+ */
+const outranks = (role, other) => {
+  return BAND_ROLES.indexOf(role) > BAND_ROLES.indexOf(other);
+};
+
+/**
+ * Look up a user's role in a band. The band's ownerId always counts as owner.
+ * @param {Object|String} band - Band instance or ID
+ * @param {Object|String} user - User instance or ID
+ * @returns {Promise<String|null>} Role, or null when the user is not a member
+ */
+const getBandRole = async (band, user) => {
+  const userId = typeof user === 'string' ? user : user.id;
+  const bandInstance = typeof band === 'string' ? await Band.findByPk(band, { attributes: ['id', 'ownerId'] }) : band;
+  
+  if (!bandInstance) {
+    return null;
+  }
+  
+  if (bandInstance.ownerId === userId) {
+    return 'owner';
+  }
+  
+  const membership = await UserBand.findOne({
+    where: { bandId: bandInstance.id, userId },
+    attributes: ['role']
+  });
+  return membership ? membership.role : null;
+};
+
+/**
+ * Check whether a user holds at least a role in a band. App admins always do.
+ * @param {Object|String} band - Band instance or ID
+ * @param {Object} user - Authenticated user
+ * @param {String} minimum - Role required
+ * @returns {Promise<Boolean>}
+ */
+const hasBandRole = async (band, user, minimum = 'member') => {
+  if (user.role === 'admin') {
+    return true;
+  }
+  return roleAtLeast(await getBandRole(band, user), minimum);
+};
+
+/**
+ * IDs of the bands in which a user holds at least a role
+ * @param {String} userId
+ * @param {String} minimum - Role required
+ * @returns {Promise<Array<String>>}
+ */
+const bandIdsWithRole = async (userId, minimum = 'guest') => {
+  const roles = BAND_ROLES.slice(BAND_ROLES.indexOf(minimum));
+  const [memberships, owned] = await Promise.all([
+    UserBand.findAll({ where: { userId, role: { [Op.in]: roles } }, attributes: ['bandId'] }),
+    Band.findAll({ where: { ownerId: userId }, attributes: ['id'] })
+  ]);
+  return [...new Set([...memberships.map(membership => membership.bandId), ...owned.map(band => band.id)])];
+};
+
+/**
+ * IDs of the users who hold at least a role in a band, its owner included
+ * @param {Object} band - Band instance
+ * @param {String} minimum - Role required
+ * @returns {Promise<Array<String>>}
+ */
+const userIdsWithRole = async (band, minimum = 'member') => {
+  const roles = BAND_ROLES.slice(BAND_ROLES.indexOf(minimum));
+  const memberships = await UserBand.findAll({
+    where: { bandId: band.id, role: { [Op.in]: roles } },
+    attributes: ['userId']
+  });
+  return [...new Set([band.ownerId, ...memberships.map(membership => membership.userId)].filter(Boolean))];
+};
+
+/**
+ * Check whether the current user administers a band that another user belongs to
+ * @param {Object} currentUser - Authenticated user
+ * @param {String} userId - The other user
+ * @returns {Promise<Boolean>}
+ */
+const administersMember = async (currentUser, userId) => {
+  const adminBandIds = await bandIdsWithRole(currentUser.id, 'admin');
+  
+  if (adminBandIds.length === 0) {
+    return false;
+  }
+  
+  const shared = await UserBand.count({
+    where: { userId, bandId: { [Op.in]: adminBandIds } }
+  });
+  return shared > 0;
+};
+
+module.exports = {
+  BAND_ROLES,
+  roleAtLeast,
+  outranks,
+  getBandRole,
+  hasBandRole,
+  bandIdsWithRole,
+  userIdsWithRole,
+  administersMember
+};
\ No newline at end of file
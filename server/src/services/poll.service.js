@@ -0,0 +1,169 @@
+const { Poll, PollOption, PollVote, User } = require('../models');
+
+// How much each answer counts towards an option's score
+const ANSWER_SCORES = { yes: 1, 'if-need-be': 0.5, no: 0 };
+
+// RSVP given to voters when a rehearsal is created from the winning option
+const ANSWER_RSVPS = { yes: 'attending', 'if-need-be': 'maybe', no: 'not_attending' };
+
+/**
+ * Load a poll with its options (earliest first) and their votes
+ * @param {String} id - Poll ID
+ * @returns {Promise<Object|null>} Poll instance
+ */
+const loadPoll = (id) => {
+  return Poll.findByPk(id, {
+    include: [
+      {
+        model: PollOption,
+        as: 'options',
+        include: [{ model: PollVote, as: 'votes', attributes: ['userId', 'answer', 'updatedAt'] }]
+      },
+      { model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName'] }
+    ],
+    order: [[{ model: PollOption, as: 'options' }, 'startTime', 'ASC']]
+  });
+};
+
+/**
+ * Order options best first: most members able to come (yes or if need be),
+ * then most clear yeses, then the earliest slot
+ * @param {Object} a - Tallied option
+ * @param {Object} b - Tallied option
+ * @returns {Number}
+ */
+const compareOptions = (a, b) => {
+  return (b.yes + b.ifNeedBe) - (a.yes + a.ifNeedBe) ||
+    b.yes - a.yes ||
+    new Date(a.startTime) - new Date(b.startTime);
+};
+
+/**
+ * Count the votes of a poll
+ * @param {Object} poll - Poll loaded with loadPoll
+ * @param {Array<String>} memberIds - Band members expected to vote
+ * @returns {Object} { pollId, status, voters, pending, leadingOptionId, options }
+ */
+const tally = (poll, memberIds = []) => {
+  const voters = new Set();
+  
+  const options = poll.options.map((option) => {
+    const answers = { yes: [], 'if-need-be': [], no: [] };
+    option.votes.forEach((vote) => {
+      answers[vote.answer].push(vote.userId);
+      voters.add(vote.userId);
+    });
+    
+    return {
+      id: option.id,
+      startTime: option.startTime,
+      endTime: option.endTime,
+      yes: answers.yes.length,
+      ifNeedBe: answers['if-need-be'].length,
+      no: answers.no.length,
+      score: option.votes.reduce((sum, vote) => sum + ANSWER_SCORES[vote.answer], 0),
+      answers
+    };
+  });
+  
+  const ranked = options.filter(option => option.yes + option.ifNeedBe > 0).sort(compareOptions);
+  
+  return {
+    pollId: poll.id,
+    status: poll.isOpen() ? 'open' : (poll.status === 'open' ? 'expired' : poll.status),
+    voters: voters.size,
+    pending: memberIds.filter(userId => !voters.has(userId)),
+    leadingOptionId: ranked.length > 0 ? ranked[0].id : null,
+    options
+  };
+};
+
+/**
+ * Record a member's answers, replacing any earlier answer for the same options
+ * @param {Object} poll - Poll loaded with loadPoll
+ * @param {String} userId - Voter
+ * @param {Array<Object>} votes - [{ optionId, answer }]
+ * @returns {Promise<Boolean>} False when a vote names an option outside the poll
+ */
+const castVotes = async (poll, userId, votes) => {
+  const optionIds = poll.options.map(option => option.id);
+  if (votes.some(vote => !optionIds.includes(vote.optionId))) {
+    return false;
+  }
+  
+  // The last answer given for an option wins. Upserting on the
+  // (pollOptionId, userId) index keeps concurrent votes from colliding.
+  const answers = new Map(votes.map(vote => [vote.optionId, vote.answer]));
+  
+  await PollVote.bulkCreate([...answers].map(([pollOptionId, answer]) => ({
+    pollOptionId,
+    userId,
+    answer
+  })), { updateOnDuplicate: ['answer', 'updatedAt'] });
+  return true;
+};
+
+/**
+ * Close an open poll on an option. Only one request can close a poll.
+ * @param {Object} poll - Poll instance
+ * @param {String|null} optionId - Winning option
+ * @param {Object} [options]
+ * @param {String} [options.status] - 'closed' or 'cancelled'
+ * @param {Object} [options.transaction]
+ * @returns {Promise<Boolean>} False when the poll was already closed or cancelled
+ */
+const closePoll = async (poll, optionId, { status = 'closed', transaction } = {}) => {
+  const values = { status, closedAt: new Date(), winningOptionId: optionId };
+  const [claimed] = await Poll.update(values, { where: { id: poll.id, status: 'open' }, transaction });
+  
+  if (claimed === 0) {
+    return false;
+  }
+  poll.set(values);
+  return true;
+};
+
+/**
+ * RSVPs implied by each member's answer for an option
+ * @param {Object} option - Tallied option
+ * @returns {Object} Map of user ID to RSVP status
+ */
+const rsvpsFor = (option) => {
+  const result = {};
+  Object.entries(option.answers).forEach(([answer, userIds]) => {
+    userIds.forEach((userId) => {
+      result[userId] = ANSWER_RSVPS[answer];
+    });
+  });
+  return result;
+};
+
+/**
+ * Push a poll's current tally to the band's socket room
+ * @param {Object} io - Socket.io server (optional)
+ * @param {Object} poll - Poll instance
+ * @param {Object} result - Tally from tally()
+ * @param {String} [event] - Socket event name
+ */
+const broadcast = (io, poll, result, event = 'poll-updated') => {
+  if (io) {
+    io.to(`band-${poll.bandId}`).emit(event, {
+      ...result,
+      bandId: poll.bandId,
+      title: poll.title,
+      winningOptionId: poll.winningOptionId,
+      rehearsalId: poll.rehearsalId
+    });
+  }
+};
+
+module.exports = {
+  ANSWER_SCORES,
+  loadPoll,
+  compareOptions,
+  tally,
+  castVotes,
+  closePoll,
+  rsvpsFor,
+  broadcast
+};
\ No newline at end of file
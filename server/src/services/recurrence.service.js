@@ -0,0 +1,291 @@
+const { DateTime } = require('luxon');
+const { resolveTimezone } = require('../utils/timezone');
+
+// Index matches JavaScript/Availability dayOfWeek numbering (0 = Sunday)
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// Hard stop so a malformed or unbounded rule can never spin forever
+const MAX_ITERATIONS = 10000;
+
+// Periods in a row without an occurrence after which a rule is taken to have
+// no more (e.g. the 31st of every twelfth month from February). Leap days are
+// at most eight years apart, so yearly rules on 29 February still expand.
+const MAX_EMPTY_PERIODS = 100;
+
+/**
+ * Parse an UNTIL value (YYYYMMDD or YYYYMMDDTHHMMSSZ) into a Date
+ * @param {String} value
+ * @returns {Date}
+ */
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid UNTIL value: ${value}`);
+  }
+  const [, year, month, day, hour = '23', minute = '59', second = '59'] = match;
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+};
+
+/**
+ * Format a Date as an RRULE UNTIL value in UTC
+ * @param {Date} date
+ * @returns {String} e.g. '20250630T235959Z'
+ */
+const formatUntil = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Parse an iCalendar RRULE string.
+ * Supports FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY (with ordinals for
+ * MONTHLY, e.g. 2TU or -1FR), BYMONTHDAY, COUNT and UNTIL.
+ * @param {String} value - e.g. 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10'
+ * @returns {Object} { freq, interval, byDay, byMonthDay, count, until }
+ * @throws {Error} When the rule is malformed or unsupported
+ */
+const parseRRule = (value) => {
+  if (!value || typeof value !== 'string') {
+    throw new Error('Recurrence rule is required');
+  }
+  
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], count: null, until: null };
+  
+  value.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach((part) => {
+    const [key, val] = part.split('=');
+    if (!val) {
+      throw new Error(`Invalid recurrence rule part: ${part}`);
+    }
+    
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.freq = val.toUpperCase();
+        if (!FREQUENCIES.includes(rule.freq)) {
+          throw new Error(`Unsupported frequency: ${val}`);
+        }
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(val, 10);
+        if (!(rule.interval >= 1)) {
+          throw new Error('INTERVAL must be a positive integer');
+        }
+        break;
+      case 'BYDAY':
+        rule.byDay = val.toUpperCase().split(',').map((day) => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day);
+          if (!match) {
+            throw new Error(`Invalid BYDAY value: ${day}`);
+          }
+          return { weekday: WEEKDAYS.indexOf(match[2]), ordinal: match[1] ? parseInt(match[1], 10) : null };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = val.split(',').map((day) => {
+          const number = parseInt(day, 10);
+          if (!number || Math.abs(number) > 31) {
+            throw new Error(`Invalid BYMONTHDAY value: ${day}`);
+          }
+          return number;
+        });
+        break;
+      case 'COUNT':
+        rule.count = parseInt(val, 10);
+        if (!(rule.count >= 1)) {
+          throw new Error('COUNT must be a positive integer');
+        }
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(val);
+        break;
+      case 'WKST':
+        // Weeks always start on Monday here, which is the iCalendar default
+        break;
+      default:
+        throw new Error(`Unsupported recurrence rule part: ${key}`);
+    }
+  });
+  
+  if (!rule.freq) {
+    throw new Error('Recurrence rule must include FREQ');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('Recurrence rule cannot include both COUNT and UNTIL');
+  }
+  if (rule.freq !== 'MONTHLY' && rule.byDay.some(day => day.ordinal !== null)) {
+    throw new Error('Ordinal BYDAY values are only supported for MONTHLY rules');
+  }
+  
+  return rule;
+};
+
+/**
+ * Serialize a parsed rule back into an RRULE string
+ * @param {Object} rule - Parsed rule
+ * @returns {String}
+ */
+const formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval && rule.interval !== 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.byDay && rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(day => `${day.ordinal || ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay && rule.byMonthDay.length > 0) {
+    parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+  if (rule.until) {
+    parts.push(`UNTIL=${formatUntil(rule.until)}`);
+  }
+  return parts.join(';');
+};
+
+/**
+ * Convert the legacy `recurringPattern` object into an RRULE string
+ * @param {Object} pattern - { frequency, interval, daysOfWeek, count, until }
+ * @returns {String}
+ */
+const patternToRRule = (pattern) => {
+  return formatRRule({
+    freq: String(pattern.frequency || 'weekly').toUpperCase(),
+    interval: parseInt(pattern.interval, 10) || 1,
+    byDay: (pattern.daysOfWeek || []).map(day => ({ weekday: parseInt(day, 10), ordinal: null })),
+    byMonthDay: [],
+    count: pattern.count ? parseInt(pattern.count, 10) : null,
+    until: pattern.until ? new Date(pattern.until) : null
+  });
+};
+
+/**
+ * Candidate local dates produced by one period of the rule, in order
+ * @param {Object} rule - Parsed rule
+ * @param {DateTime} first - First occurrence (DTSTART) in the series timezone
+ * @param {Number} period - Index of the period (day, week or month)
+ * @returns {Array<DateTime>}
+ */
+const periodCandidates = (rule, first, period) => {
+  const timeOfDay = { hour: first.hour, minute: first.minute, second: first.second, millisecond: 0 };
+  const matchesWeekday = (date) => {
+    return rule.byDay.length === 0 || rule.byDay.some(day => day.weekday === date.weekday % 7);
+  };
+  
+  if (rule.freq === 'DAILY') {
+    const date = first.plus({ days: period * rule.interval });
+    return matchesWeekday(date) ? [date] : [];
+  }
+  
+  if (rule.freq === 'WEEKLY') {
+    const weekStart = first.startOf('week').plus({ weeks: period * rule.interval });
+    const weekdays = rule.byDay.length > 0
+      ? rule.byDay.map(day => day.weekday)
+      : [first.weekday % 7];
+    return weekdays
+      // Luxon weeks start on Monday, so Sunday (0) is the last day of the week
+      .map(weekday => weekStart.plus({ days: (weekday + 6) % 7 }).set(timeOfDay))
+      .sort((a, b) => a - b);
+  }
+  
+  // MONTHLY
+  const monthStart = first.startOf('month').plus({ months: period * rule.interval });
+  const daysInMonth = monthStart.daysInMonth;
+  let days = [];
+  
+  if (rule.byMonthDay.length > 0) {
+    days = rule.byMonthDay.map(day => (day > 0 ? day : daysInMonth + day + 1));
+  } else if (rule.byDay.length > 0) {
+    rule.byDay.forEach(({ weekday, ordinal }) => {
+      const matching = [];
+      for (let day = 1; day <= daysInMonth; day++) {
+        if (monthStart.set({ day }).weekday % 7 === weekday) {
+          matching.push(day);
+        }
+      }
+      if (ordinal === null) {
+        days.push(...matching);
+      } else {
+        const index = ordinal > 0 ? ordinal - 1 : matching.length + ordinal;
+        if (matching[index]) {
+          days.push(matching[index]);
+        }
+      }
+    });
+  } else {
+    days = [first.day];
+  }
+  
+  return [...new Set(days)]
+    .filter(day => day >= 1 && day <= daysInMonth)
+    .sort((a, b) => a - b)
+    .map(day => monthStart.set({ day, ...timeOfDay }));
+};
+
+/**
+ * Expand a recurrence rule into occurrence start instants.
+ *
+ * Occurrences are generated as wall-clock times in the series timezone, so a
+ * weekly 19:00 rehearsal stays at 19:00 local time across DST changes. COUNT is
+ * always counted from the first occurrence, not from the start of the range.
+ * Expansion stops once MAX_EMPTY_PERIODS periods in a row produce nothing.
+ *
+ * @param {String|Object} rrule - RRULE string or parsed rule
+ * @param {Date} dtstart - Start of the first occurrence
+ * @param {String} zone - Series timezone
+ * @param {Date|null} rangeStart - Only return occurrences starting at or after this
+ * @param {Date} rangeEnd - Only return occurrences starting before this
+ * @returns {Array<Date>} Occurrence start times
+ */
+const expandRRule = (rrule, dtstart, zone, rangeStart, rangeEnd) => {
+  const rule = typeof rrule === 'string' ? parseRRule(rrule) : rrule;
+  const first = DateTime.fromJSDate(new Date(dtstart), { zone: resolveTimezone(zone) });
+  const firstMillis = first.toMillis();
+  const startMillis = rangeStart ? new Date(rangeStart).getTime() : -Infinity;
+  const endMillis = new Date(rangeEnd).getTime();
+  const untilMillis = rule.until ? rule.until.getTime() : Infinity;
+  const occurrences = [];
+  let count = 0;
+  let emptyPeriods = 0;
+  
+  for (let period = 0; period < MAX_ITERATIONS && emptyPeriods < MAX_EMPTY_PERIODS; period++) {
+    const candidates = periodCandidates(rule, first, period).filter(candidate => candidate.toMillis() >= firstMillis);
+    emptyPeriods = candidates.length === 0 ? emptyPeriods + 1 : 0;
+    
+    for (const candidate of candidates) {
+      const millis = candidate.toMillis();
+      if (millis > untilMillis || millis >= endMillis || (rule.count && count >= rule.count)) {
+        return occurrences;
+      }
+      count++;
+      if (millis >= startMillis) {
+        occurrences.push(new Date(millis));
+      }
+    }
+  }
+  
+  return occurrences;
+};
+
+/**
+ * Check whether an instant is one of the occurrences generated by a rule
+ * @param {String|Object} rrule - RRULE string or parsed rule
+ * @param {Date} dtstart - Start of the first occurrence
+ * @param {String} zone - Series timezone
+ * @param {Date} instant - Candidate occurrence start
+ * @returns {Boolean}
+ */
+const isOccurrence = (rrule, dtstart, zone, instant) => {
+  const time = new Date(instant).getTime();
+  return expandRRule(rrule, dtstart, zone, new Date(time), new Date(time + 1)).length === 1;
+};
+
+module.exports = {
+  WEEKDAYS,
+  parseRRule,
+  formatRRule,
+  formatUntil,
+  patternToRRule,
+  expandRRule,
+  isOccurrence
+};
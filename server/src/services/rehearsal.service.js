@@ -0,0 +1,574 @@
+const { Op } = require('sequelize');
+const { Rehearsal, UserRehearsal, RehearsalEquipment, sequelize } = require('../models');
+const recurrence = require('./recurrence.service');
+const { overlaps } = require('./scheduling.service');
+
+// How far ahead open-ended series are expanded when no end date is requested
+const DEFAULT_EXPANSION_DAYS = 90;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Latest instant a Date can hold; series with UNTIL or COUNT are expanded to their end
+const END_OF_TIME = new Date(8640000000000000);
+
+// Only rehearsals still on the calendar can clash or hold a booking
+const ACTIVE_STATUSES = ['scheduled', 'in-progress'];
+
+// Fields an occurrence or a split-off series inherits from its series
+const INHERITED_FIELDS = [
+  'bandId', 'title', 'description', 'location', 'locationDetails', 'locationUrl', 'venueId',
+  'notes', 'status', 'createdBy', 'timezone', 'sendReminders', 'reminderHours'
+];
+
+// Fields that describe the rehearsal rather than its timing
+const DETAIL_FIELDS = [
+  'title', 'description', 'location', 'locationDetails', 'locationUrl', 'venueId', 'notes', 'status',
+  'sendReminders', 'reminderHours'
+];
+
+/**
+ * Pick the inherited fields from a series
+ * @param {Object} series - Series rehearsal
+ * @returns {Object}
+ */
+const inheritFrom = (series) => {
+  return INHERITED_FIELDS.reduce((fields, field) => {
+    fields[field] = series[field];
+    return fields;
+  }, {});
+};
+
+/**
+ * Pick the detail (non-timing) fields out of a set of changes
+ * @param {Object} changes
+ * @returns {Object}
+ */
+const detailChanges = (changes) => {
+  return DETAIL_FIELDS.reduce((fields, field) => {
+    if (changes[field] !== undefined) {
+      fields[field] = changes[field];
+    }
+    return fields;
+  }, {});
+};
+
+/**
+ * Duration of a rehearsal in milliseconds
+ * @param {Object} rehearsal
+ * @returns {Number}
+ */
+const durationOf = (rehearsal) => {
+  return new Date(rehearsal.endTime) - new Date(rehearsal.startTime);
+};
+
+/**
+ * Build a virtual occurrence of a series starting at the given instant
+ * @param {Object} series - Series rehearsal instance
+ * @param {Date} start - Occurrence start
+ * @returns {Object} Plain occurrence object
+ */
+const toOccurrence = (series, start) => {
+  const values = series.toJSON();
+  delete values.exceptions;
+  return {
+    ...values,
+    seriesId: series.id,
+    originalStartTime: start,
+    startTime: start,
+    endTime: new Date(start.getTime() + durationOf(series)),
+    // Occurrences keep the series' reminder lead time
+    reminderTime: series.reminderTime
+      ? new Date(start.getTime() - (new Date(series.startTime) - new Date(series.reminderTime)))
+      : null,
+    isException: false
+  };
+};
+
+/**
+ * Expand a series into the occurrences inside a range that have not been
+ * replaced by an exception row
+ * @param {Object} series - Series rehearsal instance
+ * @param {Array} exceptions - Exception rows (only originalStartTime is used)
+ * @param {Date|null} rangeStart
+ * @param {Date} rangeEnd
+ * @returns {Array} Plain occurrence objects
+ */
+const expandSeries = (series, exceptions, rangeStart, rangeEnd) => {
+  const replaced = new Set((exceptions || []).map(exception => new Date(exception.originalStartTime).getTime()));
+  
+  return recurrence
+    .expandRRule(series.recurrenceRule, series.startTime, series.timezone, rangeStart, rangeEnd)
+    .filter(start => !replaced.has(start.getTime()))
+    .map(start => toOccurrence(series, start));
+};
+
+/**
+ * Where clause matching rehearsals by ID together with the exceptions of the
+ * series among them
+ * @param {Array<String>} rehearsalIds
+ * @returns {Object}
+ */
+const withExceptions = (rehearsalIds) => ({
+  [Op.or]: [
+    { id: { [Op.in]: rehearsalIds } },
+    { seriesId: { [Op.in]: rehearsalIds } }
+  ]
+});
+
+/**
+ * Occurrences of a rehearsal to check for clashes: a one-off rehearsal itself,
+ * or the occurrences of a series from now on with its exceptions applied, so
+ * cancelled occurrences are left out and moved ones are checked at their new
+ * times. A series with UNTIL or COUNT is checked to its end; an open-ended one
+ * for DEFAULT_EXPANSION_DAYS past now, or past the latest start of the
+ * rehearsals it is checked against.
+ * @param {Object} rehearsal - Saved or unsaved Rehearsal instance
+ * @param {Object} [options]
+ * @param {Object} [options.against] - Where clause matching the rehearsals it is checked against
+ * @param {Date} [options.now]
+ * @param {Object} [options.transaction]
+ * @returns {Promise<Array>} Active occurrences with startTime and endTime, sorted by start
+ */
+const occurrencesToCheck = async (rehearsal, { against, now = new Date(), transaction } = {}) => {
+  let occurrences = [rehearsal];
+  
+  if (rehearsal.isRecurring) {
+    const rule = recurrence.parseRRule(rehearsal.recurrenceRule);
+    let rangeEnd = END_OF_TIME;
+    if (!rule.until && !rule.count) {
+      const latest = against ? await Rehearsal.max('startTime', { where: against, transaction }) : null;
+      rangeEnd = new Date(Math.max(now.getTime(), latest ? new Date(latest).getTime() : 0) + DEFAULT_EXPANSION_DAYS * DAY);
+    }
+    
+    // Occurrences still running now count as well
+    const exceptions = rehearsal.isNewRecord
+      ? []
+      : await Rehearsal.findAll({ where: { seriesId: rehearsal.id }, transaction });
+    occurrences = [
+      ...expandSeries(rehearsal, exceptions, new Date(now.getTime() - durationOf(rehearsal)), rangeEnd),
+      ...exceptions.filter(exception => new Date(exception.endTime) > now)
+    ];
+  }
+  
+  return occurrences
+    .filter(occurrence => ACTIVE_STATUSES.includes(occurrence.status))
+    .map(occurrence => ({ startTime: new Date(occurrence.startTime), endTime: new Date(occurrence.endTime) }))
+    .sort((a, b) => a.startTime - b.startTime);
+};
+
+/**
+ * List rehearsals with recurring series expanded into concrete occurrences.
+ *
+ * One-off rehearsals and series exceptions are real rows and are filtered by
+ * start time as usual. Series are expanded between rangeStart and rangeEnd, or
+ * for DEFAULT_EXPANSION_DAYS when no end is given.
+ *
+ * @param {Object} options
+ * @param {Object} options.where - Base where clause (e.g. { bandId })
+ * @param {Date} [options.rangeStart]
+ * @param {Date} [options.rangeEnd]
+ * @param {String} [options.status] - Only return occurrences with this status
+ * @param {Array} [options.include] - Associations to include on every row
+ * @param {Object} [options.transaction]
+ * @returns {Promise<Array>} Plain occurrence objects sorted by start time
+ */
+const listOccurrences = async ({ where = {}, rangeStart = null, rangeEnd = null, status, include = [], transaction }) => {
+  const seriesEnd = rangeEnd || new Date(Math.max(Date.now(), rangeStart || 0) + DEFAULT_EXPANSION_DAYS * DAY);
+  
+  const concreteWhere = { ...where, isRecurring: false };
+  if (rangeStart && rangeEnd) {
+    concreteWhere.startTime = { [Op.between]: [rangeStart, rangeEnd] };
+  } else if (rangeStart) {
+    concreteWhere.startTime = { [Op.gte]: rangeStart };
+  } else if (rangeEnd) {
+    concreteWhere.startTime = { [Op.lte]: rangeEnd };
+  }
+  
+  const [concrete, series] = await Promise.all([
+    Rehearsal.findAll({ where: concreteWhere, include, transaction }),
+    Rehearsal.findAll({
+      where: { ...where, isRecurring: true, startTime: { [Op.lt]: seriesEnd } },
+      include: [
+        ...include,
+        { model: Rehearsal, as: 'exceptions', attributes: ['id', 'originalStartTime'] }
+      ],
+      transaction
+    })
+  ]);
+  
+  const occurrences = [
+    ...concrete.map(rehearsal => ({ ...rehearsal.toJSON(), isException: Boolean(rehearsal.seriesId) })),
+    ...series.flatMap(entry => expandSeries(entry, entry.exceptions, rangeStart, seriesEnd))
+  ];
+  
+  return occurrences
+    .filter(occurrence => !status || occurrence.status === status)
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+};
+
+/**
+ * Active occurrences of the rehearsals matching a where clause that overlap a
+ * range: the bookings a room, a piece of gear or a member already has.
+ * @param {Object} options
+ * @param {Object} options.where - Where clause matching the booked rehearsals, e.g. from withExceptions
+ * @param {Date} options.rangeStart
+ * @param {Date} options.rangeEnd
+ * @param {Array} [options.include] - Associations to include on every row
+ * @param {Object} [options.transaction]
+ * @returns {Promise<Array>} Plain occurrence objects sorted by start time
+ */
+const activeOccurrences = async ({ where, rangeStart, rangeEnd, include = [], transaction }) => {
+  // Start a day early so rehearsals running into the range are caught as well
+  const occurrences = await listOccurrences({
+    where,
+    rangeStart: new Date(new Date(rangeStart).getTime() - DAY),
+    rangeEnd,
+    include,
+    transaction
+  });
+  
+  return occurrences.filter(occurrence => {
+    return ACTIVE_STATUSES.includes(occurrence.status) &&
+      overlaps(occurrence.startTime, occurrence.endTime, rangeStart, rangeEnd);
+  });
+};
+
+/**
+ * Work out the new timing of an edited occurrence
+ * @param {Object} series - Series rehearsal
+ * @param {Date} occurrenceStart - Start of the occurrence being edited
+ * @param {Object} changes - May contain startTime and endTime
+ * @returns {Object} { shift, duration } in milliseconds
+ */
+const timingChange = (series, occurrenceStart, changes) => {
+  const newStart = changes.startTime ? new Date(changes.startTime) : occurrenceStart;
+  const newEnd = changes.endTime
+    ? new Date(changes.endTime)
+    : new Date(newStart.getTime() + durationOf(series));
+  return {
+    shift: newStart - occurrenceStart,
+    duration: newEnd - newStart
+  };
+};
+
+/**
+ * Find the exception row for an occurrence, or build a new one
+ * @param {Object} series - Series rehearsal
+ * @param {Date} occurrenceStart - Original start of the occurrence
+ * @param {Object} transaction
+ * @returns {Promise<Object>} Rehearsal instance (possibly unsaved)
+ */
+const findOrBuildException = async (series, occurrenceStart, transaction) => {
+  const existing = await Rehearsal.findOne({
+    where: { seriesId: series.id, originalStartTime: occurrenceStart },
+    transaction
+  });
+  
+  return existing || Rehearsal.build({
+    ...inheritFrom(series),
+    isRecurring: false,
+    seriesId: series.id,
+    originalStartTime: occurrenceStart,
+    startTime: occurrenceStart,
+    endTime: new Date(occurrenceStart.getTime() + durationOf(series))
+  });
+};
+
+/**
+ * Copy the attendee list (with RSVPs) of a series onto one of its occurrences
+ * or onto a series split off from it
+ * @param {Object} series - Source series
+ * @param {Object} target - Rehearsal that receives the attendees
+ * @param {Object} transaction
+ * @returns {Promise<void>}
+ */
+const copyAttendees = async (series, target, transaction) => {
+  const attendees = await UserRehearsal.findAll({ where: { rehearsalId: series.id }, transaction });
+  
+  await UserRehearsal.bulkCreate(attendees.map(attendee => ({
+    userId: attendee.userId,
+    rehearsalId: target.id,
+    status: attendee.status,
+    note: attendee.note,
+    respondedAt: attendee.respondedAt
+  })), { transaction, ignoreDuplicates: true });
+};
+
+/**
+ * Invite every current band member to a new rehearsal. Members start with a
+ * pending RSVP unless one is given for them.
+ * @param {Object} rehearsal - Saved rehearsal
+ * @param {Object} band - Band instance
+ * @param {Object} [options]
+ * @param {Object} [options.rsvps] - Map of user ID to initial RSVP status
+ * @param {Object} [options.transaction]
+ * @returns {Promise<Number>} Number of members invited
+ */
+const inviteBandMembers = async (rehearsal, band, { rsvps = {}, transaction } = {}) => {
+  const members = await band.getMembers({ attributes: ['id'], joinTableAttributes: [], transaction });
+  
+  await UserRehearsal.bulkCreate(members.map(member => ({
+    userId: member.id,
+    rehearsalId: rehearsal.id,
+    status: rsvps[member.id] || 'pending',
+    respondedAt: rsvps[member.id] ? new Date() : null
+  })), { transaction });
+  return members.length;
+};
+
+/**
+ * Turn an occurrence of a series into its own exception row (if it is not one
+ * already) so it can carry its own RSVPs, attendance and changes
+ * @param {Object} series - Series rehearsal
+ * @param {Date} occurrenceStart - Original start of the occurrence
+ * @param {Object} [transaction]
+ * @returns {Promise<Object>} Saved exception row
+ */
+const materializeOccurrence = async (series, occurrenceStart, transaction) => {
+  const exception = await findOrBuildException(series, new Date(occurrenceStart), transaction);
+  
+  if (exception.isNewRecord) {
+    await exception.save({ transaction });
+    await copyAttendees(series, exception, transaction);
+  }
+  
+  return exception;
+};
+
+/**
+ * Delete the exceptions of a series that no longer replace one of its
+ * occurrences, as happens when its recurrence rule changes, together with
+ * their RSVPs and gear bookings
+ * @param {Object} series - Series rehearsal as saved
+ * @param {Object} transaction
+ * @returns {Promise<Number>} Number of exceptions deleted
+ */
+const dropOrphanedExceptions = async (series, transaction) => {
+  const exceptions = await Rehearsal.findAll({ where: { seriesId: series.id }, transaction });
+  if (exceptions.length === 0) {
+    return 0;
+  }
+  
+  const latest = Math.max(...exceptions.map(exception => new Date(exception.originalStartTime).getTime()));
+  const starts = new Set(recurrence
+    .expandRRule(series.recurrenceRule, series.startTime, series.timezone, null, new Date(latest + 1))
+    .map(start => start.getTime()));
+  const orphanIds = exceptions
+    .filter(exception => !starts.has(new Date(exception.originalStartTime).getTime()))
+    .map(exception => exception.id);
+  
+  if (orphanIds.length > 0) {
+    await UserRehearsal.destroy({ where: { rehearsalId: orphanIds }, transaction });
+    await RehearsalEquipment.destroy({ where: { rehearsalId: orphanIds }, transaction });
+    await Rehearsal.destroy({ where: { id: orphanIds }, transaction });
+  }
+  return orphanIds.length;
+};
+
+/**
+ * Apply changes to every occurrence of a series. Time changes are given as the
+ * new start/end of the occurrence at occurrenceStart and shift the whole series.
+ * When the recurrence rule changes, exceptions whose occurrence the new rule no
+ * longer has are deleted.
+ * @param {Object} series - Series rehearsal
+ * @param {Date} occurrenceStart - Reference occurrence
+ * @param {Object} changes
+ * @param {Object} transaction
+ * @returns {Promise<Object>} Updated series
+ */
+const updateAll = async (series, occurrenceStart, changes, transaction) => {
+  const { shift, duration } = timingChange(series, occurrenceStart, changes);
+  const startTime = new Date(new Date(series.startTime).getTime() + shift);
+  
+  await series.update({
+    ...detailChanges(changes),
+    ...(changes.recurrenceRule ? { recurrenceRule: changes.recurrenceRule } : {}),
+    startTime,
+    endTime: new Date(startTime.getTime() + duration)
+  }, { transaction });
+  
+  // Keep exceptions attached to the occurrences they replace
+  const exceptions = await Rehearsal.findAll({ where: { seriesId: series.id }, transaction });
+  await Promise.all(exceptions.map(exception => exception.update({
+    ...detailChanges(changes),
+    originalStartTime: new Date(new Date(exception.originalStartTime).getTime() + shift)
+  }, { transaction })));
+  
+  if (changes.recurrenceRule) {
+    await dropOrphanedExceptions(series, transaction);
+  }
+  
+  return series;
+};
+
+/**
+ * Split a series at occurrenceStart: the original series ends before it and a
+ * new series with the changes applied continues from it. Later exceptions move
+ * to the new series, unless a new recurrence rule no longer has their occurrence.
+ * @param {Object} series - Series rehearsal
+ * @param {Date} occurrenceStart - First occurrence of the new series
+ * @param {Object} changes
+ * @param {Object} transaction
+ * @returns {Promise<Object>} The new series
+ */
+const updateFollowing = async (series, occurrenceStart, changes, transaction) => {
+  const rule = recurrence.parseRRule(series.recurrenceRule);
+  const earlier = recurrence.expandRRule(rule, series.startTime, series.timezone, null, occurrenceStart);
+  const { shift, duration } = timingChange(series, occurrenceStart, changes);
+  const startTime = new Date(occurrenceStart.getTime() + shift);
+  
+  const remainingRule = changes.recurrenceRule || recurrence.formatRRule({
+    ...rule,
+    count: rule.count ? rule.count - earlier.length : null
+  });
+  
+  const newSeries = await Rehearsal.create({
+    ...inheritFrom(series),
+    ...detailChanges(changes),
+    isRecurring: true,
+    recurrenceRule: remainingRule,
+    startTime,
+    endTime: new Date(startTime.getTime() + duration)
+  }, { transaction });
+  await copyAttendees(series, newSeries, transaction);
+  
+  // End the original series with the occurrence before the split
+  await series.update({
+    recurrenceRule: recurrence.formatRRule({
+      ...rule,
+      count: null,
+      until: new Date(occurrenceStart.getTime() - 1000)
+    })
+  }, { transaction });
+  
+  const laterExceptions = await Rehearsal.findAll({
+    where: { seriesId: series.id, originalStartTime: { [Op.gte]: occurrenceStart } },
+    transaction
+  });
+  await Promise.all(laterExceptions.map(exception => exception.update({
+    ...detailChanges(changes),
+    seriesId: newSeries.id,
+    originalStartTime: new Date(new Date(exception.originalStartTime).getTime() + shift)
+  }, { transaction })));
+  
+  if (changes.recurrenceRule) {
+    await dropOrphanedExceptions(newSeries, transaction);
+  }
+  
+  return newSeries;
+};
+
+/**
+ * Update a recurring series with an edit scope
+ * @param {Object} options
+ * @param {Object} options.series - Series rehearsal instance
+ * @param {String} options.scope - 'this', 'following' or 'all'
+ * @param {Date} [options.occurrenceStart] - Original start of the edited occurrence
+ * @param {Object} options.changes - Fields to change
+ * @param {Function} [options.verify] - async (result, transaction) called before the
+ *   change commits; throwing rolls the whole change back
+ * @returns {Promise<Object>} The changed rehearsal (exception, new series or series)
+ */
+const updateSeries = async ({ series, scope, occurrenceStart, changes, verify }) => {
+  const reference = occurrenceStart ? new Date(occurrenceStart) : new Date(series.startTime);
+  
+  return sequelize.transaction(async (transaction) => {
+    let result;
+    if (scope === 'this') {
+      const exception = await materializeOccurrence(series, reference, transaction);
+      exception.set({ ...detailChanges(changes) });
+      if (changes.startTime) exception.startTime = new Date(changes.startTime);
+      if (changes.endTime) exception.endTime = new Date(changes.endTime);
+      result = await exception.save({ transaction });
+    } else if (scope === 'following' && reference.getTime() !== new Date(series.startTime).getTime()) {
+      result = await updateFollowing(series, reference, changes, transaction);
+    } else {
+      result = await updateAll(series, reference, changes, transaction);
+    }
+    
+    if (verify) {
+      await verify(result, transaction);
+    }
+    return result;
+  });
+};
+
+/**
+ * Delete occurrences of a recurring series with an edit scope. A single
+ * occurrence is kept as a cancelled exception so the series skips it.
+ * @param {Object} options
+ * @param {Object} options.series - Series rehearsal instance
+ * @param {String} options.scope - 'this', 'following' or 'all'
+ * @param {Date} [options.occurrenceStart] - Original start of the occurrence
+ * @returns {Promise<void>}
+ */
+const deleteFromSeries = async ({ series, scope, occurrenceStart }) => {
+  const reference = occurrenceStart ? new Date(occurrenceStart) : new Date(series.startTime);
+  
+  await sequelize.transaction(async (transaction) => {
+    if (scope === 'this') {
+      const exception = await materializeOccurrence(series, reference, transaction);
+      await exception.update({ status: 'cancelled' }, { transaction });
+      return;
+    }
+    
+    if (scope === 'following' && reference.getTime() !== new Date(series.startTime).getTime()) {
+      const rule = recurrence.parseRRule(series.recurrenceRule);
+      await series.update({
+        recurrenceRule: recurrence.formatRRule({
+          ...rule,
+          count: null,
+          until: new Date(reference.getTime() - 1000)
+        })
+      }, { transaction });
+      const laterExceptions = await Rehearsal.findAll({
+        where: { seriesId: series.id, originalStartTime: { [Op.gte]: reference } },
+        attributes: ['id'],
+        transaction
+      });
+      const laterIds = laterExceptions.map(exception => exception.id);
+      await UserRehearsal.destroy({ where: { rehearsalId: laterIds }, transaction });
+      await RehearsalEquipment.destroy({ where: { rehearsalId: laterIds }, transaction });
+      await Rehearsal.destroy({ where: { id: laterIds }, transaction });
+      return;
+    }
+    
+    const exceptions = await Rehearsal.findAll({ where: { seriesId: series.id }, attributes: ['id'], transaction });
+    const rehearsalIds = [series.id, ...exceptions.map(exception => exception.id)];
+    await UserRehearsal.destroy({ where: { rehearsalId: rehearsalIds }, transaction });
+    await RehearsalEquipment.destroy({ where: { rehearsalId: rehearsalIds }, transaction });
+    await Rehearsal.destroy({ where: { seriesId: series.id }, transaction });
+    await series.destroy({ transaction });
+  });
+};
+
+/**
+ * Check whether an instant is the original start of an occurrence of a series
+ * (either generated by its rule or recorded on one of its exceptions)
+ * @param {Object} series - Series rehearsal
+ * @param {Date} occurrenceStart
+ * @returns {Promise<Boolean>}
+ */
+const isSeriesOccurrence = async (series, occurrenceStart) => {
+  if (recurrence.isOccurrence(series.recurrenceRule, series.startTime, series.timezone, occurrenceStart)) {
+    return true;
+  }
+  
+  const exception = await Rehearsal.count({
+    where: { seriesId: series.id, originalStartTime: new Date(occurrenceStart) }
+  });
+  return exception > 0;
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  listOccurrences,
+  activeOccurrences,
+  expandSeries,
+  withExceptions,
+  occurrencesToCheck,
+  updateSeries,
+  materializeOccurrence,
+  inviteBandMembers,
+  deleteFromSeries,
+  isSeriesOccurrence
+};
\ No newline at end of file
@@ -0,0 +1,233 @@
+const { Op, literal } = require('sequelize');
+const { Rehearsal, Band, User, UserRehearsal, ReminderDelivery } = require('../models');
+const rehearsalService = require('./rehearsal.service');
+const emailService = require('./email.service');
+const logger = require('../utils/logger');
+const { createScheduler } = require('../utils/scheduler');
+
+const HOUR = 60 * 60 * 1000;
+
+// Longest reminder lead time a band or rehearsal can configure
+const MAX_LEAD_HOURS = 168;
+
+// A claim older than this belongs to an instance that died while sending
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Failed deliveries are retried on later runs up to this many attempts
+const MAX_ATTEMPTS = 3;
+
+const DEFAULT_INTERVAL_MS = (parseInt(process.env.REMINDER_CHECK_INTERVAL_SECONDS, 10) || 60) * 1000;
+
+/**
+ * Default notifier: email the reminder and push it to the band's socket room.
+ * A failed email rejects, so the delivery is marked failed and retried.
+ * @param {Object} io - Socket.io server (optional)
+ * @returns {Function} async ({ user, occurrence }) => void
+ */
+const defaultNotifier = (io) => async ({ user, occurrence }) => {
+  await emailService.sendTemplate('reminder', user, { rehearsal: occurrence, band: occurrence.Band });
+  
+  if (io) {
+    io.to(`band-${occurrence.bandId}`).emit('rehearsal-reminder', {
+      rehearsalId: occurrence.id,
+      seriesId: occurrence.seriesId || null,
+      userId: user.id,
+      title: occurrence.title,
+      startTime: occurrence.startTime,
+      location: occurrence.location
+    });
+  }
+};
+
+/**
+ * Occurrences whose reminder is due: scheduled, reminders enabled, not yet
+ * started and with a reminderTime at or before now
+ * @param {Date} now
+ * @returns {Promise<Array>} Plain occurrence objects
+ */
+const findDueOccurrences = async (now) => {
+  const occurrences = await rehearsalService.listOccurrences({
+    where: { sendReminders: true, reminderSent: false },
+    rangeStart: now,
+    rangeEnd: new Date(now.getTime() + MAX_LEAD_HOURS * HOUR),
+    status: 'scheduled',
+    include: [{ model: Band, attributes: ['id', 'name'] }]
+  });
+  
+  return occurrences.filter(occurrence => {
+    return occurrence.reminderTime && new Date(occurrence.reminderTime) <= now;
+  });
+};
+
+/**
+ * Claim the delivery of one reminder. The claim is an insert guarded by a
+ * unique index, so across restarts and instances only one caller wins.
+ * Failed deliveries and claims abandoned by a crashed instance can be
+ * reclaimed, again by a single caller, until MAX_ATTEMPTS is reached.
+ * @param {Object} key - { rehearsalId, userId, occurrenceStart }
+ * @param {Date} now
+ * @returns {Promise<Object|null>} The claimed delivery, or null if it is not ours to send
+ */
+const claimDelivery = async (key, now) => {
+  try {
+    return await ReminderDelivery.create({ ...key, status: 'sending', attempts: 1, claimedAt: now });
+  } catch (error) {
+    if (error.name !== 'SequelizeUniqueConstraintError') {
+      throw error;
+    }
+  }
+  
+  const existing = await ReminderDelivery.findOne({ where: key });
+  const retryable = existing && existing.attempts < MAX_ATTEMPTS && (
+    existing.status === 'failed' ||
+    (existing.status === 'sending' && now - new Date(existing.claimedAt) > CLAIM_TIMEOUT_MS)
+  );
+  
+  if (!retryable) {
+    return null;
+  }
+  
+  // Compare-and-set on status and attempts so only one instance takes the retry
+  const [updated] = await ReminderDelivery.update(
+    { status: 'sending', attempts: existing.attempts + 1, claimedAt: now },
+    { where: { id: existing.id, status: existing.status, attempts: existing.attempts } }
+  );
+  
+  return updated === 1 ? existing.reload() : null;
+};
+
+/**
+ * Send the reminders of one occurrence to everyone who has not declined
+ * @param {Object} occurrence - Plain occurrence object
+ * @param {Object} options - { now, notify }
+ * @returns {Promise<Object>} { sent, failed, skipped }
+ */
+const remindOccurrence = async (occurrence, { now, notify }) => {
+  const result = { sent: 0, failed: 0, skipped: 0 };
+  
+  // Virtual occurrences share the attendee list of their series row, whose ID they carry
+  const attendees = await UserRehearsal.findAll({
+    where: { rehearsalId: occurrence.id, status: { [Op.ne]: 'not_attending' } },
+    include: [{ model: User, attributes: ['id', 'email', 'firstName', 'lastName', 'timezone'] }]
+  });
+  
+  for (const attendee of attendees) {
+    const delivery = await claimDelivery({
+      rehearsalId: occurrence.seriesId || occurrence.id,
+      userId: attendee.userId,
+      occurrenceStart: new Date(occurrence.startTime)
+    }, now);
+    
+    if (!delivery) {
+      result.skipped++;
+      continue;
+    }
+    
+    try {
+      await notify({ user: attendee.User, attendee, occurrence });
+      await delivery.update({ status: 'sent', sentAt: now, lastError: null });
+      result.sent++;
+    } catch (error) {
+      logger.error(`Error sending reminder for rehearsal ${occurrence.id} to user ${attendee.userId}: ${error.message}`);
+      await delivery.update({ status: 'failed', lastError: error.message });
+      result.failed++;
+    }
+  }
+  
+  // Rows (unlike virtual occurrences) are marked done; the startTime condition
+  // leaves the flag alone if the rehearsal was moved in the meantime
+  const isRow = occurrence.isException || !occurrence.isRecurring;
+  if (isRow && result.failed === 0) {
+    await Rehearsal.update(
+      { reminderSent: true },
+      { where: { id: occurrence.id, startTime: new Date(occurrence.startTime) } }
+    );
+  }
+  
+  return result;
+};
+
+/**
+ * Send every reminder that is due at `now`
+ * @param {Object} options
+ * @param {Date} options.now - Current time
+ * @param {Function} options.notify - async ({ user, attendee, occurrence }) => void
+ * @returns {Promise<Object>} Totals { occurrences, sent, failed, skipped }
+ */
+const processDueReminders = async ({ now, notify }) => {
+  const occurrences = await findDueOccurrences(now);
+  const totals = { occurrences: occurrences.length, sent: 0, failed: 0, skipped: 0 };
+  
+  for (const occurrence of occurrences) {
+    const result = await remindOccurrence(occurrence, { now, notify });
+    totals.sent += result.sent;
+    totals.failed += result.failed;
+    totals.skipped += result.skipped;
+  }
+  
+  if (totals.sent > 0 || totals.failed > 0) {
+    logger.info(`Reminders processed: ${totals.sent} sent, ${totals.failed} failed`);
+  }
+  
+  return totals;
+};
+
+/**
+ * Move the reminders of a band's rehearsals to its current default lead time.
+ * Covers upcoming rehearsals and every series, whose later occurrences take
+ * their reminder offset from the series row, that do not set reminderHours
+ * themselves. Reminders already sent are left alone.
+ * @param {Object} band - Band instance with the new defaultReminderHours
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {Object} [options.transaction]
+ * @returns {Promise<Number>} Number of rehearsals updated
+ */
+const rescheduleBandReminders = async (band, { now = new Date(), transaction } = {}) => {
+  const hours = parseInt(band.defaultReminderHours, 10);
+  const [updated] = await Rehearsal.update({
+    reminderTime: literal(`"startTime" - INTERVAL '${hours} hours'`)
+  }, {
+    where: {
+      bandId: band.id,
+      reminderHours: null,
+      reminderSent: false,
+      [Op.or]: [{ startTime: { [Op.gt]: now } }, { isRecurring: true }]
+    },
+    transaction
+  });
+  return updated;
+};
+
+/**
+ * Create the background reminder scheduler
+ * @param {Object} options
+ * @param {Function} [options.clock] - Returns the current time; inject a fake clock in tests
+ * @param {Function} [options.notify] - Delivers one reminder; defaults to email plus socket event
+ * @param {Object} [options.io] - Socket.io server used by the default notifier
+ * @param {Number} [options.interval] - Milliseconds between runs
+ * @returns {Object} { start, stop, runOnce }
+ */
+const createReminderScheduler = ({
+  clock,
+  notify,
+  io,
+  interval = DEFAULT_INTERVAL_MS
+} = {}) => {
+  const deliver = notify || defaultNotifier(io);
+  return createScheduler({
+    name: 'Reminder',
+    task: now => processDueReminders({ now, notify: deliver }),
+    clock,
+    interval
+  });
+};
+
+module.exports = {
+  defaultNotifier,
+  findDueOccurrences,
+  claimDelivery,
+  processDueReminders,
+  rescheduleBandReminders,
+  createReminderScheduler
+};
\ No newline at end of file
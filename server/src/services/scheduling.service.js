@@ -0,0 +1,379 @@
+const { DateTime } = require('luxon');
+const { resolveTimezone, presentInZone } = require('../utils/timezone');
+const { TIERS, tierName } = require('../utils/availabilityTiers');
+
+const MINUTE = 60 * 1000;
+
+// Tiers from most to least willing, with the share of a member's weight they add to a slot's score
+const TIER_ORDER = ['preferred', 'possible', 'urgent-only'];
+const TIER_SCORES = {
+  preferred: 1,
+  possible: 0.5,
+  'urgent-only': 0.1
+};
+
+/**
+ * Convert a TIME column value ('HH:mm' or 'HH:mm:ss') to minutes after midnight
+ * @param {String} value - Time of day
+ * @returns {Number} Minutes after midnight
+ */
+const timeToMinutes = (value) => {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+/**
+ * Midnight in a timezone at the start of a calendar date. Effective and expiry
+ * dates are picked as dates and stored as UTC midnight, so their UTC date is
+ * the one the member meant.
+ * @param {Date|String} value
+ * @param {String} timezone - IANA timezone
+ * @returns {Number} Milliseconds since the epoch
+ */
+const startOfLocalDate = (value, timezone) => {
+  return DateTime.fromISO(new Date(value).toISOString().slice(0, 10), { zone: timezone }).toMillis();
+};
+
+/**
+ * Check whether two half-open intervals [aStart, aEnd) and [bStart, bEnd) overlap
+ * @param {Date|Number} aStart
+ * @param {Date|Number} aEnd
+ * @param {Date|Number} bStart
+ * @param {Date|Number} bEnd
+ * @returns {Boolean}
+ */
+const overlaps = (aStart, aEnd, bStart, bEnd) => {
+  return new Date(aStart) < new Date(bEnd) && new Date(bStart) < new Date(aEnd);
+};
+
+/**
+ * Sort intervals and join the ones that touch or overlap
+ * @param {Array} intervals - Array of { start, end } objects (Date values)
+ * @returns {Array} Merged intervals
+ */
+const mergeIntervals = (intervals) => {
+  const sorted = intervals
+    .map(({ start, end }) => ({ start: new Date(start), end: new Date(end) }))
+    .sort((a, b) => a.start - b.start);
+  
+  return sorted.reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      if (interval.end > last.end) {
+        last.end = interval.end;
+      }
+    } else {
+      merged.push(interval);
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Cut blocked intervals out of [start, end)
+ * @param {Date} start
+ * @param {Date} end
+ * @param {Array} blocked - Merged { start, end } intervals to remove
+ * @returns {Array} Remaining { start, end } pieces in order
+ */
+const subtractIntervals = (start, end, blocked) => {
+  const pieces = [];
+  let cursor = new Date(start);
+  
+  blocked.forEach((interval) => {
+    if (interval.end <= cursor || interval.start >= end) {
+      return;
+    }
+    if (interval.start > cursor) {
+      pieces.push({ start: cursor, end: new Date(interval.start) });
+    }
+    cursor = new Date(Math.max(cursor, interval.end));
+  });
+  
+  if (cursor < end) {
+    pieces.push({ start: cursor, end: new Date(end) });
+  }
+  return pieces;
+};
+
+/**
+ * Expand Availability rows into the concrete windows they produce inside a date range.
+ * One-time rows yield their own dated window; recurring rows repeat every week on
+ * their dayOfWeek from the start of effectiveDate until the start of expiryDate,
+ * both read as dates in the member's timezone. A recurring window that ends at
+ * or before its start time runs past midnight into the next day.
+ *
+ * Recurring start and end times are wall-clock times in the member's timezone, so
+ * each day is built in that zone and converted to an absolute instant. Across a DST
+ * change the window keeps its local times and its length changes instead. A local
+ * time skipped by a spring-forward transition moves to the first valid instant
+ * after the gap; an ambiguous time during fall-back resolves to the earlier offset.
+ *
+ * Blackout periods override availability: windows are cut around them, so a
+ * weekly window that falls in the middle of a tour simply does not occur.
+ *
+ * @param {Array} availability - Availability instances or plain objects
+ * @param {Date} rangeStart - Start of the range
+ * @param {Date} rangeEnd - End of the range
+ * @param {String} zone - Member's IANA timezone
+ * @param {Array} blackouts - Member's Blackout rows (startsAt/endsAt)
+ * @returns {Array} Occurrences sorted by start time, clipped to the range
+ */
+const expandOccurrences = (availability, rangeStart, rangeEnd, zone, blackouts = []) => {
+  const timezone = resolveTimezone(zone);
+  const blocked = mergeIntervals(blackouts.map(blackout => ({ start: blackout.startsAt, end: blackout.endsAt })));
+  const occurrences = [];
+  
+  const addOccurrence = (entry, start, end) => {
+    const clippedStart = new Date(Math.max(start, rangeStart));
+    const clippedEnd = new Date(Math.min(end, rangeEnd));
+    if (clippedEnd <= clippedStart) {
+      return;
+    }
+    
+    subtractIntervals(clippedStart, clippedEnd, blocked).forEach((piece) => {
+      occurrences.push({
+        availabilityId: entry.id,
+        userId: entry.userId,
+        type: entry.type,
+        startTime: piece.start,
+        endTime: piece.end,
+        priority: entry.priority,
+        tier: tierName(entry.priority),
+        note: entry.notes || null
+      });
+    });
+  };
+  
+  availability.forEach((entry) => {
+    if (entry.type === 'one-time') {
+      addOccurrence(entry, new Date(entry.startsAt), new Date(entry.endsAt));
+      return;
+    }
+    
+    const effective = startOfLocalDate(entry.effectiveDate, timezone);
+    const expiry = entry.expiryDate ? startOfLocalDate(entry.expiryDate, timezone) : Infinity;
+    const startMinutes = timeToMinutes(entry.startTime);
+    const endMinutes = timeToMinutes(entry.endTime) % (24 * 60);
+    
+    // Start a day early for windows that run past midnight into the range
+    let day = DateTime.fromJSDate(rangeStart, { zone: timezone }).startOf('day').minus({ days: 1 });
+    while (day.toMillis() < rangeEnd.getTime()) {
+      // Luxon weekdays run 1 (Monday) to 7 (Sunday); dayOfWeek uses 0 for Sunday
+      if (day.weekday % 7 === entry.dayOfWeek) {
+        const endDay = endMinutes <= startMinutes ? day.plus({ days: 1 }) : day;
+        const localStart = day.set({ hour: Math.floor(startMinutes / 60), minute: startMinutes % 60 });
+        const localEnd = endDay.set({ hour: Math.floor(endMinutes / 60), minute: endMinutes % 60 });
+        
+        const start = new Date(Math.max(localStart.toMillis(), effective));
+        const end = new Date(Math.min(localEnd.toMillis(), expiry));
+        addOccurrence(entry, start, end);
+      }
+      day = day.plus({ days: 1 });
+    }
+  });
+  
+  return occurrences
+    .sort((a, b) => a.startTime - b.startTime)
+    .map(occurrence => presentInZone(occurrence, timezone));
+};
+
+/**
+ * Expand a member's Availability rows into merged intervals inside a date range
+ * @param {Array} availability - Availability instances or plain objects
+ * @param {Date} rangeStart - Start of the search window
+ * @param {Date} rangeEnd - End of the search window
+ * @param {String} zone - Member's IANA timezone
+ * @param {Array} blackouts - Member's Blackout rows
+ * @returns {Array} Merged { start, end } intervals clipped to the range
+ */
+const expandAvailability = (availability, rangeStart, rangeEnd, zone, blackouts = []) => {
+  return mergeIntervals(expandOccurrences(availability, rangeStart, rangeEnd, zone, blackouts).map(occurrence => ({
+    start: occurrence.startTime,
+    end: occurrence.endTime
+  })));
+};
+
+/**
+ * Expand a member's Availability rows into merged intervals for each tier. Each
+ * tier's intervals include the more willing tiers too, so a window that is
+ * preferred for its first hour and possible for its second covers a two-hour
+ * slot at the 'possible' tier.
+ * @param {Array} availability - Availability instances or plain objects
+ * @param {Date} rangeStart - Start of the search window
+ * @param {Date} rangeEnd - End of the search window
+ * @param {String} zone - Member's IANA timezone
+ * @param {Array} blackouts - Member's Blackout rows
+ * @returns {Object} Map of tier name to merged { start, end } intervals
+ */
+const expandAvailabilityTiers = (availability, rangeStart, rangeEnd, zone, blackouts = []) => {
+  const occurrences = expandOccurrences(availability, rangeStart, rangeEnd, zone, blackouts);
+  const tiers = {};
+  
+  TIER_ORDER.forEach((tier) => {
+    tiers[tier] = mergeIntervals(occurrences
+      .filter(occurrence => TIERS[occurrence.tier] >= TIERS[tier])
+      .map(occurrence => ({ start: occurrence.startTime, end: occurrence.endTime })));
+  });
+  
+  return tiers;
+};
+
+/**
+ * Check whether a single interval in a merged list fully contains [start, end)
+ * @param {Array} intervals - Merged intervals
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {Boolean}
+ */
+const coversInterval = (intervals, start, end) => {
+  return intervals.some(interval => interval.start <= start && interval.end >= end);
+};
+
+/**
+ * Most willing tier at which a member's availability covers [start, end)
+ * @param {Object} tiers - Map of tier name to merged intervals, from expandAvailabilityTiers
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {String|null} Tier name, or null when the member is not available
+ */
+const tierForInterval = (tiers, start, end) => {
+  return TIER_ORDER.find(tier => coversInterval((tiers && tiers[tier]) || [], start, end)) || null;
+};
+
+/**
+ * Find and rank candidate rehearsal slots.
+ *
+ * The requested duration is slid across the window in `step` minute increments.
+ * A member counts as available for a slot when one of their availability
+ * intervals covers the whole slot, at the most willing tier that does.
+ * Urgent-only windows count only when `urgent` is set. Slots that overlap a busy interval (e.g. an
+ * already scheduled rehearsal), that have fewer than `minimumMembers`
+ * available, or that leave a requirement unmet are dropped. A requirement is a
+ * list of member IDs and is met when any of them is available, so a required
+ * member is a list of one and a required instrument lists everyone who plays it.
+ * Consecutive slots with the same available members at the same tiers are
+ * collapsed into one suggestion whose `latestStartTime` tells how far it can be
+ * pushed back.
+ *
+ * Suggestions are ranked by `score`, the summed weights of the available
+ * members (1 unless `weights` says otherwise) scaled by their tier, so a slot
+ * most members prefer beats one everyone could merely make. Ties go to the
+ * larger head count, then the earlier start.
+ *
+ * @param {Object} options
+ * @param {Array} options.members - Band members (must have an `id`)
+ * @param {Object} options.availabilityByMember - Map of member ID to tiered intervals, from expandAvailabilityTiers
+ * @param {Array} options.busy - Intervals no slot may overlap
+ * @param {Date} options.rangeStart - Start of the search window
+ * @param {Date} options.rangeEnd - End of the search window
+ * @param {Number} options.duration - Rehearsal duration in minutes
+ * @param {Number} options.minimumMembers - Minimum number of available members
+ * @param {Array} options.requirements - Array of member ID lists every slot must satisfy
+ * @param {Object} options.weights - Map of member ID to attendance weight
+ * @param {Boolean} options.urgent - Count urgent-only availability
+ * @param {Number} options.step - Slot granularity in minutes
+ * @param {Number} options.limit - Maximum number of suggestions to return
+ * @returns {Array} Ranked suggestions
+ */
+const findCandidateSlots = ({
+  members,
+  availabilityByMember,
+  busy = [],
+  rangeStart,
+  rangeEnd,
+  duration,
+  minimumMembers = 1,
+  requirements = [],
+  weights = {},
+  urgent = false,
+  step = 30,
+  limit = 10
+}) => {
+  const durationMs = duration * MINUTE;
+  const stepMs = step * MINUTE;
+  const mergedBusy = mergeIntervals(busy);
+  const weightOf = (member) => (weights[member.id] !== undefined ? Number(weights[member.id]) : 1);
+  const maxScore = members.reduce((sum, member) => sum + weightOf(member), 0);
+  const suggestions = [];
+  let current = null;
+  
+  const firstStart = Math.ceil(rangeStart.getTime() / stepMs) * stepMs;
+  
+  for (let time = firstStart; time + durationMs <= rangeEnd.getTime(); time += stepMs) {
+    const start = new Date(time);
+    const end = new Date(time + durationMs);
+    
+    const isBusy = mergedBusy.some(interval => overlaps(interval.start, interval.end, start, end));
+    const memberTiers = {};
+    if (!isBusy) {
+      members.forEach((member) => {
+        const tier = tierForInterval(availabilityByMember[member.id], start, end);
+        if (tier && (tier !== 'urgent-only' || urgent)) {
+          memberTiers[member.id] = tier;
+        }
+      });
+    }
+    const available = members.filter(member => memberTiers[member.id]);
+    
+    const availableIds = available.map(member => member.id);
+    const meetsRequirements = requirements.every(requirement => {
+      return requirement.some(memberId => availableIds.includes(memberId));
+    });
+    
+    if (isBusy || available.length < minimumMembers || !meetsRequirements) {
+      current = null;
+      continue;
+    }
+    
+    const key = availableIds.map(memberId => `${memberId}:${memberTiers[memberId]}`).join(',');
+    if (current && current.key === key && current.latestStartTime.getTime() === time - stepMs) {
+      current.latestStartTime = start;
+      continue;
+    }
+    
+    current = {
+      key,
+      startTime: start,
+      endTime: end,
+      latestStartTime: start,
+      availableMembers: available,
+      unavailableMembers: members.filter(member => !available.includes(member)),
+      memberTiers,
+      score: available.reduce((sum, member) => sum + weightOf(member) * TIER_SCORES[memberTiers[member.id]], 0)
+    };
+    suggestions.push(current);
+  }
+  
+  return suggestions
+    .sort((a, b) => {
+      return b.score - a.score ||
+        b.availableMembers.length - a.availableMembers.length ||
+        a.startTime - b.startTime;
+    })
+    .slice(0, limit)
+    .map(({ key, ...suggestion }) => ({
+      ...suggestion,
+      score: Math.round(suggestion.score * 100) / 100,
+      tierCounts: TIER_ORDER.reduce((counts, tier) => {
+        counts[tier] = Object.values(suggestion.memberTiers).filter(value => value === tier).length;
+        return counts;
+      }, {}),
+      availableCount: suggestion.availableMembers.length,
+      totalMembers: members.length,
+      maxScore
+    }));
+};
+
+module.exports = {
+  timeToMinutes,
+  overlaps,
+  mergeIntervals,
+  subtractIntervals,
+  expandOccurrences,
+  expandAvailability,
+  expandAvailabilityTiers,
+  coversInterval,
+  tierForInterval,
+  findCandidateSlots
+};
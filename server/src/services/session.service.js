@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User, Session, RefreshToken, sequelize } = require('../models');
+const logger = require('../utils/logger');
+const { hashToken } = require('../utils/secrets');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'rehearsal-scheduler-secret';
+const JWT_EXPIRY = process.env.JWT_EXPIRY || '15m';
+const REFRESH_TOKEN_EXPIRY_MS = (parseInt(process.env.REFRESH_TOKEN_EXPIRY_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised for unusable access or refresh tokens. The name lets callers
+ * answer 401 the same way they do for jsonwebtoken errors.
+ * @param {String} message
+ * @returns {Error}
+ */
+const sessionError = (message) => {
+  const error = new Error(message);
+  error.name = 'SessionError';
+  return error;
+};
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {Object} user - User instance
+ * @param {Object} session - Session instance
+ * @returns {String} JWT
+ */
+const signAccessToken = (user, session) => {
+  return jwt.sign(
+    { id: user.id, email: user.email, role: user.role, sid: session.id },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRY }
+  );
+};
+
+/**
+ * Store a new refresh token for a session
+ * @param {Object} session - Session instance
+ * @param {Date} now
+ * @param {Object} transaction
+ * @returns {Promise<Object>} { refreshToken, expiresAt }
+ */
+const issueRefreshToken = async (session, now, transaction) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(now.getTime() + REFRESH_TOKEN_EXPIRY_MS);
+  
+  await RefreshToken.create({
+    sessionId: session.id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt
+  }, { transaction });
+  await session.update({ expiresAt, lastUsedAt: now }, { transaction });
+  
+  return { refreshToken, expiresAt };
+};
+
+/**
+ * Start a session for a user who just logged in or registered
+ * @param {Object} user - User instance
+ * @param {Object} context - { userAgent, ipAddress }
+ * @returns {Promise<Object>} { accessToken, refreshToken, refreshTokenExpiresAt, session }
+ */
+const createSession = async (user, { userAgent, ipAddress } = {}) => {
+  const now = new Date();
+  
+  return sequelize.transaction(async (transaction) => {
+    const session = await Session.create({
+      userId: user.id,
+      userAgent: userAgent ? userAgent.slice(0, 255) : null,
+      ipAddress,
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_EXPIRY_MS)
+    }, { transaction });
+    const { refreshToken, expiresAt } = await issueRefreshToken(session, now, transaction);
+    
+    return {
+      accessToken: signAccessToken(user, session),
+      refreshToken,
+      refreshTokenExpiresAt: expiresAt,
+      session
+    };
+  });
+};
+
+/**
+ * Revoke a session (and with it every refresh token in its family)
+ * @param {String} sessionId
+ * @param {String} reason - 'logout', 'reuse', 'password-reset' or 'admin'
+ * @param {Object} [transaction]
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+const revokeSession = async (sessionId, reason, transaction) => {
+  const [revoked] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { id: sessionId, revokedAt: null }, transaction }
+  );
+  return revoked;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {String} userId
+ * @param {String} reason
+ * @param {Object} [transaction]
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason, transaction) => {
+  const [revoked] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { userId, revokedAt: null }, transaction }
+  );
+  return revoked;
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ *
+ * Each refresh token works once. Presenting one that was already exchanged
+ * means two parties hold the same family, so the whole session is revoked and
+ * both have to log in again.
+ *
+ * @param {String} token - Refresh token from the client
+ * @returns {Promise<Object>} { accessToken, refreshToken, refreshTokenExpiresAt, session }
+ * @throws {Error} SessionError when the token is unknown, expired, reused or revoked
+ */
+const rotateRefreshToken = async (token) => {
+  const now = new Date();
+  const stored = await RefreshToken.findOne({
+    where: { tokenHash: hashToken(token) },
+    include: [{ model: Session, include: [User] }]
+  });
+  
+  if (!stored || !stored.Session) {
+    throw sessionError('Invalid refresh token');
+  }
+  
+  const session = stored.Session;
+  
+  if (stored.usedAt) {
+    await revokeSession(session.id, 'reuse');
+    logger.warn(`Refresh token reuse detected for session ${session.id}; session revoked`);
+    throw sessionError('Refresh token has already been used');
+  }
+  
+  if (!session.isActive(now) || new Date(stored.expiresAt) <= now) {
+    throw sessionError('Session has expired or been revoked');
+  }
+  
+  const user = session.User;
+  if (!user || !user.isActive) {
+    throw sessionError('User not found or inactive');
+  }
+  
+  const rotated = await sequelize.transaction(async (transaction) => {
+    // Mark the token used; losing this race to a concurrent exchange counts as reuse
+    const [claimed] = await RefreshToken.update(
+      { usedAt: now },
+      { where: { id: stored.id, usedAt: null }, transaction }
+    );
+    
+    if (claimed === 0) {
+      return null;
+    }
+    
+    return issueRefreshToken(session, now, transaction);
+  });
+  
+  if (!rotated) {
+    await revokeSession(session.id, 'reuse');
+    logger.warn(`Concurrent refresh token reuse for session ${session.id}; session revoked`);
+    throw sessionError('Refresh token has already been used');
+  }
+  
+  return {
+    accessToken: signAccessToken(user, session),
+    refreshToken: rotated.refreshToken,
+    refreshTokenExpiresAt: rotated.expiresAt,
+    session
+  };
+};
+
+/**
+ * Verify an access token and the session behind it
+ * @param {String} token - JWT access token
+ * @returns {Promise<Object>} { user, session, decoded }
+ * @throws {Error} JsonWebTokenError/TokenExpiredError from jsonwebtoken, or SessionError
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  
+  if (!decoded.sid) {
+    throw sessionError('Token is not bound to a session');
+  }
+  
+  const session = await Session.findByPk(decoded.sid, { include: [User] });
+  
+  if (!session || session.userId !== decoded.id || !session.isActive()) {
+    throw sessionError('Session has expired or been revoked');
+  }
+  
+  if (!session.User) {
+    throw sessionError('User not found');
+  }
+  
+  if (session.User.changedPasswordAfter(decoded.iat)) {
+    throw sessionError('Password has changed, please log in again');
+  }
+  
+  return { user: session.User, session, decoded };
+};
+
+module.exports = {
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken
+};
\ No newline at end of file
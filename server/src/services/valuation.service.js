@@ -0,0 +1,327 @@
+const { DateTime } = require('luxon');
+const { Equipment, User } = require('../models');
+const csv = require('../utils/csv');
+const pdf = require('../utils/pdf');
+
+// Useful life assumed for gear that does not record one
+const DEFAULT_USEFUL_LIFE_YEARS = 5;
+
+// Amounts summed in each total row
+const AMOUNTS = ['purchasePrice', 'accumulatedDepreciation', 'bookValue', 'insuredValue'];
+
+/**
+ * Convert a DECIMAL column to whole cents so sums do not drift
+ * @param {String|Number|null} value
+ * @returns {Number|null}
+ */
+const toCents = (value) => (value === null || value === undefined ? null : Math.round(Number(value) * 100));
+
+/**
+ * @param {Number|null} cents
+ * @returns {Number|null}
+ */
+const fromCents = (cents) => (cents === null ? null : cents / 100);
+
+/**
+ * Straight-line depreciation of a piece of equipment: the purchase price less
+ * the salvage value, written off evenly over its useful life from the
+ * purchase date. Gear without a purchase date is not depreciated.
+ * @param {Object} equipment - Equipment instance
+ * @param {Date} asOf - Date to value the gear at
+ * @returns {Object} { ageYears, usefulLifeYears, accumulatedDepreciation, bookValue }; amounts are null without a purchase price
+ */
+const depreciate = (equipment, asOf = new Date()) => {
+  const usefulLifeYears = equipment.usefulLifeYears || DEFAULT_USEFUL_LIFE_YEARS;
+  
+  const ageYears = equipment.purchaseDate
+    ? Math.max(0, DateTime.fromJSDate(asOf, { zone: 'utc' })
+      .diff(DateTime.fromISO(equipment.purchaseDate, { zone: 'utc' }), 'years').years)
+    : null;
+  
+  const price = toCents(equipment.purchasePrice);
+  if (price === null) {
+    return { ageYears, usefulLifeYears, accumulatedDepreciation: null, bookValue: null };
+  }
+  
+  const salvage = Math.min(toCents(equipment.salvageValue) || 0, price);
+  const depreciation = Math.round((price - salvage) * Math.min(1, (ageYears || 0) / usefulLifeYears));
+  
+  return {
+    ageYears: ageYears === null ? null : Math.round(ageYears * 100) / 100,
+    usefulLifeYears,
+    accumulatedDepreciation: fromCents(depreciation),
+    bookValue: fromCents(price - depreciation)
+  };
+};
+
+/**
+ * Add up report items per group and currency; amounts in different
+ * currencies are never summed together
+ * @param {Array<Object>} items - Report items
+ * @param {Function} groupOf - Group key of an item, or null for one total per currency
+ * @param {Function} [labelOf] - Name shown for an item's group; defaults to its key
+ * @returns {Array<Object>} Rows of { group, currency, items, unvalued, ...amounts }
+ */
+const totalsBy = (items, groupOf, labelOf = groupOf) => {
+  const rows = new Map();
+  
+  items.forEach((item) => {
+    const key = JSON.stringify([groupOf ? groupOf(item) : null, item.currency]);
+    if (!rows.has(key)) {
+      rows.set(key, {
+        group: labelOf ? labelOf(item) : null,
+        currency: item.currency,
+        items: 0,
+        unvalued: 0,
+        ...AMOUNTS.reduce((sums, amount) => ({ ...sums, [amount]: 0 }), {})
+      });
+    }
+    
+    const row = rows.get(key);
+    row.items += 1;
+    if (item.insuredValue === null) {
+      row.unvalued += 1;
+    }
+    AMOUNTS.forEach((amount) => {
+      row[amount] += toCents(item[amount]) || 0;
+    });
+  });
+  
+  return [...rows.values()]
+    .map(row => ({ ...row, ...AMOUNTS.reduce((sums, amount) => ({ ...sums, [amount]: fromCents(row[amount]) }), {}) }))
+    .sort((a, b) => String(a.group).localeCompare(String(b.group)) || String(a.currency).localeCompare(String(b.currency)));
+};
+
+/**
+ * Inventory valuation of a band's gear for insurance: each item's
+ * depreciated book value and the value to insure it for, which is its
+ * current value where one is recorded and its book value otherwise
+ * @param {Object} band - Band instance
+ * @param {Object} [options]
+ * @param {Date} [options.asOf] - Date to value the gear at; defaults to now
+ * @returns {Promise<Object>} { band, asOf, items, totals, byCategory, byOwner }
+ */
+const bandValuation = async (band, { asOf = new Date() } = {}) => {
+  const equipment = await Equipment.findAll({
+    where: { bandId: band.id },
+    include: [{ model: User, as: 'owner', attributes: ['id', 'firstName', 'lastName'] }],
+    order: [['category', 'ASC'], ['name', 'ASC']]
+  });
+  
+  const items = equipment.map((item) => {
+    const { ageYears, usefulLifeYears, accumulatedDepreciation, bookValue } = depreciate(item, asOf);
+    const currentValue = item.currentValue === null ? null : Number(item.currentValue);
+    
+    return {
+      id: item.id,
+      name: item.name,
+      category: item.category || 'Uncategorized',
+      brand: item.brand,
+      model: item.model,
+      serialNumber: item.serialNumber,
+      condition: item.condition,
+      status: item.status,
+      ownerId: item.owner ? item.owner.id : null,
+      owner: item.owner ? `${item.owner.firstName} ${item.owner.lastName}` : 'Band',
+      purchaseDate: item.purchaseDate,
+      currency: item.currency,
+      purchasePrice: item.purchasePrice === null ? null : Number(item.purchasePrice),
+      salvageValue: item.salvageValue === null ? null : Number(item.salvageValue),
+      usefulLifeYears,
+      ageYears,
+      accumulatedDepreciation,
+      bookValue,
+      currentValue,
+      insuredValue: currentValue !== null ? currentValue : bookValue
+    };
+  });
+  
+  return {
+    band: { id: band.id, name: band.name },
+    asOf,
+    items,
+    totals: totalsBy(items, null),
+    byCategory: totalsBy(items, item => item.category),
+    // Two members can share a name, so owners are told apart by ID
+    byOwner: totalsBy(items, item => item.ownerId, item => item.owner)
+  };
+};
+
+/**
+ * @param {Date} date
+ * @returns {String} YYYY-MM-DD
+ */
+const isoDate = (date) => DateTime.fromJSDate(date, { zone: 'utc' }).toISODate();
+
+// Columns of the item list in the CSV export
+const CSV_ITEM_COLUMNS = [
+  ['Item', 'name'], ['Category', 'category'], ['Brand', 'brand'], ['Model', 'model'],
+  ['Serial number', 'serialNumber'], ['Owner', 'owner'], ['Condition', 'condition'], ['Status', 'status'],
+  ['Purchase date', 'purchaseDate'], ['Currency', 'currency'], ['Purchase price', 'purchasePrice'],
+  ['Salvage value', 'salvageValue'], ['Useful life (years)', 'usefulLifeYears'], ['Age (years)', 'ageYears'],
+  ['Depreciation', 'accumulatedDepreciation'], ['Book value', 'bookValue'], ['Current value', 'currentValue'],
+  ['Insured value', 'insuredValue']
+];
+
+/**
+ * Total rows as CSV rows under a group heading
+ * @param {String} heading - Name of the group column
+ * @param {Array<Object>} rows - Rows from totalsBy
+ * @returns {Array<Array>}
+ */
+const csvTotals = (heading, rows) => [
+  [heading, 'Currency', 'Items', 'Unvalued items', 'Purchase price', 'Depreciation', 'Book value', 'Insured value'],
+  ...rows.map(row => [row.group, row.currency, row.items, row.unvalued, ...AMOUNTS.map(amount => row[amount])])
+];
+
+/**
+ * Export a valuation report as CSV: the item list followed by the totals
+ * by category, by owner and overall
+ * @param {Object} report - Result of bandValuation
+ * @returns {String}
+ */
+const toCsv = (report) => {
+  return csv.serialize([
+    [`Inventory valuation: ${report.band.name}`],
+    ['As of', isoDate(report.asOf)],
+    [],
+    CSV_ITEM_COLUMNS.map(([title]) => title),
+    ...report.items.map(item => CSV_ITEM_COLUMNS.map(([, field]) => item[field])),
+    [],
+    ['Totals by category'],
+    ...csvTotals('Category', report.byCategory),
+    [],
+    ['Totals by owner'],
+    ...csvTotals('Owner', report.byOwner),
+    [],
+    ['Totals'],
+    ...csvTotals('Total', report.totals.map(row => ({ ...row, group: 'All equipment' })))
+  ]);
+};
+
+/**
+ * @param {Number|null} value
+ * @returns {String} Amount with thousands separators and two decimals
+ */
+const formatAmount = (value) => {
+  return value === null ? '' : value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+};
+
+// Columns of the item list in the PDF export; widths in points fill a landscape A4 page
+const PDF_ITEM_COLUMNS = [
+  { title: 'Item', width: 130, value: item => item.name },
+  { title: 'Brand / model', width: 100, value: item => [item.brand, item.model].filter(Boolean).join(' ') },
+  { title: 'Serial number', width: 70, value: item => item.serialNumber || '' },
+  { title: 'Category', width: 70, value: item => item.category },
+  { title: 'Owner', width: 80, value: item => item.owner },
+  { title: 'Purchased', width: 55, value: item => item.purchaseDate || '' },
+  { title: 'Cur.', width: 30, value: item => item.currency || '' },
+  { title: 'Price', width: 56, align: 'right', value: item => formatAmount(item.purchasePrice) },
+  { title: 'Depreciation', width: 56, align: 'right', value: item => formatAmount(item.accumulatedDepreciation) },
+  { title: 'Book value', width: 56, align: 'right', value: item => formatAmount(item.bookValue) },
+  { title: 'Insured value', width: 56, align: 'right', value: item => formatAmount(item.insuredValue) }
+];
+
+/**
+ * Columns of a totals table in the PDF export
+ * @param {String} heading - Name of the group column
+ * @returns {Array<Object>}
+ */
+const pdfTotalColumns = (heading) => [
+  { title: heading, width: 200, value: row => row.group },
+  { title: 'Cur.', width: 40, value: row => row.currency || '' },
+  { title: 'Items', width: 50, align: 'right', value: row => String(row.items) },
+  { title: 'Unvalued', width: 60, align: 'right', value: row => String(row.unvalued) },
+  ...[['Price', 'purchasePrice'], ['Depreciation', 'accumulatedDepreciation'], ['Book value', 'bookValue'],
+    ['Insured value', 'insuredValue']]
+    .map(([title, amount]) => ({ title, width: 90, align: 'right', value: row => formatAmount(row[amount]) }))
+];
+
+const MARGIN = 40;
+const ROW_HEIGHT = 14;
+const FONT_SIZE = 8;
+
+/**
+ * Export a valuation report as a landscape A4 PDF. Tables that run over a
+ * page repeat their header on the next one.
+ * @param {Object} report - Result of bandValuation
+ * @returns {Buffer}
+ */
+const toPdf = (report) => {
+  const [height, width] = pdf.PAGE_SIZES.A4;
+  const bottom = height - MARGIN - ROW_HEIGHT;
+  const heading = `Inventory valuation: ${report.band.name}`;
+  
+  const pages = [];
+  let page;
+  let y;
+  
+  const newPage = () => {
+    page = [
+      { text: pdf.fitText(heading, width - 2 * MARGIN, 14), x: MARGIN, y: MARGIN + 14, size: 14, bold: true },
+      { text: `As of ${isoDate(report.asOf)}`, x: MARGIN, y: MARGIN + 30, size: 9 }
+    ];
+    pages.push(page);
+    y = MARGIN + 56;
+  };
+  
+  const row = (columns, values, bold = false) => {
+    let x = MARGIN;
+    columns.forEach((column, index) => {
+      const text = pdf.fitText(values[index], column.width - 6, FONT_SIZE);
+      if (text) {
+        page.push(column.align === 'right'
+          ? { text, x: x + column.width - 6, y, size: FONT_SIZE, bold, align: 'right' }
+          : { text, x, y, size: FONT_SIZE, bold });
+      }
+      x += column.width;
+    });
+    y += ROW_HEIGHT;
+  };
+  
+  const table = (title, columns, records) => {
+    const tableWidth = columns.reduce((sum, column) => sum + column.width, 0);
+    const header = () => {
+      row(columns, columns.map(column => column.title), true);
+      page.push({ line: [MARGIN, y - ROW_HEIGHT + 4, MARGIN + tableWidth, y - ROW_HEIGHT + 4] });
+    };
+    
+    // Keep a title with its header and first row
+    if (y + 3 * ROW_HEIGHT > bottom) {
+      newPage();
+    }
+    page.push({ text: title, x: MARGIN, y, size: 11, bold: true });
+    y += ROW_HEIGHT + 4;
+    header();
+    
+    records.forEach((record) => {
+      if (y > bottom) {
+        newPage();
+        header();
+      }
+      row(columns, columns.map(column => column.value(record)));
+    });
+    y += ROW_HEIGHT;
+  };
+  
+  newPage();
+  table('Equipment', PDF_ITEM_COLUMNS, report.items);
+  table('Totals by category', pdfTotalColumns('Category'), report.byCategory);
+  table('Totals by owner', pdfTotalColumns('Owner'), report.byOwner);
+  table('Totals', pdfTotalColumns('Total'), report.totals.map(total => ({ ...total, group: 'All equipment' })));
+  
+  pages.forEach((items, index) => {
+    items.push({ text: `Page ${index + 1} of ${pages.length}`, x: width - MARGIN, y: height - MARGIN / 2, size: FONT_SIZE, align: 'right' });
+  });
+  
+  return pdf.renderDocument(pages, { size: 'A4', landscape: true, title: heading });
+};
+
+module.exports = {
+  DEFAULT_USEFUL_LIFE_YEARS,
+  depreciate,
+  totalsBy,
+  bandValuation,
+  toCsv,
+  toPdf
+};
\ No newline at end of file
@@ -0,0 +1,193 @@
+const { DateTime } = require('luxon');
+const { Venue } = require('../models');
+const rehearsalService = require('./rehearsal.service');
+const { timeToMinutes, overlaps, mergeIntervals, subtractIntervals } = require('./scheduling.service');
+const { resolveTimezone } = require('../utils/timezone');
+
+/**
+ * Build the error thrown when a room is closed or already booked
+ * @param {Object} report - Report from checkBooking
+ * @returns {Error}
+ */
+const roomError = (report) => {
+  const error = new Error('The room is not available at this time');
+  error.name = 'RoomUnavailableError';
+  error.report = report;
+  return error;
+};
+
+/**
+ * Intervals in which a venue is open inside a range. Opening hours are read in
+ * the venue's timezone, so they keep their local times across DST changes.
+ * @param {Object} venue - Venue instance
+ * @param {Date} rangeStart
+ * @param {Date} rangeEnd
+ * @returns {Array} Merged { start, end } intervals clipped to the range
+ */
+const openIntervals = (venue, rangeStart, rangeEnd) => {
+  if (!venue.openingHours) {
+    return [{ start: new Date(rangeStart), end: new Date(rangeEnd) }];
+  }
+  
+  const timezone = resolveTimezone(venue.timezone);
+  const intervals = [];
+  
+  // Start a day early for hours that run past midnight into the range
+  let day = DateTime.fromJSDate(new Date(rangeStart), { zone: timezone }).startOf('day').minus({ days: 1 });
+  while (day.toMillis() < new Date(rangeEnd).getTime()) {
+    // Luxon weekdays run 1 (Monday) to 7 (Sunday); dayOfWeek uses 0 for Sunday
+    venue.openingHours
+      .filter(entry => entry.dayOfWeek === day.weekday % 7)
+      .forEach((entry) => {
+        const openMinutes = timeToMinutes(entry.open);
+        const closeMinutes = timeToMinutes(entry.close) % (24 * 60);
+        const closeDay = closeMinutes <= openMinutes ? day.plus({ days: 1 }) : day;
+        
+        const start = day.set({ hour: Math.floor(openMinutes / 60), minute: openMinutes % 60 }).toMillis();
+        const end = closeDay.set({ hour: Math.floor(closeMinutes / 60), minute: closeMinutes % 60 }).toMillis();
+        const clippedStart = Math.max(start, new Date(rangeStart).getTime());
+        const clippedEnd = Math.min(end, new Date(rangeEnd).getTime());
+        if (clippedEnd > clippedStart) {
+          intervals.push({ start: new Date(clippedStart), end: new Date(clippedEnd) });
+        }
+      });
+    day = day.plus({ days: 1 });
+  }
+  
+  return mergeIntervals(intervals);
+};
+
+/**
+ * Intervals in which a venue is closed inside a range
+ * @param {Object} venue - Venue instance
+ * @param {Date} rangeStart
+ * @param {Date} rangeEnd
+ * @returns {Array} { start, end } intervals in order
+ */
+const closedIntervals = (venue, rangeStart, rangeEnd) => {
+  return subtractIntervals(rangeStart, rangeEnd, openIntervals(venue, rangeStart, rangeEnd));
+};
+
+/**
+ * Active rehearsal occurrences booked into a venue, by any band
+ * @param {String} venueId
+ * @param {Date} rangeStart
+ * @param {Date} rangeEnd
+ * @param {Object} [options]
+ * @param {Object} [options.transaction]
+ * @returns {Promise<Array>} Plain occurrence objects sorted by start
+ */
+const bookingsOf = (venueId, rangeStart, rangeEnd, { transaction } = {}) => {
+  return rehearsalService.activeOccurrences({ where: { venueId }, rangeStart, rangeEnd, transaction });
+};
+
+/**
+ * Describe a booking for someone who may not be in the band that made it.
+ * Other bands' rehearsals only show as busy time.
+ * @param {Object} occurrence - Plain occurrence
+ * @param {Array<String>} bandIds - Bands whose rehearsals are shown in full
+ * @returns {Object}
+ */
+const describeBooking = (occurrence, bandIds) => {
+  const booking = { startTime: occurrence.startTime, endTime: occurrence.endTime };
+  if (bandIds.includes(occurrence.bandId)) {
+    Object.assign(booking, { id: occurrence.id, seriesId: occurrence.seriesId || null, title: occurrence.title });
+  }
+  return booking;
+};
+
+/**
+ * Check occurrences against a venue's opening hours and its other bookings
+ * @param {Object} options
+ * @param {Object} options.venue - Venue instance
+ * @param {Array} options.occurrences - Objects with startTime and endTime
+ * @param {String} options.bandId - Band making the booking
+ * @param {Array<String>} options.exclude - IDs of the rehearsal or series being booked
+ * @param {Object} [options.transaction]
+ * @returns {Promise<Object>} { available, closed, doubleBookings }
+ */
+const checkBooking = async ({ venue, occurrences, bandId, exclude = [], transaction }) => {
+  if (occurrences.length === 0) {
+    return { available: true, closed: [], doubleBookings: [] };
+  }
+  
+  const rangeStart = new Date(Math.min(...occurrences.map(occurrence => new Date(occurrence.startTime))));
+  const rangeEnd = new Date(Math.max(...occurrences.map(occurrence => new Date(occurrence.endTime))));
+  const excluded = exclude.filter(Boolean);
+  
+  const open = openIntervals(venue, rangeStart, rangeEnd);
+  const closed = occurrences
+    .filter(occurrence => !open.some(interval => {
+      return interval.start <= new Date(occurrence.startTime) && interval.end >= new Date(occurrence.endTime);
+    }))
+    .map(occurrence => ({ occurrenceStart: new Date(occurrence.startTime) }));
+  
+  const bookings = (await bookingsOf(venue.id, rangeStart, rangeEnd, { transaction }))
+    .filter(other => !excluded.includes(other.id) && !excluded.includes(other.seriesId));
+  
+  const doubleBookings = [];
+  occurrences.forEach((occurrence) => {
+    bookings
+      .filter(other => overlaps(occurrence.startTime, occurrence.endTime, other.startTime, other.endTime))
+      .forEach((other) => {
+        doubleBookings.push({
+          occurrenceStart: new Date(occurrence.startTime),
+          booking: describeBooking(other, [bandId])
+        });
+      });
+  });
+  
+  return {
+    available: closed.length === 0 && doubleBookings.length === 0,
+    closed,
+    doubleBookings
+  };
+};
+
+/**
+ * Make sure a rehearsal's room is open and free before it is saved. The venue
+ * row is locked for the rest of the transaction so two bookings of the same
+ * room cannot pass the check at the same time. Series are checked with their
+ * exceptions applied. Rehearsals without a room, and cancelled or completed
+ * ones, always pass.
+ * @param {Object} rehearsal - Rehearsal or series as it will be saved
+ * @param {Object} options
+ * @param {Array<String>} [options.exclude] - Further IDs of the same rehearsal (e.g. the series being split)
+ * @param {Date} [options.now] - Series occurrences before this are not checked
+ * @param {Object} options.transaction - Transaction the rehearsal is saved in
+ * @returns {Promise<Object|null>} Booking report, or null when there is nothing to check
+ * @throws {Error} RoomUnavailableError when the room is closed or booked
+ */
+const reserve = async (rehearsal, { exclude = [], now, transaction }) => {
+  if (!rehearsal.venueId || !rehearsalService.ACTIVE_STATUSES.includes(rehearsal.status || 'scheduled')) {
+    return null;
+  }
+  
+  const venue = await Venue.findByPk(rehearsal.venueId, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!venue) {
+    throw new Error(`Venue ${rehearsal.venueId} not found`);
+  }
+  
+  const report = await checkBooking({
+    venue,
+    occurrences: await rehearsalService.occurrencesToCheck(rehearsal, { against: { venueId: venue.id }, now, transaction }),
+    bandId: rehearsal.bandId,
+    exclude: [rehearsal.id, rehearsal.seriesId, ...exclude],
+    transaction
+  });
+  
+  if (!report.available) {
+    throw roomError(report);
+  }
+  return report;
+};
+
+module.exports = {
+  roomError,
+  openIntervals,
+  closedIntervals,
+  bookingsOf,
+  describeBooking,
+  checkBooking,
+  reserve
+};
\ No newline at end of file
@@ -0,0 +1,257 @@
+const { DateTime } = require('luxon');
+const { formatForDisplay, resolveTimezone } = require('../utils/timezone');
+
+const APP_NAME = 'Rehearsal Scheduler';
+
+/**
+ * Escape a value for use in HTML
+ * @param {*} value
+ * @returns {String}
+ */
+const escapeHtml = (value) => {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Wrap message content in the common HTML layout
+ * @param {String} heading - Message heading (plain text)
+ * @param {Array<String>} blocks - HTML blocks, already escaped
+ * @returns {String} HTML document
+ */
+const layout = (heading, blocks) => {
+  return `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222; line-height: 1.5;">
+    <h2>${escapeHtml(heading)}</h2>
+    ${blocks.join('\n    ')}
+    <p style="color: #888; font-size: 12px;">${APP_NAME}</p>
+  </body>
+</html>`;
+};
+
+/**
+ * Render a call-to-action link as an HTML button
+ * @param {String} url
+ * @param {String} label
+ * @returns {String}
+ */
+const button = (url, label) => {
+  return `<p><a href="${escapeHtml(url)}" style="background: #3b5bdb; color: #fff; padding: 10px 16px; text-decoration: none; border-radius: 4px;">${escapeHtml(label)}</a></p>`;
+};
+
+/**
+ * Greeting line for a recipient
+ * @param {Object} recipient - User (firstName)
+ * @returns {String}
+ */
+const greeting = (recipient) => {
+  return recipient.firstName ? `Hi ${recipient.firstName},` : 'Hi,';
+};
+
+/**
+ * Plain-text and HTML detail lines for a rehearsal, with times in the recipient's zone
+ * @param {Object} rehearsal - Rehearsal or occurrence
+ * @param {Object} recipient - User (timezone)
+ * @returns {Object} { text, html }
+ */
+const rehearsalDetails = (rehearsal, recipient) => {
+  const zone = resolveTimezone(recipient.timezone);
+  const sameDay = DateTime.fromJSDate(new Date(rehearsal.startTime), { zone })
+    .hasSame(DateTime.fromJSDate(new Date(rehearsal.endTime), { zone }), 'day');
+  const start = formatForDisplay(rehearsal.startTime, zone);
+  const end = formatForDisplay(rehearsal.endTime, zone, { timeOnly: sameDay });
+  const lines = [
+    ['When', `${start} – ${end}`],
+    ['Where', rehearsal.location || 'To be announced']
+  ];
+  if (rehearsal.locationDetails) {
+    lines.push(['Details', rehearsal.locationDetails]);
+  }
+  
+  return {
+    text: lines.map(([label, value]) => `${label}: ${value}`).join('\n'),
+    html: `<ul>${lines.map(([label, value]) => `<li><strong>${label}:</strong> ${escapeHtml(value)}</li>`).join('')}</ul>`
+  };
+};
+
+/**
+ * Invitation to join a band
+ * @param {Object} data - { recipient, band, inviter, role, message, acceptUrl, expiresAt }
+ * @returns {Object} { subject, text, html }
+ */
+const invitation = ({ recipient, band, inviter, role = 'member', message, acceptUrl, expiresAt }) => {
+  const inviterName = inviter ? `${inviter.firstName} ${inviter.lastName}`.trim() : 'A band admin';
+  const intro = `${inviterName} invited you to join ${band.name} as ${role === 'admin' ? 'an admin' : `a ${role}`}.`;
+  const expiry = `This invitation expires on ${formatForDisplay(expiresAt, recipient.timezone)}.`;
+  const note = message ? [`"${message}"`, ''] : [];
+  
+  return {
+    subject: `You're invited to join ${band.name}`,
+    text: [greeting(recipient), '', intro, '', ...note, `Accept or decline the invitation: ${acceptUrl}`, '', expiry].join('\n'),
+    html: layout(`Join ${band.name}`, [
+      `<p>${escapeHtml(greeting(recipient))}</p>`,
+      `<p>${escapeHtml(intro)}</p>`,
+      ...(message ? [`<blockquote>${escapeHtml(message)}</blockquote>`] : []),
+      button(acceptUrl, 'View invitation'),
+      `<p>${escapeHtml(expiry)}</p>`
+    ])
+  };
+};
+
+/**
+ * Password reset link
+ * @param {Object} data - { recipient, resetUrl, expiresAt }
+ * @returns {Object} { subject, text, html }
+ */
+const passwordReset = ({ recipient, resetUrl, expiresAt }) => {
+  const intro = 'We received a request to reset your password. The link below can be used once.';
+  const expiry = `It expires on ${formatForDisplay(expiresAt, recipient.timezone)}.`;
+  const ignore = 'If you did not request a reset, you can ignore this email.';
+  
+  return {
+    subject: 'Reset your password',
+    text: [greeting(recipient), '', intro, '', resetUrl, '', expiry, ignore].join('\n'),
+    html: layout('Reset your password', [
+      `<p>${escapeHtml(greeting(recipient))}</p>`,
+      `<p>${escapeHtml(intro)}</p>`,
+      button(resetUrl, 'Reset password'),
+      `<p>${escapeHtml(expiry)} ${escapeHtml(ignore)}</p>`
+    ])
+  };
+};
+
+/**
+ * Upcoming rehearsal reminder
+ * @param {Object} data - { recipient, rehearsal, band }
+ * @returns {Object} { subject, text, html }
+ */
+const reminder = ({ recipient, rehearsal, band }) => {
+  const details = rehearsalDetails(rehearsal, recipient);
+  const intro = `Reminder: ${band ? `${band.name} has` : 'you have'} a rehearsal coming up.`;
+  
+  return {
+    subject: `Reminder: ${rehearsal.title}`,
+    text: [greeting(recipient), '', intro, '', rehearsal.title, details.text].join('\n'),
+    html: layout(rehearsal.title, [
+      `<p>${escapeHtml(greeting(recipient))}</p>`,
+      `<p>${escapeHtml(intro)}</p>`,
+      details.html
+    ])
+  };
+};
+
+/**
+ * Cancelled rehearsal, occurrence or series
+ * @param {Object} data - { recipient, rehearsal, band, scope, reason }
+ * @returns {Object} { subject, text, html }
+ */
+const cancellation = ({ recipient, rehearsal, band, scope = 'this', reason }) => {
+  const when = formatForDisplay(rehearsal.startTime, recipient.timezone);
+  const intro = {
+    this: `The rehearsal "${rehearsal.title}" on ${when} has been cancelled.`,
+    following: `The rehearsal series "${rehearsal.title}" has been cancelled from ${when} on.`,
+    all: `The rehearsal series "${rehearsal.title}" has been cancelled.`
+  }[scope];
+  const lines = [intro];
+  if (reason) {
+    lines.push(`Reason: ${reason}`);
+  }
+  
+  return {
+    subject: `Cancelled: ${rehearsal.title}${band ? ` (${band.name})` : ''}`,
+    text: [greeting(recipient), '', ...lines].join('\n'),
+    html: layout(`Cancelled: ${rehearsal.title}`, [
+      `<p>${escapeHtml(greeting(recipient))}</p>`,
+      ...lines.map(line => `<p>${escapeHtml(line)}</p>`)
+    ])
+  };
+};
+
+/**
+ * Rehearsal moved to a new time
+ * @param {Object} data - { recipient, rehearsal, band, previousStartTime }
+ * @returns {Object} { subject, text, html }
+ */
+const reschedule = ({ recipient, rehearsal, band, previousStartTime }) => {
+  const details = rehearsalDetails(rehearsal, recipient);
+  const intro = previousStartTime
+    ? `The rehearsal "${rehearsal.title}" planned for ${formatForDisplay(previousStartTime, recipient.timezone)} has moved.`
+    : `The rehearsal "${rehearsal.title}" has moved.`;
+  
+  return {
+    subject: `Rescheduled: ${rehearsal.title}${band ? ` (${band.name})` : ''}`,
+    text: [greeting(recipient), '', intro, '', 'New time:', details.text].join('\n'),
+    html: layout(`Rescheduled: ${rehearsal.title}`, [
+      `<p>${escapeHtml(greeting(recipient))}</p>`,
+      `<p>${escapeHtml(intro)}</p>`,
+      '<p>New time:</p>',
+      details.html
+    ])
+  };
+};
+
+/**
+ * Equipment maintenance coming due or overdue, with the rehearsals the gear
+ * is booked for once it is overdue
+ * @param {Object} data - { recipient, equipment, plan, band, bookings, now }
+ * @returns {Object} { subject, text, html }
+ */
+const maintenanceDue = ({ recipient, equipment, plan, band, bookings = [], now = new Date() }) => {
+  const overdue = new Date(plan.nextDueAt) <= now;
+  const when = formatForDisplay(plan.nextDueAt, recipient.timezone);
+  const owner = band ? `${band.name}'s ${equipment.name}` : `Your ${equipment.name}`;
+  const intro = overdue
+    ? `${plan.name} for ${owner} was due on ${when}.`
+    : `${plan.name} for ${owner} is due on ${when}.`;
+  const booked = bookings.map(booking => `${booking.title || 'Another band\'s rehearsal'}, ${formatForDisplay(booking.startTime, recipient.timezone)}`);
+  const bookedIntro = 'It is booked for these rehearsals while maintenance is overdue:';
+  
+  return {
+    subject: `${overdue ? 'Maintenance overdue' : 'Maintenance due'}: ${equipment.name}`,
+    text: [
+      greeting(recipient), '', intro,
+      ...(booked.length > 0 ? ['', bookedIntro, ...booked.map(line => `- ${line}`)] : [])
+    ].join('\n'),
+    html: layout(`${plan.name}: ${equipment.name}`, [
+      `<p>${escapeHtml(greeting(recipient))}</p>`,
+      `<p>${escapeHtml(intro)}</p>`,
+      ...(booked.length > 0
+        ? [`<p>${escapeHtml(bookedIntro)}</p>`, `<ul>${booked.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`]
+        : [])
+    ])
+  };
+};
+
+const templates = {
+  invitation,
+  passwordReset,
+  reminder,
+  cancellation,
+  reschedule,
+  maintenanceDue
+};
+
+/**
+ * Render a template by name
+ * @param {String} name - Template name (e.g. 'reminder')
+ * @param {Object} data - Template data; must include `recipient`
+ * @returns {Object} { subject, text, html }
+ * @throws {Error} When the template does not exist
+ */
+const render = (name, data) => {
+  if (!templates[name]) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return templates[name](data);
+};
+
+module.exports = {
+  escapeHtml,
+  templates,
+  render
+};
\ No newline at end of file
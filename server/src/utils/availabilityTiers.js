@@ -0,0 +1,37 @@
+/**
+ * Availability tiers, stored in Availability.priority (higher is more willing).
+ * Rows saved before tiers existed default to 1, which reads as 'possible'.
+ */
+const TIERS = {
+  'urgent-only': 0,
+  possible: 1,
+  preferred: 2
+};
+
+const DEFAULT_TIER = 'possible';
+
+/**
+ * Tier name for a stored priority. Values outside the known range clamp to the nearest tier.
+ * @param {Number} priority - Availability.priority value
+ * @returns {String} 'preferred', 'possible' or 'urgent-only'
+ */
+const tierName = (priority) => {
+  const value = Number.isFinite(Number(priority)) ? Number(priority) : TIERS[DEFAULT_TIER];
+  if (value >= TIERS.preferred) return 'preferred';
+  if (value <= TIERS['urgent-only']) return 'urgent-only';
+  return 'possible';
+};
+
+/**
+ * Stored priority for a tier name
+ * @param {String} name - 'preferred', 'possible' or 'urgent-only'
+ * @returns {Number|undefined} Priority, or undefined for an unknown name
+ */
+const tierPriority = (name) => TIERS[name];
+
+module.exports = {
+  TIERS,
+  DEFAULT_TIER,
+  tierName,
+  tierPriority
+};
\ No newline at end of file
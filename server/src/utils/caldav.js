@@ -0,0 +1,189 @@
+const { formatUtc } = require('./ical');
+const { guardedFetch } = require('./outbound');
+const logger = require('./logger');
+
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+// Statuses a caller handles itself; anything else outside 2xx is an error
+const EXPECTED_STATUSES = [404, 412];
+
+/**
+ * Build the error thrown when a CalDAV server cannot be used
+ * @param {String} message
+ * @param {Number} [status] - HTTP status from the server
+ * @returns {Error}
+ */
+const caldavError = (message, status = null) => {
+  const error = new Error(message);
+  error.name = 'CalDavError';
+  error.status = status;
+  return error;
+};
+
+/**
+ * Decode the XML entities and CDATA of an element's text
+ * @param {String} text
+ * @returns {String}
+ */
+const xmlText = (text) => {
+  const cdata = /^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/.exec(text);
+  if (cdata) {
+    return cdata[1];
+  }
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+};
+
+/**
+ * Text of every element with a local name, whatever namespace prefix the server uses
+ * @param {String} xml
+ * @param {String} name - Local element name, e.g. 'calendar-data'
+ * @returns {Array<String>}
+ */
+const elementTexts = (xml, name) => {
+  const pattern = new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => xmlText(match[1]));
+};
+
+/**
+ * Create a client for one CalDAV calendar collection (e.g. a Nextcloud or
+ * Radicale calendar URL), using HTTP basic authentication. Requests go through
+ * utils/outbound, so the server and its redirects must be on the public
+ * internet unless listed in OUTBOUND_ALLOWED_HOSTS.
+ * @param {Object} options
+ * @param {String} options.calendarUrl - URL of the calendar collection
+ * @param {String} [options.username]
+ * @param {String} [options.password]
+ * @returns {Object} { eventUrl, checkCalendar, putEvent, deleteEvent, queryEvents }
+ */
+const createClient = ({ calendarUrl, username, password }) => {
+  const base = calendarUrl.endsWith('/') ? calendarUrl : `${calendarUrl}/`;
+  const authorization = username
+    ? `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}`
+    : null;
+  
+  const request = async (method, url, { body, headers = {} } = {}) => {
+    let response;
+    try {
+      response = await guardedFetch(url, {
+        method,
+        body,
+        headers: { ...(authorization ? { Authorization: authorization } : {}), ...headers },
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+    } catch (error) {
+      if (error.name === 'BlockedAddressError') {
+        throw caldavError(`The CalDAV URL cannot be used: ${error.message}`);
+      }
+      // Network errors name internal addresses and ports, so they are only logged
+      logger.warn(`CalDAV ${method} request failed: ${error.message}`);
+      throw caldavError('Could not reach the CalDAV server');
+    }
+    
+    if (response.status === 401 || response.status === 403) {
+      throw caldavError('The CalDAV server refused the username or password', response.status);
+    }
+    if (!response.ok && !EXPECTED_STATUSES.includes(response.status)) {
+      throw caldavError(`CalDAV server responded with ${response.status}`, response.status);
+    }
+    return response;
+  };
+  
+  return {
+    /**
+     * URL of the resource holding one event
+     * @param {String} name - Resource name without extension
+     * @returns {String}
+     */
+    eventUrl(name) {
+      return new URL(`${encodeURIComponent(name)}.ics`, base).toString();
+    },
+    
+    /**
+     * Make sure the URL is a calendar the credentials can read
+     * @returns {Promise<Object>} { displayName }
+     * @throws {Error} CalDavError when it is not
+     */
+    async checkCalendar() {
+      const response = await request('PROPFIND', base, {
+        headers: { Depth: '0', 'Content-Type': 'application/xml; charset=utf-8' },
+        body: '<?xml version="1.0" encoding="utf-8"?>' +
+          '<d:propfind xmlns:d="DAV:"><d:prop><d:resourcetype/><d:displayname/></d:prop></d:propfind>'
+      });
+      const xml = await response.text();
+      const [resourceType = ''] = elementTexts(xml, 'resourcetype');
+      
+      if (response.status === 404 || !/<(?:[\w-]+:)?calendar[\s/>]/.test(resourceType)) {
+        throw caldavError('The URL is not a CalDAV calendar', response.status);
+      }
+      const [displayName = null] = elementTexts(xml, 'displayname');
+      return { displayName };
+    },
+    
+    /**
+     * Create or replace an event resource
+     * @param {String} url - Resource URL
+     * @param {String} text - iCalendar object
+     * @param {Object} [options]
+     * @param {Boolean} [options.create] - Fail with 412 if the resource already exists
+     * @param {String} [options.etag] - Fail with 412 unless the resource still has this ETag
+     * @returns {Promise<Object>} { status, etag }
+     */
+    async putEvent(url, text, { create = false, etag = null } = {}) {
+      const headers = { 'Content-Type': 'text/calendar; charset=utf-8' };
+      if (create) {
+        headers['If-None-Match'] = '*';
+      } else if (etag) {
+        headers['If-Match'] = etag;
+      }
+      const response = await request('PUT', url, { body: text, headers });
+      return { status: response.status, etag: response.headers.get('etag') };
+    },
+    
+    /**
+     * Delete an event resource
+     * @param {String} url - Resource URL
+     * @param {Object} [options]
+     * @param {String} [options.etag] - Fail with 412 unless the resource still has this ETag
+     * @returns {Promise<Object>} { status }
+     */
+    async deleteEvent(url, { etag = null } = {}) {
+      const response = await request('DELETE', url, { headers: etag ? { 'If-Match': etag } : {} });
+      return { status: response.status };
+    },
+    
+    /**
+     * Events of the calendar that overlap a range (calendar-query REPORT)
+     * @param {Date} rangeStart
+     * @param {Date} rangeEnd
+     * @returns {Promise<Array<String>>} One iCalendar object per event resource
+     */
+    async queryEvents(rangeStart, rangeEnd) {
+      const response = await request('REPORT', base, {
+        headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' },
+        body: '<?xml version="1.0" encoding="utf-8"?>' +
+          '<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">' +
+          '<d:prop><d:getetag/><c:calendar-data/></d:prop>' +
+          '<c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT">' +
+          `<c:time-range start="${formatUtc(rangeStart)}" end="${formatUtc(rangeEnd)}"/>` +
+          '</c:comp-filter></c:comp-filter></c:filter>' +
+          '</c:calendar-query>'
+      });
+      if (response.status === 404) {
+        throw caldavError('The calendar no longer exists', 404);
+      }
+      return elementTexts(await response.text(), 'calendar-data');
+    }
+  };
+};
+
+module.exports = {
+  caldavError,
+  createClient
+};
\ No newline at end of file
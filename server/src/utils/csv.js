@@ -0,0 +1,37 @@
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a value for a CSV cell. Text that a spreadsheet would read as a
+ * formula is prefixed with an apostrophe; numbers are left as they are.
+ * @param {*} value
+ * @returns {String}
+ */
+const cell = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Join rows into a CSV document (RFC 4180, CRLF line breaks)
+ * @param {Array<Array>} rows
+ * @returns {String}
+ */
+const serialize = (rows) => {
+  return `${rows.map(row => row.map(cell).join(',')).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  cell,
+  serialize
+};
\ No newline at end of file
@@ -0,0 +1,317 @@
+const { DateTime } = require('luxon');
+const { resolveTimezone } = require('./timezone');
+
+// RFC 5545 lines are at most 75 octets, not counting the line break
+const MAX_LINE_OCTETS = 75;
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Escape a TEXT value
+ * @param {String} value
+ * @returns {String}
+ */
+const escapeText = (value) => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Quote a parameter value when it contains characters that need it
+ * @param {String} value
+ * @returns {String}
+ */
+const paramValue = (value) => {
+  const clean = String(value).replace(/"/g, '\'');
+  return /[;:,]/.test(clean) ? `"${clean}"` : clean;
+};
+
+/**
+ * Fold a content line into 75-octet pieces, never splitting a character
+ * @param {String} line
+ * @returns {String} Line with CRLF + space continuations
+ */
+const foldLine = (line) => {
+  const pieces = [];
+  let current = '';
+  let octets = 0;
+  
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = pieces.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      pieces.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  pieces.push(current);
+  
+  return pieces.join('\r\n ');
+};
+
+/**
+ * Format an instant as a UTC DATE-TIME
+ * @param {Date|String} date
+ * @returns {String} e.g. '20250602T190000Z'
+ */
+const formatUtc = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Format an instant as a local DATE-TIME in a zone, for use with a TZID parameter
+ * @param {Date|String} date
+ * @param {String} zone - IANA timezone name
+ * @returns {String} e.g. '20250602T210000'
+ */
+const formatLocal = (date, zone) => {
+  return DateTime.fromJSDate(new Date(date), { zone: resolveTimezone(zone) }).toFormat("yyyyMMdd'T'HHmmss");
+};
+
+/**
+ * Format a UTC offset for TZOFFSETFROM / TZOFFSETTO
+ * @param {Number} minutes - Offset from UTC in minutes
+ * @returns {String} e.g. '+0200' or '-0330'
+ */
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Instants at which a zone's UTC offset changes inside a range. Steps a day
+ * at a time and narrows each change down to the minute.
+ * @param {String} zone - IANA timezone name
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array<Number>} Milliseconds of the first instant with the new offset
+ */
+const offsetChanges = (zone, from, to) => {
+  const offsetAt = millis => DateTime.fromMillis(millis, { zone }).offset;
+  const changes = [];
+  
+  for (let day = from.getTime(); day < to.getTime(); day += DAY) {
+    let low = day;
+    let high = Math.min(day + DAY, to.getTime());
+    if (offsetAt(low) === offsetAt(high)) {
+      continue;
+    }
+    while (high - low > MINUTE) {
+      const middle = low + Math.floor((high - low) / 2 / MINUTE) * MINUTE;
+      if (offsetAt(middle) === offsetAt(low)) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    changes.push(high);
+  }
+  return changes;
+};
+
+/**
+ * Build the VTIMEZONE a TZID parameter refers to, with one observance per
+ * offset change from the start of `from`'s year to the end of `to`'s year.
+ * Calendar apps do not all resolve IANA names on their own.
+ * @param {String} zone - IANA timezone name, as used in TZID
+ * @param {Date} from - Earliest instant written with this TZID
+ * @param {Date} to - Latest instant written with this TZID
+ * @returns {Array<String>} Content lines
+ */
+const timezoneLines = (zone, from, to) => {
+  const timezone = resolveTimezone(zone);
+  const rangeStart = DateTime.fromJSDate(new Date(from), { zone: timezone }).startOf('year');
+  const rangeEnd = DateTime.fromJSDate(new Date(to), { zone: timezone }).endOf('year');
+  
+  const observance = (at, offsetFrom) => {
+    const local = DateTime.fromMillis(at, { zone: timezone, locale: 'en-US' });
+    const kind = local.isInDST ? 'DAYLIGHT' : 'STANDARD';
+    return [
+      `BEGIN:${kind}`,
+      // Onset is the wall-clock time just before the change
+      line('DTSTART', DateTime.fromMillis(at, { zone: 'UTC' }).plus({ minutes: offsetFrom }).toFormat("yyyyMMdd'T'HHmmss")),
+      line('TZOFFSETFROM', formatOffset(offsetFrom)),
+      line('TZOFFSETTO', formatOffset(local.offset)),
+      line('TZNAME', local.offsetNameShort || formatOffset(local.offset)),
+      `END:${kind}`
+    ];
+  };
+  
+  const changes = offsetChanges(timezone, rangeStart.toJSDate(), rangeEnd.toJSDate());
+  return [
+    'BEGIN:VTIMEZONE',
+    line('TZID', timezone),
+    ...observance(rangeStart.toMillis(), rangeStart.offset),
+    ...changes.flatMap(at => observance(at, DateTime.fromMillis(at - MINUTE, { zone: timezone }).offset)),
+    'END:VTIMEZONE'
+  ];
+};
+
+/**
+ * Build a content line
+ * @param {String} name - Property name
+ * @param {String} value - Already escaped or formatted value
+ * @param {Object} [params] - Property parameters; empty values are left out
+ * @returns {String}
+ */
+const line = (name, value, params = {}) => {
+  const paramText = Object.entries(params)
+    .filter(([, paramVal]) => paramVal !== undefined && paramVal !== null && paramVal !== '')
+    .map(([key, paramVal]) => `;${key}=${paramValue(paramVal)}`)
+    .join('');
+  return `${name}${paramText}:${value}`;
+};
+
+/**
+ * Join content lines into an iCalendar object, folding long lines
+ * @param {Array<String>} lines
+ * @returns {String}
+ */
+const serialize = (lines) => {
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Undo TEXT escaping
+ * @param {String} value
+ * @returns {String}
+ */
+const unescapeText = (value) => {
+  return String(value).replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+};
+
+/**
+ * Split a content line into name, parameters and value
+ * @param {String} contentLine - Unfolded line
+ * @returns {Object|null} { name, params, value }, or null for a malformed line
+ */
+const parseLine = (contentLine) => {
+  // The value starts at the first colon outside a quoted parameter value
+  let quoted = false;
+  let colon = -1;
+  for (let index = 0; index < contentLine.length; index++) {
+    const char = contentLine[index];
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ':' && !quoted) {
+      colon = index;
+      break;
+    }
+  }
+  if (colon === -1) {
+    return null;
+  }
+  
+  const [name, ...paramParts] = contentLine.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g) || [];
+  const params = {};
+  paramParts.forEach((part) => {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+  
+  return { name: (name || '').toUpperCase(), params, value: contentLine.slice(colon + 1) };
+};
+
+/**
+ * Parse an iCalendar document into its components. Each component is
+ * { type, properties: { NAME: [{ params, value }] }, components: [] }.
+ * @param {String} text
+ * @returns {Array<Object>} Top-level components (normally one VCALENDAR)
+ */
+const parse = (text) => {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const root = { type: null, properties: {}, components: [] };
+  const stack = [root];
+  
+  lines.forEach((contentLine) => {
+    const parsed = contentLine.trim() ? parseLine(contentLine) : null;
+    if (!parsed) {
+      return;
+    }
+    const current = stack[stack.length - 1];
+    
+    if (parsed.name === 'BEGIN') {
+      const component = { type: parsed.value.toUpperCase(), properties: {}, components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (parsed.name === 'END') {
+      if (stack.length > 1) {
+        stack.pop();
+      }
+    } else {
+      current.properties[parsed.name] = current.properties[parsed.name] || [];
+      current.properties[parsed.name].push({ params: parsed.params, value: parsed.value });
+    }
+  });
+  
+  return root.components;
+};
+
+/**
+ * Read a DATE or DATE-TIME value. UTC values end in Z, TZID values are local
+ * times in that zone, and floating values are local times in `defaultZone`.
+ * @param {Object} property - { params, value }
+ * @param {String} defaultZone - Zone for floating times and all-day dates
+ * @returns {Object} { date, allDay, zone }
+ * @throws {Error} When the value is not a date
+ */
+const parseDate = (property, defaultZone) => {
+  const value = property.value.trim();
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid date value: ${value}`);
+  }
+  
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const allDay = hour === undefined;
+  const zone = utc ? 'UTC' : resolveTimezone(property.params.TZID || defaultZone);
+  const local = DateTime.fromObject({
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: allDay ? 0 : Number(hour),
+    minute: allDay ? 0 : Number(minute),
+    second: allDay ? 0 : Number(second)
+  }, { zone });
+  
+  return { date: local.toJSDate(), allDay, zone };
+};
+
+/**
+ * Read a DURATION value such as 'PT1H30M', 'P1D' or 'P2W'
+ * @param {String} value
+ * @returns {Number} Milliseconds (negative durations are returned as negative)
+ * @throws {Error} When the value is not a duration
+ */
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -total : total;
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatUtc,
+  formatLocal,
+  line,
+  timezoneLines,
+  serialize,
+  unescapeText,
+  parse,
+  parseDate,
+  parseDuration
+};
\ No newline at end of file
@@ -0,0 +1,231 @@
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+
+// Redirects followed before a request gives up
+const MAX_REDIRECTS = 5;
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Addresses a URL supplied by a user must not reach: this host, the local
+// network, link-local addresses (including cloud metadata at 169.254.169.254)
+// and ranges that are not routed on the internet
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127],
+  ['64:ff9b:1::', 48],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Build the error thrown when a request may not be sent
+ * @param {String} message
+ * @returns {Error}
+ */
+const blockedError = (message) => {
+  const error = new Error(message);
+  error.name = 'BlockedAddressError';
+  return error;
+};
+
+/**
+ * The eight 16-bit words of an IPv6 address
+ * @param {String} address - Valid IPv6 address, possibly ending in a dotted IPv4 address
+ * @returns {Array<Number>}
+ */
+const ipv6Words = (address) => {
+  let text = address.replace(/%.*$/, '');
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (dotted) {
+    const [, a, b, c, d] = dotted.map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  
+  const wordsOf = part => (part ? part.split(':').map(word => parseInt(word, 16)) : []);
+  const [head, tail] = text.split('::');
+  if (tail === undefined) {
+    return wordsOf(head);
+  }
+  const front = wordsOf(head);
+  const back = wordsOf(tail);
+  return [...front, ...new Array(8 - front.length - back.length).fill(0), ...back];
+};
+
+/**
+ * IPv4 address carried inside an IPv6 one: IPv4-mapped (::ffff:0:0/96),
+ * NAT64 (64:ff9b::/96) and 6to4 (2002::/16) addresses reach it
+ * @param {String} address - IPv6 address
+ * @returns {String|null} Dotted IPv4 address
+ */
+const embeddedIpv4 = (address) => {
+  const words = ipv6Words(address);
+  const ipv4 = (high, low) => [high >> 8, high & 255, low >> 8, low & 255].join('.');
+  const zero = (from, to) => words.slice(from, to).every(word => word === 0);
+  
+  if (zero(0, 5) && words[5] === 0xffff) {
+    return ipv4(words[6], words[7]);
+  }
+  if (words[0] === 0x64 && words[1] === 0xff9b && zero(2, 6)) {
+    return ipv4(words[6], words[7]);
+  }
+  if (words[0] === 0x2002) {
+    return ipv4(words[1], words[2]);
+  }
+  return null;
+};
+
+/**
+ * Check whether an IP address is on the public internet. IPv6 addresses that
+ * carry an IPv4 address are judged by that address.
+ * @param {String} address - IPv4 or IPv6 address
+ * @returns {Boolean}
+ */
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  
+  if (family === 0) {
+    return false;
+  }
+  if (family === 4) {
+    return !BLOCKED.check(address, 'ipv4');
+  }
+  const embedded = embeddedIpv4(address);
+  return embedded ? isPublicAddress(embedded) : !BLOCKED.check(address.replace(/%.*$/, ''), 'ipv6');
+};
+
+/**
+ * Hosts that may be reached on private addresses, from OUTBOUND_ALLOWED_HOSTS
+ * (e.g. a CalDAV server on the same network as a self-hosted install)
+ * @returns {Array<String>} Lower-case host names
+ */
+const allowedHosts = () => {
+  return (process.env.OUTBOUND_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+/**
+ * Make sure a URL uses http(s) and its host only resolves to public addresses
+ * @param {URL} url
+ * @returns {Promise<void>}
+ * @throws {Error} BlockedAddressError when it does not
+ */
+const checkUrl = async (url) => {
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw blockedError('Only http and https URLs can be fetched');
+  }
+  
+  const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  if (allowedHosts().includes(hostname)) {
+    return;
+  }
+  
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    throw blockedError('The host name could not be resolved');
+  }
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw blockedError('The host is not on the public internet');
+  }
+};
+
+/**
+ * dns.lookup for outbound connections. The address is checked again when the
+ * socket connects, so a host that resolves to a public address for checkUrl
+ * and to a private one a moment later (DNS rebinding) is still refused.
+ * @param {String} hostname
+ * @param {Object} options - Options net.connect passes to its lookup
+ * @param {Function} callback
+ */
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    
+    const allowed = allowedHosts().includes(hostname.toLowerCase());
+    if (!allowed && (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address)))) {
+      return callback(blockedError('The host is not on the public internet'));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Connections of guardedFetch only go to addresses guardedLookup accepted
+const AGENT = new Agent({ connect: { lookup: guardedLookup } });
+
+/**
+ * fetch() for URLs supplied by users. Every hop, including each redirect,
+ * must resolve to public addresses unless its host is in
+ * OUTBOUND_ALLOWED_HOSTS, and connects only to an address that passed the
+ * check. Credentials are not sent on to another origin.
+ * @param {String|URL} url
+ * @param {Object} [options] - fetch options; headers must be a plain object
+ * @returns {Promise<Response>} Final, non-redirect response
+ * @throws {Error} BlockedAddressError when a hop may not be reached or there are too many redirects
+ */
+const guardedFetch = async (url, options = {}) => {
+  let target = new URL(url);
+  let { method = 'GET', body, headers = {} } = options;
+  
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    await checkUrl(target);
+    let response;
+    try {
+      response = await fetch(target, { ...options, method, body, headers, redirect: 'manual', dispatcher: AGENT });
+    } catch (error) {
+      if (error.cause && error.cause.name === 'BlockedAddressError') {
+        throw error.cause;
+      }
+      throw error;
+    }
+    
+    const location = response.headers.get('location');
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+      return response;
+    }
+    if (response.body) {
+      await response.body.cancel();
+    }
+    
+    const next = new URL(location, target);
+    if (next.origin !== target.origin) {
+      headers = Object.fromEntries(Object.entries(headers).filter(([name]) => name.toLowerCase() !== 'authorization'));
+    }
+    // As browsers do, 303 (and 301/302 after a POST) continue as a GET without a body
+    if (response.status === 303 || ([301, 302].includes(response.status) && method === 'POST')) {
+      method = 'GET';
+      body = undefined;
+    }
+    target = next;
+  }
+  
+  throw blockedError('Too many redirects');
+};
+
+module.exports = {
+  blockedError,
+  isPublicAddress,
+  checkUrl,
+  guardedFetch
+};
\ No newline at end of file
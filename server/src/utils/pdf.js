@@ -0,0 +1,153 @@
+// Page sizes in points (1/72 inch), portrait
+const PAGE_SIZES = {
+  A4: [595.28, 841.89],
+  LETTER: [612, 792]
+};
+
+// Helvetica advance widths in 1/1000 em for the characters amounts and dates
+// are made of; anything else is measured as AVERAGE_WIDTH
+const WIDTHS = {
+  ' ': 278, ',': 278, '.': 278, ':': 278, '/': 278, '-': 333, '(': 333, ')': 333, '%': 889
+};
+'0123456789'.split('').forEach((digit) => {
+  WIDTHS[digit] = 556;
+});
+const AVERAGE_WIDTH = 556;
+
+// Characters WinAnsiEncoding puts where Latin-1 has control codes
+const WIN_ANSI = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+/**
+ * Width of a line of Helvetica text. Exact for digits and punctuation, an
+ * estimate for letters.
+ * @param {String} text
+ * @param {Number} size - Font size in points
+ * @returns {Number} Width in points
+ */
+const textWidth = (text, size) => {
+  return String(text).split('').reduce((sum, char) => sum + (WIDTHS[char] || AVERAGE_WIDTH), 0) * size / 1000;
+};
+
+/**
+ * Cut text down to fit a width, marking the cut with an ellipsis
+ * @param {String} text
+ * @param {Number} width - Available width in points
+ * @param {Number} size - Font size in points
+ * @returns {String}
+ */
+const fitText = (text, width, size) => {
+  let result = String(text);
+  if (textWidth(result, size) <= width) {
+    return result;
+  }
+  while (result.length > 0 && textWidth(`${result}…`, size) > width) {
+    result = result.slice(0, -1);
+  }
+  return `${result}…`;
+};
+
+/**
+ * Encode text as a PDF string literal in WinAnsiEncoding. Characters the
+ * standard fonts cannot show become '?'.
+ * @param {String} text
+ * @returns {String} Literal with one character per byte
+ */
+const pdfString = (text) => {
+  const encoded = String(text).split('').map((char) => {
+    const code = char.charCodeAt(0);
+    if (WIN_ANSI[char]) {
+      return String.fromCharCode(WIN_ANSI[char]);
+    }
+    return code < 0x20 || (code >= 0x7f && code < 0xa0) || code > 0xff ? '?' : char;
+  }).join('');
+  return `(${encoded.replace(/[\\()]/g, match => `\\${match}`)})`;
+};
+
+/**
+ * Format a coordinate for a content stream
+ * @param {Number} value
+ * @returns {String}
+ */
+const num = (value) => String(Math.round(value * 100) / 100);
+
+/**
+ * Content stream operators for one page
+ * @param {Array<Object>} items - Text items { text, x, y, size, bold, align } and lines { line: [x1, y1, x2, y2] }
+ * @param {Number} height - Page height; item y coordinates are measured from the top
+ * @returns {String}
+ */
+const pageContent = (items, height) => {
+  return items.map((item) => {
+    if (item.line) {
+      const [x1, y1, x2, y2] = item.line;
+      return `${num(item.width || 0.5)} w ${num(x1)} ${num(height - y1)} m ${num(x2)} ${num(height - y2)} l S`;
+    }
+    const size = item.size || 10;
+    const x = item.align === 'right' ? item.x - textWidth(item.text, size) : item.x;
+    return `BT /${item.bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(x)} ${num(height - item.y)} Td ${pdfString(item.text)} Tj ET`;
+  }).join('\n');
+};
+
+/**
+ * Render pages of positioned text and rules as a PDF document using the
+ * built-in Helvetica fonts
+ * @param {Array<Array<Object>>} pages - Items of each page, see pageContent
+ * @param {Object} [options]
+ * @param {String} [options.size] - Key of PAGE_SIZES
+ * @param {Boolean} [options.landscape]
+ * @param {String} [options.title] - Document title
+ * @returns {Buffer}
+ */
+const renderDocument = (pages, { size = 'A4', landscape = false, title } = {}) => {
+  const [shortSide, longSide] = PAGE_SIZES[size];
+  const [width, height] = landscape ? [longSide, shortSide] : [shortSide, longSide];
+  
+  // Objects 1 and 2 are the catalog and the page tree, which point at later objects
+  const objects = [null, null];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+  
+  const font = name => `<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`;
+  const regular = add(font('Helvetica'));
+  const bold = add(font('Helvetica-Bold'));
+  
+  const pageIds = pages.map((items) => {
+    const content = pageContent(items, height);
+    const contentId = add(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    return add([
+      '<< /Type /Page /Parent 2 0 R',
+      `/MediaBox [0 0 ${num(width)} ${num(height)}]`,
+      `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >>`,
+      `/Contents ${contentId} 0 R >>`
+    ].join(' '));
+  });
+  
+  objects[0] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  const info = add(`<< /Producer (Rehearsal Scheduler)${title ? ` /Title ${pdfString(title)}` : ''} >>`);
+  
+  let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  
+  const xref = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  
+  return Buffer.from(output, 'latin1');
+};
+
+module.exports = {
+  PAGE_SIZES,
+  textWidth,
+  fitText,
+  renderDocument
+};
\ No newline at end of file
@@ -0,0 +1,52 @@
+const logger = require('./logger');
+
+/**
+ * Create a background job that runs a task at a fixed interval
+ * @param {Object} options
+ * @param {String} options.name - Used in log messages, e.g. 'Calendar sync'
+ * @param {Function} options.task - async (now) => void
+ * @param {Function} [options.clock] - Returns the current time; inject a fake clock in tests
+ * @param {Number} options.interval - Milliseconds between runs
+ * @returns {Object} { start, stop, runOnce }
+ */
+const createScheduler = ({ name, task, clock = () => new Date(), interval }) => {
+  let timer = null;
+  let running = null;
+  
+  // Runs never overlap; a tick that fires mid-run waits for the current one
+  const runOnce = () => {
+    if (!running) {
+      running = Promise.resolve()
+        .then(() => task(clock()))
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  };
+  
+  const tick = () => {
+    runOnce().catch(error => logger.error(`Error in ${name.toLowerCase()} run: ${error.message}`));
+  };
+  
+  return {
+    runOnce,
+    start() {
+      if (!timer) {
+        timer = setInterval(tick, interval);
+        tick();
+        logger.info(`${name} scheduler started (every ${interval / 1000}s)`);
+      }
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      // Let an in-flight run finish; its errors are already logged by tick
+      return running ? running.catch(() => {}) : Promise.resolve();
+    }
+  };
+};
+
+module.exports = {
+  createScheduler
+};
\ No newline at end of file
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Key used to encrypt stored credentials
+ * @returns {Buffer} 32-byte key derived from CREDENTIALS_KEY (or JWT_SECRET)
+ */
+const encryptionKey = () => {
+  const secret = process.env.CREDENTIALS_KEY || process.env.JWT_SECRET || 'rehearsal-scheduler-secret';
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a secret for storage, such as a password for another service
+ * @param {String} plain
+ * @returns {String} 'iv.tag.ciphertext', each part base64
+ */
+const encrypt = (plain) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+/**
+ * Decrypt a secret stored with encrypt()
+ * @param {String} stored
+ * @returns {String}
+ * @throws {Error} When the value was changed or the key is different
+ */
+const decrypt = (stored) => {
+  const [iv, tag, encrypted] = String(stored).split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Hash a bearer token (refresh, reset, invitation or feed) for storage and
+ * lookup, so a leaked table does not hand out working links
+ * @param {String} token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+  hashToken
+};
\ No newline at end of file
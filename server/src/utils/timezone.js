@@ -0,0 +1,98 @@
+const { DateTime, IANAZone } = require('luxon');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+// Values of the `displayIn` option: present times in each member's own
+// timezone, in the caller's timezone or in UTC
+const DISPLAY_ZONES = ['member', 'caller', 'utc'];
+const DEFAULT_DISPLAY_ZONE = 'member';
+
+/**
+ * Check whether a value is a valid IANA timezone name (e.g. 'Europe/Berlin')
+ * @param {String} zone - Timezone name
+ * @returns {Boolean}
+ */
+const isValidTimezone = (zone) => {
+  return typeof zone === 'string' && IANAZone.isValidZone(zone);
+};
+
+/**
+ * Resolve a timezone, falling back to the server default when missing or invalid
+ * @param {String} zone - Timezone name
+ * @returns {String} Valid IANA timezone name
+ */
+const resolveTimezone = (zone) => {
+  return isValidTimezone(zone) ? zone : DEFAULT_TIMEZONE;
+};
+
+/**
+ * Format an instant as an ISO 8601 string with the offset of the given zone
+ * @param {Date|String} date - Instant to format
+ * @param {String} zone - Timezone name
+ * @returns {String} e.g. '2025-06-02T19:00:00.000-05:00'
+ */
+const formatInZone = (date, zone) => {
+  return DateTime.fromJSDate(new Date(date), { zone: resolveTimezone(zone) }).toISO();
+};
+
+/**
+ * Format an instant for people to read, in the given zone
+ * @param {Date|String} date - Instant to format
+ * @param {String} zone - Timezone name
+ * @param {Object} options
+ * @param {Boolean} [options.timeOnly] - Leave out the date
+ * @returns {String} e.g. 'Monday, June 2, 2025 at 7:00 PM EDT' or '7:00 PM EDT'
+ */
+const formatForDisplay = (date, zone, { timeOnly = false } = {}) => {
+  const dateParts = timeOnly ? {} : { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' };
+  return DateTime.fromJSDate(new Date(date), { zone: resolveTimezone(zone) }).setLocale('en-US').toLocaleString({
+    ...dateParts,
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+};
+
+/**
+ * Add the zone name and local start/end times to an object holding
+ * absolute `startTime` and `endTime` values
+ * @param {Object} item - Object with startTime and endTime
+ * @param {String} zone - Timezone to present the times in
+ * @returns {Object} Copy of the item with timezone, localStartTime and localEndTime
+ */
+const presentInZone = (item, zone) => {
+  const timezone = resolveTimezone(zone);
+  return {
+    ...item,
+    timezone,
+    localStartTime: formatInZone(item.startTime, timezone),
+    localEndTime: formatInZone(item.endTime, timezone)
+  };
+};
+
+/**
+ * Timezone a `displayIn` option asks for
+ * @param {String} [displayIn] - One of DISPLAY_ZONES, DEFAULT_DISPLAY_ZONE when missing
+ * @param {Object} zones
+ * @param {String} zones.member - Timezone of the member the times belong to
+ * @param {String} zones.caller - Timezone of the user making the request
+ * @returns {String} Timezone name
+ */
+const displayZone = (displayIn = DEFAULT_DISPLAY_ZONE, { member, caller }) => {
+  if (displayIn === 'caller') {
+    return caller;
+  }
+  return displayIn === 'utc' ? 'UTC' : member;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DISPLAY_ZONES,
+  DEFAULT_DISPLAY_ZONE,
+  isValidTimezone,
+  resolveTimezone,
+  formatInZone,
+  formatForDisplay,
+  presentInZone,
+  displayZone
+};
\ No newline at end of file
@@ -0,0 +1,83 @@
+jest.mock('../../src/models', () => ({
+  User: { findOne: jest.fn(), create: jest.fn() },
+  PasswordResetToken: {},
+  sequelize: {}
+}));
+jest.mock('../../src/services/email.service');
+jest.mock('../../src/services/session.service');
+jest.mock('../../src/services/invitation.service');
+
+const { User } = require('../../src/models');
+const sessionService = require('../../src/services/session.service');
+const invitationService = require('../../src/services/invitation.service');
+const authController = require('../../src/controllers/auth.controller');
+const { mockResponse, statusOf, bodyOf } = require('../helpers/http');
+
+describe('register with an invitation link', () => {
+  const band = { id: 'band-1', name: 'The Rests' };
+  const invitation = { id: 'invitation-1', email: 'ben@example.com', Band: band };
+  let user;
+  
+  const register = async (body) => {
+    const res = mockResponse();
+    await authController.register({
+      body: {
+        firstName: 'Ben',
+        lastName: 'Ito',
+        email: 'ben@example.com',
+        password: 'correct horse battery',
+        invitationToken: 'a'.repeat(64),
+        ...body
+      },
+      get: () => 'jest',
+      ip: '127.0.0.1'
+    }, res);
+    return res;
+  };
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    user = { id: 'user-2', email: 'ben@example.com', toJSON: () => ({ id: 'user-2' }) };
+    User.findOne.mockResolvedValue(null);
+    User.create.mockResolvedValue(user);
+    sessionService.createSession.mockResolvedValue({ accessToken: 'access', refreshToken: 'refresh' });
+    invitationService.findByToken.mockResolvedValue(invitation);
+    invitationService.acceptInvitation.mockResolvedValue(true);
+  });
+  
+  it('joins the band straight away', async () => {
+    const res = await register({});
+    
+    expect(statusOf(res)).toBe(201);
+    expect(invitationService.acceptInvitation).toHaveBeenCalledWith(invitation, user);
+    expect(bodyOf(res).joinedBand).toBe(band);
+  });
+  
+  it('registers without joining when the invitation is for another email', async () => {
+    user.email = 'cleo@example.com';
+    
+    const res = await register({ email: 'cleo@example.com' });
+    
+    expect(statusOf(res)).toBe(201);
+    expect(invitationService.acceptInvitation).not.toHaveBeenCalled();
+    expect(bodyOf(res).joinedBand).toBeUndefined();
+  });
+  
+  it('registers without joining when the invitation has expired or was revoked', async () => {
+    invitationService.acceptInvitation.mockResolvedValue(false);
+    
+    const res = await register({});
+    
+    expect(statusOf(res)).toBe(201);
+    expect(bodyOf(res).joinedBand).toBeUndefined();
+  });
+  
+  it('registers without joining for an unknown token', async () => {
+    invitationService.findByToken.mockResolvedValue(null);
+    
+    const res = await register({});
+    
+    expect(statusOf(res)).toBe(201);
+    expect(bodyOf(res).joinedBand).toBeUndefined();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,209 @@
+jest.mock('../../src/models', () => ({
+  Availability: { findAll: jest.fn(), findByPk: jest.fn(), create: jest.fn(), overlappingRange: jest.fn(() => ({})) },
+  Blackout: { findAll: jest.fn(), overlappingRange: jest.fn(() => ({})) },
+  BusyBlock: { findAll: jest.fn(), overlappingRange: jest.fn(() => ({})) },
+  User: { findByPk: jest.fn() }
+}));
+jest.mock('../../src/services/permission.service');
+
+const { Availability, Blackout, BusyBlock, User } = require('../../src/models');
+const permission = require('../../src/services/permission.service');
+const availabilityController = require('../../src/controllers/availability.controller');
+const { mockResponse, statusOf, bodyOf } = require('../helpers/http');
+
+/**
+ * Blackout instance double with the model's forViewer
+ * @param {Object} fields
+ * @returns {Object}
+ */
+const blackout = (fields) => {
+  const values = { id: 'blackout-1', userId: 'member-1', reason: 'Hospital appointment', ...fields };
+  return {
+    ...values,
+    forViewer(showReason) {
+      const { reason, ...rest } = values;
+      return showReason ? { ...rest, reason } : rest;
+    }
+  };
+};
+
+const MEMBER = { id: 'member-1', role: 'user', timezone: 'Europe/Berlin' };
+const BAND_ADMIN = { id: 'band-admin-1', role: 'user', timezone: 'UTC' };
+const APP_ADMIN = { id: 'app-admin-1', role: 'admin', timezone: 'UTC' };
+
+describe('getUserAvailability', () => {
+  const respond = async (user, query = {}) => {
+    const res = mockResponse();
+    await availabilityController.getUserAvailability({
+      params: user.id === MEMBER.id ? {} : { userId: MEMBER.id },
+      query,
+      user
+    }, res);
+    return res;
+  };
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findByPk.mockResolvedValue({ id: MEMBER.id, timezone: MEMBER.timezone });
+    Availability.findAll.mockResolvedValue([]);
+    Blackout.findAll.mockResolvedValue([blackout()]);
+    BusyBlock.findAll.mockResolvedValue([]);
+    permission.administersMember.mockResolvedValue(true);
+  });
+  
+  it('hides blackout reasons from band admins', async () => {
+    const res = await respond(BAND_ADMIN);
+    
+    expect(statusOf(res)).toBe(200);
+    expect(bodyOf(res).blackouts).toEqual([{ id: 'blackout-1', userId: MEMBER.id }]);
+  });
+  
+  it('shows blackout reasons to the member', async () => {
+    const res = await respond(MEMBER);
+    
+    expect(bodyOf(res).blackouts[0].reason).toBe('Hospital appointment');
+    expect(User.findByPk).not.toHaveBeenCalled();
+  });
+  
+  it('shows blackout reasons to app admins', async () => {
+    const res = await respond(APP_ADMIN);
+    
+    expect(bodyOf(res).blackouts[0].reason).toBe('Hospital appointment');
+    expect(permission.administersMember).not.toHaveBeenCalled();
+  });
+  
+  it('refuses users who do not administer a band of the member', async () => {
+    permission.administersMember.mockResolvedValue(false);
+    
+    const res = await respond(BAND_ADMIN);
+    
+    expect(statusOf(res)).toBe(403);
+    expect(Availability.findAll).not.toHaveBeenCalled();
+  });
+  
+  it('cuts the windows around blackouts and shows them in the member timezone', async () => {
+    Availability.findAll.mockResolvedValue([{
+      id: 'availability-1',
+      userId: MEMBER.id,
+      type: 'recurring',
+      priority: 2,
+      dayOfWeek: 5,
+      startTime: '18:00:00',
+      endTime: '22:00:00',
+      effectiveDate: new Date('2025-06-01'),
+      expiryDate: null
+    }]);
+    Blackout.findAll.mockResolvedValue([blackout({
+      startsAt: new Date('2025-06-13T00:00:00Z'),
+      endsAt: new Date('2025-06-14T00:00:00Z')
+    })]);
+    
+    const res = await respond(BAND_ADMIN, { startDate: '2025-06-01T00:00:00Z', endDate: '2025-06-15T00:00:00Z' });
+    
+    expect(bodyOf(res).occurrences.map(occurrence => occurrence.localStartTime)).toEqual([
+      '2025-06-06T18:00:00.000+02:00'
+    ]);
+  });
+});
+
+describe('getBlackouts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Blackout.findAll.mockResolvedValue([blackout()]);
+    permission.administersMember.mockResolvedValue(true);
+  });
+  
+  it('hides the reasons from band admins and shows them to the member', async () => {
+    const adminRes = mockResponse();
+    await availabilityController.getBlackouts({ params: { userId: MEMBER.id }, query: {}, user: BAND_ADMIN }, adminRes);
+    const memberRes = mockResponse();
+    await availabilityController.getBlackouts({ params: {}, query: {}, user: MEMBER }, memberRes);
+    
+    expect(bodyOf(adminRes)).toEqual([{ id: 'blackout-1', userId: MEMBER.id }]);
+    expect(bodyOf(memberRes)[0].reason).toBe('Hospital appointment');
+  });
+});
+
+describe('createAvailability', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Availability.create.mockImplementation(async values => ({ id: 'availability-1', ...values }));
+  });
+  
+  it('stores recurring hours and minutes as times and the tier as its priority', async () => {
+    const res = mockResponse();
+    await availabilityController.createAvailability({
+      body: {
+        type: 'recurring',
+        dayOfWeek: '5',
+        startHour: '18',
+        startMinute: '30',
+        endHour: 22,
+        endMinute: 0,
+        effectiveDate: '2025-06-01',
+        tier: 'possible',
+        note: 'After work'
+      },
+      user: MEMBER
+    }, res);
+    
+    expect(statusOf(res)).toBe(201);
+    expect(Availability.create).toHaveBeenCalledWith({
+      userId: MEMBER.id,
+      type: 'recurring',
+      dayOfWeek: 5,
+      startTime: '18:30:00',
+      endTime: '22:00:00',
+      effectiveDate: new Date('2025-06-01'),
+      priority: 1,
+      notes: 'After work'
+    });
+  });
+  
+  it('answers 400 with the messages of a model validation error', async () => {
+    const error = new Error('Validation error');
+    error.name = 'SequelizeValidationError';
+    error.errors = [{ message: 'End must be after start' }];
+    Availability.create.mockRejectedValue(error);
+    
+    const res = mockResponse();
+    await availabilityController.createAvailability({
+      body: { type: 'one-time', startTime: '2025-06-06T20:00:00Z', endTime: '2025-06-06T18:00:00Z' },
+      user: MEMBER
+    }, res);
+    
+    expect(statusOf(res)).toBe(400);
+    expect(bodyOf(res).errors).toEqual(['End must be after start']);
+  });
+});
+
+describe('updateAvailability', () => {
+  it('keeps the stored minutes when only the hour changes', async () => {
+    const availability = {
+      id: 'availability-1',
+      userId: MEMBER.id,
+      type: 'recurring',
+      startTime: '18:30:00',
+      endTime: '22:00:00',
+      update: jest.fn().mockResolvedValue()
+    };
+    Availability.findByPk.mockResolvedValue(availability);
+    
+    const res = mockResponse();
+    await availabilityController.updateAvailability({ params: { id: 'availability-1' }, body: { startHour: 19 }, user: MEMBER }, res);
+    
+    expect(statusOf(res)).toBe(200);
+    expect(availability.update).toHaveBeenCalledWith({ startTime: '19:30:00' });
+  });
+  
+  it('refuses anyone but the owner and app admins', async () => {
+    const availability = { id: 'availability-1', userId: MEMBER.id, type: 'recurring', update: jest.fn() };
+    Availability.findByPk.mockResolvedValue(availability);
+    
+    const res = mockResponse();
+    await availabilityController.updateAvailability({ params: { id: 'availability-1' }, body: { startHour: 19 }, user: BAND_ADMIN }, res);
+    
+    expect(statusOf(res)).toBe(403);
+    expect(availability.update).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
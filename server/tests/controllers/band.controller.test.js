@@ -0,0 +1,224 @@
+jest.mock('../../src/models', () => ({
+  Band: {},
+  User: { findByPk: jest.fn() },
+  Availability: { findAll: jest.fn(), overlappingRange: jest.fn(() => ({})) },
+  UserBand: { findOne: jest.fn() },
+  Venue: { count: jest.fn() },
+  sequelize: { transaction: jest.fn(work => work({})) }
+}));
+jest.mock('../../src/services/member.service');
+jest.mock('../../src/services/blackout.service');
+jest.mock('../../src/services/calendarImport.service');
+jest.mock('../../src/services/conflict.service');
+jest.mock('../../src/services/rehearsal.service');
+jest.mock('../../src/services/reminder.service');
+jest.mock('../../src/services/permission.service');
+
+const { Availability, User, UserBand, sequelize } = require('../../src/models');
+const memberService = require('../../src/services/member.service');
+const blackoutService = require('../../src/services/blackout.service');
+const calendarImport = require('../../src/services/calendarImport.service');
+const conflictService = require('../../src/services/conflict.service');
+const rehearsalService = require('../../src/services/rehearsal.service');
+const reminderService = require('../../src/services/reminder.service');
+const bandController = require('../../src/controllers/band.controller');
+const { mockResponse, statusOf, bodyOf } = require('../helpers/http');
+
+describe('findOptimalRehearsalTimes', () => {
+  const members = [
+    { id: 'user-1', firstName: 'Ada', lastName: 'Lovelace', timezone: 'UTC' },
+    { id: 'user-2', firstName: 'Grace', lastName: 'Hopper', timezone: 'UTC' }
+  ];
+  
+  const respond = async (body = {}) => {
+    const res = mockResponse();
+    await bandController.findOptimalRehearsalTimes({
+      params: { id: 'band-1' },
+      body: {
+        startDate: '2025-06-06T18:00:00.000Z',
+        endDate: '2025-06-06T22:00:00.000Z',
+        duration: 60,
+        minimumMembers: 2,
+        displayIn: 'utc',
+        ...body
+      },
+      user: { id: 'user-1', timezone: 'UTC' },
+      band: { id: 'band-1', getMembers: jest.fn().mockResolvedValue(members) }
+    }, res);
+    return res;
+  };
+  
+  const starts = res => bodyOf(res).suggestedTimes.map(slot => new Date(slot.startTime).toISOString());
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Both members can make Friday evening, every week
+    Availability.findAll.mockResolvedValue(members.map(member => ({
+      id: `availability-${member.id}`,
+      userId: member.id,
+      type: 'recurring',
+      priority: 2,
+      dayOfWeek: 5,
+      startTime: '18:00:00',
+      endTime: '22:00:00',
+      effectiveDate: new Date('2025-06-01'),
+      expiryDate: null
+    })));
+    memberService.partsByMember.mockResolvedValue({});
+    memberService.bandParts.mockReturnValue([]);
+    memberService.missingParts.mockReturnValue([]);
+    blackoutService.blackoutsByUser.mockResolvedValue({ 'user-1': [], 'user-2': [] });
+    calendarImport.busyByUser.mockResolvedValue({ 'user-1': [], 'user-2': [] });
+    conflictService.bookingsByUser.mockResolvedValue({ 'user-1': [], 'user-2': [] });
+    rehearsalService.listOccurrences.mockResolvedValue([]);
+  });
+  
+  it('does not suggest a slot where a member rehearses with another band', async () => {
+    conflictService.bookingsByUser.mockResolvedValue({
+      'user-1': [],
+      'user-2': [{
+        id: 'rehearsal-9',
+        bandId: 'band-2',
+        startTime: new Date('2025-06-06T18:00:00.000Z'),
+        endTime: new Date('2025-06-06T20:00:00.000Z')
+      }]
+    });
+    
+    const res = await respond();
+    
+    expect(statusOf(res)).toBe(200);
+    expect(starts(res)).toEqual(['2025-06-06T20:00:00.000Z']);
+    expect(conflictService.bookingsByUser).toHaveBeenCalledWith(
+      ['user-1', 'user-2'], new Date('2025-06-06T18:00:00.000Z'), new Date('2025-06-06T22:00:00.000Z')
+    );
+  });
+  
+  it('requires someone who plays each required part and explains what is missing', async () => {
+    const parts = { 'user-1': [{ name: 'bass', essential: true }], 'user-2': [{ name: 'drums', essential: false }] };
+    memberService.partsByMember.mockResolvedValue(parts);
+    memberService.bandParts.mockImplementation(jest.requireActual('../../src/services/member.service').bandParts);
+    memberService.missingParts.mockImplementation(jest.requireActual('../../src/services/member.service').missingParts);
+    blackoutService.blackoutsByUser.mockResolvedValue({
+      'user-1': [{ startsAt: new Date('2025-06-06T18:00:00.000Z'), endsAt: new Date('2025-06-06T20:00:00.000Z') }],
+      'user-2': []
+    });
+    
+    const res = await respond({ minimumMembers: 1, requiredParts: ['Bass'] });
+    
+    expect(starts(res)).toEqual(['2025-06-06T20:00:00.000Z']);
+    
+    const withoutBass = await respond({ minimumMembers: 1 });
+    const early = bodyOf(withoutBass).suggestedTimes.find(slot => slot.availableCount === 1);
+    expect(early.missingParts).toEqual([{ name: 'bass', essential: true }]);
+    expect(early.explanation).toBe('Missing Ada Lovelace (bass); nobody available plays bass');
+  });
+  
+  it('refuses a required part nobody in the band plays', async () => {
+    const res = await respond({ requiredParts: ['theremin'] });
+    
+    expect(statusOf(res)).toBe(400);
+    expect(bodyOf(res).message).toBe('Nobody in the band plays theremin');
+  });
+  
+  it('suggests the whole evening when nobody is booked elsewhere', async () => {
+    const res = await respond();
+    
+    expect(starts(res)).toEqual(['2025-06-06T18:00:00.000Z']);
+    expect(bodyOf(res).suggestedTimes[0].latestStartTime).toEqual(new Date('2025-06-06T21:00:00.000Z'));
+  });
+});
+
+describe('updateBand', () => {
+  let band;
+  
+  const respond = async (body) => {
+    const res = mockResponse();
+    await bandController.updateBand({ params: { id: band.id }, body, band }, res);
+    return res;
+  };
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    band = {
+      id: 'band-1',
+      name: 'The Rests',
+      defaultReminderHours: 24,
+      update: jest.fn(function(values) {
+        Object.assign(this, values);
+        return Promise.resolve(this);
+      })
+    };
+  });
+  
+  it('moves reminders to a new default lead time in the same transaction', async () => {
+    const res = await respond({ defaultReminderHours: '48' });
+    
+    expect(statusOf(res)).toBe(200);
+    const [, { transaction }] = band.update.mock.calls[0];
+    expect(reminderService.rescheduleBandReminders).toHaveBeenCalledWith(band, { transaction });
+  });
+  
+  it('leaves reminders alone when the default lead time stays the same', async () => {
+    await respond({ name: 'The Full Rests', defaultReminderHours: '24' });
+    
+    expect(band.update).toHaveBeenCalled();
+    expect(reminderService.rescheduleBandReminders).not.toHaveBeenCalled();
+  });
+});
+
+describe('addMember', () => {
+  let band;
+  const user = { id: 'user-3' };
+  
+  const respond = async (body) => {
+    const res = mockResponse();
+    await bandController.addMember({
+      params: { id: band.id },
+      body: { userId: user.id, ...body },
+      band,
+      bandRole: 'admin',
+      user: { id: 'admin-1', role: 'user' }
+    }, res);
+    return res;
+  };
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    band = {
+      id: 'band-1',
+      name: 'The Rests',
+      hasMember: jest.fn().mockResolvedValue(false),
+      addMember: jest.fn().mockResolvedValue()
+    };
+    User.findByPk.mockResolvedValue(user);
+    UserBand.findOne.mockResolvedValue({ id: 'membership-3' });
+    memberService.setParts.mockResolvedValue([]);
+  });
+  
+  it('adds the member and their parts in one transaction', async () => {
+    const res = await respond({ role: 'member', parts: ['bass'] });
+    
+    expect(statusOf(res)).toBe(201);
+    const [, { transaction }] = band.addMember.mock.calls[0];
+    expect(transaction).toBeDefined();
+    expect(UserBand.findOne).toHaveBeenCalledWith({ where: { bandId: 'band-1', userId: 'user-3' }, transaction });
+    expect(memberService.setParts).toHaveBeenCalledWith({ id: 'membership-3' }, ['bass'], { transaction });
+  });
+  
+  it('fails as a whole when the parts cannot be saved', async () => {
+    memberService.setParts.mockRejectedValue(new Error('value too long'));
+    
+    const res = await respond({ parts: ['bass'] });
+    
+    expect(statusOf(res)).toBe(500);
+    expect(sequelize.transaction).toHaveBeenCalledTimes(1);
+    await expect(sequelize.transaction.mock.results[0].value).rejects.toThrow('value too long');
+  });
+  
+  it('refuses to add a member with a role above the caller', async () => {
+    const res = await respond({ role: 'owner' });
+    
+    expect(statusOf(res)).toBe(403);
+    expect(band.addMember).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,115 @@
+jest.mock('../../src/models', () => ({
+  Equipment: {},
+  EquipmentCheckout: {},
+  MaintenanceLog: {},
+  MaintenancePlan: {},
+  Band: {},
+  Rehearsal: { findByPk: jest.fn(), findAll: jest.fn(), max: jest.fn() },
+  RehearsalEquipment: {},
+  User: {},
+  UserRehearsal: {},
+  sequelize: {}
+}));
+jest.mock('../../src/services/equipment.service');
+jest.mock('../../src/services/permission.service');
+jest.mock('../../src/services/valuation.service');
+
+const { Rehearsal } = require('../../src/models');
+const equipmentService = require('../../src/services/equipment.service');
+const equipmentController = require('../../src/controllers/equipment.controller');
+const { mockResponse, statusOf, bodyOf } = require('../helpers/http');
+
+const HOUR = 60 * 60 * 1000;
+const WEEK = 7 * 24 * HOUR;
+
+/**
+ * Rehearsal row of the equipment's band
+ * @param {Object} fields
+ * @returns {Object}
+ */
+const rehearsalRow = fields => ({
+  id: 'rehearsal-1',
+  bandId: 'band-1',
+  status: 'scheduled',
+  timezone: 'UTC',
+  isRecurring: false,
+  toJSON() {
+    return { ...this };
+  },
+  ...fields
+});
+
+describe('checkOutEquipment', () => {
+  const equipment = { id: 'equipment-1', bandId: 'band-1', status: 'available' };
+  
+  const respond = async () => {
+    const res = mockResponse();
+    await equipmentController.checkOutEquipment({
+      body: { rehearsalId: 'rehearsal-1' },
+      equipment,
+      user: { id: 'user-1' }
+    }, res);
+    return res;
+  };
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Rehearsal.findAll.mockResolvedValue([]);
+    Rehearsal.max.mockResolvedValue(null);
+    equipmentService.checkOut.mockResolvedValue({ id: 'checkout-1' });
+  });
+  
+  it('refuses a default due date for a one-off rehearsal that is over', async () => {
+    const ended = Date.now() - 2 * HOUR;
+    Rehearsal.findByPk.mockResolvedValue(rehearsalRow({
+      startTime: new Date(ended - 2 * HOUR),
+      endTime: new Date(ended)
+    }));
+    
+    const res = await respond();
+    
+    expect(statusOf(res)).toBe(400);
+    expect(bodyOf(res).message).toBe('Rehearsal has no upcoming occurrences; give a due date');
+    expect(equipmentService.checkOut).not.toHaveBeenCalled();
+  });
+  
+  it('makes equipment due when an upcoming one-off rehearsal ends', async () => {
+    const endTime = new Date(Date.now() + 5 * HOUR);
+    Rehearsal.findByPk.mockResolvedValue(rehearsalRow({ startTime: new Date(Date.now() + 3 * HOUR), endTime }));
+    
+    const res = await respond();
+    
+    expect(statusOf(res)).toBe(201);
+    expect(equipmentService.checkOut).toHaveBeenCalledWith(equipment, expect.objectContaining({ dueAt: endTime }));
+  });
+  
+  it('skips an occurrence of a series that was cancelled on its own', async () => {
+    // Weekly series that began a few weeks ago, on the hour
+    const firstStart = new Date(Math.ceil((Date.now() - 3 * WEEK) / HOUR) * HOUR + HOUR);
+    const series = rehearsalRow({
+      id: 'rehearsal-1',
+      isRecurring: true,
+      recurrenceRule: 'FREQ=WEEKLY',
+      startTime: firstStart,
+      endTime: new Date(firstStart.getTime() + 2 * HOUR)
+    });
+    // The fourth occurrence starts within the next two hours
+    const nextStart = new Date(firstStart.getTime() + 3 * WEEK);
+    Rehearsal.findByPk.mockResolvedValue(series);
+    Rehearsal.findAll.mockResolvedValue([rehearsalRow({
+      id: 'exception-1',
+      seriesId: 'rehearsal-1',
+      status: 'cancelled',
+      originalStartTime: nextStart,
+      startTime: nextStart,
+      endTime: new Date(nextStart.getTime() + 2 * HOUR)
+    })]);
+    
+    const res = await respond();
+    
+    expect(statusOf(res)).toBe(201);
+    expect(equipmentService.checkOut).toHaveBeenCalledWith(equipment, expect.objectContaining({
+      dueAt: new Date(nextStart.getTime() + WEEK + 2 * HOUR)
+    }));
+  });
+});
\ No newline at end of file
@@ -0,0 +1,152 @@
+jest.mock('../../src/models', () => ({
+  User: { count: jest.fn() },
+  BandInvitation: { findOne: jest.fn() }
+}));
+jest.mock('../../src/services/invitation.service');
+
+const { User, BandInvitation } = require('../../src/models');
+const invitationService = require('../../src/services/invitation.service');
+const invitationController = require('../../src/controllers/invitation.controller');
+const { mockResponse, statusOf, bodyOf } = require('../helpers/http');
+
+const TOKEN = 'a'.repeat(64);
+const band = { id: 'band-1', name: 'The Rests' };
+
+/**
+ * Invitation instance double with the model's isOpen
+ * @param {Object} fields
+ * @returns {Object}
+ */
+const invitation = (fields) => ({
+  id: 'invitation-1',
+  email: 'ben@example.com',
+  role: 'member',
+  status: 'pending',
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  Band: band,
+  isOpen() {
+    return this.status === 'pending' && new Date(this.expiresAt) > new Date();
+  },
+  update: jest.fn().mockResolvedValue(),
+  ...fields
+});
+
+const respond = async (handler, req) => {
+  const res = mockResponse();
+  await invitationController[handler]({ params: { token: TOKEN }, ...req }, res);
+  return res;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('getInvitation', () => {
+  it('reports a pending invitation past its expiry as expired', async () => {
+    invitationService.findByToken.mockResolvedValue(invitation({ expiresAt: new Date(Date.now() - 1000) }));
+    User.count.mockResolvedValue(0);
+    
+    const res = await respond('getInvitation', {});
+    
+    expect(bodyOf(res)).toEqual(expect.objectContaining({ status: 'expired', hasAccount: false }));
+  });
+  
+  it('reports a revoked invitation as revoked', async () => {
+    invitationService.findByToken.mockResolvedValue(invitation({ status: 'revoked' }));
+    User.count.mockResolvedValue(1);
+    
+    const res = await respond('getInvitation', {});
+    
+    expect(bodyOf(res)).toEqual(expect.objectContaining({ status: 'revoked', hasAccount: true }));
+  });
+  
+  it('answers 404 for an unknown token', async () => {
+    invitationService.findByToken.mockResolvedValue(null);
+    
+    const res = await respond('getInvitation', {});
+    
+    expect(statusOf(res)).toBe(404);
+  });
+});
+
+describe('acceptInvitation', () => {
+  const user = { id: 'user-2', email: 'Ben@Example.com' };
+  
+  it('joins the band when the invitation is for the user email', async () => {
+    invitationService.findByToken.mockResolvedValue(invitation());
+    invitationService.acceptInvitation.mockResolvedValue(true);
+    
+    const res = await respond('acceptInvitation', { user });
+    
+    expect(statusOf(res)).toBe(200);
+    expect(bodyOf(res)).toEqual(expect.objectContaining({ band, role: 'member' }));
+  });
+  
+  it('refuses an invitation sent to a different email', async () => {
+    invitationService.findByToken.mockResolvedValue(invitation({ email: 'cleo@example.com' }));
+    
+    const res = await respond('acceptInvitation', { user });
+    
+    expect(statusOf(res)).toBe(403);
+    expect(invitationService.acceptInvitation).not.toHaveBeenCalled();
+  });
+  
+  it('answers 410 for an expired, revoked or already answered invitation', async () => {
+    invitationService.findByToken.mockResolvedValue(invitation({ status: 'revoked' }));
+    invitationService.acceptInvitation.mockResolvedValue(false);
+    
+    const res = await respond('acceptInvitation', { user });
+    
+    expect(statusOf(res)).toBe(410);
+  });
+});
+
+describe('declineInvitation', () => {
+  it('declines with the link alone', async () => {
+    invitationService.findByToken.mockResolvedValue(invitation());
+    invitationService.declineInvitation.mockResolvedValue(true);
+    
+    const res = await respond('declineInvitation', {});
+    
+    expect(statusOf(res)).toBe(200);
+  });
+  
+  it('answers 410 once the invitation is closed', async () => {
+    invitationService.findByToken.mockResolvedValue(invitation());
+    invitationService.declineInvitation.mockResolvedValue(false);
+    
+    const res = await respond('declineInvitation', {});
+    
+    expect(statusOf(res)).toBe(410);
+  });
+});
+
+describe('revokeInvitation', () => {
+  const revoke = () => respond('revokeInvitation', {
+    params: { invitationId: 'invitation-1' },
+    band,
+    user: { id: 'admin-1' }
+  });
+  
+  it('revokes a pending invitation of the band', async () => {
+    const pending = invitation();
+    BandInvitation.findOne.mockResolvedValue(pending);
+    
+    const res = await revoke();
+    
+    expect(statusOf(res)).toBe(200);
+    expect(BandInvitation.findOne).toHaveBeenCalledWith({ where: { id: 'invitation-1', bandId: 'band-1' } });
+    expect(pending.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'revoked' }));
+  });
+  
+  it('refuses an invitation that was already answered', async () => {
+    const accepted = invitation({ status: 'accepted' });
+    BandInvitation.findOne.mockResolvedValue(accepted);
+    
+    const res = await revoke();
+    
+    expect(statusOf(res)).toBe(400);
+    expect(bodyOf(res).message).toBe('Invitation has already been accepted');
+    expect(accepted.update).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
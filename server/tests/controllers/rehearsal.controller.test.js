@@ -0,0 +1,187 @@
+jest.mock('../../src/models', () => ({
+  Rehearsal: { findByPk: jest.fn(), findOne: jest.fn() },
+  UserRehearsal: { findOrCreate: jest.fn() },
+  sequelize: { transaction: jest.fn(work => work({})) }
+}));
+jest.mock('../../src/services/rehearsal.service');
+jest.mock('../../src/services/permission.service');
+
+const { Rehearsal, UserRehearsal } = require('../../src/models');
+const rehearsalService = require('../../src/services/rehearsal.service');
+const rehearsalController = require('../../src/controllers/rehearsal.controller');
+const { mockResponse, statusOf, bodyOf } = require('../helpers/http');
+
+const OCCURRENCE_START = '2025-06-06T18:00:00.000Z';
+
+describe('updateAttendeeStatus', () => {
+  let series;
+  let attendee;
+  
+  const respond = async (body = {}) => {
+    const res = mockResponse();
+    await rehearsalController.updateAttendeeStatus({
+      params: { id: series.id, userId: 'user-1' },
+      body: { status: 'attending', occurrenceStart: OCCURRENCE_START, ...body },
+      user: { id: 'user-1' },
+      band: { id: 'band-1' }
+    }, res);
+    return res;
+  };
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    series = {
+      id: 'series-1',
+      isRecurring: true,
+      status: 'scheduled',
+      Band: { hasMember: jest.fn().mockResolvedValue(true) }
+    };
+    attendee = { note: null, update: jest.fn().mockResolvedValue() };
+    
+    Rehearsal.findByPk.mockResolvedValue(series);
+    Rehearsal.findOne.mockResolvedValue(null);
+    UserRehearsal.findOrCreate.mockResolvedValue([attendee, false]);
+    rehearsalService.isSeriesOccurrence.mockResolvedValue(true);
+  });
+  
+  it('refuses an RSVP to an occurrence that was cancelled on its own', async () => {
+    Rehearsal.findOne.mockResolvedValue({ id: 'exception-1', isRecurring: false, status: 'cancelled' });
+    
+    const res = await respond();
+    
+    expect(statusOf(res)).toBe(400);
+    expect(bodyOf(res).message).toBe('Cannot respond to a cancelled rehearsal');
+    expect(rehearsalService.materializeOccurrence).not.toHaveBeenCalled();
+    expect(UserRehearsal.findOrCreate).not.toHaveBeenCalled();
+  });
+  
+  it('refuses an RSVP to any occurrence of a cancelled series without making an exception', async () => {
+    series.status = 'cancelled';
+    
+    const res = await respond();
+    
+    expect(statusOf(res)).toBe(400);
+    expect(rehearsalService.materializeOccurrence).not.toHaveBeenCalled();
+  });
+  
+  it('records the RSVP on the exception row of a changed occurrence', async () => {
+    Rehearsal.findOne.mockResolvedValue({ id: 'exception-1', isRecurring: false, status: 'scheduled' });
+    
+    const res = await respond({ status: 'maybe' });
+    
+    expect(statusOf(res)).toBe(200);
+    expect(rehearsalService.materializeOccurrence).not.toHaveBeenCalled();
+    expect(UserRehearsal.findOrCreate).toHaveBeenCalledWith({ where: { rehearsalId: 'exception-1', userId: 'user-1' } });
+    expect(attendee.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'maybe' }));
+  });
+  
+  it('makes an exception row for an RSVP to a plain occurrence', async () => {
+    rehearsalService.materializeOccurrence.mockResolvedValue({ id: 'exception-2', isRecurring: false, status: 'scheduled' });
+    
+    const res = await respond();
+    
+    expect(statusOf(res)).toBe(200);
+    expect(rehearsalService.materializeOccurrence).toHaveBeenCalledWith(series, OCCURRENCE_START);
+    expect(UserRehearsal.findOrCreate).toHaveBeenCalledWith({ where: { rehearsalId: 'exception-2', userId: 'user-1' } });
+  });
+  
+  it('rejects an occurrenceStart that is not part of the series', async () => {
+    rehearsalService.isSeriesOccurrence.mockResolvedValue(false);
+    
+    const res = await respond();
+    
+    expect(statusOf(res)).toBe(400);
+    expect(bodyOf(res).message).toBe('occurrenceStart is not an occurrence of this series');
+  });
+});
+
+describe('recordAttendance', () => {
+  const PAST_START = '2025-06-06T18:00:00.000Z';
+  const FUTURE_START = new Date(Date.now() + 7 * 24 * 60 * 60000).toISOString();
+  let series;
+  let attendee;
+  
+  const respond = async (occurrenceStart) => {
+    const res = mockResponse();
+    await rehearsalController.recordAttendance({
+      params: { id: series.id },
+      body: { attendance: [{ userId: 'user-1', status: 'present' }], occurrenceStart },
+      user: { id: 'admin-1' }
+    }, res);
+    return res;
+  };
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    series = {
+      id: 'series-1',
+      isRecurring: true,
+      status: 'scheduled',
+      startTime: '2025-05-02T18:00:00.000Z',
+      Band: { getMembers: jest.fn().mockResolvedValue([{ id: 'user-1' }]) }
+    };
+    attendee = { attendanceNote: null, update: jest.fn(function() { return Promise.resolve(this); }) };
+    
+    Rehearsal.findByPk.mockResolvedValue(series);
+    Rehearsal.findOne.mockResolvedValue(null);
+    UserRehearsal.findOrCreate.mockResolvedValue([attendee, false]);
+    rehearsalService.isSeriesOccurrence.mockResolvedValue(true);
+  });
+  
+  it('refuses an occurrence that has not started without making an exception row', async () => {
+    const res = await respond(FUTURE_START);
+    
+    expect(statusOf(res)).toBe(400);
+    expect(bodyOf(res).message).toBe('Attendance can only be recorded once the rehearsal has started');
+    expect(rehearsalService.materializeOccurrence).not.toHaveBeenCalled();
+  });
+  
+  it('refuses an occurrence cancelled on its own', async () => {
+    Rehearsal.findOne.mockResolvedValue({ id: 'exception-1', isRecurring: false, status: 'cancelled', startTime: PAST_START });
+    
+    const res = await respond(PAST_START);
+    
+    expect(statusOf(res)).toBe(400);
+    expect(bodyOf(res).message).toBe('Cannot record attendance for a cancelled rehearsal');
+    expect(UserRehearsal.findOrCreate).not.toHaveBeenCalled();
+  });
+  
+  it('refuses any occurrence of a cancelled series without making an exception row', async () => {
+    series.status = 'cancelled';
+    
+    const res = await respond(PAST_START);
+    
+    expect(statusOf(res)).toBe(400);
+    expect(rehearsalService.materializeOccurrence).not.toHaveBeenCalled();
+  });
+  
+  it('requires occurrenceStart for a series', async () => {
+    const res = await respond(undefined);
+    
+    expect(statusOf(res)).toBe(400);
+    expect(bodyOf(res).message).toBe('occurrenceStart is required to record attendance for a series');
+  });
+  
+  it('makes an exception row once the checks pass and records attendance on it', async () => {
+    const exception = {
+      id: 'exception-2',
+      isRecurring: false,
+      status: 'completed',
+      startTime: PAST_START,
+      endTime: '2025-06-06T20:00:00.000Z'
+    };
+    rehearsalService.materializeOccurrence.mockResolvedValue(exception);
+    
+    const res = await respond(PAST_START);
+    
+    expect(statusOf(res)).toBe(200);
+    expect(rehearsalService.materializeOccurrence).toHaveBeenCalledWith(series, PAST_START);
+    expect(UserRehearsal.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+      where: { rehearsalId: 'exception-2', userId: 'user-1' }
+    }));
+    expect(attendee.update).toHaveBeenCalledWith(
+      expect.objectContaining({ attendance: 'present', attendanceRecordedBy: 'admin-1' }),
+      expect.anything()
+    );
+  });
+});
\ No newline at end of file
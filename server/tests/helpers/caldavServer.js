@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const { startServer } = require('./server');
+
+/**
+ * Start a local stand-in for a Radicale-style CalDAV server with one calendar
+ * collection at /calendars/ana/rehearsals/. It answers PROPFIND, PUT, DELETE
+ * and calendar-query REPORT, honours If-Match and If-None-Match, gives every
+ * resource a strong ETag and wants basic authentication.
+ * @param {Object} [options]
+ * @param {String} [options.username]
+ * @param {String} [options.password]
+ * @returns {Promise<Object>} { calendarUrl, resources, requests, edit, close }
+ */
+const startCaldavServer = async ({ username = 'ana', password = 'secret' } = {}) => {
+  const collection = '/calendars/ana/rehearsals/';
+  const resources = new Map();
+  const expected = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  
+  const store = (path, text) => {
+    const etag = `"${crypto.createHash('md5').update(text).digest('hex')}"`;
+    resources.set(path, { text, etag });
+    return etag;
+  };
+  
+  const server = await startServer((req, res, body) => {
+    if (req.headers.authorization !== expected) {
+      res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="Radicale"' });
+      return res.end();
+    }
+    
+    const path = decodeURIComponent(req.url);
+    const existing = resources.get(path);
+    const ifMatch = req.headers['if-match'];
+    const preconditionFailed = (ifMatch && (!existing || existing.etag !== ifMatch)) ||
+      (req.headers['if-none-match'] === '*' && existing);
+    
+    if (req.method === 'PROPFIND' && path === collection) {
+      res.writeHead(207, { 'Content-Type': 'text/xml; charset=utf-8' });
+      return res.end('<?xml version="1.0"?><multistatus xmlns="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">' +
+        `<response><href>${collection}</href><propstat><prop>` +
+        '<resourcetype><collection/><C:calendar/></resourcetype><displayname>Rehearsals</displayname>' +
+        '</prop><status>HTTP/1.1 200 OK</status></propstat></response></multistatus>');
+    }
+    
+    if (req.method === 'REPORT' && path === collection) {
+      res.writeHead(207, { 'Content-Type': 'text/xml; charset=utf-8' });
+      const responses = [...resources].map(([href, { text, etag }]) => {
+        return `<response><href>${href}</href><propstat><prop><getetag>${etag}</getetag>` +
+          `<C:calendar-data><![CDATA[${text}]]></C:calendar-data></prop></propstat></response>`;
+      });
+      return res.end(`<?xml version="1.0"?><multistatus xmlns="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">${responses.join('')}</multistatus>`);
+    }
+    
+    if (!path.startsWith(collection) || path === collection) {
+      res.writeHead(404);
+      return res.end();
+    }
+    
+    if (preconditionFailed) {
+      res.writeHead(412);
+      return res.end();
+    }
+    
+    if (req.method === 'PUT') {
+      const etag = store(path, body);
+      res.writeHead(existing ? 204 : 201, { ETag: etag });
+      return res.end();
+    }
+    
+    if (req.method === 'DELETE') {
+      if (!existing) {
+        res.writeHead(404);
+        return res.end();
+      }
+      resources.delete(path);
+      res.writeHead(204);
+      return res.end();
+    }
+    
+    res.writeHead(405);
+    res.end();
+  });
+  
+  return {
+    calendarUrl: `${server.origin}${collection}`,
+    resources,
+    requests: server.requests,
+    // Change a resource the way the member would in their calendar app
+    edit: (path, text) => store(path, text),
+    close: server.close
+  };
+};
+
+module.exports = {
+  startCaldavServer
+};
\ No newline at end of file
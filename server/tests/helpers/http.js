@@ -0,0 +1,38 @@
+/**
+ * Express response double that records what the controller sent
+ * @returns {Object} Response with jest.fn status, json, set and send
+ */
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  return res;
+};
+
+/**
+ * Status code a controller answered with (200 when it never set one)
+ * @param {Object} res - Response from mockResponse
+ * @returns {Number}
+ */
+const statusOf = (res) => {
+  const { calls } = res.status.mock;
+  return calls.length > 0 ? calls[calls.length - 1][0] : 200;
+};
+
+/**
+ * Body a controller answered with
+ * @param {Object} res - Response from mockResponse
+ * @returns {*}
+ */
+const bodyOf = (res) => {
+  const { calls } = res.json.mock;
+  return calls.length > 0 ? calls[calls.length - 1][0] : undefined;
+};
+
+module.exports = {
+  mockResponse,
+  statusOf,
+  bodyOf
+};
\ No newline at end of file
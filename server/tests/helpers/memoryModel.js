@@ -0,0 +1,123 @@
+const { randomUUID } = require('crypto');
+const { Op } = require('sequelize');
+
+/**
+ * @param {*} value
+ * @returns {*} Milliseconds for dates, the value itself otherwise
+ */
+const comparable = value => (value instanceof Date ? value.getTime() : value);
+
+// Operators a where clause may use on a field
+const OPERATORS = new Map([
+  [Op.gt, (value, operand) => comparable(value) > comparable(operand)],
+  [Op.lt, (value, operand) => comparable(value) < comparable(operand)],
+  [Op.ne, (value, operand) => comparable(value) !== comparable(operand)],
+  [Op.in, (value, operand) => operand.includes(value)]
+]);
+
+/**
+ * Check a stored row against a where clause of equality conditions and the
+ * operators in OPERATORS. Dates match by instant and arrays match any of
+ * their values.
+ * @param {Object} row
+ * @param {Object} where
+ * @returns {Boolean}
+ */
+const matches = (row, where = {}) => {
+  return Object.entries(where).every(([field, expected]) => {
+    if (expected && typeof expected === 'object' && !(expected instanceof Date) && !Array.isArray(expected)) {
+      return Object.getOwnPropertySymbols(expected).every(operator => OPERATORS.get(operator)(row[field], expected[operator]));
+    }
+    const same = value => (value instanceof Date || expected instanceof Date
+      ? new Date(value).getTime() === new Date(expected).getTime()
+      : value === expected);
+    return Array.isArray(expected) ? expected.includes(row[field]) : same(row[field]);
+  });
+};
+
+/**
+ * In-memory stand-in for a Sequelize model, enough for services that build,
+ * create, find, save, destroy and conditionally update rows. Rows live in
+ * `rows` so specs can look at them, and survive a "restart" of the code under
+ * test.
+ * @param {Object} [options]
+ * @param {Array<String>} [options.unique] - Fields of a unique index
+ * @param {Object} [options.defaults] - Values of new rows
+ * @returns {Object} Model with build, create, findByPk, findOne, findAll, update and rows
+ */
+const memoryModel = ({ unique = [], defaults = {} } = {}) => {
+  const rows = [];
+  
+  const instance = (row) => ({
+    ...row,
+    set(values) {
+      Object.assign(this, values);
+      return this;
+    },
+    async save() {
+      Object.keys(row).concat(Object.keys(this))
+        .filter(field => typeof this[field] !== 'function')
+        .forEach((field) => {
+          row[field] = this[field];
+        });
+      if (!rows.includes(row)) {
+        rows.push(row);
+      }
+      return this;
+    },
+    async update(values) {
+      Object.assign(row, values);
+      Object.assign(this, values);
+      return this;
+    },
+    async reload() {
+      Object.assign(this, row);
+      return this;
+    },
+    async destroy() {
+      if (rows.includes(row)) {
+        rows.splice(rows.indexOf(row), 1);
+      }
+    },
+    toJSON() {
+      return { ...row };
+    }
+  });
+  
+  return {
+    rows,
+    build(values) {
+      return instance({ id: randomUUID(), ...defaults, ...values });
+    },
+    async create(values) {
+      const row = { id: randomUUID(), ...defaults, ...values };
+      if (unique.length > 0 && rows.some(other => unique.every(field => matches(other, { [field]: row[field] })))) {
+        const error = new Error('Validation error');
+        error.name = 'SequelizeUniqueConstraintError';
+        throw error;
+      }
+      rows.push(row);
+      return instance(row);
+    },
+    async findByPk(id) {
+      const row = rows.find(candidate => candidate.id === id);
+      return row ? instance(row) : null;
+    },
+    async findOne({ where } = {}) {
+      const row = rows.find(candidate => matches(candidate, where));
+      return row ? instance(row) : null;
+    },
+    async findAll({ where } = {}) {
+      return rows.filter(candidate => matches(candidate, where)).map(instance);
+    },
+    async update(values, { where } = {}) {
+      const changed = rows.filter(candidate => matches(candidate, where));
+      changed.forEach(row => Object.assign(row, values));
+      return [changed.length];
+    }
+  };
+};
+
+module.exports = {
+  memoryModel
+};
\ No newline at end of file
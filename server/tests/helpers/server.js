@@ -0,0 +1,38 @@
+const http = require('http');
+
+/**
+ * Start a local HTTP server standing in for a remote one. It listens on
+ * 127.0.0.1 and is reached as `localhost`, so specs put localhost in
+ * OUTBOUND_ALLOWED_HOSTS to let the outbound guard through.
+ * @param {Function} handler - (req, res, body) with the request body as text
+ * @returns {Promise<Object>} { origin, port, requests, close }
+ */
+const startServer = async (handler) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handler(req, res, body);
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  
+  return {
+    port,
+    origin: `http://localhost:${port}`,
+    requests,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
+
+module.exports = {
+  startServer
+};
\ No newline at end of file
@@ -0,0 +1,145 @@
+jest.mock('../../src/models', () => ({
+  Band: { findByPk: jest.fn() },
+  Rehearsal: { findByPk: jest.fn() },
+  Equipment: { findByPk: jest.fn() },
+  UserBand: { findOne: jest.fn() }
+}));
+jest.mock('../../src/services/poll.service');
+
+const { Band, Rehearsal, Equipment, UserBand } = require('../../src/models');
+const requireBandRole = require('../../src/middleware/requireBandRole');
+const { mockResponse, statusOf, bodyOf } = require('../helpers/http');
+
+const band = { id: 'band-1', ownerId: 'owner-1' };
+const USER = { id: 'user-1', role: 'user' };
+
+/**
+ * Run a middleware and report whether it called next
+ * @param {Function} middleware
+ * @param {Object} req - Request fields
+ * @returns {Promise<Object>} { req, res, passed }
+ */
+const run = async (middleware, req) => {
+  const request = { method: 'PUT', originalUrl: '/api/bands/band-1', params: { id: 'band-1' }, body: {}, user: USER, ...req };
+  const res = mockResponse();
+  const next = jest.fn();
+  await middleware(request, res, next);
+  return { req: request, res, passed: next.mock.calls.length === 1 };
+};
+
+describe('requireBandRole', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Band.findByPk.mockResolvedValue(band);
+    UserBand.findOne.mockResolvedValue(null);
+  });
+  
+  it.each([
+    ['guest', 'guest', true],
+    ['guest', 'member', false],
+    ['member', 'member', true],
+    ['member', 'admin', false],
+    ['admin', 'admin', true],
+    ['admin', 'owner', false]
+  ])('a band %s asking for %s passes: %p', async (role, minimum, expected) => {
+    UserBand.findOne.mockResolvedValue({ role });
+    
+    const { req, res, passed } = await run(requireBandRole(minimum), {});
+    
+    expect(passed).toBe(expected);
+    if (expected) {
+      expect(req.band).toBe(band);
+      expect(req.bandRole).toBe(role);
+    } else {
+      expect(statusOf(res)).toBe(403);
+      expect(bodyOf(res).message).toBe(`This action requires the band ${minimum} role`);
+    }
+  });
+  
+  it('lets the band owner do anything', async () => {
+    const { req, passed } = await run(requireBandRole('owner'), { user: { id: 'owner-1', role: 'user' } });
+    
+    expect(passed).toBe(true);
+    expect(req.bandRole).toBe('owner');
+  });
+  
+  it('lets app admins in without a band role', async () => {
+    const { req, passed } = await run(requireBandRole('owner'), { user: { id: 'admin-1', role: 'admin' } });
+    
+    expect(passed).toBe(true);
+    expect(req.band).toBe(band);
+    expect(req.bandRole).toBeNull();
+  });
+  
+  it('tells non-members they have no access to the band', async () => {
+    const { res, passed } = await run(requireBandRole('guest'), {});
+    
+    expect(passed).toBe(false);
+    expect(statusOf(res)).toBe(403);
+    expect(bodyOf(res).message).toBe('You do not have access to this band');
+  });
+  
+  it('answers 404 for an unknown band', async () => {
+    Band.findByPk.mockResolvedValue(null);
+    
+    const { res } = await run(requireBandRole('guest'), {});
+    
+    expect(statusOf(res)).toBe(404);
+    expect(bodyOf(res).message).toBe('Band not found');
+  });
+  
+  it('grants access below the minimum role through allowIf', async () => {
+    UserBand.findOne.mockResolvedValue({ role: 'member' });
+    Rehearsal.findByPk.mockResolvedValue({ id: 'rehearsal-1', bandId: 'band-1', createdBy: 'user-1' });
+    const organizerOrAdmin = requireBandRole('admin', {
+      band: requireBandRole.fromRehearsal(),
+      allowIf: (req, role) => role && req.rehearsal.createdBy === req.user.id
+    });
+    
+    const { req, passed } = await run(organizerOrAdmin, { params: { id: 'rehearsal-1' } });
+    
+    expect(passed).toBe(true);
+    expect(req.rehearsal.id).toBe('rehearsal-1');
+  });
+  
+  it('answers 404 with the resolver message when the rehearsal does not exist', async () => {
+    Rehearsal.findByPk.mockResolvedValue(null);
+    
+    const { res } = await run(requireBandRole('guest', { band: requireBandRole.fromRehearsal() }), {});
+    
+    expect(statusOf(res)).toBe(404);
+    expect(bodyOf(res).message).toBe('Rehearsal not found');
+  });
+  
+  it('asks for a band ID when the body names none', async () => {
+    const { res } = await run(requireBandRole('member', { band: requireBandRole.fromBody('bandId') }), {});
+    
+    expect(statusOf(res)).toBe(400);
+    expect(bodyOf(res).message).toBe('Band ID is required');
+  });
+  
+  it('leaves personal equipment to allowIf', async () => {
+    Equipment.findByPk.mockResolvedValue({ id: 'equipment-1', bandId: null, ownerId: 'user-1' });
+    const ownerOnly = requireBandRole('member', {
+      band: requireBandRole.fromEquipment(),
+      allowIf: req => req.equipment.ownerId === req.user.id
+    });
+    
+    const mine = await run(ownerOnly, {});
+    const theirs = await run(ownerOnly, { user: { id: 'user-2', role: 'user' } });
+    
+    expect(mine.passed).toBe(true);
+    expect(mine.req.band).toBeNull();
+    expect(theirs.passed).toBe(false);
+    expect(statusOf(theirs.res)).toBe(404);
+  });
+  
+  it('answers 500 when the lookup fails', async () => {
+    Band.findByPk.mockRejectedValue(new Error('connection lost'));
+    
+    const { res, passed } = await run(requireBandRole('guest'), {});
+    
+    expect(passed).toBe(false);
+    expect(statusOf(res)).toBe(500);
+  });
+});
\ No newline at end of file
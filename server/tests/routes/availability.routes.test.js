@@ -0,0 +1,105 @@
+jest.mock('../../src/controllers/availability.controller');
+jest.mock('../../src/controllers/externalCalendar.controller');
+jest.mock('../../src/middleware/authenticate', () => () => (req, res, next) => next());
+
+const express = require('express');
+const request = require('supertest');
+const availabilityController = require('../../src/controllers/availability.controller');
+const availabilityRoutes = require('../../src/routes/availability.routes');
+
+const AVAILABILITY_ID = '5a7c9e1b-3d5f-4a6b-8c9d-0e1f2a3b4c5d';
+
+describe('availability validation', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/availability', availabilityRoutes);
+  
+  const messages = res => res.body.errors.map(error => error.message);
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    availabilityController.createAvailability.mockImplementation((req, res) => res.status(201).json(req.body));
+    availabilityController.updateAvailability.mockImplementation((req, res) => res.json(req.body));
+    availabilityController.createBlackout.mockImplementation((req, res) => res.status(201).json(req.body));
+    availabilityController.getUserAvailability.mockImplementation((req, res) => res.json(req.query));
+  });
+  
+  it('accepts a recurring window', async () => {
+    const res = await request(app)
+      .post('/api/availability')
+      .send({ type: 'recurring', dayOfWeek: 5, startHour: 18, startMinute: 0, endHour: 22, endMinute: 0, effectiveDate: '2025-06-01' });
+    
+    expect(res.status).toBe(201);
+  });
+  
+  it('checks the recurring fields only for recurring windows', async () => {
+    const res = await request(app)
+      .post('/api/availability')
+      .send({ type: 'one-time', startTime: '2025-06-06T18:00:00Z', endTime: '2025-06-06T20:00:00Z' });
+    
+    expect(res.status).toBe(201);
+  });
+  
+  it('rejects a recurring window with an hour or day out of range', async () => {
+    const res = await request(app)
+      .post('/api/availability')
+      .send({ type: 'recurring', dayOfWeek: 7, startHour: 24, startMinute: 0, endHour: 22, endMinute: 0, effectiveDate: '2025-06-01' });
+    
+    expect(res.status).toBe(400);
+    expect(messages(res)).toEqual(expect.arrayContaining([
+      'Day of week must be between 0 (Sunday) and 6 (Saturday)',
+      'Start hour must be between 0 and 23'
+    ]));
+    expect(availabilityController.createAvailability).not.toHaveBeenCalled();
+  });
+  
+  it('rejects a one-time window that ends before it starts', async () => {
+    const res = await request(app)
+      .post('/api/availability')
+      .send({ type: 'one-time', startTime: '2025-06-06T20:00:00Z', endTime: '2025-06-06T18:00:00Z' });
+    
+    expect(res.status).toBe(400);
+    expect(messages(res)).toContain('End time must be after start time');
+  });
+  
+  it('rejects an expiry date before the effective date and an unknown tier', async () => {
+    const res = await request(app)
+      .post('/api/availability')
+      .send({
+        type: 'recurring', dayOfWeek: 5, startHour: 18, startMinute: 0, endHour: 22, endMinute: 0,
+        effectiveDate: '2025-06-01', expiryDate: '2025-05-01', tier: 'maybe'
+      });
+    
+    expect(res.status).toBe(400);
+    expect(messages(res)).toEqual(expect.arrayContaining([
+      'Expiry date must be after effective date',
+      'Tier must be one of: preferred, possible, urgent-only'
+    ]));
+  });
+  
+  it('rejects an update with an invalid ID or minute', async () => {
+    const badId = await request(app).put('/api/availability/not-a-uuid').send({});
+    const badMinute = await request(app).put(`/api/availability/${AVAILABILITY_ID}`).send({ startMinute: 60 });
+    
+    expect(badId.status).toBe(400);
+    expect(messages(badMinute)).toEqual(['Start minute must be between 0 and 59']);
+    expect(availabilityController.updateAvailability).not.toHaveBeenCalled();
+  });
+  
+  it('rejects a blackout that ends before it starts', async () => {
+    const res = await request(app)
+      .post('/api/availability/blackouts')
+      .send({ startsAt: '2025-07-10T00:00:00Z', endsAt: '2025-07-01T00:00:00Z' });
+    
+    expect(res.status).toBe(400);
+    expect(messages(res)).toEqual(['End must be after start']);
+  });
+  
+  it('rejects an unknown displayIn', async () => {
+    const ok = await request(app).get('/api/availability').query({ displayIn: 'utc' });
+    const bad = await request(app).get('/api/availability').query({ displayIn: 'mars' });
+    
+    expect(ok.status).toBe(200);
+    expect(bad.status).toBe(400);
+  });
+});
\ No newline at end of file
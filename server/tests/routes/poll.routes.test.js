@@ -0,0 +1,43 @@
+jest.mock('../../src/controllers/poll.controller');
+jest.mock('../../src/middleware/authenticate', () => () => (req, res, next) => next());
+jest.mock('../../src/middleware/requireBandRole', () => {
+  const requireBandRole = () => (req, res, next) => next();
+  requireBandRole.fromPoll = () => null;
+  return requireBandRole;
+});
+
+const express = require('express');
+const request = require('supertest');
+const pollController = require('../../src/controllers/poll.controller');
+const pollRoutes = require('../../src/routes/poll.routes');
+
+const POLL_ID = '6f1c2f0e-1b7a-4c1e-9d3a-2f0b8e6a4c11';
+
+describe('POST /api/polls/:id/close', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/polls', pollRoutes);
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pollController.closePoll.mockImplementation((req, res) => res.json(req.body));
+  });
+  
+  it('turns "false" strings into booleans before the controller sees them', async () => {
+    const res = await request(app)
+      .post(`/api/polls/${POLL_ID}/close`)
+      .send({ createRehearsal: 'false', strict: 'false' });
+    
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ createRehearsal: false, strict: false });
+  });
+  
+  it('rejects values that are not booleans', async () => {
+    const res = await request(app)
+      .post(`/api/polls/${POLL_ID}/close`)
+      .send({ createRehearsal: 'sometimes' });
+    
+    expect(res.status).toBe(400);
+    expect(pollController.closePoll).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
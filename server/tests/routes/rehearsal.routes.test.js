@@ -0,0 +1,62 @@
+jest.mock('../../src/controllers/rehearsal.controller');
+jest.mock('../../src/middleware/authenticate', () => () => (req, res, next) => next());
+jest.mock('../../src/middleware/requireBandRole', () => {
+  const requireBandRole = () => (req, res, next) => next();
+  requireBandRole.fromRehearsal = () => null;
+  requireBandRole.fromBody = () => null;
+  return requireBandRole;
+});
+
+const express = require('express');
+const request = require('supertest');
+const rehearsalController = require('../../src/controllers/rehearsal.controller');
+const rehearsalRoutes = require('../../src/routes/rehearsal.routes');
+
+const BAND_ID = '3b0c5d1e-8f4a-4b6c-9e2d-7a1f0c3b5e92';
+const REHEARSAL_ID = '9d2e4f6a-1c3b-4d5e-8f7a-0b1c2d3e4f5a';
+
+describe('rehearsal boolean fields', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/rehearsals', rehearsalRoutes);
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    rehearsalController.createRehearsal.mockImplementation((req, res) => res.json(req.body));
+    rehearsalController.updateRehearsal.mockImplementation((req, res) => res.json(req.body));
+  });
+  
+  it('turns "false" strings into booleans when creating a rehearsal', async () => {
+    const res = await request(app)
+      .post('/api/rehearsals')
+      .send({
+        bandId: BAND_ID,
+        title: 'Friday rehearsal',
+        startTime: '2025-06-06T18:00:00.000Z',
+        endTime: '2025-06-06T20:00:00.000Z',
+        isRecurring: 'false',
+        strict: 'false'
+      });
+    
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(expect.objectContaining({ isRecurring: false, strict: false }));
+  });
+  
+  it('turns "false" strings into booleans when updating a rehearsal', async () => {
+    const res = await request(app)
+      .put(`/api/rehearsals/${REHEARSAL_ID}`)
+      .send({ isRecurring: 'false', strict: 'false' });
+    
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ isRecurring: false, strict: false });
+  });
+  
+  it('rejects a strict value that is not a boolean', async () => {
+    const res = await request(app)
+      .put(`/api/rehearsals/${REHEARSAL_ID}`)
+      .send({ strict: 'sometimes' });
+    
+    expect(res.status).toBe(400);
+    expect(rehearsalController.updateRehearsal).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
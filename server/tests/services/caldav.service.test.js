@@ -0,0 +1,155 @@
+jest.mock('../../src/models', () => {
+  const { memoryModel } = require('../helpers/memoryModel');
+  return {
+    CaldavAccount: {},
+    CaldavEvent: memoryModel({ defaults: { status: 'synced', etag: null, contentHash: null } }),
+    CalendarFeed: {},
+    ExternalCalendar: {},
+    BusyBlock: {},
+    Rehearsal: { findAll: jest.fn() },
+    Band: {},
+    User: {},
+    Venue: {},
+    sequelize: {}
+  };
+});
+jest.mock('../../src/services/permission.service');
+
+const { CaldavEvent, Rehearsal } = require('../../src/models');
+const calendarService = require('../../src/services/calendar.service');
+const permission = require('../../src/services/permission.service');
+const { syncAccount } = require('../../src/services/caldav.service');
+const secrets = require('../../src/utils/secrets');
+const { startCaldavServer } = require('../helpers/caldavServer');
+
+const now = new Date('2025-06-01T12:00:00Z');
+const path = '/calendars/ana/rehearsals/rehearsal-1.ics';
+
+/**
+ * Rehearsal as loaded by feedRehearsals, attended by the account's user
+ * @param {Object} [changes]
+ * @returns {Object}
+ */
+const rehearsal = (changes = {}) => ({
+  id: 'rehearsal-1',
+  seriesId: null,
+  isRecurring: false,
+  bandId: 'band-1',
+  Band: { id: 'band-1', name: 'The Examples' },
+  title: 'Set run-through',
+  status: 'scheduled',
+  timezone: 'UTC',
+  startTime: new Date('2025-06-06T18:00:00Z'),
+  endTime: new Date('2025-06-06T20:00:00Z'),
+  updatedAt: new Date('2025-05-01T00:00:00Z'),
+  attendees: [{
+    id: 'user-1', email: 'ana@example.com', firstName: 'Ana', lastName: 'Lima', UserRehearsal: { status: 'attending' }
+  }],
+  ...changes
+});
+
+describe('syncAccount against a CalDAV server', () => {
+  let server;
+  let account;
+  let feed;
+  
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    process.env.OUTBOUND_ALLOWED_HOSTS = 'localhost';
+    CaldavEvent.rows.length = 0;
+    server = await startCaldavServer();
+    account = {
+      id: 'account-1',
+      userId: 'user-1',
+      calendarUrl: server.calendarUrl,
+      username: 'ana',
+      password: secrets.encrypt('secret'),
+      pullFreeBusy: false,
+      update: jest.fn().mockResolvedValue()
+    };
+    feed = [rehearsal()];
+    permission.bandIdsWithRole.mockResolvedValue(['band-1']);
+    jest.spyOn(calendarService, 'feedRehearsals').mockImplementation(async () => feed);
+    Rehearsal.findAll.mockResolvedValue([]);
+  });
+  
+  afterEach(async () => {
+    delete process.env.OUTBOUND_ALLOWED_HOSTS;
+    await server.close();
+  });
+  
+  const puts = () => server.requests.filter(request => request.method === 'PUT');
+  
+  it('creates a new event only if the server has none by that name', async () => {
+    const totals = await syncAccount(account, { now });
+    
+    expect(totals).toEqual(expect.objectContaining({ pushed: 1, conflicts: 0 }));
+    expect(puts()[0].headers['if-none-match']).toBe('*');
+    expect(server.resources.get(path).text).toContain('SUMMARY:The Examples: Set run-through');
+    expect(CaldavEvent.rows).toEqual([
+      expect.objectContaining({ rehearsalId: 'rehearsal-1', status: 'synced', etag: server.resources.get(path).etag })
+    ]);
+    expect(account.update).toHaveBeenCalledWith({ lastSyncedAt: now, lastError: null });
+  });
+  
+  it('updates the event it wrote with If-Match and leaves unchanged events alone', async () => {
+    await syncAccount(account, { now });
+    const firstEtag = server.resources.get(path).etag;
+    
+    const unchanged = await syncAccount(account, { now });
+    feed = [rehearsal({ title: 'Album run-through', updatedAt: new Date('2025-05-02T00:00:00Z') })];
+    const changed = await syncAccount(account, { now });
+    
+    expect(unchanged.unchanged).toBe(1);
+    expect(changed.pushed).toBe(1);
+    expect(puts()).toHaveLength(2);
+    expect(puts()[1].headers['if-match']).toBe(firstEtag);
+    expect(server.resources.get(path).text).toContain('Album run-through');
+    expect(CaldavEvent.rows[0].etag).toBe(server.resources.get(path).etag);
+  });
+  
+  it('keeps an event the member changed on the server as a conflict', async () => {
+    await syncAccount(account, { now });
+    const memberVersion = server.resources.get(path).text.replace('Set run-through', 'Moved to Friday');
+    server.edit(path, memberVersion);
+    
+    feed = [rehearsal({ title: 'Album run-through', updatedAt: new Date('2025-05-02T00:00:00Z') })];
+    const totals = await syncAccount(account, { now });
+    
+    expect(totals.conflicts).toBe(1);
+    expect(server.resources.get(path).text).toBe(memberVersion);
+    expect(CaldavEvent.rows[0]).toEqual(expect.objectContaining({
+      status: 'conflict', lastError: 'Changed on the CalDAV server'
+    }));
+    
+    // Later syncs do not try again until the conflict is resolved
+    await syncAccount(account, { now });
+    expect(puts()).toHaveLength(2);
+  });
+  
+  it('deletes the event once the member no longer attends', async () => {
+    await syncAccount(account, { now });
+    const { etag } = server.resources.get(path);
+    
+    feed = [rehearsal({ attendees: [{ ...feed[0].attendees[0], UserRehearsal: { status: 'not_attending' } }] })];
+    const totals = await syncAccount(account, { now });
+    
+    const deletion = server.requests.find(request => request.method === 'DELETE');
+    expect(totals.deleted).toBe(1);
+    expect(deletion.headers['if-match']).toBe(etag);
+    expect(server.resources.has(path)).toBe(false);
+    expect(CaldavEvent.rows).toHaveLength(0);
+  });
+  
+  it('does not delete an event the member changed on the server', async () => {
+    await syncAccount(account, { now });
+    server.edit(path, server.resources.get(path).text.replace('Set run-through', 'Moved to Friday'));
+    
+    feed = [];
+    const totals = await syncAccount(account, { now });
+    
+    expect(totals.conflicts).toBe(1);
+    expect(server.resources.has(path)).toBe(true);
+    expect(CaldavEvent.rows[0].status).toBe('conflict');
+  });
+});
\ No newline at end of file
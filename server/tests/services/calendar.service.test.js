@@ -0,0 +1,73 @@
+jest.mock('../../src/models', () => ({
+  CalendarFeed: {},
+  Rehearsal: {},
+  Band: {},
+  User: {},
+  Venue: {}
+}));
+jest.mock('../../src/services/permission.service');
+
+const { renderEvent } = require('../../src/services/calendar.service');
+
+const base = {
+  bandId: 'band-1',
+  Band: { id: 'band-1', name: 'The Examples' },
+  title: 'Rehearsal',
+  status: 'scheduled',
+  timezone: 'Europe/Berlin',
+  updatedAt: new Date('2025-05-01T00:00:00Z'),
+  attendees: []
+};
+
+/**
+ * Unfolded content lines of a rendered object
+ * @param {String} text
+ * @returns {Array<String>}
+ */
+const linesOf = text => text.replace(/\r\n /g, '').split('\r\n');
+
+describe('renderEvent', () => {
+  it('writes a one-off rehearsal in UTC without a VTIMEZONE', () => {
+    const lines = linesOf(renderEvent([{
+      ...base,
+      id: 'rehearsal-1',
+      isRecurring: false,
+      seriesId: null,
+      startTime: new Date('2025-06-06T16:00:00Z'),
+      endTime: new Date('2025-06-06T18:00:00Z')
+    }]));
+    
+    expect(lines).toContain('DTSTART:20250606T160000Z');
+    expect(lines).toContain('DTEND:20250606T180000Z');
+    expect(lines).not.toContain('BEGIN:VTIMEZONE');
+  });
+  
+  it('defines the TZID used by a series and its changed occurrences', () => {
+    const lines = linesOf(renderEvent([
+      {
+        ...base,
+        id: 'series-1',
+        isRecurring: true,
+        recurrenceRule: 'FREQ=WEEKLY;BYDAY=FR;UNTIL=20251231T000000Z',
+        startTime: new Date('2025-06-06T16:00:00Z'),
+        endTime: new Date('2025-06-06T18:00:00Z')
+      },
+      {
+        ...base,
+        id: 'exception-1',
+        isRecurring: false,
+        seriesId: 'series-1',
+        originalStartTime: new Date('2025-11-07T17:00:00Z'),
+        startTime: new Date('2025-11-08T17:00:00Z'),
+        endTime: new Date('2025-11-08T19:00:00Z')
+      }
+    ]));
+    
+    expect(lines.filter(contentLine => contentLine === 'BEGIN:VTIMEZONE')).toHaveLength(1);
+    expect(lines.indexOf('END:VTIMEZONE')).toBeLessThan(lines.indexOf('BEGIN:VEVENT'));
+    expect(lines).toContain('TZID:Europe/Berlin');
+    expect(lines).toContain('DTSTART;TZID=Europe/Berlin:20250606T180000');
+    expect(lines).toContain('RECURRENCE-ID;TZID=Europe/Berlin:20251107T180000');
+    expect(lines).toContain('DTSTART:20251026T030000');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,117 @@
+jest.mock('../../src/models', () => ({}));
+
+const { fetchCalendar, eventsToBlocks } = require('../../src/services/calendarImport.service');
+const { startServer } = require('../helpers/server');
+
+const ICS = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'UID:dentist@example.com',
+  'DTSTART:20250606T160000Z',
+  'DTEND:20250606T170000Z',
+  'SUMMARY:Dentist',
+  'END:VEVENT',
+  'END:VCALENDAR',
+  ''
+].join('\r\n');
+
+// Stand-in for a calendar host serving ICS subscriptions
+const routes = {
+  '/calendar.ics': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/calendar' });
+    res.end(ICS);
+  },
+  '/moved.ics': (req, res) => {
+    res.writeHead(301, { Location: '/calendar.ics' });
+    res.end();
+  },
+  '/metadata.ics': (req, res) => {
+    res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+    res.end();
+  },
+  '/missing.ics': (req, res) => {
+    res.writeHead(404);
+    res.end('Not found');
+  },
+  '/declared-huge.ics': (req, res) => {
+    res.writeHead(200, { 'Content-Length': String(6 * 1024 * 1024) });
+    res.end();
+  },
+  // Chunked, so no Content-Length; keeps writing until the client hangs up
+  '/endless.ics': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/calendar' });
+    const chunk = Buffer.alloc(64 * 1024, 'x');
+    const write = () => {
+      while (!res.destroyed && res.write(chunk));
+      if (!res.destroyed) {
+        res.once('drain', write);
+      }
+    };
+    res.on('close', () => res.removeAllListeners('drain'));
+    write();
+  }
+};
+
+describe('fetchCalendar', () => {
+  let server;
+  
+  beforeAll(async () => {
+    server = await startServer((req, res) => (routes[req.url] || routes['/missing.ics'])(req, res));
+  });
+  
+  afterAll(() => server.close());
+  
+  beforeEach(() => {
+    process.env.OUTBOUND_ALLOWED_HOSTS = 'localhost';
+  });
+  
+  afterEach(() => {
+    delete process.env.OUTBOUND_ALLOWED_HOSTS;
+  });
+  
+  it('downloads a calendar and reads its events', async () => {
+    const text = await fetchCalendar(`${server.origin}/calendar.ics`);
+    
+    const blocks = eventsToBlocks(text, {
+      zone: 'UTC',
+      rangeStart: new Date('2025-06-01T00:00:00Z'),
+      rangeEnd: new Date('2025-07-01T00:00:00Z')
+    });
+    expect(blocks).toEqual([expect.objectContaining({ summary: 'Dentist', startsAt: new Date('2025-06-06T16:00:00Z') })]);
+    expect(server.requests[server.requests.length - 1].headers.accept).toBe('text/calendar');
+  });
+  
+  it('follows a redirect on the same host', async () => {
+    await expect(fetchCalendar(`${server.origin}/moved.ics`)).resolves.toBe(ICS);
+  });
+  
+  it('refuses hosts on private addresses', async () => {
+    await expect(fetchCalendar(`http://127.0.0.1:${server.port}/calendar.ics`))
+      .rejects.toMatchObject({ name: 'CalendarImportError', message: 'Calendar URL cannot be used: The host is not on the public internet' });
+  });
+  
+  it('refuses a redirect to the cloud metadata address', async () => {
+    await expect(fetchCalendar(`${server.origin}/metadata.ics`)).rejects.toMatchObject({ name: 'CalendarImportError' });
+  });
+  
+  it('reports the status of a failed download', async () => {
+    await expect(fetchCalendar(`${server.origin}/missing.ics`)).rejects.toThrow('Calendar server responded with 404');
+  });
+  
+  it('refuses a calendar whose declared length is over the limit', async () => {
+    await expect(fetchCalendar(`${server.origin}/declared-huge.ics`)).rejects.toThrow('Calendar is too large');
+  });
+  
+  it('stops reading a chunked calendar once it passes the limit', async () => {
+    await expect(fetchCalendar(`${server.origin}/endless.ics`)).rejects.toThrow('Calendar is too large');
+  });
+  
+  it('does not pass network error details on to the caller', async () => {
+    process.env.OUTBOUND_ALLOWED_HOSTS = 'localhost';
+    const closed = await startServer(() => {});
+    await closed.close();
+    
+    await expect(fetchCalendar(`${closed.origin}/calendar.ics`)).rejects.toThrow(/^Could not fetch calendar$/);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,92 @@
+jest.mock('../../src/models', () => ({
+  Band: {},
+  User: { findAll: jest.fn() },
+  Rehearsal: { findAll: jest.fn() },
+  UserRehearsal: { findAll: jest.fn() }
+}));
+jest.mock('../../src/services/rehearsal.service');
+jest.mock('../../src/services/blackout.service');
+jest.mock('../../src/services/calendarImport.service');
+
+const { Op } = require('sequelize');
+const { Rehearsal, UserRehearsal } = require('../../src/models');
+const rehearsalService = require('../../src/services/rehearsal.service');
+const { bookingsByUser } = require('../../src/services/conflict.service');
+
+const range = [new Date('2025-06-01T00:00:00Z'), new Date('2025-07-01T00:00:00Z')];
+
+// Weekly series with one occurrence turned into an exception row
+const plain = {
+  id: 'series-1',
+  seriesId: 'series-1',
+  status: 'scheduled',
+  startTime: new Date('2025-06-06T18:00:00Z'),
+  endTime: new Date('2025-06-06T20:00:00Z')
+};
+const exception = {
+  id: 'exception-1',
+  seriesId: 'series-1',
+  status: 'scheduled',
+  startTime: new Date('2025-06-13T18:00:00Z'),
+  endTime: new Date('2025-06-13T20:00:00Z')
+};
+
+describe('bookingsByUser', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Rehearsal.findAll.mockResolvedValue([]);
+    rehearsalService.activeOccurrences.mockResolvedValue([plain, exception]);
+  });
+  
+  it('only loads invitations to rehearsals that can reach into the range', async () => {
+    Rehearsal.findAll.mockResolvedValue([{ seriesId: 'series-2' }, { seriesId: 'series-2' }]);
+    UserRehearsal.findAll.mockResolvedValue([]);
+    
+    await bookingsByUser(['user-1'], ...range);
+    
+    const inRange = { startTime: { [Op.lt]: range[1] }, endTime: { [Op.gt]: range[0] } };
+    expect(Rehearsal.findAll).toHaveBeenCalledWith(expect.objectContaining({
+      where: { ...inRange, seriesId: { [Op.ne]: null } }
+    }));
+    const [{ include: [rehearsals] }] = UserRehearsal.findAll.mock.calls[0];
+    expect(rehearsals.where[Op.or]).toEqual([
+      { isRecurring: false, ...inRange },
+      { isRecurring: true, startTime: { [Op.lt]: range[1] } },
+      { id: { [Op.in]: ['series-2'] } }
+    ]);
+  });
+  
+  it('leaves out an occurrence the member declined on its own', async () => {
+    UserRehearsal.findAll.mockResolvedValue([
+      { userId: 'user-1', rehearsalId: 'series-1', status: 'attending' },
+      { userId: 'user-1', rehearsalId: 'exception-1', status: 'not_attending' },
+      { userId: 'user-2', rehearsalId: 'series-1', status: 'attending' },
+      { userId: 'user-2', rehearsalId: 'exception-1', status: 'attending' }
+    ]);
+    
+    const bookings = await bookingsByUser(['user-1', 'user-2'], ...range);
+    
+    expect(bookings['user-1'].map(occurrence => occurrence.id)).toEqual(['series-1']);
+    expect(bookings['user-2'].map(occurrence => occurrence.id)).toEqual(['series-1', 'exception-1']);
+  });
+  
+  it('keeps an occurrence the member accepted after declining the series', async () => {
+    UserRehearsal.findAll.mockResolvedValue([
+      { userId: 'user-1', rehearsalId: 'series-1', status: 'not_attending' },
+      { userId: 'user-1', rehearsalId: 'exception-1', status: 'maybe' }
+    ]);
+    
+    const bookings = await bookingsByUser(['user-1'], ...range);
+    
+    expect(bookings['user-1'].map(occurrence => occurrence.id)).toEqual(['exception-1']);
+  });
+  
+  it('falls back to the series RSVP for occurrences without their own', async () => {
+    UserRehearsal.findAll.mockResolvedValue([{ userId: 'user-1', rehearsalId: 'series-1', status: 'pending' }]);
+    
+    const bookings = await bookingsByUser(['user-1', 'user-3'], ...range);
+    
+    expect(bookings['user-1']).toHaveLength(2);
+    expect(bookings['user-3']).toEqual([]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,112 @@
+jest.mock('../../src/models', () => ({ User: {}, UserRehearsal: { findAll: jest.fn() } }));
+
+// Keep the default backoff short for messages sent without options
+process.env.EMAIL_RETRY_DELAY_MS = '1';
+
+const emailService = require('../../src/services/email.service');
+const logger = require('../../src/utils/logger');
+
+const rehearsal = {
+  title: 'Set run-through',
+  startTime: new Date('2025-06-06T18:00:00Z'),
+  endTime: new Date('2025-06-06T20:00:00Z'),
+  location: 'Studio B'
+};
+const band = { name: 'The Examples' };
+
+/**
+ * Transport that fails for some messages and keeps the rest in the outbox
+ * @param {Function} shouldFail - (message, call) => Boolean
+ * @returns {Object} Transport with a jest.fn sendMail
+ */
+const flakyTransport = (shouldFail) => {
+  const memory = emailService.createTransport('memory');
+  let call = 0;
+  return {
+    sendMail: jest.fn(async (message) => {
+      call++;
+      if (shouldFail(message, call)) {
+        throw new Error('Connection refused');
+      }
+      return memory.sendMail(message);
+    })
+  };
+};
+
+describe('email service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    emailService.outbox.length = 0;
+    emailService.setTransport(emailService.createTransport('memory'));
+  });
+  
+  // Intl may put a narrow no-break space before AM/PM, hence \s
+  describe('sendTemplate', () => {
+    it('shows rehearsal times in the recipient timezone', async () => {
+      await emailService.sendTemplate('reminder', {
+        email: 'ana@example.com', firstName: 'Ana', lastName: 'Lima', timezone: 'America/New_York'
+      }, { rehearsal, band });
+      await emailService.sendTemplate('reminder', {
+        email: 'ben@example.com', firstName: 'Ben', timezone: 'Europe/Berlin'
+      }, { rehearsal, band });
+      
+      const [ana, ben] = emailService.outbox;
+      expect(ana.to).toEqual([{ address: 'ana@example.com', name: 'Ana Lima' }]);
+      expect(ana.subject).toBe('Reminder: Set run-through');
+      expect(ana.text).toMatch(/Friday, June 6, 2025 at 2:00\sPM EDT/);
+      expect(ana.html).toMatch(/2:00\sPM EDT/);
+      expect(ben.text).toMatch(/Friday, June 6, 2025 at 8:00\sPM GMT\+2/);
+    });
+    
+    it('falls back to the server timezone for recipients without a valid one', async () => {
+      await emailService.sendTemplate('reminder', { email: 'cy@example.com', timezone: 'Mars/Olympus' }, { rehearsal, band });
+      
+      expect(emailService.outbox[0].text).toMatch(/6:00\sPM UTC/);
+      expect(emailService.outbox[0].to).toEqual([{ address: 'cy@example.com', name: '' }]);
+    });
+  });
+  
+  describe('sendMail', () => {
+    it('retries with exponential backoff until the transport accepts the message', async () => {
+      const transport = flakyTransport((message, call) => call < 3);
+      emailService.setTransport(transport);
+      const timeout = jest.spyOn(global, 'setTimeout');
+      
+      await emailService.sendMail({ to: 'ana@example.com', subject: 'Hello', text: 'Hi' }, { attempts: 3, retryDelay: 5 });
+      
+      expect(transport.sendMail).toHaveBeenCalledTimes(3);
+      expect(timeout.mock.calls.map(([, delay]) => delay)).toEqual([5, 10]);
+      expect(logger.warn).toHaveBeenCalledTimes(2);
+      expect(emailService.outbox).toHaveLength(1);
+      timeout.mockRestore();
+    });
+    
+    it('gives up after the last attempt and rethrows the error', async () => {
+      const transport = flakyTransport(() => true);
+      emailService.setTransport(transport);
+      
+      await expect(emailService.sendMail({ to: 'ana@example.com', subject: 'Hello', text: 'Hi' }, { attempts: 2, retryDelay: 1 }))
+        .rejects.toThrow('Connection refused');
+      
+      expect(transport.sendMail).toHaveBeenCalledTimes(2);
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('failed after 2 attempts'));
+      expect(emailService.outbox).toHaveLength(0);
+    });
+  });
+  
+  describe('sendToAll', () => {
+    it('reports how many messages were sent and how many failed', async () => {
+      emailService.setTransport(flakyTransport(message => message.to.address === 'ben@example.com'));
+      const recipients = [
+        { email: 'ana@example.com', firstName: 'Ana' },
+        { email: 'ben@example.com', firstName: 'Ben' },
+        { email: 'cy@example.com', firstName: 'Cy' }
+      ];
+      
+      const result = await emailService.sendToAll(recipients, 'reminder', { rehearsal, band });
+      
+      expect(result).toEqual({ sent: 2, failed: 1 });
+      expect(emailService.outbox.map(message => message.to[0].address).sort()).toEqual(['ana@example.com', 'cy@example.com']);
+    });
+  });
+});
\ No newline at end of file
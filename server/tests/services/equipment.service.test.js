@@ -0,0 +1,114 @@
+jest.mock('../../src/models', () => ({
+  Equipment: { findByPk: jest.fn() },
+  EquipmentCheckout: { findOne: jest.fn() },
+  RehearsalEquipment: { findAll: jest.fn(), create: jest.fn() },
+  Rehearsal: { findAll: jest.fn(), max: jest.fn() },
+  UserRehearsal: {},
+  Venue: {},
+  User: {},
+  sequelize: { transaction: jest.fn() }
+}));
+
+const { Equipment, RehearsalEquipment, Rehearsal, sequelize } = require('../../src/models');
+const rehearsalService = require('../../src/services/rehearsal.service');
+const equipmentService = require('../../src/services/equipment.service');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+const amp = { id: 'amp-1', status: 'available', nextMaintenanceDate: null };
+const user = { id: 'user-1' };
+
+// Band B has the amp booked on Friday 13 June, 18:00-20:00
+const otherBandBooking = {
+  id: 'rehearsal-b',
+  bandId: 'band-b',
+  status: 'scheduled',
+  startTime: new Date('2025-06-13T18:00:00Z'),
+  endTime: new Date('2025-06-13T20:00:00Z')
+};
+
+/**
+ * Band A's weekly Friday series
+ * @param {Object} fields - Overrides
+ * @returns {Object} Stand-in for a Rehearsal instance
+ */
+const weeklySeries = (fields) => {
+  const values = {
+    id: 'series-a',
+    bandId: 'band-a',
+    isRecurring: true,
+    recurrenceRule: 'FREQ=WEEKLY;BYDAY=FR;COUNT=4',
+    timezone: 'UTC',
+    status: 'scheduled',
+    startTime: new Date('2025-06-06T18:30:00Z'),
+    endTime: new Date('2025-06-06T20:30:00Z'),
+    ...fields
+  };
+  return { ...values, isNewRecord: false, toJSON: () => ({ ...values }) };
+};
+
+describe('book', () => {
+  const now = new Date('2025-06-01T00:00:00Z');
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sequelize.transaction.mockImplementation(work => work(transaction));
+    Equipment.findByPk.mockResolvedValue(amp);
+    RehearsalEquipment.findAll.mockResolvedValue([{ rehearsalId: 'rehearsal-b' }]);
+    RehearsalEquipment.create.mockImplementation(async values => values);
+    Rehearsal.findAll.mockResolvedValue([]);
+    Rehearsal.max.mockResolvedValue(null);
+    jest.spyOn(rehearsalService, 'activeOccurrences').mockResolvedValue([otherBandBooking]);
+  });
+  
+  it('refuses a series whose occurrence overlaps another booking of the gear', async () => {
+    const error = await equipmentService.book(amp, weeklySeries(), { user, now }).catch(thrown => thrown);
+    
+    expect(error.name).toBe('EquipmentUnavailableError');
+    expect(error.report.doubleBookings.map(conflict => conflict.occurrenceStart)).toEqual([new Date('2025-06-13T18:30:00Z')]);
+    expect(RehearsalEquipment.create).not.toHaveBeenCalled();
+    expect(rehearsalService.activeOccurrences).toHaveBeenCalledWith(expect.objectContaining({ transaction }));
+  });
+  
+  it('books a series once the overlapping occurrence is cancelled', async () => {
+    Rehearsal.findAll.mockResolvedValue([{
+      id: 'exception-1',
+      seriesId: 'series-a',
+      status: 'cancelled',
+      originalStartTime: new Date('2025-06-13T18:30:00Z'),
+      startTime: new Date('2025-06-13T18:30:00Z'),
+      endTime: new Date('2025-06-13T20:30:00Z')
+    }]);
+    
+    const { report } = await equipmentService.book(amp, weeklySeries(), { user, now });
+    
+    expect(report.available).toBe(true);
+    expect(RehearsalEquipment.create).toHaveBeenCalledWith(expect.objectContaining({ rehearsalId: 'series-a' }), { transaction });
+  });
+  
+  it('finds an overlap beyond 90 days for a series with COUNT', async () => {
+    rehearsalService.activeOccurrences.mockResolvedValue([
+      { ...otherBandBooking, startTime: new Date('2025-11-14T18:00:00Z'), endTime: new Date('2025-11-14T20:00:00Z') }
+    ]);
+    
+    const error = await equipmentService.book(amp, weeklySeries({ recurrenceRule: 'FREQ=WEEKLY;BYDAY=FR;COUNT=30' }), { user, now })
+      .catch(thrown => thrown);
+    
+    expect(error.report.doubleBookings.map(conflict => conflict.occurrenceStart)).toEqual([new Date('2025-11-14T18:30:00Z')]);
+  });
+  
+  it('checks an open-ended series as far ahead as the gear is booked', async () => {
+    Rehearsal.max.mockResolvedValue(new Date('2025-12-12T18:00:00Z'));
+    rehearsalService.activeOccurrences.mockResolvedValue([
+      { ...otherBandBooking, startTime: new Date('2025-12-12T18:00:00Z'), endTime: new Date('2025-12-12T20:00:00Z') }
+    ]);
+    
+    const error = await equipmentService.book(amp, weeklySeries({ recurrenceRule: 'FREQ=WEEKLY;BYDAY=FR' }), { user, now })
+      .catch(thrown => thrown);
+    
+    expect(error.report.doubleBookings.map(conflict => conflict.occurrenceStart)).toEqual([new Date('2025-12-12T18:30:00Z')]);
+    expect(Rehearsal.max).toHaveBeenCalledWith('startTime', {
+      where: rehearsalService.withExceptions(['rehearsal-b']),
+      transaction
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,158 @@
+jest.mock('../../src/models', () => {
+  const { memoryModel } = require('../helpers/memoryModel');
+  return {
+    BandInvitation: memoryModel({ defaults: { status: 'pending' } }),
+    Band: { findByPk: jest.fn() },
+    User: { findOne: jest.fn() },
+    Rehearsal: { findAll: jest.fn() },
+    UserRehearsal: { bulkCreate: jest.fn() },
+    sequelize: { transaction: jest.fn(work => work({})) }
+  };
+});
+jest.mock('../../src/services/email.service');
+
+const { BandInvitation, User, Rehearsal, UserRehearsal } = require('../../src/models');
+const emailService = require('../../src/services/email.service');
+const invitationService = require('../../src/services/invitation.service');
+const { hashToken } = require('../../src/utils/secrets');
+
+const DAY = 24 * 60 * 60 * 1000;
+const inviter = { id: 'admin-1', firstName: 'Ana', lastName: 'Lima', timezone: 'Europe/Lisbon' };
+
+describe('invitation.service', () => {
+  let band;
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    BandInvitation.rows.length = 0;
+    band = {
+      id: 'band-1',
+      name: 'The Rests',
+      hasMember: jest.fn().mockResolvedValue(false),
+      addMember: jest.fn().mockResolvedValue()
+    };
+    User.findOne.mockResolvedValue(null);
+    Rehearsal.findAll.mockResolvedValue([{ id: 'series-1' }, { id: 'rehearsal-2' }]);
+    emailService.sendTemplate.mockResolvedValue();
+  });
+  
+  /**
+   * Create an invitation and attach the band as findByToken's include would
+   * @param {Object} [options] - createInvitation overrides
+   * @returns {Promise<Object>} { invitation, token }
+   */
+  const invite = async (options = {}) => {
+    const { token } = await invitationService.createInvitation({
+      band, email: 'ben@example.com', role: 'member', inviter, ...options
+    });
+    const invitation = await invitationService.findByToken(token);
+    invitation.Band = band;
+    return { invitation, token };
+  };
+  
+  describe('createInvitation', () => {
+    it('stores only the hash of the token and expires after a week', async () => {
+      const before = Date.now();
+      const { invitation, token } = await invite();
+      
+      expect(invitation.tokenHash).toBe(hashToken(token));
+      expect(BandInvitation.rows.some(row => Object.values(row).includes(token))).toBe(false);
+      expect(new Date(invitation.expiresAt).getTime()).toBeGreaterThanOrEqual(before + 7 * DAY);
+    });
+    
+    it('revokes the pending invitation it replaces', async () => {
+      const first = await invite();
+      const second = await invite({ role: 'admin' });
+      
+      expect(BandInvitation.rows.find(row => row.id === first.invitation.id).status).toBe('revoked');
+      expect(second.invitation.status).toBe('pending');
+      expect(await invitationService.acceptInvitation(first.invitation, { id: 'user-2' })).toBe(false);
+    });
+    
+    it('emails the link in the inviter timezone to people without an account', async () => {
+      const { token } = await invite();
+      
+      expect(emailService.sendTemplate).toHaveBeenCalledWith(
+        'invitation',
+        { email: 'ben@example.com', timezone: 'Europe/Lisbon' },
+        expect.objectContaining({ band, inviter, role: 'member', acceptUrl: expect.stringMatching(new RegExp(`/invitations/${token}$`)) })
+      );
+    });
+  });
+  
+  describe('acceptInvitation', () => {
+    it('joins the band with the invited role and its upcoming rehearsals', async () => {
+      const { invitation } = await invite({ role: 'guest' });
+      const user = { id: 'user-2' };
+      
+      expect(await invitationService.acceptInvitation(invitation, user)).toBe(true);
+      
+      expect(band.addMember).toHaveBeenCalledWith(user, { through: { role: 'guest' }, transaction: {} });
+      expect(UserRehearsal.bulkCreate).toHaveBeenCalledWith(
+        [{ userId: 'user-2', rehearsalId: 'series-1' }, { userId: 'user-2', rehearsalId: 'rehearsal-2' }],
+        expect.objectContaining({ ignoreDuplicates: true })
+      );
+      expect(BandInvitation.rows[0]).toEqual(expect.objectContaining({ status: 'accepted', acceptedBy: 'user-2' }));
+    });
+    
+    it('records only one answer when the link is used twice', async () => {
+      const { invitation } = await invite();
+      
+      const results = await Promise.all([
+        invitationService.acceptInvitation(invitation, { id: 'user-2' }),
+        invitationService.acceptInvitation(invitation, { id: 'user-2' })
+      ]);
+      
+      expect(results.sort()).toEqual([false, true]);
+      expect(band.addMember).toHaveBeenCalledTimes(1);
+    });
+    
+    it('does not add someone who is already a member again', async () => {
+      band.hasMember.mockResolvedValue(true);
+      const { invitation } = await invite();
+      
+      expect(await invitationService.acceptInvitation(invitation, { id: 'user-2' })).toBe(true);
+      expect(band.addMember).not.toHaveBeenCalled();
+    });
+    
+    it('refuses an expired invitation', async () => {
+      const { invitation } = await invite();
+      BandInvitation.rows[0].expiresAt = new Date(Date.now() - 1000);
+      
+      expect(await invitationService.acceptInvitation(invitation, { id: 'user-2' })).toBe(false);
+      expect(band.addMember).not.toHaveBeenCalled();
+    });
+    
+    it('refuses a revoked invitation', async () => {
+      const { invitation } = await invite();
+      BandInvitation.rows[0].status = 'revoked';
+      
+      expect(await invitationService.acceptInvitation(invitation, { id: 'user-2' })).toBe(false);
+    });
+  });
+  
+  describe('declineInvitation', () => {
+    it('declines an open invitation once', async () => {
+      const { invitation } = await invite();
+      
+      expect(await invitationService.declineInvitation(invitation)).toBe(true);
+      expect(await invitationService.declineInvitation(invitation)).toBe(false);
+      expect(BandInvitation.rows[0].status).toBe('declined');
+      expect(await invitationService.acceptInvitation(invitation, { id: 'user-2' })).toBe(false);
+    });
+    
+    it('refuses an expired invitation', async () => {
+      const { invitation } = await invite();
+      BandInvitation.rows[0].expiresAt = new Date(Date.now() - 1000);
+      
+      expect(await invitationService.declineInvitation(invitation)).toBe(false);
+      expect(BandInvitation.rows[0].status).toBe('pending');
+    });
+  });
+  
+  it('finds nothing for an unknown token', async () => {
+    await invite();
+    
+    expect(await invitationService.findByToken('not-the-token')).toBeNull();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,109 @@
+jest.mock('../../src/models', () => ({
+  Band: {},
+  Equipment: {},
+  EquipmentCheckout: {},
+  MaintenanceLog: {},
+  MaintenancePlan: { findAll: jest.fn(), update: jest.fn() },
+  Rehearsal: {},
+  RehearsalEquipment: {},
+  User: { findAll: jest.fn() },
+  UserRehearsal: {},
+  Venue: {},
+  sequelize: { col: jest.fn() }
+}));
+jest.mock('../../src/services/email.service');
+jest.mock('../../src/services/equipment.service');
+jest.mock('../../src/services/permission.service');
+
+const { MaintenancePlan, User } = require('../../src/models');
+const emailService = require('../../src/services/email.service');
+const equipmentService = require('../../src/services/equipment.service');
+const permission = require('../../src/services/permission.service');
+const { processDueAlerts } = require('../../src/services/maintenance.service');
+const logger = require('../../src/utils/logger');
+
+const now = new Date('2025-06-01T09:00:00Z');
+const nextDueAt = new Date('2025-06-10T00:00:00Z');
+// Due date the plan was alerted for before it was last done
+const previousDueAt = new Date('2025-03-10T00:00:00Z');
+
+const sameTime = (a, b) => Boolean(a) && Boolean(b) && new Date(a).getTime() === new Date(b).getTime();
+
+describe('processDueAlerts', () => {
+  // Stored alertedFor of the plan, changed the way the database would
+  let alertedFor;
+  const io = { emit: jest.fn() };
+  io.to = jest.fn(() => io);
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    alertedFor = previousDueAt;
+    
+    MaintenancePlan.findAll.mockImplementation(async () => (sameTime(alertedFor, nextDueAt) ? [] : [{
+      id: 'plan-1',
+      name: 'Retube',
+      equipmentId: 'amp-1',
+      nextDueAt,
+      leadDays: 14,
+      alertedFor,
+      isOverdue: () => false,
+      Equipment: { id: 'amp-1', name: 'Amp', Band: { id: 'band-1', name: 'The Examples' } }
+    }]));
+    // A claim needs a different alertedFor; a release needs the claimed one
+    MaintenancePlan.update.mockImplementation(async (values, { where }) => {
+      const applies = where.alertedFor !== undefined
+        ? sameTime(alertedFor, where.alertedFor)
+        : !sameTime(alertedFor, where.nextDueAt);
+      if (applies) {
+        ({ alertedFor } = values);
+      }
+      return [applies ? 1 : 0];
+    });
+    
+    equipmentService.bookingsOf.mockResolvedValue([]);
+    permission.userIdsWithRole.mockResolvedValue(['user-1', 'user-2']);
+    User.findAll.mockResolvedValue([{ id: 'user-1' }, { id: 'user-2' }]);
+  });
+  
+  it('gives the claim back when every message fails, so the next run tries again', async () => {
+    emailService.sendToAll
+      .mockResolvedValueOnce({ sent: 0, failed: 2 })
+      .mockResolvedValueOnce({ sent: 2, failed: 0 });
+    
+    const first = await processDueAlerts({ now, io });
+    expect(first).toEqual({ plans: 1, alerted: 0 });
+    expect(alertedFor).toBe(previousDueAt);
+    expect(io.emit).not.toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('failed for every recipient'));
+    
+    const second = await processDueAlerts({ now, io });
+    expect(second).toEqual({ plans: 1, alerted: 1 });
+    expect(alertedFor).toBe(nextDueAt);
+    expect(io.emit).toHaveBeenCalledWith('equipment-maintenance-due', expect.objectContaining({ planId: 'plan-1' }));
+    
+    await processDueAlerts({ now, io });
+    expect(emailService.sendToAll).toHaveBeenCalledTimes(2);
+  });
+  
+  it('keeps the claim once the alert reached someone', async () => {
+    emailService.sendToAll.mockResolvedValue({ sent: 1, failed: 1 });
+    
+    await processDueAlerts({ now, io });
+    await processDueAlerts({ now, io });
+    
+    expect(emailService.sendToAll).toHaveBeenCalledTimes(1);
+    expect(alertedFor).toBe(nextDueAt);
+  });
+  
+  it('gives the claim back when the alert fails before it is sent', async () => {
+    User.findAll.mockRejectedValueOnce(new Error('Connection terminated'));
+    emailService.sendToAll.mockResolvedValue({ sent: 2, failed: 0 });
+    
+    const first = await processDueAlerts({ now, io });
+    expect(first.alerted).toBe(0);
+    expect(alertedFor).toBe(previousDueAt);
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Connection terminated'));
+    
+    await expect(processDueAlerts({ now, io })).resolves.toEqual({ plans: 1, alerted: 1 });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,72 @@
+jest.mock('../../src/models', () => ({
+  UserBand: { findAll: jest.fn() },
+  MemberPart: { destroy: jest.fn(), bulkCreate: jest.fn() }
+}));
+
+const { UserBand, MemberPart } = require('../../src/models');
+const memberService = require('../../src/services/member.service');
+
+const parts = {
+  singer: [{ name: 'vocals', essential: true }],
+  bassist: [{ name: 'bass', essential: true }, { name: 'vocals', essential: false }],
+  keys: [{ name: 'keys', essential: false }]
+};
+
+describe('normalizeParts', () => {
+  it('lowercases names, drops blanks and keeps a part essential if any entry says so', () => {
+    expect(memberService.normalizeParts(['Bass', { name: ' bass ', essential: true }, '', { name: 'Vocals' }])).toEqual([
+      { name: 'bass', essential: true },
+      { name: 'vocals', essential: false }
+    ]);
+  });
+});
+
+describe('setParts', () => {
+  it('replaces the member parts inside the given transaction', async () => {
+    const transaction = {};
+    
+    await memberService.setParts({ id: 'membership-1' }, ['Drums'], { transaction });
+    
+    expect(MemberPart.destroy).toHaveBeenCalledWith({ where: { userBandId: 'membership-1' }, transaction });
+    expect(MemberPart.bulkCreate).toHaveBeenCalledWith(
+      [{ name: 'drums', essential: false, userBandId: 'membership-1' }],
+      { transaction }
+    );
+  });
+});
+
+describe('partsByMember', () => {
+  it('maps each member to their parts sorted by name', async () => {
+    UserBand.findAll.mockResolvedValue([{
+      userId: 'bassist',
+      parts: [{ name: 'vocals', essential: false }, { name: 'bass', essential: true }]
+    }]);
+    
+    expect(await memberService.partsByMember('band-1')).toEqual({
+      bassist: [{ name: 'bass', essential: true }, { name: 'vocals', essential: false }]
+    });
+  });
+});
+
+describe('bandParts', () => {
+  it('lists each part with everyone who plays it, essential if anyone marks it so', () => {
+    expect(memberService.bandParts(parts)).toEqual([
+      { name: 'bass', essential: true, playedBy: ['bassist'] },
+      { name: 'keys', essential: false, playedBy: ['keys'] },
+      { name: 'vocals', essential: true, playedBy: ['singer', 'bassist'] }
+    ]);
+  });
+});
+
+describe('missingParts', () => {
+  it('lists the parts nobody available plays, essential ones first', () => {
+    expect(memberService.missingParts(parts, ['singer'])).toEqual([
+      { name: 'bass', essential: true },
+      { name: 'keys', essential: false }
+    ]);
+  });
+  
+  it('counts a part as covered when any of its players is available', () => {
+    expect(memberService.missingParts(parts, ['bassist', 'keys'])).toEqual([]);
+  });
+});
\ No newline at end of file
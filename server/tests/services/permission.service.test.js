@@ -0,0 +1,128 @@
+jest.mock('../../src/models', () => ({
+  Band: { findByPk: jest.fn(), findAll: jest.fn() },
+  UserBand: { findOne: jest.fn(), findAll: jest.fn(), count: jest.fn() }
+}));
+
+const { Op } = require('sequelize');
+const { Band, UserBand } = require('../../src/models');
+const permission = require('../../src/services/permission.service');
+
+const band = { id: 'band-1', ownerId: 'owner-1' };
+
+describe('roleAtLeast', () => {
+  it.each([
+    ['guest', 'guest', true],
+    ['guest', 'member', false],
+    ['member', 'guest', true],
+    ['member', 'admin', false],
+    ['admin', 'member', true],
+    ['admin', 'owner', false],
+    ['owner', 'admin', true],
+    ['owner', 'owner', true]
+  ])('%s against %s is %p', (role, minimum, expected) => {
+    expect(permission.roleAtLeast(role, minimum)).toBe(expected);
+  });
+  
+  it('never lets a non-member through, not even at guest level', () => {
+    expect(permission.roleAtLeast(null, 'guest')).toBe(false);
+    expect(permission.roleAtLeast('superuser', 'guest')).toBe(false);
+  });
+});
+
+describe('outranks', () => {
+  it('ranks owner above admin above member above guest above non-members', () => {
+    expect(permission.outranks('owner', 'admin')).toBe(true);
+    expect(permission.outranks('admin', 'member')).toBe(true);
+    expect(permission.outranks('member', 'guest')).toBe(true);
+    expect(permission.outranks('guest', null)).toBe(true);
+    expect(permission.outranks('admin', 'admin')).toBe(false);
+    expect(permission.outranks('member', 'admin')).toBe(false);
+  });
+});
+
+describe('getBandRole', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+  
+  it('counts the band owner as owner without a membership row', async () => {
+    expect(await permission.getBandRole(band, 'owner-1')).toBe('owner');
+    expect(UserBand.findOne).not.toHaveBeenCalled();
+  });
+  
+  it('reads the role from the membership row', async () => {
+    UserBand.findOne.mockResolvedValue({ role: 'guest' });
+    
+    expect(await permission.getBandRole(band, { id: 'user-1' })).toBe('guest');
+    expect(UserBand.findOne).toHaveBeenCalledWith(expect.objectContaining({ where: { bandId: 'band-1', userId: 'user-1' } }));
+  });
+  
+  it('returns null for non-members and unknown bands', async () => {
+    UserBand.findOne.mockResolvedValue(null);
+    expect(await permission.getBandRole(band, 'user-2')).toBeNull();
+    
+    Band.findByPk.mockResolvedValue(null);
+    expect(await permission.getBandRole('band-9', 'user-2')).toBeNull();
+  });
+});
+
+describe('hasBandRole', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+  
+  it('lets app admins through without looking at memberships', async () => {
+    expect(await permission.hasBandRole(band, { id: 'admin-1', role: 'admin' }, 'owner')).toBe(true);
+    expect(UserBand.findOne).not.toHaveBeenCalled();
+  });
+  
+  it('compares the member role with the minimum', async () => {
+    UserBand.findOne.mockResolvedValue({ role: 'member' });
+    const user = { id: 'user-1', role: 'user' };
+    
+    expect(await permission.hasBandRole(band, user, 'member')).toBe(true);
+    expect(await permission.hasBandRole(band, user, 'admin')).toBe(false);
+  });
+  
+  it('refuses non-members', async () => {
+    UserBand.findOne.mockResolvedValue(null);
+    
+    expect(await permission.hasBandRole(band, { id: 'user-2', role: 'user' }, 'guest')).toBe(false);
+  });
+});
+
+describe('bandIdsWithRole', () => {
+  it('includes owned bands and memberships at or above the role', async () => {
+    UserBand.findAll.mockResolvedValue([{ bandId: 'band-1' }, { bandId: 'band-2' }]);
+    Band.findAll.mockResolvedValue([{ id: 'band-2' }, { id: 'band-3' }]);
+    
+    const ids = await permission.bandIdsWithRole('user-1', 'admin');
+    
+    expect(ids).toEqual(['band-1', 'band-2', 'band-3']);
+    expect(UserBand.findAll).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: 'user-1', role: { [Op.in]: ['admin', 'owner'] } }
+    }));
+  });
+});
+
+describe('administersMember', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Band.findAll.mockResolvedValue([]);
+  });
+  
+  it('is false for users who administer no band', async () => {
+    UserBand.findAll.mockResolvedValue([]);
+    
+    expect(await permission.administersMember({ id: 'user-1' }, 'user-2')).toBe(false);
+    expect(UserBand.count).not.toHaveBeenCalled();
+  });
+  
+  it('is true when the other user belongs to a band the user administers', async () => {
+    UserBand.findAll.mockResolvedValue([{ bandId: 'band-1' }]);
+    UserBand.count.mockResolvedValue(1);
+    
+    expect(await permission.administersMember({ id: 'user-1' }, 'user-2')).toBe(true);
+    expect(UserBand.count).toHaveBeenCalledWith({ where: { userId: 'user-2', bandId: { [Op.in]: ['band-1'] } } });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,39 @@
+jest.mock('../../src/models', () => ({
+  Poll: {},
+  PollOption: {},
+  PollVote: { bulkCreate: jest.fn() },
+  User: {}
+}));
+
+const { PollVote } = require('../../src/models');
+const { castVotes } = require('../../src/services/poll.service');
+
+describe('castVotes', () => {
+  const poll = { options: [{ id: 'option-1' }, { id: 'option-2' }] };
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+  
+  it('upserts one vote per option, keeping the last answer given', async () => {
+    const cast = await castVotes(poll, 'user-1', [
+      { optionId: 'option-1', answer: 'yes' },
+      { optionId: 'option-2', answer: 'no' },
+      { optionId: 'option-1', answer: 'if-need-be' }
+    ]);
+    
+    expect(cast).toBe(true);
+    expect(PollVote.bulkCreate).toHaveBeenCalledTimes(1);
+    expect(PollVote.bulkCreate).toHaveBeenCalledWith([
+      { pollOptionId: 'option-1', userId: 'user-1', answer: 'if-need-be' },
+      { pollOptionId: 'option-2', userId: 'user-1', answer: 'no' }
+    ], { updateOnDuplicate: ['answer', 'updatedAt'] });
+  });
+  
+  it('records nothing when a vote names an option outside the poll', async () => {
+    const cast = await castVotes(poll, 'user-1', [{ optionId: 'option-9', answer: 'yes' }]);
+    
+    expect(cast).toBe(false);
+    expect(PollVote.bulkCreate).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
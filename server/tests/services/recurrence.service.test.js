@@ -0,0 +1,81 @@
+const { parseRRule, expandRRule, formatRRule } = require('../../src/services/recurrence.service');
+
+const iso = dates => dates.map(date => date.toISOString());
+
+describe('parseRRule', () => {
+  it('reads ordinal BYDAY values for monthly rules', () => {
+    expect(parseRRule('FREQ=MONTHLY;BYDAY=-1FR,2TU;COUNT=3')).toEqual(expect.objectContaining({
+      freq: 'MONTHLY',
+      byDay: [{ weekday: 5, ordinal: -1 }, { weekday: 2, ordinal: 2 }],
+      count: 3
+    }));
+  });
+  
+  it.each([
+    ['FREQ=YEARLY', 'Unsupported frequency: YEARLY'],
+    ['FREQ=WEEKLY;COUNT=3;UNTIL=20250701', 'Recurrence rule cannot include both COUNT and UNTIL'],
+    ['FREQ=WEEKLY;BYDAY=2TU', 'Ordinal BYDAY values are only supported for MONTHLY rules'],
+    ['INTERVAL=2', 'Recurrence rule must include FREQ']
+  ])('refuses %s', (rule, message) => {
+    expect(() => parseRRule(rule)).toThrow(message);
+  });
+  
+  it('formats a parsed rule back into the same RRULE', () => {
+    expect(formatRRule(parseRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20250630T235959Z')))
+      .toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20250630T235959Z');
+  });
+});
+
+describe('expandRRule', () => {
+  it('keeps a weekly BYDAY series at its local time across a DST change', () => {
+    // Tuesdays and Thursdays at 19:00 in Berlin; summer time ends on 26 October 2025
+    const starts = expandRRule('FREQ=WEEKLY;BYDAY=TU,TH', new Date('2025-10-21T17:00:00Z'), 'Europe/Berlin',
+      null, new Date('2025-11-01T00:00:00Z'));
+    
+    expect(iso(starts)).toEqual([
+      '2025-10-21T17:00:00.000Z',
+      '2025-10-23T17:00:00.000Z',
+      '2025-10-28T18:00:00.000Z',
+      '2025-10-30T18:00:00.000Z'
+    ]);
+  });
+  
+  it('finds the last Friday of each month', () => {
+    const starts = expandRRule('FREQ=MONTHLY;BYDAY=-1FR;COUNT=4', new Date('2025-01-31T18:00:00Z'), 'UTC',
+      null, new Date('2026-01-01T00:00:00Z'));
+    
+    expect(iso(starts)).toEqual([
+      '2025-01-31T18:00:00.000Z',
+      '2025-02-28T18:00:00.000Z',
+      '2025-03-28T18:00:00.000Z',
+      '2025-04-25T18:00:00.000Z'
+    ]);
+  });
+  
+  it('counts COUNT from the first occurrence, not from the start of the range', () => {
+    const starts = expandRRule('FREQ=WEEKLY;COUNT=5', new Date('2025-06-06T18:00:00Z'), 'UTC',
+      new Date('2025-06-20T00:00:00Z'), new Date('2026-01-01T00:00:00Z'));
+    
+    expect(iso(starts)).toEqual(['2025-06-20T18:00:00.000Z', '2025-06-27T18:00:00.000Z', '2025-07-04T18:00:00.000Z']);
+  });
+  
+  it('stops at UNTIL', () => {
+    const starts = expandRRule('FREQ=DAILY;INTERVAL=2;UNTIL=20250610T180000Z', new Date('2025-06-06T18:00:00Z'), 'UTC',
+      null, new Date('2026-01-01T00:00:00Z'));
+    
+    expect(iso(starts)).toEqual(['2025-06-06T18:00:00.000Z', '2025-06-08T18:00:00.000Z', '2025-06-10T18:00:00.000Z']);
+  });
+  
+  it('gives up on a rule that never produces an occurrence', () => {
+    // Every twelfth month from February never has a 31st
+    expect(expandRRule('FREQ=MONTHLY;INTERVAL=12;BYMONTHDAY=31', new Date('2025-02-10T18:00:00Z'), 'UTC',
+      null, new Date('9999-01-01T00:00:00Z'))).toEqual([]);
+  });
+  
+  it('still expands a yearly rule on 29 February past a century without one', () => {
+    const starts = expandRRule('FREQ=MONTHLY;INTERVAL=12;BYMONTHDAY=29', new Date('2096-02-29T18:00:00Z'), 'UTC',
+      null, new Date('2105-01-01T00:00:00Z'));
+    
+    expect(iso(starts)).toEqual(['2096-02-29T18:00:00.000Z', '2104-02-29T18:00:00.000Z']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,260 @@
+jest.mock('../../src/models', () => ({
+  Rehearsal: { findAll: jest.fn(), max: jest.fn(), create: jest.fn(), destroy: jest.fn() },
+  UserRehearsal: { findAll: jest.fn(), bulkCreate: jest.fn(), destroy: jest.fn() },
+  RehearsalEquipment: { destroy: jest.fn() },
+  sequelize: { transaction: jest.fn(work => work({ id: 'transaction-1' })) }
+}));
+
+const { Rehearsal, UserRehearsal, RehearsalEquipment } = require('../../src/models');
+const rehearsalService = require('../../src/services/rehearsal.service');
+
+/**
+ * Saved weekly series on Fridays 18:00-20:00 UTC
+ * @param {Object} fields - Overrides
+ * @returns {Object} Stand-in for a Rehearsal instance
+ */
+const weeklySeries = (fields) => {
+  const values = {
+    id: 'series-1',
+    bandId: 'band-1',
+    title: 'Weekly rehearsal',
+    isRecurring: true,
+    recurrenceRule: 'FREQ=WEEKLY;BYDAY=FR',
+    timezone: 'UTC',
+    status: 'scheduled',
+    startTime: new Date('2025-06-06T18:00:00Z'),
+    endTime: new Date('2025-06-06T20:00:00Z'),
+    ...fields
+  };
+  return { ...values, isNewRecord: false, toJSON: () => ({ ...values }) };
+};
+
+const starts = occurrences => occurrences.map(occurrence => occurrence.startTime.toISOString());
+
+describe('occurrencesToCheck', () => {
+  const now = new Date('2025-06-01T00:00:00Z');
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Rehearsal.findAll.mockResolvedValue([]);
+    Rehearsal.max.mockResolvedValue(null);
+  });
+  
+  it('checks a one-off rehearsal at its own time', async () => {
+    const rehearsal = { isRecurring: false, status: 'scheduled', startTime: '2025-06-06T18:00:00Z', endTime: '2025-06-06T20:00:00Z' };
+    
+    const occurrences = await rehearsalService.occurrencesToCheck(rehearsal, { now });
+    
+    expect(occurrences).toEqual([{ startTime: new Date('2025-06-06T18:00:00Z'), endTime: new Date('2025-06-06T20:00:00Z') }]);
+  });
+  
+  it('skips cancelled occurrences and checks moved ones at their new time', async () => {
+    Rehearsal.findAll.mockResolvedValue([
+      {
+        originalStartTime: new Date('2025-06-13T18:00:00Z'),
+        status: 'cancelled',
+        startTime: new Date('2025-06-13T18:00:00Z'),
+        endTime: new Date('2025-06-13T20:00:00Z')
+      },
+      {
+        originalStartTime: new Date('2025-06-20T18:00:00Z'),
+        status: 'scheduled',
+        startTime: new Date('2025-06-21T10:00:00Z'),
+        endTime: new Date('2025-06-21T12:00:00Z')
+      }
+    ]);
+    
+    const occurrences = await rehearsalService.occurrencesToCheck(weeklySeries({ recurrenceRule: 'FREQ=WEEKLY;BYDAY=FR;COUNT=4' }), { now });
+    
+    expect(Rehearsal.findAll).toHaveBeenCalledWith({ where: { seriesId: 'series-1' }, transaction: undefined });
+    expect(starts(occurrences)).toEqual(['2025-06-06T18:00:00.000Z', '2025-06-21T10:00:00.000Z', '2025-06-27T18:00:00.000Z']);
+  });
+  
+  it('checks a series with COUNT or UNTIL to its end, however far away', async () => {
+    const count = await rehearsalService.occurrencesToCheck(weeklySeries({ recurrenceRule: 'FREQ=WEEKLY;BYDAY=FR;COUNT=30' }), { now });
+    const until = await rehearsalService.occurrencesToCheck(weeklySeries({ recurrenceRule: 'FREQ=WEEKLY;BYDAY=FR;UNTIL=20260101T000000Z' }), { now });
+    
+    expect(count).toHaveLength(30);
+    expect(until[until.length - 1].startTime).toEqual(new Date('2025-12-26T18:00:00Z'));
+    expect(Rehearsal.max).not.toHaveBeenCalled();
+  });
+  
+  it('expands an open-ended series past the last rehearsal it is checked against', async () => {
+    Rehearsal.max.mockResolvedValue(new Date('2026-03-06T18:00:00Z'));
+    const against = { bandId: 'band-2' };
+    
+    const occurrences = await rehearsalService.occurrencesToCheck(weeklySeries(), { now, against });
+    
+    expect(Rehearsal.max).toHaveBeenCalledWith('startTime', { where: against, transaction: undefined });
+    expect(starts(occurrences)).toContain('2026-03-06T18:00:00.000Z');
+  });
+  
+  it('starts from the given time rather than the clock', async () => {
+    const occurrences = await rehearsalService.occurrencesToCheck(weeklySeries({ recurrenceRule: 'FREQ=WEEKLY;BYDAY=FR;COUNT=4' }), {
+      now: new Date('2025-06-13T19:00:00Z')
+    });
+    
+    expect(starts(occurrences)).toEqual(['2025-06-13T18:00:00.000Z', '2025-06-20T18:00:00.000Z', '2025-06-27T18:00:00.000Z']);
+  });
+  
+  it('leaves out every occurrence of a cancelled series', async () => {
+    const occurrences = await rehearsalService.occurrencesToCheck(weeklySeries({ status: 'cancelled' }), { now });
+    
+    expect(occurrences).toEqual([]);
+  });
+});
+describe('activeOccurrences', () => {
+  const transaction = { id: 'transaction-1' };
+  
+  /**
+   * One-off rehearsal row
+   * @param {String} id
+   * @param {String} startTime
+   * @param {String} endTime
+   * @param {Object} [fields]
+   * @returns {Object} Stand-in for a Rehearsal instance
+   */
+  const oneOff = (id, startTime, endTime, fields = {}) => {
+    const values = { id, isRecurring: false, status: 'scheduled', startTime: new Date(startTime), endTime: new Date(endTime), ...fields };
+    return { ...values, toJSON: () => ({ ...values }) };
+  };
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Rehearsal.findAll.mockImplementation(async ({ where }) => (where.isRecurring ? [weeklySeries()] : [
+      oneOff('overnight', '2025-06-04T22:00:00Z', '2025-06-05T02:00:00Z'),
+      oneOff('cancelled', '2025-06-05T10:00:00Z', '2025-06-05T12:00:00Z', { status: 'cancelled' }),
+      oneOff('before', '2025-06-04T20:00:00Z', '2025-06-05T00:00:00Z')
+    ]));
+  });
+  
+  it('returns active occurrences overlapping the range, including ones that began the day before', async () => {
+    const occurrences = await rehearsalService.activeOccurrences({
+      where: { venueId: 'venue-1' },
+      rangeStart: new Date('2025-06-05T00:00:00Z'),
+      rangeEnd: new Date('2025-06-07T00:00:00Z'),
+      transaction
+    });
+    
+    expect(occurrences.map(occurrence => occurrence.id)).toEqual(['overnight', 'series-1']);
+    expect(Rehearsal.findAll).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ venueId: 'venue-1', isRecurring: false }),
+      transaction
+    }));
+    expect(Rehearsal.findAll).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ venueId: 'venue-1', isRecurring: true }),
+      transaction
+    }));
+  });
+});
+
+describe('editing a series', () => {
+  /**
+   * Series or exception row whose update changes it in place
+   * @param {Object} fields
+   * @returns {Object} Stand-in for a Rehearsal instance
+   */
+  const row = (fields) => {
+    const instance = {
+      ...fields,
+      update: jest.fn(async (values) => Object.assign(instance, values)),
+      toJSON: () => ({ ...fields })
+    };
+    return instance;
+  };
+  
+  /**
+   * Exception row of series-1 replacing the occurrence at originalStart
+   * @param {String} id
+   * @param {String} originalStart
+   * @returns {Object}
+   */
+  const exceptionAt = (id, originalStart) => row({
+    id,
+    seriesId: 'series-1',
+    originalStartTime: new Date(originalStart),
+    startTime: new Date(originalStart),
+    status: 'scheduled'
+  });
+  
+  let series;
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    series = row({ ...weeklySeries({ recurrenceRule: 'FREQ=WEEKLY;BYDAY=FR;COUNT=10' }), destroy: jest.fn() });
+    Rehearsal.findAll.mockResolvedValue([]);
+    Rehearsal.create.mockImplementation(async values => row({ id: 'series-2', ...values }));
+    UserRehearsal.findAll.mockResolvedValue([{ userId: 'user-1', status: 'attending' }]);
+  });
+  
+  it('splits COUNT between the two halves of a series edited from an occurrence onwards', async () => {
+    const newSeries = await rehearsalService.updateSeries({
+      series,
+      scope: 'following',
+      occurrenceStart: '2025-06-27T18:00:00Z',
+      changes: { title: 'Later rehearsal' }
+    });
+    
+    expect(series.recurrenceRule).toBe('FREQ=WEEKLY;BYDAY=FR;UNTIL=20250627T175959Z');
+    expect(newSeries).toEqual(expect.objectContaining({
+      title: 'Later rehearsal',
+      recurrenceRule: 'FREQ=WEEKLY;BYDAY=FR;COUNT=7',
+      startTime: new Date('2025-06-27T18:00:00Z')
+    }));
+    expect(UserRehearsal.bulkCreate).toHaveBeenCalledWith(
+      [expect.objectContaining({ userId: 'user-1', rehearsalId: 'series-2', status: 'attending' })],
+      expect.anything()
+    );
+    
+    const before = rehearsalService.expandSeries(series, [], null, new Date('2026-01-01T00:00:00Z'));
+    const after = rehearsalService.expandSeries(newSeries, [], null, new Date('2026-01-01T00:00:00Z'));
+    expect(before).toHaveLength(3);
+    expect(after).toHaveLength(7);
+  });
+  
+  it('ends a series with UNTIL when occurrences from one onwards are deleted', async () => {
+    Rehearsal.findAll.mockResolvedValue([{ id: 'exception-later' }]);
+    
+    await rehearsalService.deleteFromSeries({ series, scope: 'following', occurrenceStart: '2025-06-20T18:00:00Z' });
+    
+    expect(series.recurrenceRule).toBe('FREQ=WEEKLY;BYDAY=FR;UNTIL=20250620T175959Z');
+    expect(starts(rehearsalService.expandSeries(series, [], null, new Date('2026-01-01T00:00:00Z'))))
+      .toEqual(['2025-06-06T18:00:00.000Z', '2025-06-13T18:00:00.000Z']);
+    expect(Rehearsal.destroy).toHaveBeenCalledWith({ where: { id: ['exception-later'] }, transaction: expect.anything() });
+    expect(series.destroy).not.toHaveBeenCalled();
+  });
+  
+  it('keeps exceptions on their occurrences when the whole series moves', async () => {
+    const moved = exceptionAt('exception-1', '2025-06-13T18:00:00Z');
+    Rehearsal.findAll.mockResolvedValue([moved]);
+    
+    await rehearsalService.updateSeries({
+      series,
+      scope: 'all',
+      occurrenceStart: '2025-06-06T18:00:00Z',
+      changes: { startTime: '2025-06-06T19:30:00Z', endTime: '2025-06-06T21:30:00Z' }
+    });
+    
+    expect(series.startTime).toEqual(new Date('2025-06-06T19:30:00Z'));
+    expect(moved.originalStartTime).toEqual(new Date('2025-06-13T19:30:00Z'));
+    expect(starts(rehearsalService.expandSeries(series, [moved], null, new Date('2025-06-28T00:00:00Z'))))
+      .toEqual(['2025-06-06T19:30:00.000Z', '2025-06-20T19:30:00.000Z', '2025-06-27T19:30:00.000Z']);
+    expect(Rehearsal.destroy).not.toHaveBeenCalled();
+  });
+  
+  it('deletes exceptions the new rule of the whole series no longer has', async () => {
+    const dropped = exceptionAt('exception-1', '2025-06-13T18:00:00Z');
+    const kept = exceptionAt('exception-2', '2025-06-20T18:00:00Z');
+    Rehearsal.findAll.mockResolvedValue([dropped, kept]);
+    
+    await rehearsalService.updateSeries({
+      series,
+      scope: 'all',
+      changes: { recurrenceRule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR;COUNT=5' }
+    });
+    
+    expect(UserRehearsal.destroy).toHaveBeenCalledWith({ where: { rehearsalId: ['exception-1'] }, transaction: expect.anything() });
+    expect(RehearsalEquipment.destroy).toHaveBeenCalledWith({ where: { rehearsalId: ['exception-1'] }, transaction: expect.anything() });
+    expect(Rehearsal.destroy).toHaveBeenCalledWith({ where: { id: ['exception-1'] }, transaction: expect.anything() });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,184 @@
+jest.mock('../../src/models', () => {
+  const { memoryModel } = require('../helpers/memoryModel');
+  return {
+    ReminderDelivery: memoryModel({ unique: ['rehearsalId', 'userId', 'occurrenceStart'] }),
+    UserRehearsal: { findAll: jest.fn() },
+    Rehearsal: { update: jest.fn() },
+    Band: {},
+    User: {}
+  };
+});
+jest.mock('../../src/services/rehearsal.service');
+jest.mock('../../src/services/email.service');
+
+const { ReminderDelivery, UserRehearsal, Rehearsal } = require('../../src/models');
+const rehearsalService = require('../../src/services/rehearsal.service');
+const { Op } = require('sequelize');
+const { createReminderScheduler, rescheduleBandReminders } = require('../../src/services/reminder.service');
+
+const HOUR = 60 * 60 * 1000;
+
+// Weekly series occurrence with a 24 hour reminder
+const occurrence = {
+  id: 'series-1',
+  seriesId: 'series-1',
+  bandId: 'band-1',
+  title: 'Weekly rehearsal',
+  isRecurring: true,
+  isException: false,
+  status: 'scheduled',
+  startTime: new Date('2025-06-06T18:00:00Z'),
+  endTime: new Date('2025-06-06T20:00:00Z'),
+  reminderTime: new Date('2025-06-05T18:00:00Z')
+};
+
+const members = [
+  { userId: 'user-1', User: { id: 'user-1', email: 'ana@example.com' } },
+  { userId: 'user-2', User: { id: 'user-2', email: 'ben@example.com' } }
+];
+
+describe('createReminderScheduler', () => {
+  let now;
+  const clock = () => now;
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ReminderDelivery.rows.length = 0;
+    now = new Date('2025-06-05T12:00:00Z');
+    rehearsalService.listOccurrences.mockResolvedValue([occurrence]);
+    UserRehearsal.findAll.mockResolvedValue(members);
+  });
+  
+  it('sends nothing before the reminder time', async () => {
+    const notify = jest.fn().mockResolvedValue();
+    
+    const totals = await createReminderScheduler({ clock, notify }).runOnce();
+    
+    expect(notify).not.toHaveBeenCalled();
+    expect(totals.occurrences).toBe(0);
+  });
+  
+  it('sends each reminder once when it falls due', async () => {
+    const notify = jest.fn().mockResolvedValue();
+    const scheduler = createReminderScheduler({ clock, notify });
+    
+    now = new Date('2025-06-05T18:01:00Z');
+    await scheduler.runOnce();
+    now = new Date('2025-06-05T18:02:00Z');
+    const second = await scheduler.runOnce();
+    
+    expect(notify).toHaveBeenCalledTimes(2);
+    expect(notify.mock.calls.map(([{ user }]) => user.id)).toEqual(['user-1', 'user-2']);
+    expect(second).toEqual({ occurrences: 1, sent: 0, failed: 0, skipped: 2 });
+    expect(ReminderDelivery.rows.map(row => row.status)).toEqual(['sent', 'sent']);
+  });
+  
+  it('does not send again after a restart', async () => {
+    now = new Date('2025-06-05T18:01:00Z');
+    await createReminderScheduler({ clock, notify: jest.fn().mockResolvedValue() }).runOnce();
+    
+    const notify = jest.fn().mockResolvedValue();
+    now = new Date('2025-06-05T18:30:00Z');
+    const totals = await createReminderScheduler({ clock, notify }).runOnce();
+    
+    expect(notify).not.toHaveBeenCalled();
+    expect(totals.skipped).toBe(2);
+  });
+  
+  it('retries a failed delivery on later runs and stops after MAX_ATTEMPTS', async () => {
+    UserRehearsal.findAll.mockResolvedValue(members.slice(0, 1));
+    const notify = jest.fn().mockRejectedValue(new Error('SMTP down'));
+    const scheduler = createReminderScheduler({ clock, notify });
+    
+    for (let run = 0; run < 5; run++) {
+      now = new Date(new Date('2025-06-05T18:01:00Z').getTime() + run * HOUR);
+      await scheduler.runOnce();
+    }
+    
+    expect(notify).toHaveBeenCalledTimes(3);
+    expect(ReminderDelivery.rows).toEqual([
+      expect.objectContaining({ status: 'failed', attempts: 3, lastError: 'SMTP down' })
+    ]);
+  });
+  
+  it('marks the delivery sent when a retry succeeds', async () => {
+    UserRehearsal.findAll.mockResolvedValue(members.slice(0, 1));
+    const notify = jest.fn()
+      .mockRejectedValueOnce(new Error('SMTP down'))
+      .mockResolvedValue();
+    const scheduler = createReminderScheduler({ clock, notify });
+    
+    now = new Date('2025-06-05T18:01:00Z');
+    const first = await scheduler.runOnce();
+    now = new Date('2025-06-05T18:02:00Z');
+    const second = await scheduler.runOnce();
+    now = new Date('2025-06-05T18:03:00Z');
+    const third = await scheduler.runOnce();
+    
+    expect([first.failed, second.sent, third.skipped]).toEqual([1, 1, 1]);
+    expect(ReminderDelivery.rows).toEqual([expect.objectContaining({ status: 'sent', attempts: 2, lastError: null })]);
+  });
+  
+  it('takes over a delivery abandoned by an instance that died while sending', async () => {
+    UserRehearsal.findAll.mockResolvedValue(members.slice(0, 1));
+    await ReminderDelivery.create({
+      rehearsalId: 'series-1',
+      userId: 'user-1',
+      occurrenceStart: occurrence.startTime,
+      status: 'sending',
+      attempts: 1,
+      claimedAt: new Date('2025-06-05T18:00:30Z')
+    });
+    const notify = jest.fn().mockResolvedValue();
+    const scheduler = createReminderScheduler({ clock, notify });
+    
+    now = new Date('2025-06-05T18:05:00Z');
+    await scheduler.runOnce();
+    expect(notify).not.toHaveBeenCalled();
+    
+    now = new Date('2025-06-05T18:20:00Z');
+    await scheduler.runOnce();
+    expect(notify).toHaveBeenCalledTimes(1);
+  });
+  
+  it('only flags rows, not virtual occurrences, as reminded', async () => {
+    rehearsalService.listOccurrences.mockResolvedValue([
+      { ...occurrence, id: 'one-off-1', seriesId: null, isRecurring: false }
+    ]);
+    
+    now = new Date('2025-06-05T18:01:00Z');
+    await createReminderScheduler({ clock, notify: jest.fn().mockResolvedValue() }).runOnce();
+    
+    expect(Rehearsal.update).toHaveBeenCalledWith(
+      { reminderSent: true },
+      { where: { id: 'one-off-1', startTime: occurrence.startTime } }
+    );
+  });
+});
+
+describe('rescheduleBandReminders', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Rehearsal.update.mockResolvedValue([3]);
+  });
+  
+  it('moves unsent reminders of upcoming rehearsals and series without their own lead time', async () => {
+    const now = new Date('2025-06-01T12:00:00Z');
+    const transaction = {};
+    
+    const updated = await rescheduleBandReminders({ id: 'band-1', defaultReminderHours: 48 }, { now, transaction });
+    
+    expect(updated).toBe(3);
+    const [values, options] = Rehearsal.update.mock.calls[0];
+    expect(values.reminderTime.val).toBe('"startTime" - INTERVAL \'48 hours\'');
+    expect(options).toEqual({
+      where: {
+        bandId: 'band-1',
+        reminderHours: null,
+        reminderSent: false,
+        [Op.or]: [{ startTime: { [Op.gt]: now } }, { isRecurring: true }]
+      },
+      transaction
+    });
+  });
+});
\ No newline at end of file
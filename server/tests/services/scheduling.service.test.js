@@ -0,0 +1,280 @@
+const { expandOccurrences, expandAvailabilityTiers, tierForInterval, findCandidateSlots } = require('../../src/services/scheduling.service');
+
+/**
+ * Weekly availability row as the controller stores it
+ * @param {Object} fields - Overrides
+ * @returns {Object}
+ */
+const weekly = (fields) => ({
+  id: 'availability-1',
+  userId: 'user-1',
+  type: 'recurring',
+  priority: 2,
+  effectiveDate: new Date('2025-06-01'),
+  expiryDate: null,
+  ...fields
+});
+
+const starts = occurrences => occurrences.map(occurrence => occurrence.startTime.toISOString());
+
+describe('expandOccurrences', () => {
+  describe('effective and expiry dates', () => {
+    const range = [new Date('2025-06-01T00:00:00Z'), new Date('2025-06-16T00:00:00Z')];
+    
+    it('starts at midnight of the effective date in the member timezone', () => {
+      // Sunday 21:00 in New York is already Monday in UTC
+      const entry = weekly({ dayOfWeek: 0, startTime: '21:00:00', endTime: '22:00:00', effectiveDate: new Date('2025-06-02') });
+      
+      const occurrences = expandOccurrences([entry], ...range, 'America/New_York');
+      
+      expect(starts(occurrences)).toEqual(['2025-06-09T01:00:00.000Z']);
+    });
+    
+    it('keeps windows on the evening before the expiry date in the member timezone', () => {
+      const entry = weekly({ dayOfWeek: 0, startTime: '21:00:00', endTime: '22:00:00', expiryDate: new Date('2025-06-09') });
+      
+      const occurrences = expandOccurrences([entry], ...range, 'America/New_York');
+      
+      expect(starts(occurrences)).toEqual(['2025-06-02T01:00:00.000Z', '2025-06-09T01:00:00.000Z']);
+    });
+    
+    it('ends at midnight of the expiry date for members east of UTC', () => {
+      // Monday 08:00 in Tokyo is still Sunday in UTC
+      const entry = weekly({ dayOfWeek: 1, startTime: '08:00:00', endTime: '09:00:00', expiryDate: new Date('2025-06-09') });
+      
+      const occurrences = expandOccurrences([entry], ...range, 'Asia/Tokyo');
+      
+      expect(starts(occurrences)).toEqual(['2025-06-01T23:00:00.000Z']);
+    });
+  });
+  
+  describe('windows past midnight', () => {
+    const entry = weekly({ dayOfWeek: 5, startTime: '22:00:00', endTime: '02:00:00' });
+    
+    it('ends on the next day', () => {
+      const occurrences = expandOccurrences(
+        [entry], new Date('2025-06-02T00:00:00Z'), new Date('2025-06-09T00:00:00Z'), 'Europe/Berlin'
+      );
+      
+      expect(occurrences).toHaveLength(1);
+      expect(occurrences[0].localStartTime).toBe('2025-06-06T22:00:00.000+02:00');
+      expect(occurrences[0].localEndTime).toBe('2025-06-07T02:00:00.000+02:00');
+    });
+    
+    it('includes the part of a window that started the day before the range', () => {
+      const occurrences = expandOccurrences(
+        [entry], new Date('2025-06-06T22:00:00Z'), new Date('2025-06-09T00:00:00Z'), 'Europe/Berlin'
+      );
+      
+      expect(occurrences).toHaveLength(1);
+      expect(occurrences[0].localStartTime).toBe('2025-06-07T00:00:00.000+02:00');
+      expect(occurrences[0].localEndTime).toBe('2025-06-07T02:00:00.000+02:00');
+    });
+    
+    it('treats a window ending at midnight as ending on the next day', () => {
+      const occurrences = expandOccurrences(
+        [weekly({ dayOfWeek: 5, startTime: '20:00:00', endTime: '00:00:00' })],
+        new Date('2025-06-02T00:00:00Z'), new Date('2025-06-09T00:00:00Z'), 'UTC'
+      );
+      
+      expect(occurrences.map(occurrence => [occurrence.startTime, occurrence.endTime])).toEqual([
+        [new Date('2025-06-06T20:00:00Z'), new Date('2025-06-07T00:00:00Z')]
+      ]);
+    });
+  });
+});
+
+describe('findCandidateSlots', () => {
+  const at = time => new Date(`2025-06-06T${time}:00.000Z`);
+  const window = (from, to) => ({ start: at(from), end: at(to) });
+  const members = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+  
+  const search = options => findCandidateSlots({
+    members,
+    rangeStart: at('18:00'),
+    rangeEnd: at('22:00'),
+    duration: 60,
+    ...options
+  });
+  const times = slots => slots.map(slot => [slot.startTime.toISOString(), slot.latestStartTime.toISOString()]);
+  
+  it('slides the duration across the window in step increments', () => {
+    const slots = search({
+      availabilityByMember: { a: { preferred: [window('18:00', '19:00'), window('19:40', '21:00')] } },
+      step: 20
+    });
+    
+    // 19:00 and 19:20 would run past a's first window or start before the second
+    expect(times(slots)).toEqual([
+      ['2025-06-06T18:00:00.000Z', '2025-06-06T18:00:00.000Z'],
+      ['2025-06-06T19:40:00.000Z', '2025-06-06T20:00:00.000Z']
+    ]);
+  });
+  
+  it('merges consecutive starts with the same members at the same tiers into latestStartTime', () => {
+    const slots = search({
+      availabilityByMember: {
+        a: { preferred: [window('18:00', '22:00')] },
+        b: { preferred: [window('18:00', '20:00')] }
+      }
+    });
+    
+    expect(times(slots)).toEqual([
+      ['2025-06-06T18:00:00.000Z', '2025-06-06T19:00:00.000Z'],
+      ['2025-06-06T19:30:00.000Z', '2025-06-06T21:00:00.000Z']
+    ]);
+    expect(slots[0].availableMembers.map(member => member.id)).toEqual(['a', 'b']);
+    expect(slots[1].unavailableMembers.map(member => member.id)).toEqual(['b', 'c']);
+  });
+  
+  it('drops slots with fewer than minimumMembers available', () => {
+    const slots = search({
+      availabilityByMember: {
+        a: { preferred: [window('18:00', '22:00')] },
+        b: { preferred: [window('20:00', '22:00')] }
+      },
+      minimumMembers: 2
+    });
+    
+    expect(times(slots)).toEqual([['2025-06-06T20:00:00.000Z', '2025-06-06T21:00:00.000Z']]);
+  });
+  
+  it('drops every slot that overlaps a busy interval, whoever is available', () => {
+    const slots = search({
+      availabilityByMember: {
+        a: { preferred: [window('18:00', '22:00')] },
+        b: { preferred: [window('18:00', '22:00')] }
+      },
+      busy: [window('19:00', '20:30')]
+    });
+    
+    expect(times(slots)).toEqual([
+      ['2025-06-06T18:00:00.000Z', '2025-06-06T18:00:00.000Z'],
+      ['2025-06-06T20:30:00.000Z', '2025-06-06T21:00:00.000Z']
+    ]);
+  });
+  
+  it('ranks by score, then head count, then the earlier start', () => {
+    const slots = search({
+      availabilityByMember: {
+        // 18:00 has a (weight 2) and b possible; 19:00 has c preferred;
+        // 20:00 and 21:00 have a preferred on their own
+        a: { preferred: [window('20:00', '22:00')], possible: [window('18:00', '19:00'), window('20:00', '22:00')] },
+        b: { possible: [window('18:00', '19:00')] },
+        c: { preferred: [window('19:00', '20:00')], possible: [window('19:00', '20:00')] }
+      },
+      weights: { a: 2 },
+      step: 60
+    });
+    
+    expect(slots.map(slot => [slot.startTime.toISOString(), slot.score, slot.availableCount])).toEqual([
+      ['2025-06-06T20:00:00.000Z', 2, 1],
+      ['2025-06-06T18:00:00.000Z', 1.5, 2],
+      ['2025-06-06T19:00:00.000Z', 1, 1]
+    ]);
+    expect(slots[0].latestStartTime).toEqual(at('21:00'));
+    expect(slots[0].maxScore).toBe(4);
+  });
+  
+  it('prefers the larger head count when scores tie', () => {
+    const slots = search({
+      availabilityByMember: {
+        a: { preferred: [window('18:00', '19:00')] },
+        b: { possible: [window('20:00', '21:00')] },
+        c: { possible: [window('20:00', '21:00')] }
+      },
+      step: 60
+    });
+    
+    expect(slots.map(slot => [slot.startTime.toISOString(), slot.score, slot.availableCount])).toEqual([
+      ['2025-06-06T20:00:00.000Z', 1, 2],
+      ['2025-06-06T18:00:00.000Z', 1, 1]
+    ]);
+    expect(slots[0].tierCounts).toEqual({ preferred: 0, possible: 2, 'urgent-only': 0 });
+  });
+});
+
+describe('availability tiers', () => {
+  const range = [new Date('2025-06-06T00:00:00Z'), new Date('2025-06-07T00:00:00Z')];
+  const window = (priority, startTime, endTime) => weekly({ id: `availability-${startTime}`, dayOfWeek: 5, priority, startTime, endTime });
+  
+  it('lets each tier include the more willing ones', () => {
+    const tiers = expandAvailabilityTiers([
+      window(2, '18:00:00', '19:00:00'),
+      window(1, '19:00:00', '20:00:00'),
+      window(0, '20:00:00', '21:00:00')
+    ], ...range, 'UTC');
+    
+    const hours = intervals => intervals.map(interval => [interval.start.getUTCHours(), interval.end.getUTCHours()]);
+    expect(hours(tiers.preferred)).toEqual([[18, 19]]);
+    expect(hours(tiers.possible)).toEqual([[18, 20]]);
+    expect(hours(tiers['urgent-only'])).toEqual([[18, 21]]);
+  });
+  
+  it('places a slot at the least willing tier it needs', () => {
+    const tiers = expandAvailabilityTiers([
+      window(2, '18:00:00', '19:00:00'),
+      window(1, '19:00:00', '20:00:00')
+    ], ...range, 'UTC');
+    const at = time => new Date(`2025-06-06T${time}:00.000Z`);
+    
+    expect(tierForInterval(tiers, at('18:00'), at('19:00'))).toBe('preferred');
+    expect(tierForInterval(tiers, at('18:30'), at('19:30'))).toBe('possible');
+    expect(tierForInterval(tiers, at('19:30'), at('20:30'))).toBeNull();
+    expect(tierForInterval(undefined, at('18:00'), at('19:00'))).toBeNull();
+  });
+});
+
+describe('findCandidateSlots requirements and tiers', () => {
+  const at = time => new Date(`2025-06-06T${time}:00.000Z`);
+  const window = (from, to) => ({ start: at(from), end: at(to) });
+  const members = [{ id: 'singer' }, { id: 'bassist' }, { id: 'drummer' }];
+  const availabilityByMember = {
+    singer: { preferred: [window('18:00', '22:00')], possible: [window('18:00', '22:00')], 'urgent-only': [window('18:00', '22:00')] },
+    bassist: { possible: [window('20:00', '22:00')], 'urgent-only': [window('20:00', '22:00')] },
+    drummer: { 'urgent-only': [window('18:00', '20:00')] }
+  };
+  
+  const search = options => findCandidateSlots({
+    members,
+    availabilityByMember,
+    rangeStart: at('18:00'),
+    rangeEnd: at('22:00'),
+    duration: 120,
+    step: 120,
+    ...options
+  });
+  const available = slot => slot.availableMembers.map(member => member.id);
+  
+  it('only counts urgent-only availability for urgent searches', () => {
+    expect(search({}).map(available)).toEqual([['singer', 'bassist'], ['singer']]);
+    expect(search({ urgent: true }).map(available)).toEqual([['singer', 'bassist'], ['singer', 'drummer']]);
+  });
+  
+  it('scores urgent-only members below possible ones', () => {
+    const slots = search({ urgent: true });
+    
+    expect(slots.map(slot => slot.score)).toEqual([1.5, 1.1]);
+    expect(slots[1].memberTiers).toEqual({ singer: 'preferred', drummer: 'urgent-only' });
+  });
+  
+  it('drops slots that leave a required member or part uncovered', () => {
+    // The bass part is played by the bassist only; the singer is required
+    const slots = search({ urgent: true, requirements: [['singer'], ['bassist']] });
+    
+    expect(slots.map(slot => slot.startTime)).toEqual([at('20:00')]);
+  });
+  
+  it('meets a part requirement with any member who plays it', () => {
+    const slots = search({ urgent: true, requirements: [['bassist', 'drummer']] });
+    
+    expect(slots).toHaveLength(2);
+  });
+  
+  it('lets weights outrank head count', () => {
+    const slots = search({ urgent: true, weights: { drummer: 10 } });
+    
+    expect(slots.map(available)).toEqual([['singer', 'drummer'], ['singer', 'bassist']]);
+    expect(slots[0].maxScore).toBe(12);
+  });
+});
\ No newline at end of file
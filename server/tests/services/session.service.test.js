@@ -0,0 +1,124 @@
+jest.mock('../../src/models', () => {
+  const { memoryModel } = require('../helpers/memoryModel');
+  return {
+    User: {},
+    PasswordResetToken: {},
+    Session: memoryModel({ defaults: { revokedAt: null, revokedReason: null } }),
+    RefreshToken: memoryModel({ defaults: { usedAt: null } }),
+    sequelize: { transaction: jest.fn(work => work({})) }
+  };
+});
+jest.mock('../../src/services/email.service');
+jest.mock('../../src/services/invitation.service');
+
+const { Session, RefreshToken } = require('../../src/models');
+const sessionService = require('../../src/services/session.service');
+const authController = require('../../src/controllers/auth.controller');
+const { mockResponse, statusOf, bodyOf } = require('../helpers/http');
+const logger = require('../../src/utils/logger');
+
+const user = {
+  id: 'user-1',
+  email: 'ana@example.com',
+  role: 'user',
+  isActive: true,
+  changedPasswordAfter: () => false
+};
+
+// Sessions and refresh tokens come back with their associations, as the includes load them
+const findSession = Session.findByPk;
+Session.findByPk = async (id) => {
+  const session = await findSession(id);
+  if (session) {
+    session.User = user;
+    session.isActive = (now = new Date()) => !session.revokedAt && new Date(session.expiresAt) > now;
+  }
+  return session;
+};
+const findToken = RefreshToken.findOne;
+RefreshToken.findOne = async (options) => {
+  const stored = await findToken(options);
+  if (stored) {
+    stored.Session = await Session.findByPk(stored.sessionId);
+  }
+  return stored;
+};
+
+/**
+ * Ask the controller for a new token pair
+ * @param {String} refreshToken
+ * @returns {Promise<Object>} Response from mockResponse
+ */
+const refresh = async (refreshToken) => {
+  const res = mockResponse();
+  await authController.refreshToken({ body: { refreshToken } }, res);
+  return res;
+};
+
+describe('session service', () => {
+  let login;
+  
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    Session.rows.length = 0;
+    RefreshToken.rows.length = 0;
+    login = await sessionService.createSession(user, { userAgent: 'jest', ipAddress: '127.0.0.1' });
+  });
+  
+  it('exchanges a refresh token for a new pair once', async () => {
+    const rotated = await sessionService.rotateRefreshToken(login.refreshToken);
+    
+    expect(rotated.refreshToken).not.toBe(login.refreshToken);
+    expect(RefreshToken.rows).toHaveLength(2);
+    expect(RefreshToken.rows[0].usedAt).toBeInstanceOf(Date);
+    expect(RefreshToken.rows[1].usedAt).toBeNull();
+    await expect(sessionService.verifyAccessToken(rotated.accessToken)).resolves.toEqual(
+      expect.objectContaining({ user, decoded: expect.objectContaining({ sid: login.session.id }) })
+    );
+  });
+  
+  it('revokes the whole session when a used refresh token comes back', async () => {
+    const rotated = await sessionService.rotateRefreshToken(login.refreshToken);
+    
+    await expect(sessionService.rotateRefreshToken(login.refreshToken))
+      .rejects.toMatchObject({ name: 'SessionError', message: 'Refresh token has already been used' });
+    
+    expect(Session.rows[0]).toEqual(expect.objectContaining({ revokedReason: 'reuse', revokedAt: expect.any(Date) }));
+    // The token the other party got is dead as well
+    await expect(sessionService.rotateRefreshToken(rotated.refreshToken))
+      .rejects.toMatchObject({ name: 'SessionError', message: 'Session has expired or been revoked' });
+    await expect(sessionService.verifyAccessToken(rotated.accessToken)).rejects.toMatchObject({ name: 'SessionError' });
+  });
+  
+  it('answers 401 to the exchange that loses a concurrent claim and revokes the session', async () => {
+    const responses = await Promise.all([refresh(login.refreshToken), refresh(login.refreshToken)]);
+    
+    expect(responses.map(statusOf).sort()).toEqual([200, 401]);
+    const loser = responses.find(res => statusOf(res) === 401);
+    expect(bodyOf(loser).error).toBe('Refresh token has already been used');
+    expect(RefreshToken.rows).toHaveLength(2);
+    expect(Session.rows[0].revokedReason).toBe('reuse');
+    // Both read the token before either claimed it, so the claim decided
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Concurrent refresh token reuse'));
+  });
+  
+  it('answers 401 to an unknown refresh token', async () => {
+    const res = await refresh('not-a-token');
+    
+    expect(statusOf(res)).toBe(401);
+    expect(bodyOf(res).error).toBe('Invalid refresh token');
+  });
+  
+  it('stops accepting the access token after logout', async () => {
+    await expect(sessionService.verifyAccessToken(login.accessToken)).resolves.toBeDefined();
+    
+    const res = mockResponse();
+    await authController.logout({ authSession: { id: login.session.id }, user }, res);
+    
+    expect(bodyOf(res).message).toBe('Logout successful');
+    expect(Session.rows[0].revokedReason).toBe('logout');
+    await expect(sessionService.verifyAccessToken(login.accessToken))
+      .rejects.toMatchObject({ name: 'SessionError', message: 'Session has expired or been revoked' });
+    await expect(sessionService.rotateRefreshToken(login.refreshToken)).rejects.toMatchObject({ name: 'SessionError' });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,176 @@
+jest.mock('../../src/models', () => ({
+  Equipment: { findAll: jest.fn() },
+  User: {}
+}));
+
+const { Equipment } = require('../../src/models');
+const valuation = require('../../src/services/valuation.service');
+
+const AS_OF = new Date('2025-06-01T00:00:00Z');
+
+/**
+ * Equipment row as Sequelize returns it, DECIMAL columns as strings
+ * @param {Object} fields - Overrides
+ * @returns {Object}
+ */
+const gear = (fields) => ({
+  id: 'equipment-1',
+  name: 'Bass amp',
+  category: 'Amplifiers',
+  currency: 'EUR',
+  purchaseDate: '2023-06-01',
+  purchasePrice: '1000.00',
+  salvageValue: '100.00',
+  usefulLifeYears: 5,
+  currentValue: null,
+  owner: null,
+  ...fields
+});
+
+describe('depreciate', () => {
+  it('writes the price less salvage off evenly over the useful life', () => {
+    expect(valuation.depreciate(gear(), AS_OF)).toEqual({
+      ageYears: 2,
+      usefulLifeYears: 5,
+      accumulatedDepreciation: 360,
+      bookValue: 640
+    });
+  });
+  
+  it('assumes the default useful life when none is recorded', () => {
+    const result = valuation.depreciate(gear({ usefulLifeYears: null, purchaseDate: '2024-06-01' }), AS_OF);
+    
+    expect(result.usefulLifeYears).toBe(valuation.DEFAULT_USEFUL_LIFE_YEARS);
+    expect(result.accumulatedDepreciation).toBe(180);
+  });
+  
+  it('stops at the salvage value once the useful life is over', () => {
+    const result = valuation.depreciate(gear({ purchaseDate: '2012-03-15' }), AS_OF);
+    
+    expect(result.accumulatedDepreciation).toBe(900);
+    expect(result.bookValue).toBe(100);
+  });
+  
+  it('caps the salvage value at the purchase price', () => {
+    const result = valuation.depreciate(gear({ salvageValue: '1500.00' }), AS_OF);
+    
+    expect(result.accumulatedDepreciation).toBe(0);
+    expect(result.bookValue).toBe(1000);
+  });
+  
+  it('keeps gear without a purchase date at its price', () => {
+    expect(valuation.depreciate(gear({ purchaseDate: null }), AS_OF)).toEqual({
+      ageYears: null,
+      usefulLifeYears: 5,
+      accumulatedDepreciation: 0,
+      bookValue: 1000
+    });
+  });
+  
+  it('leaves the amounts empty without a purchase price', () => {
+    expect(valuation.depreciate(gear({ purchasePrice: null }), AS_OF)).toEqual({
+      ageYears: 2,
+      usefulLifeYears: 5,
+      accumulatedDepreciation: null,
+      bookValue: null
+    });
+  });
+  
+  it('does not depreciate gear bought after the valuation date', () => {
+    const result = valuation.depreciate(gear({ purchaseDate: '2025-09-01' }), AS_OF);
+    
+    expect(result.ageYears).toBe(0);
+    expect(result.bookValue).toBe(1000);
+  });
+});
+
+describe('totalsBy', () => {
+  const item = fields => ({
+    category: 'Amplifiers',
+    currency: 'EUR',
+    purchasePrice: 0.1,
+    accumulatedDepreciation: 0,
+    bookValue: 0.1,
+    insuredValue: 0.1,
+    ...fields
+  });
+  
+  it('never sums amounts in different currencies', () => {
+    const rows = valuation.totalsBy([
+      item({ currency: 'USD', purchasePrice: 50, bookValue: 50, insuredValue: 50 }),
+      item(),
+      item({ purchasePrice: 0.2, bookValue: 0.2, insuredValue: 0.2 })
+    ], null);
+    
+    expect(rows).toEqual([
+      { group: null, currency: 'EUR', items: 2, unvalued: 0, purchasePrice: 0.3, accumulatedDepreciation: 0, bookValue: 0.3, insuredValue: 0.3 },
+      { group: null, currency: 'USD', items: 1, unvalued: 0, purchasePrice: 50, accumulatedDepreciation: 0, bookValue: 50, insuredValue: 50 }
+    ]);
+  });
+  
+  it('counts items without an insured value as unvalued', () => {
+    const rows = valuation.totalsBy([
+      item({ purchasePrice: null, bookValue: null, insuredValue: null }),
+      item({ category: 'Drums' })
+    ], entry => entry.category);
+    
+    expect(rows.map(row => [row.group, row.items, row.unvalued, row.insuredValue])).toEqual([
+      ['Amplifiers', 1, 1, 0],
+      ['Drums', 1, 0, 0.1]
+    ]);
+  });
+  
+  it('groups by key and labels each group with its name', () => {
+    const rows = valuation.totalsBy([
+      item({ ownerId: 'user-1', owner: 'Sam Lee' }),
+      item({ ownerId: 'user-2', owner: 'Sam Lee' }),
+      item({ ownerId: 'user-1', owner: 'Sam Lee' })
+    ], entry => entry.ownerId, entry => entry.owner);
+    
+    expect(rows.map(row => [row.group, row.items])).toEqual([['Sam Lee', 2], ['Sam Lee', 1]]);
+  });
+});
+
+describe('bandValuation', () => {
+  const band = { id: 'band-1', name: 'The Rests' };
+  
+  it('keeps members who share a name apart in the owner totals', async () => {
+    Equipment.findAll.mockResolvedValue([
+      gear({ id: 'equipment-1', owner: { id: 'user-1', firstName: 'Sam', lastName: 'Lee' } }),
+      gear({ id: 'equipment-2', owner: { id: 'user-2', firstName: 'Sam', lastName: 'Lee' } }),
+      gear({ id: 'equipment-3' })
+    ]);
+    
+    const report = await valuation.bandValuation(band, { asOf: AS_OF });
+    
+    expect(report.byOwner.map(row => [row.group, row.items, row.bookValue])).toEqual([
+      ['Band', 1, 640],
+      ['Sam Lee', 1, 640],
+      ['Sam Lee', 1, 640]
+    ]);
+    expect(report.totals).toEqual([expect.objectContaining({ currency: 'EUR', items: 3, bookValue: 1920 })]);
+  });
+  
+  it('insures gear for its current value where one is recorded', async () => {
+    Equipment.findAll.mockResolvedValue([gear({ currentValue: '800.00' }), gear({ id: 'equipment-2' })]);
+    
+    const report = await valuation.bandValuation(band, { asOf: AS_OF });
+    
+    expect(report.items.map(entry => entry.insuredValue)).toEqual([800, 640]);
+  });
+});
+
+describe('toCsv', () => {
+  it('escapes cells a spreadsheet would run as formulas', async () => {
+    Equipment.findAll.mockResolvedValue([gear({ name: '=HYPERLINK("http://example.com")', category: '+Cables' })]);
+    const report = await valuation.bandValuation({ id: 'band-1', name: 'The Rests' }, { asOf: AS_OF });
+    
+    const lines = valuation.toCsv(report).split('\r\n');
+    
+    expect(lines[0]).toBe('Inventory valuation: The Rests');
+    expect(lines[1]).toBe('As of,2025-06-01');
+    expect(lines[4].startsWith('"\'=HYPERLINK(""http://example.com"")",\'+Cables,')).toBe(true);
+    expect(lines).toContain('Total,Currency,Items,Unvalued items,Purchase price,Depreciation,Book value,Insured value');
+    expect(lines).toContain('All equipment,EUR,1,0,1000,360,640,640');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,146 @@
+jest.mock('../../src/models', () => ({
+  Venue: { findByPk: jest.fn() },
+  Rehearsal: { findAll: jest.fn(), max: jest.fn() },
+  UserRehearsal: {},
+  RehearsalEquipment: {},
+  sequelize: {}
+}));
+
+const { Venue, Rehearsal } = require('../../src/models');
+const rehearsalService = require('../../src/services/rehearsal.service');
+const venueService = require('../../src/services/venue.service');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+const venue = { id: 'venue-1', timezone: 'UTC', openingHours: null };
+
+// Band B already has the room on Friday 13 June, 18:00-20:00
+const otherBandBooking = {
+  id: 'rehearsal-b',
+  bandId: 'band-b',
+  title: 'Band B rehearsal',
+  venueId: 'venue-1',
+  status: 'scheduled',
+  startTime: new Date('2025-06-13T18:00:00Z'),
+  endTime: new Date('2025-06-13T20:00:00Z')
+};
+
+/**
+ * Band A's weekly Friday series in the room
+ * @param {Object} fields - Overrides
+ * @returns {Object} Stand-in for a Rehearsal instance
+ */
+const weeklySeries = (fields) => {
+  const values = {
+    id: 'series-a',
+    bandId: 'band-a',
+    venueId: 'venue-1',
+    isRecurring: true,
+    recurrenceRule: 'FREQ=WEEKLY;BYDAY=FR;COUNT=4',
+    timezone: 'UTC',
+    status: 'scheduled',
+    startTime: new Date('2025-06-06T18:30:00Z'),
+    endTime: new Date('2025-06-06T20:30:00Z'),
+    ...fields
+  };
+  return { ...values, isNewRecord: false, toJSON: () => ({ ...values }) };
+};
+
+/**
+ * Exception row of band A's series
+ * @param {String} originalStart
+ * @param {Object} fields
+ * @returns {Object}
+ */
+const exceptionOf = (originalStart, fields) => ({
+  id: `exception-${originalStart}`,
+  seriesId: 'series-a',
+  originalStartTime: new Date(originalStart),
+  startTime: new Date(originalStart),
+  endTime: new Date(new Date(originalStart).getTime() + 2 * 60 * 60 * 1000),
+  status: 'scheduled',
+  ...fields
+});
+
+describe('reserve', () => {
+  const now = new Date('2025-06-01T00:00:00Z');
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Venue.findByPk.mockResolvedValue(venue);
+    Rehearsal.findAll.mockResolvedValue([]);
+    Rehearsal.max.mockResolvedValue(null);
+    jest.spyOn(rehearsalService, 'activeOccurrences').mockResolvedValue([otherBandBooking]);
+  });
+  
+  it('refuses a one-off rehearsal that overlaps another band in the room', async () => {
+    const rehearsal = {
+      id: 'rehearsal-a',
+      bandId: 'band-a',
+      venueId: 'venue-1',
+      isRecurring: false,
+      status: 'scheduled',
+      startTime: new Date('2025-06-13T19:00:00Z'),
+      endTime: new Date('2025-06-13T21:00:00Z')
+    };
+    
+    const error = await venueService.reserve(rehearsal, { now, transaction }).catch(thrown => thrown);
+    
+    expect(error.name).toBe('RoomUnavailableError');
+    // Other bands' rehearsals only show as busy time
+    expect(error.report.doubleBookings).toEqual([{
+      occurrenceStart: new Date('2025-06-13T19:00:00Z'),
+      booking: { startTime: otherBandBooking.startTime, endTime: otherBandBooking.endTime }
+    }]);
+  });
+  
+  it('accepts a rehearsal that starts when the other band leaves', async () => {
+    const rehearsal = {
+      id: 'rehearsal-a',
+      bandId: 'band-a',
+      venueId: 'venue-1',
+      isRecurring: false,
+      status: 'scheduled',
+      startTime: new Date('2025-06-13T20:00:00Z'),
+      endTime: new Date('2025-06-13T22:00:00Z')
+    };
+    
+    await expect(venueService.reserve(rehearsal, { now, transaction })).resolves.toEqual(expect.objectContaining({ available: true }));
+  });
+  
+  it('refuses a series whose occurrence overlaps another band', async () => {
+    const error = await venueService.reserve(weeklySeries(), { now, transaction }).catch(thrown => thrown);
+    
+    expect(error.name).toBe('RoomUnavailableError');
+    expect(error.report.doubleBookings.map(conflict => conflict.occurrenceStart)).toEqual([new Date('2025-06-13T18:30:00Z')]);
+  });
+  
+  it('accepts a series once the overlapping occurrence is cancelled', async () => {
+    Rehearsal.findAll.mockResolvedValue([exceptionOf('2025-06-13T18:30:00Z', { status: 'cancelled' })]);
+    
+    await expect(venueService.reserve(weeklySeries(), { now, transaction })).resolves.toEqual(expect.objectContaining({ available: true }));
+    expect(Rehearsal.findAll).toHaveBeenCalledWith({ where: { seriesId: 'series-a' }, transaction });
+  });
+  
+  it('checks a moved occurrence at its new time', async () => {
+    jest.spyOn(rehearsalService, 'activeOccurrences').mockResolvedValue([
+      { ...otherBandBooking, startTime: new Date('2025-06-21T10:00:00Z'), endTime: new Date('2025-06-21T12:00:00Z') }
+    ]);
+    Rehearsal.findAll.mockResolvedValue([
+      exceptionOf('2025-06-20T18:30:00Z', { startTime: new Date('2025-06-21T11:00:00Z'), endTime: new Date('2025-06-21T13:00:00Z') })
+    ]);
+    
+    const error = await venueService.reserve(weeklySeries(), { now, transaction }).catch(thrown => thrown);
+    
+    expect(error.report.doubleBookings.map(conflict => conflict.occurrenceStart)).toEqual([new Date('2025-06-21T11:00:00Z')]);
+  });
+  
+  it('finds an overlap beyond the usual expansion window of a series with COUNT', async () => {
+    const later = { ...otherBandBooking, startTime: new Date('2025-11-14T18:00:00Z'), endTime: new Date('2025-11-14T20:00:00Z') };
+    jest.spyOn(rehearsalService, 'activeOccurrences').mockResolvedValue([later]);
+    
+    const error = await venueService.reserve(weeklySeries({ recurrenceRule: 'FREQ=WEEKLY;BYDAY=FR;COUNT=30' }), { now, transaction })
+      .catch(thrown => thrown);
+    
+    expect(error.report.doubleBookings.map(conflict => conflict.occurrenceStart)).toEqual([new Date('2025-11-14T18:30:00Z')]);
+  });
+});
\ No newline at end of file
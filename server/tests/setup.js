@@ -0,0 +1,7 @@
+// The real logger writes to logs/; specs assert on these mocks instead
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
\ No newline at end of file
@@ -0,0 +1,71 @@
+const { createClient } = require('../../src/utils/caldav');
+const { startCaldavServer } = require('../helpers/caldavServer');
+const { startServer } = require('../helpers/server');
+const logger = require('../../src/utils/logger');
+
+describe('createClient', () => {
+  let server;
+  
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    process.env.OUTBOUND_ALLOWED_HOSTS = 'localhost';
+    server = await startCaldavServer();
+  });
+  
+  afterEach(async () => {
+    delete process.env.OUTBOUND_ALLOWED_HOSTS;
+    await server.close();
+  });
+  
+  it('accepts a calendar collection with the right credentials', async () => {
+    const client = createClient({ calendarUrl: server.calendarUrl, username: 'ana', password: 'secret' });
+    
+    await expect(client.checkCalendar()).resolves.toEqual({ displayName: 'Rehearsals' });
+    expect(server.requests[0]).toEqual(expect.objectContaining({ method: 'PROPFIND' }));
+  });
+  
+  it('reports a wrong password', async () => {
+    const client = createClient({ calendarUrl: server.calendarUrl, username: 'ana', password: 'wrong' });
+    
+    await expect(client.checkCalendar()).rejects.toMatchObject({
+      name: 'CalDavError',
+      status: 401,
+      message: 'The CalDAV server refused the username or password'
+    });
+  });
+  
+  it('refuses a server on a private address that is not allowed', async () => {
+    delete process.env.OUTBOUND_ALLOWED_HOSTS;
+    const client = createClient({ calendarUrl: server.calendarUrl, username: 'ana', password: 'secret' });
+    
+    await expect(client.checkCalendar()).rejects.toMatchObject({
+      name: 'CalDavError',
+      message: 'The CalDAV URL cannot be used: The host is not on the public internet'
+    });
+    expect(server.requests).toHaveLength(0);
+  });
+  
+  it('does not follow a redirect to a private address', async () => {
+    const redirect = await startServer((req, res) => {
+      res.writeHead(301, { Location: 'http://127.0.0.1:1/calendars/' });
+      res.end();
+    });
+    const client = createClient({ calendarUrl: `${redirect.origin}/dav/`, username: 'ana', password: 'secret' });
+    
+    await expect(client.checkCalendar()).rejects.toThrow('The CalDAV URL cannot be used');
+    expect(redirect.requests).toHaveLength(1);
+    await redirect.close();
+  });
+  
+  it('does not tell the caller why a server could not be reached', async () => {
+    const gone = await startServer(() => {});
+    await gone.close();
+    const client = createClient({ calendarUrl: `${gone.origin}/calendars/`, username: 'ana', password: 'secret' });
+    
+    const error = await client.checkCalendar().catch(caught => caught);
+    
+    expect(error).toMatchObject({ name: 'CalDavError', message: 'Could not reach the CalDAV server' });
+    expect(error.message).not.toContain(String(gone.port));
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('CalDAV PROPFIND request failed'));
+  });
+});
\ No newline at end of file
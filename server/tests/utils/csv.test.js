@@ -0,0 +1,34 @@
+const csv = require('../../src/utils/csv');
+
+describe('cell', () => {
+  it.each(['=SUM(A1:A2)', '+1', '-1+2', '@cmd', '\tTab', '\rReturn'])('prefixes %p with an apostrophe', (value) => {
+    expect(csv.cell(value).replace(/^"|"$/g, '')).toBe(`'${value}`);
+  });
+  
+  it('leaves numbers alone, negative ones included', () => {
+    expect(csv.cell(-12.5)).toBe('-12.5');
+    expect(csv.cell(0)).toBe('0');
+  });
+  
+  it('quotes text with commas, quotes or line breaks', () => {
+    expect(csv.cell('Amp, 100W')).toBe('"Amp, 100W"');
+    expect(csv.cell('12" speaker')).toBe('"12"" speaker"');
+    expect(csv.cell('line\nbreak')).toBe('"line\nbreak"');
+  });
+  
+  it('escapes a formula and quotes it when it holds quotes', () => {
+    expect(csv.cell('=HYPERLINK("http://example.com")')).toBe('"\'=HYPERLINK(""http://example.com"")"');
+  });
+  
+  it('writes empty cells for null and undefined and ISO strings for dates', () => {
+    expect(csv.cell(null)).toBe('');
+    expect(csv.cell(undefined)).toBe('');
+    expect(csv.cell(new Date('2025-06-01T00:00:00Z'))).toBe('2025-06-01T00:00:00.000Z');
+  });
+});
+
+describe('serialize', () => {
+  it('joins rows with CRLF and ends with a line break', () => {
+    expect(csv.serialize([['Item', 'Price'], ['Amp', 100], []])).toBe('Item,Price\r\nAmp,100\r\n\r\n');
+  });
+});
\ No newline at end of file
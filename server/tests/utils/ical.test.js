@@ -0,0 +1,45 @@
+const ical = require('../../src/utils/ical');
+
+describe('timezoneLines', () => {
+  it('writes one observance per offset change in the years covered', () => {
+    const lines = ical.timezoneLines('Europe/Berlin', new Date('2025-06-06T16:00:00Z'), new Date('2025-11-01T00:00:00Z'));
+    
+    expect(lines).toEqual([
+      'BEGIN:VTIMEZONE',
+      'TZID:Europe/Berlin',
+      'BEGIN:STANDARD',
+      'DTSTART:20250101T000000',
+      'TZOFFSETFROM:+0100',
+      'TZOFFSETTO:+0100',
+      'TZNAME:GMT+1',
+      'END:STANDARD',
+      'BEGIN:DAYLIGHT',
+      'DTSTART:20250330T020000',
+      'TZOFFSETFROM:+0100',
+      'TZOFFSETTO:+0200',
+      'TZNAME:GMT+2',
+      'END:DAYLIGHT',
+      'BEGIN:STANDARD',
+      'DTSTART:20251026T030000',
+      'TZOFFSETFROM:+0200',
+      'TZOFFSETTO:+0100',
+      'TZNAME:GMT+1',
+      'END:STANDARD',
+      'END:VTIMEZONE'
+    ]);
+  });
+  
+  it('writes a single observance for zones without DST', () => {
+    const lines = ical.timezoneLines('Asia/Kolkata', new Date('2025-01-01T00:00:00Z'), new Date('2027-01-01T00:00:00Z'));
+    
+    expect(lines.filter(contentLine => contentLine.startsWith('BEGIN:'))).toEqual(['BEGIN:VTIMEZONE', 'BEGIN:STANDARD']);
+    expect(lines).toContain('TZOFFSETTO:+0530');
+  });
+  
+  it('covers every year between the first and last instant', () => {
+    const lines = ical.timezoneLines('America/New_York', new Date('2025-06-01T00:00:00Z'), new Date('2027-06-01T00:00:00Z'));
+    
+    expect(lines.filter(contentLine => contentLine === 'BEGIN:DAYLIGHT')).toHaveLength(3);
+    expect(lines).toContain('DTSTART:20271107T020000');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,117 @@
+const dns = require('dns');
+const { isPublicAddress, guardedFetch } = require('../../src/utils/outbound');
+const { startServer } = require('../helpers/server');
+
+describe('isPublicAddress', () => {
+  it.each([
+    '127.0.0.1', '10.1.2.3', '172.16.5.4', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:169.254.169.254', '::ffff:7f00:1',
+    '64:ff9b::7f00:1', '64:ff9b::169.254.169.254', '64:ff9b:1::1', '2002:7f00:1::', '2002:a9fe:a9fe::1', 'not-an-address'
+  ])('refuses %s', (address) => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+  
+  it.each(['8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8', '64:ff9b::808:808', '2002:808:808::1'])('allows %s', (address) => {
+    expect(isPublicAddress(address)).toBe(true);
+  });
+});
+
+describe('guardedFetch', () => {
+  let server;
+  let handler;
+  
+  beforeAll(async () => {
+    server = await startServer((req, res, body) => handler(req, res, body));
+  });
+  
+  afterAll(() => server.close());
+  
+  beforeEach(() => {
+    process.env.OUTBOUND_ALLOWED_HOSTS = 'localhost';
+    server.requests.length = 0;
+  });
+  
+  afterEach(() => {
+    delete process.env.OUTBOUND_ALLOWED_HOSTS;
+  });
+  
+  it('refuses hosts on private addresses unless they are allowed', async () => {
+    handler = (req, res) => res.end('ok');
+    
+    await expect(guardedFetch(`http://127.0.0.1:${server.port}/`)).rejects.toThrow('The host is not on the public internet');
+    delete process.env.OUTBOUND_ALLOWED_HOSTS;
+    await expect(guardedFetch(`${server.origin}/`)).rejects.toMatchObject({ name: 'BlockedAddressError' });
+    expect(server.requests).toHaveLength(0);
+  });
+  
+  it('refuses a redirect to the cloud metadata address without following it', async () => {
+    handler = (req, res) => {
+      res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+      res.end();
+    };
+    
+    await expect(guardedFetch(`${server.origin}/calendar.ics`)).rejects.toMatchObject({ name: 'BlockedAddressError' });
+    expect(server.requests).toHaveLength(1);
+  });
+  
+  it('follows redirects between allowed hosts and keeps the method and body of a 307', async () => {
+    handler = (req, res) => {
+      if (req.url === '/old') {
+        res.writeHead(307, { Location: '/new' });
+        return res.end();
+      }
+      res.end('moved');
+    };
+    
+    const response = await guardedFetch(`${server.origin}/old`, { method: 'PUT', body: 'data', headers: { Authorization: 'Basic x' } });
+    
+    expect(await response.text()).toBe('moved');
+    expect(server.requests.map(({ method, url, body }) => [method, url, body])).toEqual([['PUT', '/old', 'data'], ['PUT', '/new', 'data']]);
+    expect(server.requests[1].headers.authorization).toBe('Basic x');
+  });
+  
+  it('does not send credentials on to another origin', async () => {
+    process.env.OUTBOUND_ALLOWED_HOSTS = 'localhost,127.0.0.1';
+    handler = (req, res) => {
+      if (req.headers.host.startsWith('localhost')) {
+        res.writeHead(302, { Location: `http://127.0.0.1:${server.port}/elsewhere` });
+        return res.end();
+      }
+      res.end('elsewhere');
+    };
+    
+    await guardedFetch(`${server.origin}/`, { headers: { Authorization: 'Basic x' } });
+    
+    expect(server.requests[1].headers.authorization).toBeUndefined();
+  });
+  
+  it('refuses a host that resolves to a private address when it connects (DNS rebinding)', async () => {
+    handler = (req, res) => res.end('secret');
+    // Public for the check, this host by the time the socket connects
+    const check = jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+    const connect = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(null, [{ address: '127.0.0.1', family: 4 }]);
+    });
+    
+    try {
+      await expect(guardedFetch(`http://rebind.example:${server.port}/`)).rejects.toMatchObject({
+        name: 'BlockedAddressError',
+        message: 'The host is not on the public internet'
+      });
+      expect(connect).toHaveBeenCalledWith('rebind.example', expect.any(Object), expect.any(Function));
+      expect(server.requests).toHaveLength(0);
+    } finally {
+      check.mockRestore();
+      connect.mockRestore();
+    }
+  });
+  
+  it('gives up after too many redirects', async () => {
+    handler = (req, res) => {
+      res.writeHead(302, { Location: '/again' });
+      res.end();
+    };
+    
+    await expect(guardedFetch(`${server.origin}/`)).rejects.toThrow('Too many redirects');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,56 @@
+const pdf = require('../../src/utils/pdf');
+
+describe('textWidth', () => {
+  it('measures digits and punctuation exactly', () => {
+    // Four digits at 556 and a comma at 278, in 1/1000 em
+    expect(pdf.textWidth('1,000', 10)).toBeCloseTo(25.02);
+  });
+});
+
+describe('fitText', () => {
+  it('keeps text that fits', () => {
+    expect(pdf.fitText('Amp', 100, 10)).toBe('Amp');
+  });
+  
+  it('cuts text that does not fit and marks the cut', () => {
+    const text = pdf.fitText('Fender Bassman 100 head', 50, 10);
+    
+    expect(text.endsWith('…')).toBe(true);
+    expect(pdf.textWidth(text, 10)).toBeLessThanOrEqual(50);
+  });
+});
+
+describe('renderDocument', () => {
+  const render = (pages, options) => pdf.renderDocument(pages, options).toString('latin1');
+  
+  it('points every cross-reference entry at its object', () => {
+    const output = render([[{ text: 'Page one', x: 40, y: 40 }], [{ text: 'Page two', x: 40, y: 40 }]]);
+    
+    const xref = Number(output.match(/startxref\n(\d+)\n/)[1]);
+    expect(output.slice(xref, xref + 4)).toBe('xref');
+    const offsets = [...output.slice(xref).matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]));
+    offsets.forEach((offset, index) => {
+      expect(output.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+    });
+    expect(output).toContain('/Count 2');
+  });
+  
+  it('turns the page for landscape output', () => {
+    expect(render([[]], { size: 'A4', landscape: true })).toContain('/MediaBox [0 0 841.89 595.28]');
+    expect(render([[]], { size: 'LETTER' })).toContain('/MediaBox [0 0 612 792]');
+  });
+  
+  it('escapes parentheses and backslashes and replaces characters the fonts cannot show', () => {
+    const output = render([[{ text: 'Amp (spare) \\ 5€ 音', x: 40, y: 40 }]], { title: 'Gear (2025)' });
+    
+    expect(output).toContain('(Amp \\(spare\\) \\\\ 5\x80 ?) Tj');
+    expect(output).toContain('/Title (Gear \\(2025\\))');
+  });
+  
+  it('measures item positions from the top of the page', () => {
+    const output = render([[{ text: 'Total', x: 100, y: 40, align: 'right', size: 10 }]], { size: 'LETTER' });
+    
+    // 'Total' is five characters at the average width, 27.8pt at 10pt
+    expect(output).toContain('BT /F1 10 Tf 72.2 752 Td (Total) Tj ET');
+  });
+});
\ No newline at end of file
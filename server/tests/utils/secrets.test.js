@@ -0,0 +1,16 @@
+const { encrypt, decrypt, hashToken } = require('../../src/utils/secrets');
+
+describe('secrets', () => {
+  it('hashes tokens to a stable SHA-256 hex digest', () => {
+    expect(hashToken('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    expect(hashToken('abc')).toBe(hashToken('abc'));
+    expect(hashToken(123)).toBe(hashToken('123'));
+  });
+  
+  it('decrypts what it encrypted', () => {
+    const stored = encrypt('hunter2');
+    
+    expect(stored).not.toContain('hunter2');
+    expect(decrypt(stored)).toBe('hunter2');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,26 @@
+const { DISPLAY_ZONES, displayZone, presentInZone } = require('../../src/utils/timezone');
+
+describe('displayZone', () => {
+  const zones = { member: 'Asia/Tokyo', caller: 'America/New_York' };
+  
+  it('accepts the same values on every endpoint', () => {
+    expect(DISPLAY_ZONES).toEqual(['member', 'caller', 'utc']);
+  });
+  
+  it('defaults to the member timezone', () => {
+    expect(displayZone(undefined, zones)).toBe('Asia/Tokyo');
+    expect(displayZone('member', zones)).toBe('Asia/Tokyo');
+  });
+  
+  it('picks the caller timezone or UTC when asked', () => {
+    expect(displayZone('caller', zones)).toBe('America/New_York');
+    expect(displayZone('utc', zones)).toBe('UTC');
+  });
+  
+  it('gives local times that presentInZone can use', () => {
+    const slot = { startTime: new Date('2025-06-06T18:00:00Z'), endTime: new Date('2025-06-06T20:00:00Z') };
+    
+    expect(presentInZone(slot, displayZone('utc', zones)).localStartTime).toBe('2025-06-06T18:00:00.000Z');
+    expect(presentInZone(slot, displayZone(undefined, zones)).localStartTime).toBe('2025-06-07T03:00:00.000+09:00');
+  });
+});
\ No newline at end of file